@@ -2,7 +2,8 @@ const jwt = require('jsonwebtoken');
 
 /**
  * Middleware to verify JWT token and authenticate user
- * Adds user information to req.user if token is valid
+ * Adds user information to req.user if token is valid, and the time the token
+ * expires (in milliseconds) to req.tokenExpiresAt
  */
 const authenticateToken = async (req, res, next) => {
     try {
@@ -21,7 +22,7 @@ const authenticateToken = async (req, res, next) => {
         
         // Verify user still exists in database
         const [users] = await db.execute(
-            'SELECT id, email, name FROM users WHERE id = ?',
+            'SELECT id, email, name, role FROM users WHERE id = ?',
             [decoded.userId]
         );
 
@@ -31,6 +32,7 @@ const authenticateToken = async (req, res, next) => {
 
         // Add user info to request object
         req.user = users[0];
+        req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
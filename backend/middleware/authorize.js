@@ -0,0 +1,167 @@
+const { checkTaskOwnership } = require('./auth');
+const { requireProjectMember } = require('./project');
+
+/**
+ * Permissions granted by each project role.
+ * A permission ending in ':own' only applies to resources the user owns
+ * (assigned tasks or unassigned tasks, and the user's own comments and attachments).
+ */
+const ROLE_PERMISSIONS = {
+    admin: [
+        'project:read',
+        'project:manage',
+        'task:read',
+        'task:create',
+        'task:update',
+        'task:delete',
+        'comment:read',
+        'comment:create',
+        'comment:update:own',
+        'comment:delete',
+        'comment:resolve',
+        'attachment:create',
+        'attachment:delete',
+        'reaction:create'
+    ],
+    member: [
+        'project:read',
+        'task:read',
+        'task:create',
+        'task:update',
+        'task:delete:own',
+        'comment:read',
+        'comment:create',
+        'comment:update:own',
+        'comment:delete:own',
+        'comment:resolve',
+        'attachment:create',
+        'attachment:delete:own',
+        'reaction:create'
+    ],
+    viewer: [
+        'project:read',
+        'task:read',
+        'comment:read'
+    ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Check whether a project role grants a permission
+ * @param {string} role - Project role
+ * @param {string} permission - Permission such as 'task:update'
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Get all permissions granted by a project role
+ * @param {string} role - Project role
+ * @returns {string[]}
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const denyAccess = (res, permission) => {
+    res.status(403).json({ message: `Access denied: Missing permission ${permission}` });
+};
+
+/**
+ * Middleware to check that the current comment belongs to the user
+ * Should be used after requireProjectMember('comment')
+ */
+const checkCommentOwnership = async (req, res, next) => {
+    try {
+        const db = req.app.locals.db;
+        const [comments] = await db.execute(
+            'SELECT author_id FROM comments WHERE id = ?',
+            [req.params.id]
+        );
+
+        if (comments[0].author_id !== req.user.id) {
+            return res.status(403).json({ message: 'Access denied: You can only change your own comments' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Comment ownership check error:', error);
+        res.status(500).json({ message: 'Authorization error' });
+    }
+};
+
+/**
+ * Middleware to check that the current attachment was uploaded by the user
+ * Should be used after requireProjectMember('attachment')
+ */
+const checkAttachmentOwnership = async (req, res, next) => {
+    try {
+        const db = req.app.locals.db;
+        const [attachments] = await db.execute(
+            'SELECT uploader_id FROM attachments WHERE id = ?',
+            [req.params.attachmentId]
+        );
+
+        if (attachments[0].uploader_id !== req.user.id) {
+            return res.status(403).json({ message: 'Access denied: You can only delete your own attachments' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Attachment ownership check error:', error);
+        res.status(500).json({ message: 'Authorization error' });
+    }
+};
+
+const ownershipChecks = {
+    task: checkTaskOwnership,
+    comment: checkCommentOwnership,
+    attachment: checkAttachmentOwnership
+};
+
+/**
+ * Middleware factory that resolves the project a request targets (see
+ * requireProjectMember) and checks the user's role there grants a permission.
+ * When the role only grants the ':own' variant of the permission, the
+ * resource's ownership check decides.
+ * Should be used after authenticateToken
+ * @param {string} permission - Permission such as 'task:update'
+ * @param {string} source - Where the project comes from: 'project', 'task', 'comment' or 'attachment'
+ * @returns {Function[]} Middleware chain
+ */
+const authorize = (permission, source = 'project') => [
+    requireProjectMember(source),
+    (req, res, next) => {
+        if (hasPermission(req.projectRole, permission)) {
+            return next();
+        }
+
+        const ownershipCheck = ownershipChecks[source];
+        if (ownershipCheck && hasPermission(req.projectRole, `${permission}:own`)) {
+            return ownershipCheck(req, res, next);
+        }
+
+        denyAccess(res, permission);
+    }
+];
+
+/**
+ * Middleware factory that restricts a route to users with a global role
+ * Should be used after authenticateToken
+ * @param {string} role - Required global role, e.g. 'admin'
+ */
+const requireRole = (role) => (req, res, next) => {
+    if (req.user.role !== role) {
+        return res.status(403).json({ message: `Access denied: Requires ${role} role` });
+    }
+    next();
+};
+
+module.exports = {
+    ROLES,
+    authorize,
+    requireRole,
+    hasPermission,
+    getPermissions
+};
@@ -0,0 +1,141 @@
+/**
+ * Check whether a user belongs to a project
+ * @returns {Promise<boolean>}
+ */
+const isProjectMember = async (db, projectId, userId) => {
+    const [memberships] = await db.execute(
+        'SELECT project_id FROM project_members WHERE project_id = ? AND user_id = ?',
+        [projectId, userId]
+    );
+    return memberships.length > 0;
+};
+
+/**
+ * Get the role a user has in a project
+ * Global admins are treated as admins of every project
+ * @returns {Promise<string|null>} 'admin', 'member', 'viewer', or null if not a member
+ */
+const getProjectRole = async (db, projectId, user) => {
+    if (user.role === 'admin') {
+        return 'admin';
+    }
+
+    const [memberships] = await db.execute(
+        'SELECT role FROM project_members WHERE project_id = ? AND user_id = ?',
+        [projectId, user.id]
+    );
+    return memberships.length > 0 ? memberships[0].role : null;
+};
+
+/**
+ * Look up the project a task belongs to
+ * @returns {Promise<number|null>} Project ID, or null if the task does not exist or is in the trash
+ */
+const getTaskProjectId = async (db, taskId) => {
+    const [tasks] = await db.execute('SELECT project_id FROM tasks WHERE id = ? AND deleted_at IS NULL', [taskId]);
+    return tasks.length > 0 ? tasks[0].project_id : null;
+};
+
+/**
+ * Look up the project a comment belongs to (through its task)
+ * @returns {Promise<number|null>} Project ID, or null if the comment does not exist or its task is in the trash
+ */
+const getCommentProjectId = async (db, commentId) => {
+    const [comments] = await db.execute(`
+        SELECT t.project_id
+        FROM comments c
+        JOIN tasks t ON c.task_id = t.id
+        WHERE c.id = ? AND t.deleted_at IS NULL
+    `, [commentId]);
+    return comments.length > 0 ? comments[0].project_id : null;
+};
+
+/**
+ * Look up the project an attachment belongs to (through its task)
+ * @returns {Promise<number|null>} Project ID, or null if the attachment does not exist or its task is in the trash
+ */
+const getAttachmentProjectId = async (db, attachmentId) => {
+    const [attachments] = await db.execute(`
+        SELECT t.project_id
+        FROM attachments a
+        JOIN tasks t ON a.task_id = t.id
+        WHERE a.id = ? AND t.deleted_at IS NULL
+    `, [attachmentId]);
+    return attachments.length > 0 ? attachments[0].project_id : null;
+};
+
+/**
+ * Where each kind of request keeps the ID of the resource it targets
+ */
+const sources = {
+    project: {
+        getId: (req) => req.params.projectId || req.query.project || req.body?.project_id,
+        resolve: async (db, id) => id,
+        label: 'project'
+    },
+    task: {
+        getId: (req) => req.params.taskId || req.params.id || req.body?.taskId,
+        resolve: getTaskProjectId,
+        label: 'task'
+    },
+    comment: {
+        getId: (req) => req.params.id,
+        resolve: getCommentProjectId,
+        label: 'comment'
+    },
+    attachment: {
+        getId: (req) => req.params.attachmentId,
+        resolve: getAttachmentProjectId,
+        label: 'attachment'
+    }
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Middleware factory that checks the current user is a member of the project
+ * the request targets. The project is found directly ('project'), or through
+ * the task ('task'), comment ('comment') or attachment ('attachment') referenced
+ * by the request.
+ * Adds the project ID to req.projectId and the user's role to req.projectRole on success.
+ * Should be used after authenticateToken
+ */
+const requireProjectMember = (source = 'project') => async (req, res, next) => {
+    const { getId, resolve, label } = sources[source];
+
+    try {
+        const id = getId(req);
+        if (!id || !/^\d+$/.test(String(id)) || parseInt(id) < 1) {
+            return res.status(400).json({ message: `Valid ${label} ID is required` });
+        }
+
+        const db = req.app.locals.db;
+        const projectId = await resolve(db, parseInt(id));
+        if (projectId === null) {
+            return res.status(404).json({ message: `${capitalize(label)} not found` });
+        }
+
+        const [projects] = await db.execute('SELECT id FROM projects WHERE id = ?', [projectId]);
+        if (projects.length === 0) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        const role = await getProjectRole(db, projectId, req.user);
+        if (!role) {
+            return res.status(403).json({ message: 'Access denied: Not a member of this project' });
+        }
+
+        req.projectId = projectId;
+        req.projectRole = role;
+        next();
+    } catch (error) {
+        console.error('Project membership check error:', error);
+        res.status(500).json({ message: 'Authorization error' });
+    }
+};
+
+module.exports = {
+    requireProjectMember,
+    isProjectMember,
+    getProjectRole
+};
@@ -0,0 +1,42 @@
+-- 001_projects.sql
+-- Introduces projects (boards) that own tasks, with per-project membership.
+-- Existing tasks are moved into a "General" project that every existing user joins.
+
+CREATE TABLE IF NOT EXISTS projects (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    owner_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_projects_owner FOREIGN KEY (owner_id) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS project_members (
+    project_id INT NOT NULL,
+    user_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_id, user_id),
+    CONSTRAINT fk_project_members_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    CONSTRAINT fk_project_members_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Default project for tasks created before projects existed
+INSERT INTO projects (name, description, owner_id)
+SELECT 'General', 'Tasks created before projects were introduced', MIN(id)
+FROM users
+HAVING COUNT(*) > 0;
+
+INSERT INTO project_members (project_id, user_id)
+SELECT p.id, u.id
+FROM projects p
+CROSS JOIN users u;
+
+ALTER TABLE tasks ADD COLUMN project_id INT NULL AFTER id;
+
+UPDATE tasks SET project_id = (SELECT MIN(id) FROM projects);
+
+ALTER TABLE tasks
+    MODIFY project_id INT NOT NULL,
+    ADD CONSTRAINT fk_tasks_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    ADD INDEX idx_tasks_project (project_id);
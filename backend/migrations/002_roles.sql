@@ -0,0 +1,17 @@
+-- 002_roles.sql
+-- Adds roles: a global role per user and a role per project membership.
+-- Global admins can act on every project; project roles are admin, member or viewer.
+
+ALTER TABLE users
+    ADD COLUMN role ENUM('admin', 'member') NOT NULL DEFAULT 'member' AFTER name;
+
+ALTER TABLE project_members
+    ADD COLUMN role ENUM('admin', 'member', 'viewer') NOT NULL DEFAULT 'member' AFTER user_id;
+
+-- The earliest registered user becomes the initial administrator
+UPDATE users SET role = 'admin' ORDER BY id ASC LIMIT 1;
+
+-- Project owners administer their projects
+UPDATE project_members pm
+JOIN projects p ON pm.project_id = p.id AND pm.user_id = p.owner_id
+SET pm.role = 'admin';
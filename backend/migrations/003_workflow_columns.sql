@@ -0,0 +1,26 @@
+-- 003_workflow_columns.sql
+-- Replaces the hard-coded Backlog / In Progress / Review / Done statuses with
+-- per-project workflow columns. tasks.status keeps the column name.
+
+CREATE TABLE IF NOT EXISTS workflow_columns (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    position INT NOT NULL,
+    is_done BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_workflow_columns_name (project_id, name),
+    CONSTRAINT fk_workflow_columns_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+ALTER TABLE tasks MODIFY status VARCHAR(50) NOT NULL;
+
+-- Existing projects keep the previous four columns
+INSERT INTO workflow_columns (project_id, name, position, is_done)
+SELECT id, 'Backlog', 0, FALSE FROM projects
+UNION ALL
+SELECT id, 'In Progress', 1, FALSE FROM projects
+UNION ALL
+SELECT id, 'Review', 2, FALSE FROM projects
+UNION ALL
+SELECT id, 'Done', 3, TRUE FROM projects;
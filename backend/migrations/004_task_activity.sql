@@ -0,0 +1,23 @@
+-- 004_task_activity.sql
+-- Append-only activity log for tasks: creation, field changes (with old and
+-- new values), status moves, assignment changes and comment events.
+
+CREATE TABLE IF NOT EXISTS task_activity (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    task_id INT NOT NULL,
+    actor_id INT NULL,
+    action ENUM('created', 'updated', 'status_changed', 'assigned', 'commented', 'comment_edited', 'comment_deleted') NOT NULL,
+    field VARCHAR(50) NULL,
+    old_value TEXT NULL,
+    new_value TEXT NULL,
+    comment_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_task_activity_task (task_id, created_at),
+    CONSTRAINT fk_task_activity_task FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    CONSTRAINT fk_task_activity_actor FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT fk_task_activity_comment FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE SET NULL
+);
+
+-- Seed history with a creation entry for every existing task
+INSERT INTO task_activity (task_id, actor_id, action, created_at)
+SELECT id, NULL, 'created', created_at FROM tasks;
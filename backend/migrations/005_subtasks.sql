@@ -0,0 +1,7 @@
+-- 005_subtasks.sql
+-- Parent/child relationships between tasks. Deleting a parent deletes its subtasks.
+
+ALTER TABLE tasks
+    ADD COLUMN parent_id INT NULL AFTER project_id,
+    ADD CONSTRAINT fk_tasks_parent FOREIGN KEY (parent_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    ADD INDEX idx_tasks_parent (parent_id);
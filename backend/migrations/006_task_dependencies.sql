@@ -0,0 +1,15 @@
+-- 006_task_dependencies.sql
+-- Blocked-by relationships between tasks: task_id cannot start until blocked_by_id is done.
+-- Both tasks belong to the same project; deleting either side removes the dependency.
+
+CREATE TABLE IF NOT EXISTS task_dependencies (
+    task_id INT NOT NULL,
+    blocked_by_id INT NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, blocked_by_id),
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (blocked_by_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_task_dependencies_blocked_by (blocked_by_id)
+);
@@ -0,0 +1,18 @@
+-- 008_attachments.sql
+-- Files attached to tasks. The files live on local disk (UPLOAD_DIR) under stored_name;
+-- rows are removed with their task.
+
+CREATE TABLE IF NOT EXISTS attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    task_id INT NOT NULL,
+    uploader_id INT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    stored_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_attachments_stored_name (stored_name),
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (uploader_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_attachments_task (task_id, created_at)
+);
@@ -0,0 +1,10 @@
+-- 009_fulltext_search.sql
+-- FULLTEXT indexes for GET /api/search. Titles get their own index so that
+-- title matches can be ranked above description matches.
+
+ALTER TABLE tasks
+    ADD FULLTEXT INDEX ft_tasks_title (title),
+    ADD FULLTEXT INDEX ft_tasks_title_description (title, description);
+
+ALTER TABLE comments
+    ADD FULLTEXT INDEX ft_comments_body (body);
@@ -0,0 +1,20 @@
+-- 010_saved_views.sql
+-- Named board views (filters, sort order and hidden columns) saved by a user in a project.
+-- Shared views are visible to every member of the project.
+
+CREATE TABLE IF NOT EXISTS saved_views (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    owner_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    filters JSON NOT NULL,
+    sort VARCHAR(20) NOT NULL DEFAULT 'rank',
+    hidden_columns JSON NOT NULL,
+    is_shared BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_saved_views_owner_name (project_id, owner_id, name),
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_saved_views_shared (project_id, is_shared)
+);
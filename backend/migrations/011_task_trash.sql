@@ -0,0 +1,13 @@
+-- 011_task_trash.sql
+-- Deleted tasks go to the trash instead of being removed. A task and the subtasks
+-- trashed with it share the same deleted_at; rows older than the retention period
+-- are purged by the server (TRASH_RETENTION_DAYS).
+
+ALTER TABLE tasks
+    ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL,
+    ADD COLUMN deleted_by INT NULL,
+    ADD CONSTRAINT fk_tasks_deleted_by FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL,
+    ADD INDEX idx_tasks_deleted (project_id, deleted_at);
+
+ALTER TABLE task_activity
+    MODIFY action ENUM('created', 'updated', 'status_changed', 'assigned', 'commented', 'comment_edited', 'comment_deleted', 'deleted', 'restored') NOT NULL;
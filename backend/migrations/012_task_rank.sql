@@ -0,0 +1,20 @@
+-- 012_task_rank.sql
+-- Manual order of the cards in a board column. board_rank is a lexicographic rank
+-- (digits 0-9 and a-z, compared byte by byte); a card moved between two others gets
+-- a rank between theirs, so no other card has to change.
+
+ALTER TABLE tasks
+    ADD COLUMN board_rank VARCHAR(255) CHARACTER SET ascii COLLATE ascii_bin NULL;
+
+-- Existing cards keep their newest-first order
+UPDATE tasks t
+JOIN (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY project_id, status ORDER BY created_at DESC, id DESC) as row_num
+    FROM tasks
+) ranked ON ranked.id = t.id
+SET t.board_rank = CONCAT(LOWER(LPAD(CONV(ranked.row_num, 10, 36), 6, '0')), 'i'),
+    t.updated_at = t.updated_at;
+
+ALTER TABLE tasks
+    MODIFY board_rank VARCHAR(255) CHARACTER SET ascii COLLATE ascii_bin NOT NULL,
+    ADD INDEX idx_tasks_rank (project_id, status, board_rank);
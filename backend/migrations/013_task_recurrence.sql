@@ -0,0 +1,11 @@
+-- 013_task_recurrence.sql
+-- Recurring tasks. recurrence holds an RRULE subset (see utils/recurrence.js);
+-- recurrence_spawned is set once the task's next instance has been created (or its
+-- series has ended), and recurrence_source_id links an instance to the one before it.
+
+ALTER TABLE tasks
+    ADD COLUMN recurrence VARCHAR(255) NULL,
+    ADD COLUMN recurrence_spawned BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN recurrence_source_id INT NULL,
+    ADD CONSTRAINT fk_tasks_recurrence_source FOREIGN KEY (recurrence_source_id) REFERENCES tasks(id) ON DELETE SET NULL,
+    ADD INDEX idx_tasks_recurrence_due (recurrence_spawned, due_date);
@@ -0,0 +1,23 @@
+-- 014_notifications.sql
+-- In-app notifications: a task assigned to a user, a comment on a task they take part
+-- in, or their task coming due. dedupe_key makes a notification that must only be sent
+-- once (such as one due date reminder per task and due date) unique per recipient.
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    actor_id INT NULL,
+    type VARCHAR(32) NOT NULL,
+    task_id INT NOT NULL,
+    comment_id INT NULL,
+    dedupe_key VARCHAR(100) NULL,
+    read_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_notifications_dedupe (user_id, dedupe_key),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+    INDEX idx_notifications_user (user_id, created_at),
+    INDEX idx_notifications_unread (user_id, read_at)
+);
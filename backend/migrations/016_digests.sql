@@ -0,0 +1,10 @@
+-- 016_digests.sql
+-- Daily or weekly digest emails. Users opt in with digest_frequency; digests go out in
+-- the morning of the user's timezone. last_digest_at is when the last digest was sent,
+-- so each period gets one digest covering what happened since the previous one.
+
+ALTER TABLE notification_preferences
+    ADD COLUMN digest_frequency ENUM('off', 'daily', 'weekly') NOT NULL DEFAULT 'off' AFTER email_due_dates,
+    ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'UTC' AFTER digest_frequency,
+    ADD COLUMN last_digest_at TIMESTAMP NULL DEFAULT NULL AFTER timezone,
+    ADD INDEX idx_notification_preferences_digest (digest_frequency);
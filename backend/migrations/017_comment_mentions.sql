@@ -0,0 +1,15 @@
+-- 017_comment_mentions.sql
+-- @mentions of project members in comments. Each row marks where in the comment body
+-- a mention sits (start_offset and length in UTF-16 code units, as in JavaScript
+-- strings), so clients can highlight it even after the user renames themselves.
+
+CREATE TABLE IF NOT EXISTS comment_mentions (
+    comment_id INT NOT NULL,
+    user_id INT NOT NULL,
+    start_offset INT NOT NULL,
+    length INT NOT NULL,
+    PRIMARY KEY (comment_id, start_offset),
+    FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_comment_mentions_user (user_id)
+);
@@ -0,0 +1,15 @@
+-- 018_comment_threads.sql
+-- Reply threads on comments, one level deep: a reply's parent_id is the comment that
+-- starts its thread, never another reply. A thread is resolved when its first comment
+-- has resolved_at set; deleting that comment deletes the replies with it.
+
+ALTER TABLE comments
+    ADD COLUMN parent_id INT NULL DEFAULT NULL AFTER task_id,
+    ADD COLUMN resolved_at TIMESTAMP NULL DEFAULT NULL,
+    ADD COLUMN resolved_by INT NULL,
+    ADD CONSTRAINT fk_comments_parent FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE CASCADE,
+    ADD CONSTRAINT fk_comments_resolved_by FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL,
+    ADD INDEX idx_comments_thread (task_id, parent_id, created_at);
+
+ALTER TABLE task_activity
+    MODIFY action ENUM('created', 'updated', 'status_changed', 'assigned', 'commented', 'comment_edited', 'comment_deleted', 'deleted', 'restored', 'comment_resolved', 'comment_reopened') NOT NULL;
@@ -0,0 +1,17 @@
+-- 019_comment_revisions.sql
+-- Edit history of comments. Editing a comment sets its updated_at and keeps the body it
+-- replaced in comment_revisions, with created_at being when that version was written
+-- and replaced_at when the edit replaced it.
+
+ALTER TABLE comments
+    ADD COLUMN updated_at TIMESTAMP NULL DEFAULT NULL AFTER created_at;
+
+CREATE TABLE IF NOT EXISTS comment_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    comment_id INT NOT NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL,
+    replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+    INDEX idx_comment_revisions_comment (comment_id, replaced_at)
+);
@@ -0,0 +1,23 @@
+-- 020_reactions.sql
+-- Emoji reactions on tasks and comments, one per user and emoji. Emoji are compared
+-- byte for byte (utf8mb4_bin), since the general collations treat all emoji as equal.
+
+CREATE TABLE IF NOT EXISTS task_reactions (
+    task_id INT NOT NULL,
+    user_id INT NOT NULL,
+    emoji VARCHAR(16) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, user_id, emoji),
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS comment_reactions (
+    comment_id INT NOT NULL,
+    user_id INT NOT NULL,
+    emoji VARCHAR(16) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (comment_id, user_id, emoji),
+    FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,7 @@
+-- 021_saved_view_sort_default.sql
+-- Saved views sort by manual card order unless told otherwise, as the API does.
+-- Databases created before 010_saved_views.sql defaulted to rank still default to
+-- newest first.
+
+ALTER TABLE saved_views
+    ALTER COLUMN sort SET DEFAULT 'rank';
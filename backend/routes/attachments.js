@@ -0,0 +1,226 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { param, validationResult } = require('express-validator');
+const { authorize } = require('../middleware/authorize');
+const {
+    UPLOAD_DIR,
+    MAX_ATTACHMENT_SIZE,
+    MAX_ATTACHMENTS_PER_UPLOAD,
+    ALLOWED_MIME_TYPES,
+    ATTACHMENT_SELECT,
+    isAllowedMimeType,
+    getAttachmentPath,
+    formatAttachment,
+    getAttachment,
+    removeAttachmentFiles
+} = require('../utils/attachments');
+
+// Mounted by the tasks router under /api/tasks/:id/attachments,
+// which already requires authentication
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Multer instance storing uploads under UPLOAD_DIR with random names,
+ * keeping the original extension
+ */
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdir(UPLOAD_DIR, { recursive: true }, (error) => cb(error, UPLOAD_DIR));
+        },
+        filename: (req, file, cb) => {
+            const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+            cb(null, `${crypto.randomUUID()}${extension}`);
+        }
+    }),
+    limits: {
+        fileSize: MAX_ATTACHMENT_SIZE,
+        files: MAX_ATTACHMENTS_PER_UPLOAD
+    },
+    fileFilter: (req, file, cb) => {
+        if (!isAllowedMimeType(file.mimetype)) {
+            const error = new Error(`File type ${file.mimetype} is not allowed`);
+            error.status = 415;
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+/**
+ * Middleware that parses the multipart "files" field and turns upload errors
+ * into JSON responses
+ */
+const uploadFiles = (req, res, next) => {
+    upload.array('files', MAX_ATTACHMENTS_PER_UPLOAD)(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        // Multer keeps files written before the error; drop them
+        removeAttachmentFiles((req.files || []).map(file => file.filename));
+
+        if (error instanceof multer.MulterError) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Files must be smaller than ${Math.round(MAX_ATTACHMENT_SIZE / (1024 * 1024))} MB`
+                : error.code === 'LIMIT_FILE_COUNT'
+                    ? `At most ${MAX_ATTACHMENTS_PER_UPLOAD} files can be uploaded at once`
+                    : error.message;
+            return res.status(status).json({ message });
+        }
+
+        if (error.status === 415) {
+            return res.status(415).json({
+                message: error.message,
+                allowedTypes: ALLOWED_MIME_TYPES
+            });
+        }
+
+        console.error('Upload attachment error:', error);
+        res.status(500).json({ message: 'Error uploading attachments' });
+    });
+};
+
+/**
+ * @route GET /api/tasks/:id/attachments
+ * @desc Get a task's attachments, oldest first
+ * @access Private (project members)
+ */
+router.get('/', authorize('task:read', 'task'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [attachments] = await db.execute(
+            `${ATTACHMENT_SELECT} WHERE a.task_id = ? ORDER BY a.created_at ASC, a.id ASC`,
+            [req.params.id]
+        );
+
+        res.json(attachments.map(formatAttachment));
+    } catch (error) {
+        console.error('Get attachments error:', error);
+        res.status(500).json({ message: 'Error fetching attachments' });
+    }
+});
+
+/**
+ * @route POST /api/tasks/:id/attachments
+ * @desc Upload one or more files (multipart field "files")
+ * @access Private (project admins and members)
+ */
+router.post('/', authorize('attachment:create', 'task'), uploadFiles, async (req, res) => {
+    const files = req.files || [];
+
+    try {
+        if (files.length === 0) {
+            return res.status(400).json({ message: 'No files uploaded' });
+        }
+
+        const db = req.app.locals.db;
+        const ids = [];
+
+        for (const file of files) {
+            const [result] = await db.execute(`
+                INSERT INTO attachments (task_id, uploader_id, original_name, stored_name, mime_type, size)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [req.params.id, req.user.id, file.originalname.substring(0, 255), file.filename, file.mimetype, file.size]);
+            ids.push(result.insertId);
+        }
+
+        const placeholders = ids.map(() => '?').join(', ');
+        const [attachments] = await db.execute(
+            `${ATTACHMENT_SELECT} WHERE a.id IN (${placeholders}) ORDER BY a.id ASC`,
+            ids
+        );
+
+        res.status(201).json({
+            message: files.length === 1 ? 'File uploaded successfully' : 'Files uploaded successfully',
+            attachments: attachments.map(formatAttachment)
+        });
+    } catch (error) {
+        console.error('Upload attachment error:', error);
+        await removeAttachmentFiles(files.map(file => file.filename));
+        res.status(500).json({ message: 'Error uploading attachments' });
+    }
+});
+
+/**
+ * @route GET /api/tasks/:id/attachments/:attachmentId/download
+ * @desc Download an attachment (?inline=true to display it in the browser)
+ * @access Private (project members)
+ */
+router.get('/:attachmentId/download', [
+    param('attachmentId').isInt({ min: 1 }).withMessage('Invalid attachment ID')
+], authorize('task:read', 'task'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid attachment ID',
+                errors: errors.array()
+            });
+        }
+
+        const attachment = await getAttachment(req.app.locals.db, req.params.id, req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+
+        const filePath = getAttachmentPath(attachment.stored_name);
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ message: 'Attachment file is missing' });
+        }
+
+        const inline = req.query.inline === 'true';
+        res.setHeader('Content-Type', attachment.mime_type);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.attachment(attachment.original_name);
+        if (inline) {
+            res.setHeader('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+        }
+
+        res.sendFile(filePath);
+    } catch (error) {
+        console.error('Download attachment error:', error);
+        res.status(500).json({ message: 'Error downloading attachment' });
+    }
+});
+
+/**
+ * @route DELETE /api/tasks/:id/attachments/:attachmentId
+ * @desc Delete an attachment (members may only delete their own uploads)
+ * @access Private (project admins and members)
+ */
+router.delete('/:attachmentId', [
+    param('attachmentId').isInt({ min: 1 }).withMessage('Invalid attachment ID')
+], authorize('attachment:delete', 'attachment'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid attachment ID',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+
+        const attachment = await getAttachment(db, req.params.id, req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+
+        await db.execute('DELETE FROM attachments WHERE id = ?', [attachment.id]);
+        await removeAttachmentFiles([attachment.stored_name]);
+
+        res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+        console.error('Delete attachment error:', error);
+        res.status(500).json({ message: 'Error deleting attachment' });
+    }
+});
+
+module.exports = router;
@@ -70,7 +70,8 @@ router.post('/register', [
             user: {
                 id: result.insertId,
                 email,
-                name
+                name,
+                role: 'member'
             }
         });
     } catch (error) {
@@ -108,7 +109,7 @@ router.post('/login', [
 
         // Find user
         const [users] = await db.execute(
-            'SELECT id, email, password_hash, name FROM users WHERE email = ?',
+            'SELECT id, email, password_hash, name, role FROM users WHERE email = ?',
             [email]
         );
 
@@ -137,7 +138,8 @@ router.post('/login', [
             user: {
                 id: user.id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                role: user.role
             }
         });
     } catch (error) {
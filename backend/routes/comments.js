@@ -1,25 +1,57 @@
 const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { recordActivity } = require('../utils/activity');
+const { notifyComment, notifyMentions } = require('../utils/notifications');
+const { saveMentions } = require('../utils/mentions');
+const { REACTION_EMOJIS, getReactions, addReaction, removeReaction } = require('../utils/reactions');
+const { COMMENT_COLUMNS, COMMENT_JOINS, formatComments, getComment, getReplies } = require('../utils/comments');
+const { broadcast } = require('../utils/events');
+const {
+    COMMENT_SORTS,
+    PaginationError,
+    pageValidators,
+    parseSort,
+    parseLimit,
+    buildPageQuery,
+    paginate
+} = require('../utils/pagination');
 
 const router = express.Router();
 
 // All comment routes require authentication
 router.use(authenticateToken);
 
+/**
+ * Validation rule for a comment body. It is Markdown, so it is kept as typed
+ * rather than trimmed, but it can't be blank.
+ */
+const commentBodyValidator = body('body')
+    .isString()
+    .withMessage('Comment body is required and must be less than 1000 characters')
+    .bail()
+    .isLength({ max: 1000 })
+    .withMessage('Comment body is required and must be less than 1000 characters')
+    .bail()
+    .custom(value => value.trim().length > 0)
+    .withMessage('Comment body is required and must be less than 1000 characters');
+
 /**
  * @route GET /api/comments/task/:taskId
- * @desc Get all comments for a specific task
- * @access Private
+ * @desc Get a page of a task's threads, oldest first by default, each with all its replies
+ *       (sort=created_at or -created_at, limit and cursor as for GET /api/tasks)
+ * @access Private (project members)
  */
 router.get('/task/:taskId', [
-    param('taskId').isInt({ min: 1 }).withMessage('Invalid task ID')
-], async (req, res) => {
+    param('taskId').isInt({ min: 1 }).withMessage('Invalid task ID'),
+    ...pageValidators(COMMENT_SORTS)
+], authorize('comment:read', 'task'), async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             return res.status(400).json({
-                message: 'Invalid task ID',
+                message: 'Invalid query parameters',
                 errors: errors.array()
             });
         }
@@ -27,56 +59,91 @@ router.get('/task/:taskId', [
         const { taskId } = req.params;
         const db = req.app.locals.db;
 
-        // Verify task exists
-        const [tasks] = await db.execute('SELECT id FROM tasks WHERE id = ?', [taskId]);
-        if (tasks.length === 0) {
-            return res.status(404).json({ message: 'Task not found' });
-        }
+        const sort = parseSort(req.query.sort, COMMENT_SORTS, 'created_at');
+        const limit = parseLimit(req.query.limit);
+        const page = buildPageQuery({ sort, cursor: req.query.cursor, idExpr: 'c.id' });
 
-        // Get comments with author information
-        const [comments] = await db.execute(`
-            SELECT 
-                c.id, c.task_id, c.body, c.created_at,
-                c.author_id, u.name as author_name, u.email as author_email
-            FROM comments c
-            JOIN users u ON c.author_id = u.id
-            WHERE c.task_id = ?
-            ORDER BY c.created_at ASC
-        `, [taskId]);
-
-        const formattedComments = comments.map(comment => ({
-            id: comment.id,
-            taskId: comment.task_id,
-            body: comment.body,
-            createdAt: comment.created_at,
-            author: {
-                id: comment.author_id,
-                name: comment.author_name,
-                email: comment.author_email
-            }
-        }));
+        const [counts] = await db.execute(
+            'SELECT COUNT(*) as total FROM comments c WHERE c.task_id = ? AND c.parent_id IS NULL',
+            [taskId]
+        );
+
+        // Get the comments starting threads, with author information
+        const [rows] = await db.execute(`
+            SELECT ${COMMENT_COLUMNS}${page.select}
+            ${COMMENT_JOINS}
+            WHERE c.task_id = ? AND c.parent_id IS NULL${page.where ? ` AND ${page.where}` : ''}
+            ORDER BY ${page.orderBy}
+            LIMIT ${limit + 1}
+        `, [taskId, ...page.params]);
+
+        const { items, nextCursor } = paginate(rows, limit, sort);
+        const threads = await formatComments(db, items);
+        const replies = await getReplies(db, threads.map(thread => thread.id));
 
-        res.json(formattedComments);
+        res.json({
+            comments: threads.map(thread => ({ ...thread, replies: replies[thread.id] })),
+            total: Number(counts[0].total),
+            nextCursor
+        });
     } catch (error) {
+        if (error instanceof PaginationError) {
+            return res.status(400).json({ message: error.message });
+        }
         console.error('Get comments error:', error);
         res.status(500).json({ message: 'Error fetching comments' });
     }
 });
 
+/**
+ * @route GET /api/comments/:id/thread
+ * @desc Get the thread a comment belongs to: the comment starting it, with all its replies
+ * @access Private (project members)
+ */
+router.get('/:id/thread', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid comment ID')
+], authorize('comment:read', 'comment'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid comment ID',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+
+        const [comments] = await db.execute('SELECT id, parent_id FROM comments WHERE id = ?', [req.params.id]);
+        const threadId = comments[0].parent_id || comments[0].id;
+
+        const thread = await getComment(db, threadId);
+        const replies = await getReplies(db, [threadId]);
+
+        res.json({ ...thread, replies: replies[threadId] });
+    } catch (error) {
+        console.error('Get thread error:', error);
+        res.status(500).json({ message: 'Error fetching thread' });
+    }
+});
+
 /**
  * @route POST /api/comments
- * @desc Create a new comment
- * @access Private
+ * @desc Create a new comment, or a reply when parentId is set, and notify the users it
+ *       @mentions, and the task's assignee, creator and earlier commenters.
+ *       Replying to a reply adds to the thread of the comment it replies to.
+ * @access Private (project admins and members)
  */
 router.post('/', [
     body('taskId')
         .isInt({ min: 1 })
         .withMessage('Valid task ID is required'),
-    body('body')
-        .trim()
-        .isLength({ min: 1, max: 1000 })
-        .withMessage('Comment body is required and must be less than 1000 characters')
-], async (req, res) => {
+    body('parentId')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Parent comment ID must be a positive integer'),
+    commentBodyValidator
+], authorize('comment:create', 'task'), async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -90,44 +157,43 @@ router.post('/', [
         const authorId = req.user.id;
         const db = req.app.locals.db;
 
-        // Verify task exists
-        const [tasks] = await db.execute('SELECT id FROM tasks WHERE id = ?', [taskId]);
-        if (tasks.length === 0) {
-            return res.status(404).json({ message: 'Task not found' });
+        // Threads are one level deep, so replies go to the comment starting the thread
+        let parentId = null;
+        if (req.body.parentId) {
+            const [parents] = await db.execute(
+                'SELECT id, parent_id FROM comments WHERE id = ? AND task_id = ?',
+                [req.body.parentId, taskId]
+            );
+            if (parents.length === 0) {
+                return res.status(400).json({ message: 'Parent comment not found on this task' });
+            }
+            parentId = parents[0].parent_id || parents[0].id;
         }
 
         // Create comment
         const [result] = await db.execute(
-            'INSERT INTO comments (task_id, author_id, body) VALUES (?, ?, ?)',
-            [taskId, authorId, body]
+            'INSERT INTO comments (task_id, parent_id, author_id, body) VALUES (?, ?, ?, ?)',
+            [taskId, parentId, authorId, body]
         );
 
-        // Fetch the created comment with author info
-        const [newComment] = await db.execute(`
-            SELECT 
-                c.id, c.task_id, c.body, c.created_at,
-                c.author_id, u.name as author_name, u.email as author_email
-            FROM comments c
-            JOIN users u ON c.author_id = u.id
-            WHERE c.id = ?
-        `, [result.insertId]);
-
-        const comment = newComment[0];
-        const formattedComment = {
-            id: comment.id,
-            taskId: comment.task_id,
-            body: comment.body,
-            createdAt: comment.created_at,
-            author: {
-                id: comment.author_id,
-                name: comment.author_name,
-                email: comment.author_email
-            }
-        };
+        await recordActivity(db, {
+            taskId,
+            actorId: authorId,
+            action: 'commented',
+            newValue: body,
+            commentId: result.insertId
+        });
+
+        const mentionedUserIds = await saveMentions(db, req.projectId, result.insertId, body);
+        await notifyMentions(db, { taskId, commentId: result.insertId, authorId, userIds: mentionedUserIds });
+        await notifyComment(db, { taskId, commentId: result.insertId, authorId, excludeUserIds: mentionedUserIds });
+
+        const comment = await getComment(db, result.insertId);
+        await broadcast(req, 'comment.created', { comment });
 
         res.status(201).json({
             message: 'Comment created successfully',
-            comment: formattedComment
+            comment
         });
     } catch (error) {
         console.error('Create comment error:', error);
@@ -137,16 +203,17 @@ router.post('/', [
 
 /**
  * @route PUT /api/comments/:id
- * @desc Update a comment (only by author)
- * @access Private
+ * @desc Update a comment (only by author), keeping the replaced body in its revision
+ *       history, and notify users it newly @mentions
+ * @access Private (project admins and members)
  */
 router.put('/:id', [
     param('id').isInt({ min: 1 }).withMessage('Invalid comment ID'),
-    body('body')
-        .trim()
-        .isLength({ min: 1, max: 1000 })
-        .withMessage('Comment body is required and must be less than 1000 characters')
-], async (req, res) => {
+    commentBodyValidator
+], authorize('comment:update', 'comment'), async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -158,70 +225,82 @@ router.put('/:id', [
 
         const { id } = req.params;
         const { body } = req.body;
-        const userId = req.user.id;
-        const db = req.app.locals.db;
 
-        // Check if comment exists and user is author
-        const [comments] = await db.execute(
-            'SELECT author_id FROM comments WHERE id = ?',
+        const [previousComments] = await db.execute(
+            'SELECT task_id, body FROM comments WHERE id = ?',
             [id]
         );
 
-        if (comments.length === 0) {
-            return res.status(404).json({ message: 'Comment not found' });
+        // Saving the same text again is not an edit
+        if (previousComments[0].body === body) {
+            return res.json({
+                message: 'Comment updated successfully',
+                comment: await getComment(db, id)
+            });
         }
 
-        if (comments[0].author_id !== userId) {
-            return res.status(403).json({ message: 'Access denied: You can only edit your own comments' });
-        }
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        // Keep the current version, written when the comment was created or last edited
+        await connection.execute(`
+            INSERT INTO comment_revisions (comment_id, body, created_at)
+            SELECT id, body, COALESCE(updated_at, created_at) FROM comments WHERE id = ?
+        `, [id]);
 
         // Update comment
-        await db.execute(
-            'UPDATE comments SET body = ? WHERE id = ?',
+        await connection.execute(
+            'UPDATE comments SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
             [body, id]
         );
 
-        // Fetch updated comment with author info
-        const [updatedComment] = await db.execute(`
-            SELECT 
-                c.id, c.task_id, c.body, c.created_at,
-                c.author_id, u.name as author_name, u.email as author_email
-            FROM comments c
-            JOIN users u ON c.author_id = u.id
-            WHERE c.id = ?
-        `, [id]);
+        await connection.commit();
 
-        const comment = updatedComment[0];
-        const formattedComment = {
-            id: comment.id,
-            taskId: comment.task_id,
-            body: comment.body,
-            createdAt: comment.created_at,
-            author: {
-                id: comment.author_id,
-                name: comment.author_name,
-                email: comment.author_email
-            }
-        };
+        await recordActivity(db, {
+            taskId: previousComments[0].task_id,
+            actorId: req.user.id,
+            action: 'comment_edited',
+            oldValue: previousComments[0].body,
+            newValue: body,
+            commentId: id
+        });
+
+        const mentionedUserIds = await saveMentions(db, req.projectId, id, body);
+        await notifyMentions(db, {
+            taskId: previousComments[0].task_id,
+            commentId: id,
+            authorId: req.user.id,
+            userIds: mentionedUserIds
+        });
+
+        const comment = await getComment(db, id);
+        await broadcast(req, 'comment.updated', { comment });
 
         res.json({
             message: 'Comment updated successfully',
-            comment: formattedComment
+            comment
         });
     } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
         console.error('Update comment error:', error);
         res.status(500).json({ message: 'Error updating comment' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
     }
 });
 
 /**
- * @route DELETE /api/comments/:id
- * @desc Delete a comment (only by author)
- * @access Private
+ * @route GET /api/comments/:id/revisions
+ * @desc Get the edit history of a comment: its earlier versions, newest first
+ * @access Private (project members)
  */
-router.delete('/:id', [
+router.get('/:id/revisions', [
     param('id').isInt({ min: 1 }).withMessage('Invalid comment ID')
-], async (req, res) => {
+], authorize('comment:read', 'comment'), async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -231,26 +310,223 @@ router.delete('/:id', [
             });
         }
 
+        const db = req.app.locals.db;
+
+        const [revisions] = await db.execute(`
+            SELECT id, body, created_at, replaced_at
+            FROM comment_revisions
+            WHERE comment_id = ?
+            ORDER BY replaced_at DESC, id DESC
+        `, [req.params.id]);
+
+        res.json({
+            comment: await getComment(db, req.params.id),
+            revisions: revisions.map(revision => ({
+                id: revision.id,
+                body: revision.body,
+                createdAt: revision.created_at,
+                replacedAt: revision.replaced_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get comment revisions error:', error);
+        res.status(500).json({ message: 'Error fetching comment revisions' });
+    }
+});
+
+/**
+ * @route PUT /api/comments/:id/resolve
+ * @desc Resolve or reopen the thread a comment starts ({ resolved: true|false })
+ * @access Private (project admins and members)
+ */
+router.put('/:id/resolve', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid comment ID'),
+    body('resolved')
+        .isBoolean()
+        .withMessage('Resolved must be true or false')
+        .toBoolean()
+], authorize('comment:resolve', 'comment'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { id } = req.params;
-        const userId = req.user.id;
+        const { resolved } = req.body;
         const db = req.app.locals.db;
 
-        // Check if comment exists and user is author
         const [comments] = await db.execute(
-            'SELECT author_id FROM comments WHERE id = ?',
+            'SELECT task_id, parent_id, resolved_at FROM comments WHERE id = ?',
             [id]
         );
 
-        if (comments.length === 0) {
-            return res.status(404).json({ message: 'Comment not found' });
+        if (comments[0].parent_id) {
+            return res.status(400).json({ message: 'Only the comment starting a thread can be resolved' });
+        }
+
+        if (!!comments[0].resolved_at !== resolved) {
+            await db.execute(
+                'UPDATE comments SET resolved_at = ?, resolved_by = ? WHERE id = ?',
+                resolved ? [new Date(), req.user.id, id] : [null, null, id]
+            );
+
+            await recordActivity(db, {
+                taskId: comments[0].task_id,
+                actorId: req.user.id,
+                action: resolved ? 'comment_resolved' : 'comment_reopened',
+                commentId: id
+            });
+        }
+
+        const comment = await getComment(db, id);
+        await broadcast(req, 'comment.updated', { comment });
+
+        res.json({
+            message: resolved ? 'Thread resolved successfully' : 'Thread reopened successfully',
+            comment
+        });
+    } catch (error) {
+        console.error('Resolve comment error:', error);
+        res.status(500).json({ message: 'Error resolving thread' });
+    }
+});
+
+/**
+ * Helper function that broadcasts the reactions on a comment, with where to find it
+ * @param {Object} req - Express request
+ * @param {number} id - Comment ID
+ * @param {Object[]} reactions - Reactions on the comment
+ */
+const broadcastReactions = async (req, id, reactions) => {
+    const [comments] = await req.app.locals.db.execute(
+        'SELECT task_id, parent_id FROM comments WHERE id = ?',
+        [id]
+    );
+    await broadcast(req, 'comment.reactions', {
+        taskId: comments[0].task_id,
+        commentId: id,
+        parentId: comments[0].parent_id,
+        reactions
+    });
+};
+
+/**
+ * @route POST /api/comments/:id/reactions
+ * @desc React to a comment with an emoji ({ emoji }); reacting again with it changes nothing
+ * @access Private (project admins and members)
+ */
+router.post('/:id/reactions', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid comment ID'),
+    body('emoji')
+        .isIn(REACTION_EMOJIS)
+        .withMessage(`Emoji must be one of ${REACTION_EMOJIS.join(' ')}`)
+], authorize('reaction:create', 'comment'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const id = parseInt(req.params.id);
+        const db = req.app.locals.db;
+
+        await addReaction(db, 'comment', id, req.user.id, req.body.emoji);
+        const reactions = await getReactions(db, 'comment', [id]);
+        await broadcastReactions(req, id, reactions[id] || []);
+
+        res.status(201).json({
+            message: 'Reaction added successfully',
+            reactions: reactions[id] || []
+        });
+    } catch (error) {
+        console.error('Add comment reaction error:', error);
+        res.status(500).json({ message: 'Error adding reaction' });
+    }
+});
+
+/**
+ * @route DELETE /api/comments/:id/reactions/:emoji
+ * @desc Take back the current user's reaction to a comment
+ * @access Private (project admins and members)
+ */
+router.delete('/:id/reactions/:emoji', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid comment ID'),
+    param('emoji').isIn(REACTION_EMOJIS).withMessage('Unknown reaction')
+], authorize('reaction:create', 'comment'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
         }
 
-        if (comments[0].author_id !== userId) {
-            return res.status(403).json({ message: 'Access denied: You can only delete your own comments' });
+        const id = parseInt(req.params.id);
+        const db = req.app.locals.db;
+
+        await removeReaction(db, 'comment', id, req.user.id, req.params.emoji);
+        const reactions = await getReactions(db, 'comment', [id]);
+        await broadcastReactions(req, id, reactions[id] || []);
+
+        res.json({
+            message: 'Reaction removed successfully',
+            reactions: reactions[id] || []
+        });
+    } catch (error) {
+        console.error('Remove comment reaction error:', error);
+        res.status(500).json({ message: 'Error removing reaction' });
+    }
+});
+
+/**
+ * @route DELETE /api/comments/:id
+ * @desc Delete a comment, with its replies when it starts a thread
+ *       (by author, or any comment by a project admin)
+ * @access Private (project admins and members)
+ */
+router.delete('/:id', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid comment ID')
+], authorize('comment:delete', 'comment'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid comment ID',
+                errors: errors.array()
+            });
         }
 
+        const { id } = req.params;
+        const db = req.app.locals.db;
+
+        const [deletedComments] = await db.execute(
+            'SELECT task_id, parent_id, body FROM comments WHERE id = ?',
+            [id]
+        );
+
         await db.execute('DELETE FROM comments WHERE id = ?', [id]);
 
+        await recordActivity(db, {
+            taskId: deletedComments[0].task_id,
+            actorId: req.user.id,
+            action: 'comment_deleted',
+            oldValue: deletedComments[0].body
+        });
+
+        await broadcast(req, 'comment.deleted', {
+            taskId: deletedComments[0].task_id,
+            commentId: parseInt(id),
+            parentId: deletedComments[0].parent_id
+        });
+
         res.json({ message: 'Comment deleted successfully' });
     } catch (error) {
         console.error('Delete comment error:', error);
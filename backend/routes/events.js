@@ -0,0 +1,27 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { openEventStream } = require('../utils/events');
+
+const router = express.Router();
+
+// The event stream requires authentication
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/events
+ * @desc Server-Sent Events stream of changes to tasks and comments in the user's projects
+ *       (see utils/events.js). Changes made with an X-Client-Id header are not sent back
+ *       to the stream opened with the same header. The stream ends when the token
+ *       expires; the client opens a new one with a fresh token.
+ * @access Private
+ */
+router.get('/', (req, res) => {
+    try {
+        openEventStream(req, res);
+    } catch (error) {
+        console.error('Open event stream error:', error);
+        res.status(500).json({ message: 'Error opening event stream' });
+    }
+});
+
+module.exports = router;
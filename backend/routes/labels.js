@@ -0,0 +1,205 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const { authorize } = require('../middleware/authorize');
+const { formatLabel, getLabels } = require('../utils/labels');
+const { broadcastTaskUpdates } = require('../utils/events');
+
+// Mounted by the projects router under /api/projects/:projectId/labels,
+// which already requires authentication
+const router = express.Router({ mergeParams: true });
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Helper function to fetch a label that belongs to the current project
+ * @returns {Object|null} Label row or null if not found
+ */
+const getProjectLabel = async (db, projectId, labelId) => {
+    const [labels] = await db.execute(
+        'SELECT id, project_id, name, color FROM labels WHERE id = ? AND project_id = ?',
+        [labelId, projectId]
+    );
+    return labels.length > 0 ? labels[0] : null;
+};
+
+/**
+ * Helper function to check whether another label in the project already has a name
+ * @returns {boolean}
+ */
+const labelNameTaken = async (db, projectId, name, exceptId = 0) => {
+    const [labels] = await db.execute(
+        'SELECT id FROM labels WHERE project_id = ? AND name = ? AND id <> ?',
+        [projectId, name, exceptId]
+    );
+    return labels.length > 0;
+};
+
+/**
+ * Helper function to list the tasks that carry a label, which embed it
+ * @returns {Promise<number[]>} Task IDs
+ */
+const getLabelledTaskIds = async (db, labelId) => {
+    const [tasks] = await db.execute(`
+        SELECT tl.task_id
+        FROM task_labels tl
+        JOIN tasks t ON t.id = tl.task_id
+        WHERE tl.label_id = ? AND t.deleted_at IS NULL
+    `, [labelId]);
+    return tasks.map(task => task.task_id);
+};
+
+/**
+ * @route GET /api/projects/:projectId/labels
+ * @desc Get the project's labels sorted by name
+ * @access Private (project members)
+ */
+router.get('/', authorize('project:read'), async (req, res) => {
+    try {
+        const labels = await getLabels(req.app.locals.db, req.projectId);
+        res.json(labels);
+    } catch (error) {
+        console.error('Get labels error:', error);
+        res.status(500).json({ message: 'Error fetching labels' });
+    }
+});
+
+/**
+ * @route POST /api/projects/:projectId/labels
+ * @desc Create a label
+ * @access Private (project admins)
+ */
+router.post('/', [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Label name is required and must be less than 50 characters'),
+    body('color')
+        .optional()
+        .matches(HEX_COLOR)
+        .withMessage('Color must be a hex color such as #3b82f6')
+], authorize('project:manage'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, color = '#6b7280' } = req.body;
+        const db = req.app.locals.db;
+
+        if (await labelNameTaken(db, req.projectId, name)) {
+            return res.status(400).json({ message: 'A label with this name already exists' });
+        }
+
+        const [result] = await db.execute(
+            'INSERT INTO labels (project_id, name, color) VALUES (?, ?, ?)',
+            [req.projectId, name, color.toLowerCase()]
+        );
+
+        const label = await getProjectLabel(db, req.projectId, result.insertId);
+
+        res.status(201).json({
+            message: 'Label created successfully',
+            label: formatLabel(label)
+        });
+    } catch (error) {
+        console.error('Create label error:', error);
+        res.status(500).json({ message: 'Error creating label' });
+    }
+});
+
+/**
+ * @route PUT /api/projects/:projectId/labels/:labelId
+ * @desc Rename or recolor a label
+ * @access Private (project admins)
+ */
+router.put('/:labelId', [
+    param('labelId').isInt({ min: 1 }).withMessage('Invalid label ID'),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Label name must be less than 50 characters'),
+    body('color')
+        .optional()
+        .matches(HEX_COLOR)
+        .withMessage('Color must be a hex color such as #3b82f6')
+], authorize('project:manage'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+
+        const label = await getProjectLabel(db, req.projectId, req.params.labelId);
+        if (!label) {
+            return res.status(404).json({ message: 'Label not found' });
+        }
+
+        const name = req.body.name !== undefined ? req.body.name : label.name;
+        const color = req.body.color !== undefined ? req.body.color.toLowerCase() : label.color;
+
+        if (name !== label.name && await labelNameTaken(db, req.projectId, name, label.id)) {
+            return res.status(400).json({ message: 'A label with this name already exists' });
+        }
+
+        await db.execute('UPDATE labels SET name = ?, color = ? WHERE id = ?', [name, color, label.id]);
+        await broadcastTaskUpdates(req, await getLabelledTaskIds(db, label.id));
+
+        const updatedLabel = await getProjectLabel(db, req.projectId, label.id);
+
+        res.json({
+            message: 'Label updated successfully',
+            label: formatLabel(updatedLabel)
+        });
+    } catch (error) {
+        console.error('Update label error:', error);
+        res.status(500).json({ message: 'Error updating label' });
+    }
+});
+
+/**
+ * @route DELETE /api/projects/:projectId/labels/:labelId
+ * @desc Delete a label and remove it from every task
+ * @access Private (project admins)
+ */
+router.delete('/:labelId', [
+    param('labelId').isInt({ min: 1 }).withMessage('Invalid label ID')
+], authorize('project:manage'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid label ID',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+
+        const label = await getProjectLabel(db, req.projectId, req.params.labelId);
+        if (!label) {
+            return res.status(404).json({ message: 'Label not found' });
+        }
+
+        // task_labels rows go with it (ON DELETE CASCADE)
+        const labelledTaskIds = await getLabelledTaskIds(db, label.id);
+        await db.execute('DELETE FROM labels WHERE id = ?', [label.id]);
+        await broadcastTaskUpdates(req, labelledTaskIds);
+
+        res.json({ message: 'Label deleted successfully' });
+    } catch (error) {
+        console.error('Delete label error:', error);
+        res.status(500).json({ message: 'Error deleting label' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { NOTIFICATION_COLUMNS, NOTIFICATION_JOINS, NOTIFICATION_SELECT, formatNotification } = require('../utils/notifications');
+const { previewDigest } = require('../utils/digests');
+const { PREFERENCES, DIGEST_FREQUENCIES, isValidTimezone, getPreferences, updatePreferences } = require('../utils/preferences');
+const {
+    NOTIFICATION_SORTS,
+    PaginationError,
+    pageValidators,
+    parseSort,
+    parseLimit,
+    buildPageQuery,
+    paginate
+} = require('../utils/pagination');
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(authenticateToken);
+
+/**
+ * Helper function to count the user's unread notifications
+ * @param {Object} db - Database pool or connection
+ * @param {number} userId - User ID
+ * @returns {Promise<number>}
+ */
+const countUnread = async (db, userId) => {
+    const [counts] = await db.execute(`
+        SELECT COUNT(*) as unread
+        ${NOTIFICATION_JOINS}
+        WHERE n.user_id = ? AND n.read_at IS NULL
+    `, [userId]);
+    return Number(counts[0].unread);
+};
+
+/**
+ * @route GET /api/notifications
+ * @desc Get a page of the user's notifications, newest first by default
+ *       (unread=true for unread ones only; sort, limit and cursor as for GET /api/tasks)
+ * @access Private
+ */
+router.get('/', [
+    query('unread')
+        .optional()
+        .isBoolean()
+        .withMessage('unread must be true or false'),
+    ...pageValidators(NOTIFICATION_SORTS)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid query parameters',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+        const sort = parseSort(req.query.sort, NOTIFICATION_SORTS, '-created_at');
+        const limit = parseLimit(req.query.limit);
+        const page = buildPageQuery({ sort, cursor: req.query.cursor, idExpr: 'n.id' });
+
+        let filters = 'n.user_id = ?';
+        if (req.query.unread === 'true') {
+            filters += ' AND n.read_at IS NULL';
+        }
+        if (page.where) {
+            filters += ` AND ${page.where}`;
+        }
+
+        const [rows] = await db.execute(`
+            SELECT ${NOTIFICATION_COLUMNS}${page.select}
+            ${NOTIFICATION_JOINS}
+            WHERE ${filters}
+            ORDER BY ${page.orderBy}
+            LIMIT ${limit + 1}
+        `, [req.user.id, ...page.params]);
+
+        const { items, nextCursor } = paginate(rows, limit, sort);
+
+        res.json({
+            notifications: items.map(formatNotification),
+            unreadCount: await countUnread(db, req.user.id),
+            nextCursor
+        });
+    } catch (error) {
+        if (error instanceof PaginationError) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Get notifications error:', error);
+        res.status(500).json({ message: 'Error fetching notifications' });
+    }
+});
+
+/**
+ * @route GET /api/notifications/unread-count
+ * @desc Get the number of unread notifications
+ * @access Private
+ */
+router.get('/unread-count', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        res.json({ unreadCount: await countUnread(db, req.user.id) });
+    } catch (error) {
+        console.error('Count notifications error:', error);
+        res.status(500).json({ message: 'Error counting notifications' });
+    }
+});
+
+/**
+ * @route GET /api/notifications/preferences
+ * @desc Get the user's notification preferences: which notifications they also get by email,
+ *       and how often they get a digest in which timezone
+ * @access Private
+ */
+router.get('/preferences', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        res.json({ preferences: await getPreferences(db, req.user.id) });
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({ message: 'Error fetching notification preferences' });
+    }
+});
+
+/**
+ * @route PUT /api/notifications/preferences
+ * @desc Change some of the user's notification preferences, e.g. { emailCommented: true } or
+ *       { digestFrequency: 'weekly', timezone: 'Europe/Berlin' }
+ * @access Private
+ */
+router.put('/preferences', [
+    ...Object.keys(PREFERENCES)
+        .filter(name => typeof PREFERENCES[name].defaultValue === 'boolean')
+        .map(name => body(name)
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage(`${name} must be true or false`)),
+    body('digestFrequency')
+        .optional()
+        .isIn(DIGEST_FREQUENCIES)
+        .withMessage(`digestFrequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`),
+    body('timezone')
+        .optional()
+        .isString()
+        .custom(isValidTimezone)
+        .withMessage('timezone must be a timezone name such as Europe/Berlin')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const changes = Object.fromEntries(Object.keys(PREFERENCES)
+            .filter(name => req.body.hasOwnProperty(name))
+            .map(name => [name, req.body[name]]));
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ message: 'No preferences to update' });
+        }
+
+        const db = req.app.locals.db;
+        const preferences = await updatePreferences(db, req.user.id, changes);
+
+        res.json({
+            message: 'Notification preferences updated successfully',
+            preferences
+        });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ message: 'Error updating notification preferences' });
+    }
+});
+
+/**
+ * @route GET /api/notifications/digest/preview
+ * @desc Get the digest the user would get now and its rendered email, to look at before
+ *       subscribing (frequency=daily or weekly; the user's own frequency by default)
+ * @access Private
+ */
+router.get('/digest/preview', [
+    query('frequency')
+        .optional()
+        .isIn(['daily', 'weekly'])
+        .withMessage('frequency must be daily or weekly')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid query parameters',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+
+        res.json(await previewDigest(db, req.user, req.query.frequency));
+    } catch (error) {
+        console.error('Preview digest error:', error);
+        res.status(500).json({ message: 'Error building digest preview' });
+    }
+});
+
+/**
+ * @route PUT /api/notifications/read-all
+ * @desc Mark all of the user's notifications as read
+ * @access Private
+ */
+router.put('/read-all', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [result] = await db.execute(
+            'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL',
+            [req.user.id]
+        );
+
+        res.json({
+            message: 'All notifications marked as read',
+            updated: result.affectedRows
+        });
+    } catch (error) {
+        console.error('Read all notifications error:', error);
+        res.status(500).json({ message: 'Error marking notifications as read' });
+    }
+});
+
+/**
+ * @route PUT /api/notifications/:id/read
+ * @desc Mark one of the user's notifications as read
+ * @access Private
+ */
+router.put('/:id/read', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid notification ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const db = req.app.locals.db;
+
+        await db.execute(
+            'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND read_at IS NULL',
+            [id, req.user.id]
+        );
+
+        const [rows] = await db.execute(`${NOTIFICATION_SELECT} WHERE n.id = ? AND n.user_id = ?`, [id, req.user.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        res.json({
+            message: 'Notification marked as read',
+            notification: formatNotification(rows[0]),
+            unreadCount: await countUnread(db, req.user.id)
+        });
+    } catch (error) {
+        console.error('Read notification error:', error);
+        res.status(500).json({ message: 'Error marking notification as read' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,463 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { ROLES, authorize, hasPermission, getPermissions } = require('../middleware/authorize');
+const { createDefaultColumns } = require('../utils/workflow');
+const workflowRoutes = require('./workflow');
+const labelRoutes = require('./labels');
+const viewRoutes = require('./views');
+const trashRoutes = require('./trash');
+const { getProjectFiles, removeAttachmentFiles } = require('../utils/attachments');
+const { broadcastTaskUpdates } = require('../utils/events');
+
+const router = express.Router();
+
+// All project routes require authentication
+router.use(authenticateToken);
+
+// Workflow columns of a project
+router.use('/:projectId/columns', workflowRoutes);
+
+// Labels of a project
+router.use('/:projectId/labels', labelRoutes);
+
+// Saved board views of a project
+router.use('/:projectId/views', viewRoutes);
+
+// Trashed tasks of a project
+router.use('/:projectId/trash', trashRoutes);
+
+/**
+ * Helper function to fetch a project with owner info and counts
+ * @param {Object} db - Database pool
+ * @param {number} projectId - Project ID
+ * @returns {Object|null} Project or null if not found
+ */
+const getProject = async (db, projectId) => {
+    const [projects] = await db.execute(`
+        SELECT
+            p.id, p.name, p.description, p.owner_id, p.created_at, p.updated_at,
+            u.name as owner_name, u.email as owner_email,
+            (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL) as task_count,
+            (SELECT COUNT(*) FROM project_members pm WHERE pm.project_id = p.id) as member_count
+        FROM projects p
+        JOIN users u ON p.owner_id = u.id
+        WHERE p.id = ?
+    `, [projectId]);
+
+    if (projects.length === 0) {
+        return null;
+    }
+
+    const project = projects[0];
+    return {
+        id: project.id,
+        name: project.name,
+        description: project.description,
+        createdAt: project.created_at,
+        updatedAt: project.updated_at,
+        taskCount: project.task_count,
+        memberCount: project.member_count,
+        owner: {
+            id: project.owner_id,
+            name: project.owner_name,
+            email: project.owner_email
+        }
+    };
+};
+
+/**
+ * @route GET /api/projects
+ * @desc Get all projects the current user is a member of (every project for global admins)
+ * @access Private
+ */
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const isAdmin = req.user.role === 'admin';
+
+        const [projects] = await db.execute(`
+            SELECT
+                p.id, p.name, p.description, p.owner_id, p.created_at, p.updated_at,
+                pm.role,
+                (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL) as task_count,
+                (SELECT COUNT(*) FROM project_members m WHERE m.project_id = p.id) as member_count
+            FROM projects p
+            LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = ?
+            WHERE pm.user_id IS NOT NULL OR ?
+            ORDER BY p.name ASC
+        `, [req.user.id, isAdmin ? 1 : 0]);
+
+        const formattedProjects = projects.map(project => {
+            const role = isAdmin ? 'admin' : project.role;
+            return {
+                id: project.id,
+                name: project.name,
+                description: project.description,
+                ownerId: project.owner_id,
+                createdAt: project.created_at,
+                updatedAt: project.updated_at,
+                taskCount: project.task_count,
+                memberCount: project.member_count,
+                role,
+                permissions: getPermissions(role)
+            };
+        });
+
+        res.json(formattedProjects);
+    } catch (error) {
+        console.error('Get projects error:', error);
+        res.status(500).json({ message: 'Error fetching projects' });
+    }
+});
+
+/**
+ * @route GET /api/projects/:projectId
+ * @desc Get single project by ID
+ * @access Private (project members)
+ */
+router.get('/:projectId', authorize('project:read'), async (req, res) => {
+    try {
+        const project = await getProject(req.app.locals.db, req.projectId);
+        res.json({
+            ...project,
+            role: req.projectRole,
+            permissions: getPermissions(req.projectRole)
+        });
+    } catch (error) {
+        console.error('Get project error:', error);
+        res.status(500).json({ message: 'Error fetching project' });
+    }
+});
+
+/**
+ * @route POST /api/projects
+ * @desc Create a new project with the default columns; the creator becomes its owner and first admin
+ * @access Private
+ */
+router.post('/', [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Project name is required and must be less than 100 characters'),
+    body('description')
+        .optional({ values: 'null' })
+        .trim()
+], async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, description } = req.body;
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            'INSERT INTO projects (name, description, owner_id) VALUES (?, ?, ?)',
+            [name, description || null, req.user.id]
+        );
+
+        await connection.execute(
+            'INSERT INTO project_members (project_id, user_id, role) VALUES (?, ?, ?)',
+            [result.insertId, req.user.id, 'admin']
+        );
+
+        await createDefaultColumns(connection, result.insertId);
+
+        await connection.commit();
+
+        const project = await getProject(db, result.insertId);
+
+        res.status(201).json({
+            message: 'Project created successfully',
+            project: {
+                ...project,
+                role: 'admin',
+                permissions: getPermissions('admin')
+            }
+        });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error('Create project error:', error);
+        res.status(500).json({ message: 'Error creating project' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+});
+
+/**
+ * @route PUT /api/projects/:projectId
+ * @desc Update a project
+ * @access Private (project admins)
+ */
+router.put('/:projectId', [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Project name must be less than 100 characters'),
+    body('description')
+        .optional({ values: 'null' })
+        .trim()
+], authorize('project:manage'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+
+        const updateFields = [];
+        const updateValues = [];
+
+        ['name', 'description'].forEach(field => {
+            if (req.body.hasOwnProperty(field)) {
+                updateFields.push(`${field} = ?`);
+                updateValues.push(req.body[field]);
+            }
+        });
+
+        if (updateFields.length === 0) {
+            return res.status(400).json({ message: 'No fields to update' });
+        }
+
+        updateValues.push(req.projectId);
+
+        await db.execute(
+            `UPDATE projects SET ${updateFields.join(', ')} WHERE id = ?`,
+            updateValues
+        );
+
+        const project = await getProject(db, req.projectId);
+
+        res.json({
+            message: 'Project updated successfully',
+            project
+        });
+    } catch (error) {
+        console.error('Update project error:', error);
+        res.status(500).json({ message: 'Error updating project' });
+    }
+});
+
+/**
+ * @route DELETE /api/projects/:projectId
+ * @desc Delete a project and all of its tasks
+ * @access Private (project admins)
+ */
+router.delete('/:projectId', authorize('project:manage'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        // Attachment rows cascade with the project's tasks; their files don't
+        const files = await getProjectFiles(db, req.projectId);
+
+        await db.execute('DELETE FROM projects WHERE id = ?', [req.projectId]);
+        await removeAttachmentFiles(files);
+
+        res.json({ message: 'Project deleted successfully' });
+    } catch (error) {
+        console.error('Delete project error:', error);
+        res.status(500).json({ message: 'Error deleting project' });
+    }
+});
+
+/**
+ * @route GET /api/projects/:projectId/members
+ * @desc Get members of a project with their roles (for assignee dropdown)
+ * @access Private (project members)
+ */
+router.get('/:projectId/members', authorize('project:read'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [members] = await db.execute(`
+            SELECT u.id, u.name, u.email, pm.role, pm.created_at as joined_at
+            FROM project_members pm
+            JOIN users u ON pm.user_id = u.id
+            WHERE pm.project_id = ?
+            ORDER BY u.name ASC
+        `, [req.projectId]);
+
+        res.json(members);
+    } catch (error) {
+        console.error('Get project members error:', error);
+        res.status(500).json({ message: 'Error fetching project members' });
+    }
+});
+
+/**
+ * @route POST /api/projects/:projectId/members
+ * @desc Add a user to a project with a role (defaults to member)
+ * @access Private (project admins)
+ */
+router.post('/:projectId/members', [
+    body('user_id')
+        .isInt({ min: 1 })
+        .withMessage('Valid user ID is required'),
+    body('role')
+        .optional()
+        .isIn(ROLES)
+        .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], authorize('project:manage'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { user_id, role = 'member' } = req.body;
+        const db = req.app.locals.db;
+
+        const [users] = await db.execute('SELECT id, name, email FROM users WHERE id = ?', [user_id]);
+        if (users.length === 0) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const [existingMembers] = await db.execute(
+            'SELECT user_id FROM project_members WHERE project_id = ? AND user_id = ?',
+            [req.projectId, user_id]
+        );
+        if (existingMembers.length > 0) {
+            return res.status(400).json({ message: 'User is already a member of this project' });
+        }
+
+        await db.execute(
+            'INSERT INTO project_members (project_id, user_id, role) VALUES (?, ?, ?)',
+            [req.projectId, user_id, role]
+        );
+
+        res.status(201).json({
+            message: 'Member added successfully',
+            member: { ...users[0], role }
+        });
+    } catch (error) {
+        console.error('Add project member error:', error);
+        res.status(500).json({ message: 'Error adding project member' });
+    }
+});
+
+/**
+ * @route PUT /api/projects/:projectId/members/:userId
+ * @desc Change a member's role
+ * @access Private (project admins)
+ */
+router.put('/:projectId/members/:userId', [
+    param('userId').isInt({ min: 1 }).withMessage('Invalid user ID'),
+    body('role')
+        .isIn(ROLES)
+        .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], authorize('project:manage'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const userId = parseInt(req.params.userId);
+        const { role } = req.body;
+        const db = req.app.locals.db;
+
+        const [projects] = await db.execute('SELECT owner_id FROM projects WHERE id = ?', [req.projectId]);
+        if (userId === projects[0].owner_id && role !== 'admin') {
+            return res.status(400).json({ message: 'The project owner must remain an admin' });
+        }
+
+        const [result] = await db.execute(
+            'UPDATE project_members SET role = ? WHERE project_id = ? AND user_id = ?',
+            [role, req.projectId, userId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        res.json({ message: 'Member role updated successfully' });
+    } catch (error) {
+        console.error('Update project member error:', error);
+        res.status(500).json({ message: 'Error updating project member' });
+    }
+});
+
+/**
+ * @route DELETE /api/projects/:projectId/members/:userId
+ * @desc Remove a user from a project (by an admin, or by the member leaving)
+ * @access Private (project members)
+ */
+router.delete('/:projectId/members/:userId', [
+    param('userId').isInt({ min: 1 }).withMessage('Invalid user ID')
+], authorize('project:read'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid user ID',
+                errors: errors.array()
+            });
+        }
+
+        const userId = parseInt(req.params.userId);
+        const db = req.app.locals.db;
+
+        const [projects] = await db.execute('SELECT owner_id FROM projects WHERE id = ?', [req.projectId]);
+        const ownerId = projects[0].owner_id;
+
+        if (userId === ownerId) {
+            return res.status(400).json({ message: 'The project owner cannot be removed' });
+        }
+
+        if (userId !== req.user.id && !hasPermission(req.projectRole, 'project:manage')) {
+            return res.status(403).json({ message: 'Access denied: Only project admins can remove members' });
+        }
+
+        const [result] = await db.execute(
+            'DELETE FROM project_members WHERE project_id = ? AND user_id = ?',
+            [req.projectId, userId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        // Tasks stay in the project but are no longer assigned to the removed member
+        const [assignedTasks] = await db.execute(
+            'SELECT id FROM tasks WHERE project_id = ? AND assignee_id = ? AND deleted_at IS NULL',
+            [req.projectId, userId]
+        );
+        await db.execute(
+            'UPDATE tasks SET assignee_id = NULL WHERE project_id = ? AND assignee_id = ?',
+            [req.projectId, userId]
+        );
+        await broadcastTaskUpdates(req, assignedTasks.map(task => task.id));
+
+        res.json({ message: 'Member removed successfully' });
+    } catch (error) {
+        console.error('Remove project member error:', error);
+        res.status(500).json({ message: 'Error removing project member' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { getProjectRole } = require('../middleware/project');
+const { TASK_SELECT, formatTask } = require('../utils/tasks');
+const { parseSearchQuery, buildSnippet } = require('../utils/search');
+
+const router = express.Router();
+
+// All search routes require authentication
+router.use(authenticateToken);
+
+// Title matches count more than description and comment matches
+const TITLE_WEIGHT = 2;
+
+/**
+ * @route GET /api/search
+ * @desc Full-text search over task titles, descriptions and comments, ranked by relevance
+ *       and grouped by task. Searches every project the user belongs to unless ?project= is given.
+ * @access Private
+ */
+router.get('/', [
+    query('q')
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Search text must be between 2 and 200 characters'),
+    query('project')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Invalid project ID'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid search parameters',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+        const limit = parseInt(req.query.limit) || 20;
+        const { booleanQuery, terms } = parseSearchQuery(req.query.q);
+
+        if (!booleanQuery) {
+            return res.json({ query: req.query.q, results: [] });
+        }
+
+        // Restrict matches to one project, or to the projects the user can read
+        let scope;
+        let scopeParams;
+        if (req.query.project) {
+            const role = await getProjectRole(db, req.query.project, req.user);
+            if (!role) {
+                return res.status(403).json({ message: 'Access denied: Not a member of this project' });
+            }
+            scope = 't.project_id = ?';
+            scopeParams = [req.query.project];
+        } else {
+            scope = '(? OR EXISTS (SELECT 1 FROM project_members pm WHERE pm.project_id = t.project_id AND pm.user_id = ?))';
+            scopeParams = [req.user.role === 'admin' ? 1 : 0, req.user.id];
+        }
+
+        const [taskMatches] = await db.execute(`
+            SELECT t.id, t.title, t.description,
+                MATCH(t.title) AGAINST(? IN BOOLEAN MODE) * ${TITLE_WEIGHT}
+                    + MATCH(t.title, t.description) AGAINST(? IN BOOLEAN MODE) as score
+            FROM tasks t
+            WHERE ${scope} AND t.deleted_at IS NULL AND MATCH(t.title, t.description) AGAINST(? IN BOOLEAN MODE)
+            ORDER BY score DESC
+            LIMIT ${limit * 5}
+        `, [booleanQuery, booleanQuery, ...scopeParams, booleanQuery]);
+
+        const [commentMatches] = await db.execute(`
+            SELECT c.id, c.task_id, c.body, MATCH(c.body) AGAINST(? IN BOOLEAN MODE) as score
+            FROM comments c
+            JOIN tasks t ON c.task_id = t.id
+            WHERE ${scope} AND t.deleted_at IS NULL AND MATCH(c.body) AGAINST(? IN BOOLEAN MODE)
+            ORDER BY score DESC
+            LIMIT ${limit * 5}
+        `, [booleanQuery, ...scopeParams, booleanQuery]);
+
+        // Group matches by task; a task's score is the sum of its matches' scores
+        const groups = new Map();
+        const getGroup = (taskId) => {
+            if (!groups.has(taskId)) {
+                groups.set(taskId, { taskId, score: 0, matches: [] });
+            }
+            return groups.get(taskId);
+        };
+
+        taskMatches.forEach(match => {
+            const group = getGroup(match.id);
+            group.score += Number(match.score);
+
+            ['title', 'description'].forEach(field => {
+                // Titles are short enough to return whole
+                const snippet = buildSnippet(match[field], terms, field === 'title' ? 255 : 60);
+                if (snippet) {
+                    group.matches.push({ field, snippet });
+                }
+            });
+        });
+
+        commentMatches.forEach(match => {
+            const group = getGroup(match.task_id);
+            group.score += Number(match.score);
+
+            // Full-text matching can find comments the snippet terms don't literally occur in
+            const snippet = buildSnippet(match.body, terms) || {
+                text: match.body.length > 120 ? `${match.body.substring(0, 120)}…` : match.body,
+                highlights: []
+            };
+            group.matches.push({ field: 'comment', commentId: match.id, snippet });
+        });
+
+        const ranked = [...groups.values()]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        if (ranked.length === 0) {
+            return res.json({ query: req.query.q, results: [] });
+        }
+
+        const placeholders = ranked.map(() => '?').join(', ');
+        const [tasks] = await db.execute(
+            `${TASK_SELECT} WHERE t.id IN (${placeholders})`,
+            ranked.map(group => group.taskId)
+        );
+        const tasksById = new Map(tasks.map(task => [task.id, formatTask(task)]));
+
+        res.json({
+            query: req.query.q,
+            results: ranked.map(group => ({
+                task: tasksById.get(group.taskId),
+                score: group.score,
+                matches: group.matches
+            }))
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ message: 'Error searching' });
+    }
+});
+
+module.exports = router;
@@ -1,46 +1,163 @@
 const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { isProjectMember } = require('../middleware/project');
+const { authorize } = require('../middleware/authorize');
+const { TASK_COLUMNS, TASK_JOINS, TASK_SELECT, formatTask, getTaskById, getTaskTree, countOpenSubtasks } = require('../utils/tasks');
+const { getColumns } = require('../utils/workflow');
+const { recordActivity, recordTaskChanges } = require('../utils/activity');
+const { wouldCreateCycle, getOpenBlockers, getDependencies } = require('../utils/dependencies');
+const { labelsBelongToProject, setTaskLabels } = require('../utils/labels');
+const { trashTask } = require('../utils/trash');
+const { RankConflictError, withColumnLock, rankForPlacement } = require('../utils/ranks');
+const { normalizeRecurrence, createNextInstance } = require('../utils/recurrence');
+const { notifyAssignment } = require('../utils/notifications');
+const { REACTION_EMOJIS, getReactions, addReaction, removeReaction } = require('../utils/reactions');
+const { broadcast } = require('../utils/events');
+const { TaskQueryError, parseTaskQuery } = require('../utils/taskQuery');
+const {
+    TASK_SORTS,
+    PaginationError,
+    pageValidators,
+    parseSort,
+    parseLimit,
+    buildPageQuery,
+    paginate
+} = require('../utils/pagination');
+const attachmentRoutes = require('./attachments');
 
 const router = express.Router();
 
 // All task routes require authentication
 router.use(authenticateToken);
 
+// File attachments of a task
+router.use('/:id/attachments', attachmentRoutes);
+
 /**
- * Helper function to determine task badge status
- * @param {Date} dueDate - Task due date
- * @param {string} status - Task status
- * @returns {string} Badge status: 'On Track', 'At Risk', or 'Overdue'
+ * Validation rules for the filters shared by the task list and the board
  */
-const getTaskBadge = (dueDate, status) => {
-    if (!dueDate || status === 'Done') {
-        return 'On Track';
+const taskFilterValidators = [
+    query('project').isInt({ min: 1 }).withMessage('Project ID is required'),
+    query('q')
+        .optional()
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Query must be at most 1000 characters'),
+    query('assignee')
+        .optional()
+        .custom(value => value === 'unassigned' || /^[1-9]\d*$/.test(value))
+        .withMessage('Assignee must be a user ID or unassigned'),
+    query('priority').optional().isIn(['Low', 'Medium', 'High']),
+    query('labels')
+        .optional()
+        .matches(/^\d+(,\d+)*$/)
+        .withMessage('labels must be a comma-separated list of label IDs'),
+    query('label_mode')
+        .optional()
+        .isIn(['any', 'all'])
+        .withMessage('label_mode must be any or all')
+];
+
+/**
+ * Build the WHERE conditions for a project's tasks from the filter query parameters
+ * @param {number} projectId - Project ID
+ * @param {Object} filterQuery - Validated query parameters
+ * @param {number} userId - Current user, for assignee:me in the q query
+ * @returns {Object} { filters, params } where filters is an SQL condition on t
+ * @throws {TaskQueryError} When q doesn't parse
+ */
+const buildTaskFilters = (projectId, { q, assignee, priority, status, labels, label_mode = 'any', ids }, userId) => {
+    let filters = 't.project_id = ? AND t.deleted_at IS NULL';
+    const params = [projectId];
+
+    if (q) {
+        const parsed = parseTaskQuery(q, { userId });
+        parsed.conditions.forEach(condition => {
+            filters += ` AND ${condition}`;
+        });
+        params.push(...parsed.params);
     }
 
-    const now = new Date();
-    const due = new Date(dueDate);
-    const timeDiff = due.getTime() - now.getTime();
-    const hoursDiff = timeDiff / (1000 * 3600);
+    if (assignee === 'unassigned') {
+        filters += ' AND t.assignee_id IS NULL';
+    } else if (assignee) {
+        filters += ' AND t.assignee_id = ?';
+        params.push(assignee);
+    }
 
-    if (hoursDiff < 0) {
-        return 'Overdue';
-    } else if (hoursDiff <= 24) {
-        return 'At Risk';
+    if (priority) {
+        filters += ' AND t.priority = ?';
+        params.push(priority);
     }
-    return 'On Track';
+
+    if (status) {
+        filters += ' AND t.status = ?';
+        params.push(status);
+    }
+
+    if (ids) {
+        const taskIds = [...new Set(ids.split(',').map(id => parseInt(id)))];
+        filters += ` AND t.id IN (${taskIds.map(() => '?').join(', ')})`;
+        params.push(...taskIds);
+    }
+
+    if (labels) {
+        const labelIds = [...new Set(labels.split(',').map(id => parseInt(id)))];
+        const placeholders = labelIds.map(() => '?').join(', ');
+
+        if (label_mode === 'all') {
+            filters += ` AND (SELECT COUNT(*) FROM task_labels tl WHERE tl.task_id = t.id AND tl.label_id IN (${placeholders})) = ?`;
+            params.push(...labelIds, labelIds.length);
+        } else {
+            filters += ` AND EXISTS (SELECT 1 FROM task_labels tl WHERE tl.task_id = t.id AND tl.label_id IN (${placeholders}))`;
+            params.push(...labelIds);
+        }
+    }
+
+    return { filters, params };
+};
+
+/**
+ * Fetch one page of tasks matching the given filters
+ * @returns {Promise<Object>} { tasks, nextCursor }
+ */
+const getTaskPage = async (db, { filters, params }, { sort, limit, cursor }) => {
+    const page = buildPageQuery({ sort, cursor, idExpr: 't.id' });
+
+    const [rows] = await db.execute(`
+        SELECT ${TASK_COLUMNS}${page.select}
+        ${TASK_JOINS}
+        WHERE ${filters}${page.where ? ` AND ${page.where}` : ''}
+        ORDER BY ${page.orderBy}
+        LIMIT ${limit + 1}
+    `, [...params, ...page.params]);
+
+    const { items, nextCursor } = paginate(rows, limit, sort);
+    return { tasks: items.map(formatTask), nextCursor };
 };
 
 /**
  * @route GET /api/tasks
- * @desc Get all tasks with optional filters
- * @access Private
+ * @desc Get a page of a project's tasks with optional filters.
+ *       q takes a filter query (see utils/taskQuery.js); parse errors come back as 400
+ *       with errors: [{ message, column, length }].
+ *       labels=1,2 keeps tasks with any of the labels, or all of them with label_mode=all.
+ *       ids=1,2 keeps only those tasks, e.g. to check whether changed tasks match the filters.
+ *       sort=rank|due_date|priority|updated_at|title|created_at (prefix - for descending, default rank,
+ *       the manual order of the board columns),
+ *       limit (default 50) and cursor (nextCursor of the previous page)
+ * @access Private (project members)
  */
 router.get('/', [
-    query('assignee').optional().isInt({ min: 1 }),
-    query('priority').optional().isIn(['Low', 'Medium', 'High']),
-    query('status').optional().isIn(['Backlog', 'In Progress', 'Review', 'Done'])
-], async (req, res) => {
+    ...taskFilterValidators,
+    query('status').optional().isString(),
+    query('ids')
+        .optional()
+        .matches(/^\d+(,\d+)*$/)
+        .withMessage('ids must be a comma-separated list of task IDs'),
+    ...pageValidators(TASK_SORTS)
+], authorize('task:read'), async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -50,67 +167,121 @@ router.get('/', [
             });
         }
 
-        const { assignee, priority, status } = req.query;
         const db = req.app.locals.db;
+        const where = buildTaskFilters(req.projectId, req.query, req.user.id);
 
-        // Build query with filters
-        let query = `
-            SELECT 
-                t.id, t.title, t.description, t.priority, t.status, t.due_date,
-                t.created_at, t.updated_at, t.assignee_id,
-                u.name as assignee_name, u.email as assignee_email
-            FROM tasks t
-            LEFT JOIN users u ON t.assignee_id = u.id
-            WHERE 1=1
-        `;
-        
-        const queryParams = [];
+        const sort = parseSort(req.query.sort, TASK_SORTS, 'rank');
+        const limit = parseLimit(req.query.limit);
 
-        if (assignee) {
-            query += ' AND t.assignee_id = ?';
-            queryParams.push(assignee);
-        }
+        const [counts] = await db.execute(`SELECT COUNT(*) as total FROM tasks t WHERE ${where.filters}`, where.params);
+        const { tasks, nextCursor } = await getTaskPage(db, where, { sort, limit, cursor: req.query.cursor });
 
-        if (priority) {
-            query += ' AND t.priority = ?';
-            queryParams.push(priority);
+        res.json({
+            tasks,
+            total: Number(counts[0].total),
+            nextCursor
+        });
+    } catch (error) {
+        if (error instanceof TaskQueryError) {
+            return res.status(400).json({ message: error.message, errors: error.errors });
+        }
+        if (error instanceof PaginationError) {
+            return res.status(400).json({ message: error.message });
         }
+        console.error('Get tasks error:', error);
+        res.status(500).json({ message: 'Error fetching tasks' });
+    }
+});
 
-        if (status) {
-            query += ' AND t.status = ?';
-            queryParams.push(status);
+/**
+ * @route GET /api/tasks/board
+ * @desc Get the first page of tasks of every workflow column with each column's total,
+ *       and board-wide counts for the filter statistics.
+ *       Takes the filters and sort of GET /api/tasks; limit is the page size per column.
+ *       Further pages come from GET /api/tasks?status=<column>&cursor=<nextCursor>
+ * @access Private (project members)
+ */
+router.get('/board', [
+    ...taskFilterValidators,
+    ...pageValidators(TASK_SORTS)
+], authorize('task:read'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid query parameters',
+                errors: errors.array()
+            });
         }
 
-        query += ' ORDER BY t.created_at DESC';
+        const db = req.app.locals.db;
+        const { filters, params } = buildTaskFilters(req.projectId, req.query, req.user.id);
 
-        const [tasks] = await db.execute(query, queryParams);
+        const sort = parseSort(req.query.sort, TASK_SORTS, 'rank');
+        const limit = parseLimit(req.query.limit);
 
-        // Add badge status to each task
-        const tasksWithBadges = tasks.map(task => ({
-            ...task,
-            badge: getTaskBadge(task.due_date, task.status),
-            assignee: task.assignee_id ? {
-                id: task.assignee_id,
-                name: task.assignee_name,
-                email: task.assignee_email
-            } : null
+        const columns = await getColumns(db, req.projectId);
+
+        const [counts] = await db.execute(
+            `SELECT t.status, COUNT(*) as total FROM tasks t WHERE ${filters} GROUP BY t.status`,
+            params
+        );
+        const totals = Object.fromEntries(counts.map(count => [count.status, Number(count.total)]));
+
+        const [stats] = await db.execute(`
+            SELECT
+                COUNT(*) as total,
+                COALESCE(SUM(t.assignee_id = ?), 0) as mine,
+                COALESCE(SUM(t.priority = 'High'), 0) as high_priority,
+                COALESCE(SUM(t.due_date < NOW() AND NOT COALESCE(wc.is_done, FALSE)), 0) as overdue
+            FROM tasks t
+            LEFT JOIN workflow_columns wc ON wc.project_id = t.project_id AND wc.name = t.status
+            WHERE ${filters}
+        `, [req.user.id, ...params]);
+
+        const board = await Promise.all(columns.map(async (column) => {
+            const total = totals[column.name] || 0;
+            if (total === 0) {
+                return { name: column.name, total, tasks: [], nextCursor: null };
+            }
+
+            const page = await getTaskPage(db, {
+                filters: `${filters} AND t.status = ?`,
+                params: [...params, column.name]
+            }, { sort, limit });
+
+            return { name: column.name, total, ...page };
         }));
 
-        res.json(tasksWithBadges);
+        res.json({
+            columns: board,
+            stats: {
+                total: Number(stats[0].total),
+                mine: Number(stats[0].mine),
+                highPriority: Number(stats[0].high_priority),
+                overdue: Number(stats[0].overdue)
+            }
+        });
     } catch (error) {
-        console.error('Get tasks error:', error);
-        res.status(500).json({ message: 'Error fetching tasks' });
+        if (error instanceof TaskQueryError) {
+            return res.status(400).json({ message: error.message, errors: error.errors });
+        }
+        if (error instanceof PaginationError) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Get board error:', error);
+        res.status(500).json({ message: 'Error fetching board' });
     }
 });
 
 /**
  * @route GET /api/tasks/:id
- * @desc Get single task by ID
- * @access Private
+ * @desc Get single task by ID, with its emoji reactions
+ * @access Private (project members)
  */
 router.get('/:id', [
     param('id').isInt({ min: 1 }).withMessage('Invalid task ID')
-], async (req, res) => {
+], authorize('task:read', 'task'), async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -123,32 +294,15 @@ router.get('/:id', [
         const { id } = req.params;
         const db = req.app.locals.db;
 
-        const [tasks] = await db.execute(`
-            SELECT 
-                t.id, t.title, t.description, t.priority, t.status, t.due_date,
-                t.created_at, t.updated_at, t.assignee_id,
-                u.name as assignee_name, u.email as assignee_email
-            FROM tasks t
-            LEFT JOIN users u ON t.assignee_id = u.id
-            WHERE t.id = ?
-        `, [id]);
+        const task = await getTaskById(db, id);
 
-        if (tasks.length === 0) {
+        if (!task) {
             return res.status(404).json({ message: 'Task not found' });
         }
 
-        const task = tasks[0];
-        const taskWithBadge = {
-            ...task,
-            badge: getTaskBadge(task.due_date, task.status),
-            assignee: task.assignee_id ? {
-                id: task.assignee_id,
-                name: task.assignee_name,
-                email: task.assignee_email
-            } : null
-        };
+        const reactions = await getReactions(db, 'task', [task.id]);
 
-        res.json(taskWithBadge);
+        res.json({ ...task, reactions: reactions[task.id] || [] });
     } catch (error) {
         console.error('Get task error:', error);
         res.status(500).json({ message: 'Error fetching task' });
@@ -156,21 +310,123 @@ router.get('/:id', [
 });
 
 /**
- * @route POST /api/tasks
- * @desc Create a new task
- * @access Private
+ * @route GET /api/tasks/:id/activity
+ * @desc Get a task's activity history, oldest first
+ * @access Private (project members)
  */
-router.post('/', [
+router.get('/:id/activity', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid task ID')
+], authorize('task:read', 'task'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const db = req.app.locals.db;
+
+        const [entries] = await db.execute(`
+            SELECT
+                a.id, a.task_id, a.action, a.field, a.old_value, a.new_value,
+                a.comment_id, a.created_at,
+                a.actor_id, u.name as actor_name, u.email as actor_email
+            FROM task_activity a
+            LEFT JOIN users u ON a.actor_id = u.id
+            WHERE a.task_id = ?
+            ORDER BY a.created_at ASC, a.id ASC
+        `, [id]);
+
+        // Resolve assignee IDs to names for assignment entries
+        const assigneeIds = [...new Set(entries
+            .filter(entry => entry.action === 'assigned')
+            .flatMap(entry => [entry.old_value, entry.new_value])
+            .filter(Boolean))];
+
+        const assigneeNames = {};
+        if (assigneeIds.length > 0) {
+            const [users] = await db.execute(
+                `SELECT id, name FROM users WHERE id IN (${assigneeIds.map(() => '?').join(', ')})`,
+                assigneeIds
+            );
+            users.forEach(user => {
+                assigneeNames[user.id] = user.name;
+            });
+        }
+
+        const describeValue = (entry, value) => {
+            if (entry.action === 'assigned' && value) {
+                return assigneeNames[value] || 'Unknown user';
+            }
+            return value;
+        };
+
+        const activity = entries.map(entry => ({
+            id: entry.id,
+            taskId: entry.task_id,
+            action: entry.action,
+            field: entry.field,
+            oldValue: describeValue(entry, entry.old_value),
+            newValue: describeValue(entry, entry.new_value),
+            commentId: entry.comment_id,
+            createdAt: entry.created_at,
+            actor: entry.actor_id ? {
+                id: entry.actor_id,
+                name: entry.actor_name,
+                email: entry.actor_email
+            } : null
+        }));
+
+        res.json(activity);
+    } catch (error) {
+        console.error('Get task activity error:', error);
+        res.status(500).json({ message: 'Error fetching task activity' });
+    }
+});
+
+/**
+ * Validation rule for a task description. It is Markdown, so it is kept as typed
+ * (leading indentation can start a code block); a blank one is stored as empty.
+ */
+const descriptionValidator = body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Description must be text')
+    .bail()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters')
+    .customSanitizer(description => description.trim() ? description : '');
+
+/**
+ * Validation rule for a recurrence rule (see utils/recurrence.js); null removes it
+ */
+const recurrenceValidator = body('recurrence')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Recurrence must be a rule such as FREQ=WEEKLY;BYDAY=MO')
+    .bail()
+    .custom(rule => normalizeRecurrence(rule) && true);
+
+/**
+ * Validation rules shared by task and subtask creation
+ */
+const createTaskValidators = [
     body('title')
         .trim()
         .isLength({ min: 1, max: 255 })
         .withMessage('Title is required and must be less than 255 characters'),
-    body('description')
-        .optional()
-        .trim(),
+    descriptionValidator,
     body('priority')
+        .optional()
         .isIn(['Low', 'Medium', 'High'])
         .withMessage('Priority must be Low, Medium, or High'),
+    body('status')
+        .optional()
+        .isString()
+        .withMessage('Status must be a workflow column name'),
     body('assignee_id')
         .optional()
         .isInt({ min: 1 })
@@ -178,8 +434,100 @@ router.post('/', [
     body('due_date')
         .optional()
         .isISO8601()
-        .withMessage('Due date must be a valid date')
-], async (req, res) => {
+        .withMessage('Due date must be a valid date'),
+    body('label_ids')
+        .optional()
+        .isArray()
+        .withMessage('label_ids must be an array'),
+    body('label_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Invalid label ID'),
+    recurrenceValidator
+];
+
+/**
+ * Helper function that creates a task in req.projectId and sends the response.
+ * New tasks start at the top of the requested column, or of the first one.
+ * @param {Object} req - Express request (validated, after authorize)
+ * @param {Object} res - Express response
+ * @param {number|null} parentId - Parent task ID when creating a subtask
+ */
+const createTask = async (req, res, parentId = null) => {
+    const { title, description, priority = 'Medium', assignee_id, due_date, label_ids = [] } = req.body;
+    const recurrence = req.body.recurrence ? normalizeRecurrence(req.body.recurrence) : null;
+    const db = req.app.locals.db;
+
+    if (recurrence && !due_date) {
+        return res.status(400).json({ message: 'Recurring tasks need a due date' });
+    }
+
+    const columns = await getColumns(db, req.projectId);
+    if (columns.length === 0) {
+        return res.status(400).json({ message: 'Project has no workflow columns' });
+    }
+
+    const status = req.body.status || columns[0].name;
+    if (!columns.some(column => column.name === status)) {
+        return res.status(400).json({ message: `Status must be one of: ${columns.map(column => column.name).join(', ')}` });
+    }
+
+    // Verify assignee exists and belongs to the project if provided
+    if (assignee_id) {
+        const [users] = await db.execute('SELECT id FROM users WHERE id = ?', [assignee_id]);
+        if (users.length === 0) {
+            return res.status(400).json({ message: 'Assignee not found' });
+        }
+        if (!(await isProjectMember(db, req.projectId, assignee_id))) {
+            return res.status(400).json({ message: 'Assignee is not a member of this project' });
+        }
+    }
+
+    if (!(await labelsBelongToProject(db, req.projectId, label_ids))) {
+        return res.status(400).json({ message: 'Labels must belong to the task\'s project' });
+    }
+
+    // New cards go to the top of their column
+    const [result] = await withColumnLock(db, req.projectId, status, async (connection) => {
+        const rank = await rankForPlacement(connection, { projectId: req.projectId, status });
+        return connection.execute(`
+            INSERT INTO tasks (project_id, parent_id, title, description, priority, status, assignee_id, due_date, board_rank, recurrence)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [req.projectId, parentId, title, description || null, priority, status, assignee_id || null, due_date || null, rank, recurrence]);
+    });
+
+    await setTaskLabels(db, result.insertId, label_ids);
+    await recordActivity(db, { taskId: result.insertId, actorId: req.user.id, action: 'created' });
+
+    // Fetch the created task with assignee info
+    const task = await getTaskById(db, result.insertId);
+    if (task.assignee_id) {
+        await notifyAssignment(db, task, req.user.id);
+    }
+
+    await broadcast(req, 'task.created', { tasks: [task] });
+    // The parent's subtask rollup counts the new subtask
+    if (parentId) {
+        await broadcast(req, 'task.updated', { tasks: [await getTaskById(db, parentId)] });
+    }
+
+    res.status(201).json({
+        message: parentId ? 'Subtask created successfully' : 'Task created successfully',
+        task
+    });
+};
+
+/**
+ * @route POST /api/tasks
+ * @desc Create a new task in a project (in the first workflow column unless a status is given).
+ *       recurrence takes a rule such as FREQ=WEEKLY;BYDAY=MO (see utils/recurrence.js) and needs a due_date
+ * @access Private (project admins and members)
+ */
+router.post('/', [
+    body('project_id')
+        .isInt({ min: 1 })
+        .withMessage('Valid project ID is required'),
+    ...createTaskValidators
+], authorize('task:create'), async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -189,58 +537,373 @@ router.post('/', [
             });
         }
 
-        const { title, description, priority = 'Medium', assignee_id, due_date } = req.body;
+        await createTask(req, res);
+    } catch (error) {
+        console.error('Create task error:', error);
+        res.status(500).json({ message: 'Error creating task' });
+    }
+});
+
+/**
+ * @route GET /api/tasks/:id/subtasks
+ * @desc Get the direct subtasks of a task, oldest first
+ * @access Private (project members)
+ */
+router.get('/:id/subtasks', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid task ID')
+], authorize('task:read', 'task'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
         const db = req.app.locals.db;
 
-        // Verify assignee exists if provided
-        if (assignee_id) {
-            const [users] = await db.execute('SELECT id FROM users WHERE id = ?', [assignee_id]);
-            if (users.length === 0) {
-                return res.status(400).json({ message: 'Assignee not found' });
-            }
+        const [subtasks] = await db.execute(
+            `${TASK_SELECT} WHERE t.parent_id = ? AND t.deleted_at IS NULL ORDER BY t.created_at ASC, t.id ASC`,
+            [id]
+        );
+
+        res.json(subtasks.map(formatTask));
+    } catch (error) {
+        console.error('Get subtasks error:', error);
+        res.status(500).json({ message: 'Error fetching subtasks' });
+    }
+});
+
+/**
+ * @route POST /api/tasks/:id/subtasks
+ * @desc Create a subtask in the same project as its parent
+ * @access Private (project admins and members)
+ */
+router.post('/:id/subtasks', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid task ID'),
+    ...createTaskValidators
+], authorize('task:create', 'task'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
         }
 
-        const [result] = await db.execute(`
-            INSERT INTO tasks (title, description, priority, assignee_id, due_date)
-            VALUES (?, ?, ?, ?, ?)
-        `, [title, description || null, priority, assignee_id || null, due_date || null]);
+        await createTask(req, res, parseInt(req.params.id));
+    } catch (error) {
+        console.error('Create subtask error:', error);
+        res.status(500).json({ message: 'Error creating subtask' });
+    }
+});
 
-        // Fetch the created task with assignee info
-        const [newTask] = await db.execute(`
-            SELECT 
-                t.id, t.title, t.description, t.priority, t.status, t.due_date,
-                t.created_at, t.updated_at, t.assignee_id,
-                u.name as assignee_name, u.email as assignee_email
-            FROM tasks t
-            LEFT JOIN users u ON t.assignee_id = u.id
-            WHERE t.id = ?
-        `, [result.insertId]);
-
-        const task = newTask[0];
-        const taskWithBadge = {
-            ...task,
-            badge: getTaskBadge(task.due_date, task.status),
-            assignee: task.assignee_id ? {
-                id: task.assignee_id,
-                name: task.assignee_name,
-                email: task.assignee_email
-            } : null
-        };
+/**
+ * @route GET /api/tasks/:id/dependencies
+ * @desc Get the tasks blocking a task and the tasks it blocks
+ * @access Private (project members)
+ */
+router.get('/:id/dependencies', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid task ID')
+], authorize('task:read', 'task'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                errors: errors.array()
+            });
+        }
+
+        const dependencies = await getDependencies(req.app.locals.db, req.params.id);
+        res.json(dependencies);
+    } catch (error) {
+        console.error('Get dependencies error:', error);
+        res.status(500).json({ message: 'Error fetching dependencies' });
+    }
+});
+
+/**
+ * @route POST /api/tasks/:id/dependencies
+ * @desc Mark a task as blocked by another task in the same project; rejects cycles
+ * @access Private (project admins and members)
+ */
+router.post('/:id/dependencies', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid task ID'),
+    body('blocked_by_id')
+        .isInt({ min: 1 })
+        .withMessage('Valid blocking task ID is required')
+], authorize('task:update', 'task'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const taskId = parseInt(req.params.id);
+        const blockedById = parseInt(req.body.blocked_by_id);
+        const db = req.app.locals.db;
+
+        if (taskId === blockedById) {
+            return res.status(400).json({ message: 'A task cannot block itself' });
+        }
+
+        const [blockers] = await db.execute('SELECT id FROM tasks WHERE id = ? AND project_id = ? AND deleted_at IS NULL', [blockedById, req.projectId]);
+        if (blockers.length === 0) {
+            return res.status(400).json({ message: 'Blocking task not found in this project' });
+        }
+
+        const [existing] = await db.execute(
+            'SELECT task_id FROM task_dependencies WHERE task_id = ? AND blocked_by_id = ?',
+            [taskId, blockedById]
+        );
+        if (existing.length > 0) {
+            return res.status(400).json({ message: 'This dependency already exists' });
+        }
+
+        if (await wouldCreateCycle(db, taskId, blockedById)) {
+            return res.status(400).json({ message: 'This dependency would create a cycle' });
+        }
+
+        await db.execute(
+            'INSERT INTO task_dependencies (task_id, blocked_by_id, created_by) VALUES (?, ?, ?)',
+            [taskId, blockedById, req.user.id]
+        );
+
+        const task = await getTaskById(db, taskId);
+        // The blocking task counts the tasks it blocks
+        await broadcast(req, 'task.updated', { tasks: [task, await getTaskById(db, blockedById)] });
 
         res.status(201).json({
-            message: 'Task created successfully',
-            task: taskWithBadge
+            message: 'Dependency added successfully',
+            task,
+            dependencies: await getDependencies(db, taskId)
         });
     } catch (error) {
-        console.error('Create task error:', error);
-        res.status(500).json({ message: 'Error creating task' });
+        console.error('Add dependency error:', error);
+        res.status(500).json({ message: 'Error adding dependency' });
     }
 });
 
+/**
+ * @route DELETE /api/tasks/:id/dependencies/:blockedById
+ * @desc Remove a blocked-by dependency
+ * @access Private (project admins and members)
+ */
+router.delete('/:id/dependencies/:blockedById', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid task ID'),
+    param('blockedById').isInt({ min: 1 }).withMessage('Invalid blocking task ID')
+], authorize('task:update', 'task'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id, blockedById } = req.params;
+        const db = req.app.locals.db;
+
+        const [result] = await db.execute(
+            'DELETE FROM task_dependencies WHERE task_id = ? AND blocked_by_id = ?',
+            [id, blockedById]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Dependency not found' });
+        }
+
+        const task = await getTaskById(db, id);
+        await broadcast(req, 'task.updated', { tasks: [task, await getTaskById(db, blockedById)] });
+
+        res.json({
+            message: 'Dependency removed successfully',
+            task,
+            dependencies: await getDependencies(db, id)
+        });
+    } catch (error) {
+        console.error('Remove dependency error:', error);
+        res.status(500).json({ message: 'Error removing dependency' });
+    }
+});
+
+/**
+ * @route POST /api/tasks/:id/reactions
+ * @desc React to a task with an emoji ({ emoji }); reacting again with it changes nothing
+ * @access Private (project admins and members)
+ */
+router.post('/:id/reactions', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid task ID'),
+    body('emoji')
+        .isIn(REACTION_EMOJIS)
+        .withMessage(`Emoji must be one of ${REACTION_EMOJIS.join(' ')}`)
+], authorize('reaction:create', 'task'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const id = parseInt(req.params.id);
+        const db = req.app.locals.db;
+
+        await addReaction(db, 'task', id, req.user.id, req.body.emoji);
+        const reactions = await getReactions(db, 'task', [id]);
+        await broadcast(req, 'task.reactions', { taskId: id, reactions: reactions[id] || [] });
+
+        res.status(201).json({
+            message: 'Reaction added successfully',
+            reactions: reactions[id] || []
+        });
+    } catch (error) {
+        console.error('Add task reaction error:', error);
+        res.status(500).json({ message: 'Error adding reaction' });
+    }
+});
+
+/**
+ * @route DELETE /api/tasks/:id/reactions/:emoji
+ * @desc Take back the current user's reaction to a task
+ * @access Private (project admins and members)
+ */
+router.delete('/:id/reactions/:emoji', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid task ID'),
+    param('emoji').isIn(REACTION_EMOJIS).withMessage('Unknown reaction')
+], authorize('reaction:create', 'task'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const id = parseInt(req.params.id);
+        const db = req.app.locals.db;
+
+        await removeReaction(db, 'task', id, req.user.id, req.params.emoji);
+        const reactions = await getReactions(db, 'task', [id]);
+        await broadcast(req, 'task.reactions', { taskId: id, reactions: reactions[id] || [] });
+
+        res.json({
+            message: 'Reaction removed successfully',
+            reactions: reactions[id] || []
+        });
+    } catch (error) {
+        console.error('Remove task reaction error:', error);
+        res.status(500).json({ message: 'Error removing reaction' });
+    }
+});
+
+/**
+ * Helper function that creates the next instance of a recurring task that was just
+ * moved to a done column
+ * @returns {Promise<Object|null>} The new task, or null when none was created
+ */
+const completeRecurrence = async (db, previousTask, task, userId) => {
+    if (!task.recurrence || !task.is_done || previousTask.is_done) {
+        return null;
+    }
+
+    const instanceId = await createNextInstance(db, task.id, userId);
+    return instanceId ? getTaskById(db, instanceId) : null;
+};
+
+/**
+ * Helper function that broadcasts a task changed by an update or move, with the tasks
+ * the change affects: whether it is done shows in its parent's subtask rollup and in
+ * the blocked state of the tasks it blocks, and a finished recurring task has a next instance
+ */
+const broadcastTaskChange = async (req, previousTask, task, nextInstance) => {
+    const db = req.app.locals.db;
+    const changedTasks = [task];
+
+    if (task.is_done !== previousTask.is_done) {
+        if (task.parent_id) {
+            changedTasks.push(await getTaskById(db, task.parent_id));
+        }
+        if (task.blocking_count > 0) {
+            const [blockedTasks] = await db.execute(`
+                ${TASK_SELECT}
+                WHERE t.id IN (SELECT task_id FROM task_dependencies WHERE blocked_by_id = ?) AND t.deleted_at IS NULL
+            `, [task.id]);
+            changedTasks.push(...blockedTasks.map(formatTask));
+        }
+    }
+
+    await broadcast(req, 'task.updated', { tasks: changedTasks });
+    if (nextInstance) {
+        await broadcast(req, 'task.created', { tasks: await getTaskTree(db, nextInstance.id) });
+    }
+};
+
+/**
+ * Helper function to check whether a task may be put in a workflow column
+ * @param {Object} db - Database pool or connection
+ * @param {number} projectId - Project ID
+ * @param {Object} task - Task before the change
+ * @param {string} status - Requested column name
+ * @param {boolean|string} force - Whether to move a parent with open subtasks to a done column
+ * @returns {Promise<Object|null>} { status, body } of the error response, or null when allowed
+ */
+const checkStatusChange = async (db, projectId, task, status, force) => {
+    const columns = await getColumns(db, projectId);
+    const column = columns.find(c => c.name === status);
+    if (!column) {
+        return {
+            status: 400,
+            body: { message: `Status must be one of: ${columns.map(column => column.name).join(', ')}` }
+        };
+    }
+
+    // A blocked task can't be started until its blockers are done
+    if (column.id !== columns[0].id && status !== task.status) {
+        const blockers = await getOpenBlockers(db, task.id);
+        if (blockers.length > 0) {
+            return {
+                status: 409,
+                body: {
+                    message: `This task is blocked by: ${blockers.map(blocker => blocker.title).join(', ')}`,
+                    blockers
+                }
+            };
+        }
+    }
+
+    // A parent can only be done once its subtasks are, unless forced
+    if (column.isDone && force !== true && force !== 'true') {
+        const openSubtasks = await countOpenSubtasks(db, task.id);
+        if (openSubtasks > 0) {
+            return {
+                status: 409,
+                body: {
+                    message: `This task still has ${openSubtasks} open subtask${openSubtasks === 1 ? '' : 's'}`,
+                    openSubtasks
+                }
+            };
+        }
+    }
+
+    return null;
+};
+
 /**
  * @route PUT /api/tasks/:id
- * @desc Update a task
- * @access Private
+ * @desc Update a task. Moving a task with open subtasks to a done column needs { force: true };
+ *       a task with open blockers cannot leave the first column. Moving a recurring task to a
+ *       done column creates its next instance, returned as nextInstance. A new assignee is notified
+ * @access Private (project admins and members)
  */
 router.put('/:id', [
     param('id').isInt({ min: 1 }).withMessage('Invalid task ID'),
@@ -249,17 +912,15 @@ router.put('/:id', [
         .trim()
         .isLength({ min: 1, max: 255 })
         .withMessage('Title must be less than 255 characters'),
-    body('description')
-        .optional()
-        .trim(),
+    descriptionValidator,
     body('priority')
         .optional()
         .isIn(['Low', 'Medium', 'High'])
         .withMessage('Priority must be Low, Medium, or High'),
     body('status')
         .optional()
-        .isIn(['Backlog', 'In Progress', 'Review', 'Done'])
-        .withMessage('Status must be Backlog, In Progress, Review, or Done'),
+        .isString()
+        .withMessage('Status must be a workflow column name'),
     body('assignee_id')
         .optional()
         .isInt({ min: 1 })
@@ -267,8 +928,20 @@ router.put('/:id', [
     body('due_date')
         .optional()
         .isISO8601()
-        .withMessage('Due date must be a valid date')
-], async (req, res) => {
+        .withMessage('Due date must be a valid date'),
+    body('label_ids')
+        .optional()
+        .isArray()
+        .withMessage('label_ids must be an array'),
+    body('label_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Invalid label ID'),
+    recurrenceValidator,
+    body('force')
+        .optional()
+        .isBoolean()
+        .withMessage('force must be a boolean')
+], authorize('task:update', 'task'), async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -280,68 +953,97 @@ router.put('/:id', [
 
         const { id } = req.params;
         const db = req.app.locals.db;
+        const previousTask = await getTaskById(db, id);
 
-        // Check if task exists
-        const [existingTasks] = await db.execute('SELECT id FROM tasks WHERE id = ?', [id]);
-        if (existingTasks.length === 0) {
-            return res.status(404).json({ message: 'Task not found' });
+        // Verify the status is one of the project's workflow columns if provided
+        if (req.body.status) {
+            const statusError = await checkStatusChange(db, req.projectId, previousTask, req.body.status, req.body.force);
+            if (statusError) {
+                return res.status(statusError.status).json(statusError.body);
+            }
         }
 
-        // Verify assignee exists if provided
+        // Verify assignee exists and belongs to the project if provided
         if (req.body.assignee_id) {
             const [users] = await db.execute('SELECT id FROM users WHERE id = ?', [req.body.assignee_id]);
             if (users.length === 0) {
                 return res.status(400).json({ message: 'Assignee not found' });
             }
+            if (!(await isProjectMember(db, req.projectId, req.body.assignee_id))) {
+                return res.status(400).json({ message: 'Assignee is not a member of this project' });
+            }
+        }
+
+        if (req.body.recurrence) {
+            req.body.recurrence = normalizeRecurrence(req.body.recurrence);
+        }
+
+        const recurrence = req.body.hasOwnProperty('recurrence') ? req.body.recurrence : previousTask.recurrence;
+        const dueDate = req.body.hasOwnProperty('due_date') ? req.body.due_date : previousTask.due_date;
+        if (recurrence && !dueDate) {
+            return res.status(400).json({ message: 'Recurring tasks need a due date' });
         }
 
         // Build update query dynamically
         const updateFields = [];
         const updateValues = [];
-        
-        ['title', 'description', 'priority', 'status', 'assignee_id', 'due_date'].forEach(field => {
+
+        ['title', 'description', 'priority', 'status', 'assignee_id', 'due_date', 'recurrence'].forEach(field => {
             if (req.body.hasOwnProperty(field)) {
                 updateFields.push(`${field} = ?`);
                 updateValues.push(req.body[field]);
             }
         });
 
-        if (updateFields.length === 0) {
+        const labelIds = req.body.label_ids;
+        if (updateFields.length === 0 && !labelIds) {
             return res.status(400).json({ message: 'No fields to update' });
         }
 
-        updateValues.push(id);
-        
-        await db.execute(
-            `UPDATE tasks SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-            updateValues
-        );
+        if (labelIds && !(await labelsBelongToProject(db, req.projectId, labelIds))) {
+            return res.status(400).json({ message: 'Labels must belong to the task\'s project' });
+        }
+
+        const saveChanges = async (connection) => {
+            await connection.execute(
+                `UPDATE tasks SET ${[...updateFields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = ?`,
+                [...updateValues, id]
+            );
+        };
+
+        // A card changing columns goes to the top of the new one
+        if (req.body.status && req.body.status !== previousTask.status) {
+            await withColumnLock(db, req.projectId, req.body.status, async (connection) => {
+                updateFields.push('board_rank = ?');
+                updateValues.push(await rankForPlacement(connection, {
+                    projectId: req.projectId,
+                    status: req.body.status,
+                    taskId: previousTask.id
+                }));
+                await saveChanges(connection);
+            });
+        } else {
+            await saveChanges(db);
+        }
+
+        if (labelIds) {
+            await setTaskLabels(db, id, labelIds);
+        }
 
         // Fetch updated task with assignee info
-        const [updatedTask] = await db.execute(`
-            SELECT 
-                t.id, t.title, t.description, t.priority, t.status, t.due_date,
-                t.created_at, t.updated_at, t.assignee_id,
-                u.name as assignee_name, u.email as assignee_email
-            FROM tasks t
-            LEFT JOIN users u ON t.assignee_id = u.id
-            WHERE t.id = ?
-        `, [id]);
+        const task = await getTaskById(db, id);
 
-        const task = updatedTask[0];
-        const taskWithBadge = {
-            ...task,
-            badge: getTaskBadge(task.due_date, task.status),
-            assignee: task.assignee_id ? {
-                id: task.assignee_id,
-                name: task.assignee_name,
-                email: task.assignee_email
-            } : null
-        };
+        await recordTaskChanges(db, id, req.user.id, previousTask, task);
+        if (task.assignee_id && task.assignee_id !== previousTask.assignee_id) {
+            await notifyAssignment(db, task, req.user.id);
+        }
+        const nextInstance = await completeRecurrence(db, previousTask, task, req.user.id);
+        await broadcastTaskChange(req, previousTask, task, nextInstance);
 
         res.json({
             message: 'Task updated successfully',
-            task: taskWithBadge
+            task,
+            nextInstance
         });
     } catch (error) {
         console.error('Update task error:', error);
@@ -349,14 +1051,102 @@ router.put('/:id', [
     }
 });
 
+/**
+ * @route POST /api/tasks/:id/move
+ * @desc Move a card within its column or to another one. afterId is the card that ends up
+ *       directly above it and beforeId the card directly below; with neither it goes to the top.
+ *       Answers 409 with stale: true when those cards have left the column or been reordered
+ *       meanwhile, so the client can reload the column. Status changes follow PUT /api/tasks/:id,
+ *       including nextInstance for recurring tasks.
+ * @access Private (project admins and members)
+ */
+router.post('/:id/move', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid task ID'),
+    body('status')
+        .optional()
+        .isString()
+        .withMessage('Status must be a workflow column name'),
+    body('afterId')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Invalid afterId'),
+    body('beforeId')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Invalid beforeId'),
+    body('force')
+        .optional()
+        .isBoolean()
+        .withMessage('force must be a boolean')
+], authorize('task:update', 'task'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const db = req.app.locals.db;
+        const previousTask = await getTaskById(db, id);
+        const status = req.body.status || previousTask.status;
+        const statusChanged = status !== previousTask.status;
+
+        if (statusChanged) {
+            const statusError = await checkStatusChange(db, req.projectId, previousTask, status, req.body.force);
+            if (statusError) {
+                return res.status(statusError.status).json(statusError.body);
+            }
+        }
+
+        await withColumnLock(db, req.projectId, status, async (connection) => {
+            const rank = await rankForPlacement(connection, {
+                projectId: req.projectId,
+                status,
+                taskId: previousTask.id,
+                afterId: req.body.afterId ? parseInt(req.body.afterId) : null,
+                beforeId: req.body.beforeId ? parseInt(req.body.beforeId) : null
+            });
+
+            // Reordering alone isn't an edit of the task
+            await connection.execute(
+                `UPDATE tasks SET status = ?, board_rank = ?, updated_at = ${statusChanged ? 'CURRENT_TIMESTAMP' : 'updated_at'} WHERE id = ?`,
+                [status, rank, id]
+            );
+        });
+
+        const task = await getTaskById(db, id);
+
+        if (statusChanged) {
+            await recordTaskChanges(db, id, req.user.id, previousTask, task);
+        }
+        const nextInstance = await completeRecurrence(db, previousTask, task, req.user.id);
+        await broadcastTaskChange(req, previousTask, task, nextInstance);
+
+        res.json({
+            message: 'Task moved successfully',
+            task,
+            nextInstance
+        });
+    } catch (error) {
+        if (error instanceof RankConflictError) {
+            return res.status(409).json({ message: error.message, stale: true });
+        }
+        console.error('Move task error:', error);
+        res.status(500).json({ message: 'Error moving task' });
+    }
+});
+
 /**
  * @route DELETE /api/tasks/:id
- * @desc Delete a task
- * @access Private
+ * @desc Move a task and its subtasks to the trash (members may only delete tasks assigned to them or unassigned)
+ * @access Private (project admins and members)
  */
 router.delete('/:id', [
     param('id').isInt({ min: 1 }).withMessage('Invalid task ID')
-], async (req, res) => {
+], authorize('task:delete', 'task'), async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -369,19 +1159,21 @@ router.delete('/:id', [
         const { id } = req.params;
         const db = req.app.locals.db;
 
-        // Check if task exists
-        const [existingTasks] = await db.execute('SELECT id FROM tasks WHERE id = ?', [id]);
-        if (existingTasks.length === 0) {
-            return res.status(404).json({ message: 'Task not found' });
-        }
+        // Subtasks go to the trash with the task and come back with it
+        const trashedIds = await trashTask(db, parseInt(id), req.user.id);
+        await recordActivity(db, { taskId: id, actorId: req.user.id, action: 'deleted' });
 
-        await db.execute('DELETE FROM tasks WHERE id = ?', [id]);
+        await broadcast(req, 'task.deleted', { taskIds: trashedIds });
+        const [trashed] = await db.execute('SELECT parent_id FROM tasks WHERE id = ?', [id]);
+        if (trashed[0].parent_id) {
+            await broadcast(req, 'task.updated', { tasks: [await getTaskById(db, trashed[0].parent_id)] });
+        }
 
-        res.json({ message: 'Task deleted successfully' });
+        res.json({ message: 'Task moved to trash', trashedIds });
     } catch (error) {
         console.error('Delete task error:', error);
         res.status(500).json({ message: 'Error deleting task' });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const { validationResult, param } = require('express-validator');
+const { authorize } = require('../middleware/authorize');
+const { TASK_COLUMNS, TASK_JOINS, formatTask, getTaskById, getTasksByIds } = require('../utils/tasks');
+const { recordActivity } = require('../utils/activity');
+const { TRASH_RETENTION_DAYS, restoreTask, purgeTasks } = require('../utils/trash');
+const { broadcast } = require('../utils/events');
+
+// Mounted by the projects router under /api/projects/:projectId/trash,
+// which already requires authentication
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Trashed tasks of a project, leaving out subtasks that were trashed together
+ * with their parent (they come back with it)
+ */
+const TRASH_SELECT = `
+    SELECT ${TASK_COLUMNS},
+        t.deleted_at, t.deleted_by, du.name as deleted_by_name,
+        (SELECT COUNT(*) FROM tasks st WHERE st.parent_id = t.id AND st.deleted_at = t.deleted_at) as trashed_subtask_count,
+        (SELECT COUNT(*) FROM comments c WHERE c.task_id = t.id) as comment_count,
+        (pt.deleted_at IS NOT NULL) as parent_trashed
+    ${TASK_JOINS}
+    LEFT JOIN users du ON du.id = t.deleted_by
+    WHERE t.project_id = ? AND t.deleted_at IS NOT NULL
+        AND (pt.id IS NULL OR pt.deleted_at IS NULL OR pt.deleted_at <> t.deleted_at)
+`;
+
+/**
+ * Shape a trashed task row for API responses
+ */
+const formatTrashedTask = (task) => {
+    const purgeAt = new Date(task.deleted_at);
+    purgeAt.setDate(purgeAt.getDate() + TRASH_RETENTION_DAYS);
+
+    return {
+        ...formatTask(task),
+        deletedAt: task.deleted_at,
+        deletedBy: task.deleted_by ? {
+            id: task.deleted_by,
+            name: task.deleted_by_name
+        } : null,
+        purgeAt,
+        trashedSubtaskCount: Number(task.trashed_subtask_count),
+        commentCount: Number(task.comment_count),
+        parentTrashed: !!task.parent_trashed
+    };
+};
+
+/**
+ * Helper function to fetch a trashed task of the current project
+ * @returns {Object|null} Trashed task row or null if not found
+ */
+const getTrashedTask = async (db, projectId, taskId) => {
+    const [tasks] = await db.execute(`${TRASH_SELECT} AND t.id = ?`, [projectId, taskId]);
+    return tasks.length > 0 ? tasks[0] : null;
+};
+
+/**
+ * @route GET /api/projects/:projectId/trash
+ * @desc Get the project's trashed tasks, most recently deleted first
+ * @access Private (project members)
+ */
+router.get('/', authorize('task:read'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [tasks] = await db.execute(
+            `${TRASH_SELECT} ORDER BY t.deleted_at DESC, t.id DESC`,
+            [req.projectId]
+        );
+
+        res.json({
+            retentionDays: TRASH_RETENTION_DAYS,
+            tasks: tasks.map(formatTrashedTask)
+        });
+    } catch (error) {
+        console.error('Get trash error:', error);
+        res.status(500).json({ message: 'Error fetching trash' });
+    }
+});
+
+/**
+ * @route POST /api/projects/:projectId/trash/:taskId/restore
+ * @desc Restore a task, with its comments and the subtasks trashed along with it
+ * @access Private (project admins and members)
+ */
+router.post('/:taskId/restore', [
+    param('taskId').isInt({ min: 1 }).withMessage('Invalid task ID')
+], authorize('task:create'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+
+        const trashed = await getTrashedTask(db, req.projectId, req.params.taskId);
+        if (!trashed) {
+            return res.status(404).json({ message: 'Task not found in the trash' });
+        }
+
+        if (trashed.parent_trashed) {
+            return res.status(409).json({
+                message: `Restore the parent task "${trashed.parent_title}" first`
+            });
+        }
+
+        const restoredIds = await restoreTask(db, trashed.id);
+        await recordActivity(db, { taskId: trashed.id, actorId: req.user.id, action: 'restored' });
+
+        const task = await getTaskById(db, trashed.id);
+
+        await broadcast(req, 'task.created', { tasks: await getTasksByIds(db, restoredIds) });
+        if (task.parent_id) {
+            await broadcast(req, 'task.updated', { tasks: [await getTaskById(db, task.parent_id)] });
+        }
+
+        res.json({
+            message: 'Task restored successfully',
+            task,
+            restoredIds
+        });
+    } catch (error) {
+        console.error('Restore task error:', error);
+        res.status(500).json({ message: 'Error restoring task' });
+    }
+});
+
+/**
+ * @route DELETE /api/projects/:projectId/trash/:taskId
+ * @desc Permanently delete a trashed task with its subtasks, comments and attachments
+ * @access Private (project admins)
+ */
+router.delete('/:taskId', [
+    param('taskId').isInt({ min: 1 }).withMessage('Invalid task ID')
+], authorize('task:delete'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+
+        const trashed = await getTrashedTask(db, req.projectId, req.params.taskId);
+        if (!trashed) {
+            return res.status(404).json({ message: 'Task not found in the trash' });
+        }
+
+        await purgeTasks(db, [trashed.id]);
+
+        res.json({ message: 'Task permanently deleted' });
+    } catch (error) {
+        console.error('Purge task error:', error);
+        res.status(500).json({ message: 'Error deleting task' });
+    }
+});
+
+/**
+ * @route DELETE /api/projects/:projectId/trash
+ * @desc Permanently delete every task in the project's trash
+ * @access Private (project admins)
+ */
+router.delete('/', authorize('project:manage'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [tasks] = await db.execute(TRASH_SELECT, [req.projectId]);
+        await purgeTasks(db, tasks.map(task => task.id));
+
+        res.json({ message: 'Trash emptied successfully', purged: tasks.length });
+    } catch (error) {
+        console.error('Empty trash error:', error);
+        res.status(500).json({ message: 'Error emptying trash' });
+    }
+});
+
+module.exports = router;
@@ -1,5 +1,17 @@
 const express = require('express');
+const { body, validationResult, param } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { TASK_COLUMNS, TASK_JOINS, formatTask } = require('../utils/tasks');
+const {
+    TASK_SORTS,
+    PaginationError,
+    pageValidators,
+    parseSort,
+    parseLimit,
+    buildPageQuery,
+    paginate
+} = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -16,7 +28,7 @@ router.get('/', async (req, res) => {
         const db = req.app.locals.db;
 
         const [users] = await db.execute(
-            'SELECT id, name, email FROM users ORDER BY name ASC'
+            'SELECT id, name, email, role FROM users ORDER BY name ASC'
         );
 
         res.json(users);
@@ -28,57 +40,56 @@ router.get('/', async (req, res) => {
 
 /**
  * @route GET /api/users/me/tasks
- * @desc Get tasks assigned to current user
+ * @desc Get a page of the tasks assigned to current user across their projects, each with its project_name
+ *       (same sort, limit and cursor parameters as GET /api/tasks)
  * @access Private
  */
-router.get('/me/tasks', async (req, res) => {
+router.get('/me/tasks', pageValidators(TASK_SORTS), async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid query parameters',
+                errors: errors.array()
+            });
+        }
+
         const userId = req.user.id;
         const db = req.app.locals.db;
 
-        const [tasks] = await db.execute(`
-            SELECT 
-                t.id, t.title, t.description, t.priority, t.status, t.due_date,
-                t.created_at, t.updated_at, t.assignee_id,
-                u.name as assignee_name, u.email as assignee_email
-            FROM tasks t
-            LEFT JOIN users u ON t.assignee_id = u.id
-            WHERE t.assignee_id = ?
-            ORDER BY t.created_at DESC
-        `, [userId]);
-
-        // Helper function to determine task badge status
-        const getTaskBadge = (dueDate, status) => {
-            if (!dueDate || status === 'Done') {
-                return 'On Track';
-            }
-
-            const now = new Date();
-            const due = new Date(dueDate);
-            const timeDiff = due.getTime() - now.getTime();
-            const hoursDiff = timeDiff / (1000 * 3600);
-
-            if (hoursDiff < 0) {
-                return 'Overdue';
-            } else if (hoursDiff <= 24) {
-                return 'At Risk';
-            }
-            return 'On Track';
-        };
-
-        // Add badge status to each task
-        const tasksWithBadges = tasks.map(task => ({
-            ...task,
-            badge: getTaskBadge(task.due_date, task.status),
-            assignee: task.assignee_id ? {
-                id: task.assignee_id,
-                name: task.assignee_name,
-                email: task.assignee_email
-            } : null
-        }));
-
-        res.json(tasksWithBadges);
+        const sort = parseSort(req.query.sort, TASK_SORTS, '-created_at');
+        const limit = parseLimit(req.query.limit);
+        const page = buildPageQuery({ sort, cursor: req.query.cursor, idExpr: 't.id' });
+
+        const membership = 'JOIN project_members pm ON pm.project_id = t.project_id AND pm.user_id = t.assignee_id';
+
+        const [counts] = await db.execute(
+            `SELECT COUNT(*) as total FROM tasks t ${membership} WHERE t.assignee_id = ? AND t.deleted_at IS NULL`,
+            [userId]
+        );
+
+        // Tasks come from every project, so each says which one it belongs to
+        const [rows] = await db.execute(`
+            SELECT ${TASK_COLUMNS}, p.name as project_name${page.select}
+            ${TASK_JOINS}
+            JOIN projects p ON p.id = t.project_id
+            ${membership}
+            WHERE t.assignee_id = ? AND t.deleted_at IS NULL${page.where ? ` AND ${page.where}` : ''}
+            ORDER BY ${page.orderBy}
+            LIMIT ${limit + 1}
+        `, [userId, ...page.params]);
+
+        const { items, nextCursor } = paginate(rows, limit, sort);
+
+        res.json({
+            tasks: items.map(formatTask),
+            total: Number(counts[0].total),
+            nextCursor
+        });
     } catch (error) {
+        if (error instanceof PaginationError) {
+            return res.status(400).json({ message: error.message });
+        }
         console.error('Get user tasks error:', error);
         res.status(500).json({ message: 'Error fetching user tasks' });
     }
@@ -99,7 +110,7 @@ router.get('/:id', async (req, res) => {
         }
 
         const [users] = await db.execute(
-            'SELECT id, name, email, created_at FROM users WHERE id = ?',
+            'SELECT id, name, email, role, created_at FROM users WHERE id = ?',
             [id]
         );
 
@@ -114,4 +125,45 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * @route PUT /api/users/:id/role
+ * @desc Change a user's global role
+ * @access Private (admins)
+ */
+router.put('/:id/role', requireRole('admin'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid user ID'),
+    body('role')
+        .isIn(['admin', 'member'])
+        .withMessage('Role must be admin or member')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const userId = parseInt(req.params.id);
+        const { role } = req.body;
+        const db = req.app.locals.db;
+
+        if (userId === req.user.id && role !== 'admin') {
+            return res.status(400).json({ message: 'You cannot remove your own admin role' });
+        }
+
+        const [result] = await db.execute('UPDATE users SET role = ? WHERE id = ?', [role, userId]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.json({ message: 'User role updated successfully' });
+    } catch (error) {
+        console.error('Update user role error:', error);
+        res.status(500).json({ message: 'Error updating user role' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,326 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const { authorize, hasPermission } = require('../middleware/authorize');
+const { TASK_SORTS } = require('../utils/pagination');
+
+// Mounted by the projects router under /api/projects/:projectId/views,
+// which already requires authentication
+const router = express.Router({ mergeParams: true });
+
+const SORT_VALUES = Object.keys(TASK_SORTS).flatMap(name => [name, `-${name}`]);
+
+const VIEW_SELECT = `
+    SELECT
+        v.id, v.project_id, v.owner_id, v.name, v.filters, v.sort, v.hidden_columns,
+        v.is_shared, v.created_at, v.updated_at,
+        u.name as owner_name
+    FROM saved_views v
+    JOIN users u ON v.owner_id = u.id
+`;
+
+/**
+ * Parse a JSON column (a string on servers without a native JSON type)
+ */
+const parseJson = (value) => typeof value === 'string' ? JSON.parse(value) : value;
+
+/**
+ * Shape a saved view row for API responses
+ */
+const formatView = (view) => ({
+    id: view.id,
+    projectId: view.project_id,
+    name: view.name,
+    filters: parseJson(view.filters),
+    sort: view.sort,
+    hiddenColumns: parseJson(view.hidden_columns),
+    shared: !!view.is_shared,
+    owner: {
+        id: view.owner_id,
+        name: view.owner_name
+    },
+    createdAt: view.created_at,
+    updatedAt: view.updated_at
+});
+
+/**
+ * Keep only the filter settings the board understands
+ * @throws {Error} When a setting has the wrong type
+ */
+const normalizeFilters = (filters = {}) => {
+    const normalized = {
+        assignee: String(filters.assignee || ''),
+        priority: filters.priority || '',
+        labels: filters.labels || [],
+        labelMode: filters.labelMode || 'any',
+        query: filters.query || ''
+    };
+
+    // Same rule as the assignee filter of GET /api/tasks, or empty for everyone
+    if (!/^(|unassigned|[1-9]\d*)$/.test(normalized.assignee)) {
+        throw new Error('filters.assignee must be a user ID or unassigned');
+    }
+    if (!['', 'Low', 'Medium', 'High'].includes(normalized.priority)) {
+        throw new Error('filters.priority must be Low, Medium or High');
+    }
+    if (!Array.isArray(normalized.labels) || !normalized.labels.every(Number.isInteger)) {
+        throw new Error('filters.labels must be a list of label IDs');
+    }
+    if (!['any', 'all'].includes(normalized.labelMode)) {
+        throw new Error('filters.labelMode must be any or all');
+    }
+    if (typeof normalized.query !== 'string' || normalized.query.length > 1000) {
+        throw new Error('filters.query must be text of at most 1000 characters');
+    }
+
+    return normalized;
+};
+
+const viewValidators = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('name')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('View name is required and must be less than 100 characters'),
+        body('filters')
+            .optional()
+            .isObject()
+            .withMessage('filters must be an object')
+            .bail()
+            .custom(filters => normalizeFilters(filters) && true),
+        body('sort')
+            .optional()
+            .isIn(SORT_VALUES)
+            .withMessage(`Sort must be one of: ${SORT_VALUES.join(', ')}`),
+        body('hiddenColumns')
+            .optional()
+            .isArray()
+            .withMessage('hiddenColumns must be a list of column names')
+            .bail()
+            .custom(columns => columns.every(column => typeof column === 'string'))
+            .withMessage('hiddenColumns must be a list of column names'),
+        body('shared')
+            .optional()
+            .isBoolean()
+            .withMessage('shared must be true or false')
+    ];
+};
+
+/**
+ * Helper function to fetch a view of the current project that the user can see:
+ * their own views and views shared with the project
+ * @returns {Object|null} View row or null if not found
+ */
+const getVisibleView = async (db, projectId, viewId, userId) => {
+    const [views] = await db.execute(
+        `${VIEW_SELECT} WHERE v.id = ? AND v.project_id = ? AND (v.owner_id = ? OR v.is_shared)`,
+        [viewId, projectId, userId]
+    );
+    return views.length > 0 ? views[0] : null;
+};
+
+/**
+ * Helper function to check whether the user already has a view with a name
+ * @returns {boolean}
+ */
+const viewNameTaken = async (db, projectId, userId, name, exceptId = 0) => {
+    const [views] = await db.execute(
+        'SELECT id FROM saved_views WHERE project_id = ? AND owner_id = ? AND name = ? AND id <> ?',
+        [projectId, userId, name, exceptId]
+    );
+    return views.length > 0;
+};
+
+/**
+ * @route GET /api/projects/:projectId/views
+ * @desc Get the user's own views and the views shared with the project, sorted by name
+ * @access Private (project members)
+ */
+router.get('/', authorize('project:read'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [views] = await db.execute(
+            `${VIEW_SELECT} WHERE v.project_id = ? AND (v.owner_id = ? OR v.is_shared) ORDER BY v.name ASC, v.id ASC`,
+            [req.projectId, req.user.id]
+        );
+
+        res.json(views.map(formatView));
+    } catch (error) {
+        console.error('Get views error:', error);
+        res.status(500).json({ message: 'Error fetching views' });
+    }
+});
+
+/**
+ * @route GET /api/projects/:projectId/views/:viewId
+ * @desc Get a single view, e.g. to restore it from a link
+ * @access Private (project members; the owner, or everyone when shared)
+ */
+router.get('/:viewId', [
+    param('viewId').isInt({ min: 1 }).withMessage('Invalid view ID')
+], authorize('project:read'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid view ID',
+                errors: errors.array()
+            });
+        }
+
+        const view = await getVisibleView(req.app.locals.db, req.projectId, req.params.viewId, req.user.id);
+        if (!view) {
+            return res.status(404).json({ message: 'View not found' });
+        }
+
+        res.json(formatView(view));
+    } catch (error) {
+        console.error('Get view error:', error);
+        res.status(500).json({ message: 'Error fetching view' });
+    }
+});
+
+/**
+ * @route POST /api/projects/:projectId/views
+ * @desc Save a view
+ * @access Private (project members)
+ */
+router.post('/', viewValidators(false), authorize('project:read'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, filters, sort = 'rank', hiddenColumns = [], shared = false } = req.body;
+        const db = req.app.locals.db;
+
+        if (await viewNameTaken(db, req.projectId, req.user.id, name)) {
+            return res.status(400).json({ message: 'You already have a view with this name' });
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO saved_views (project_id, owner_id, name, filters, sort, hidden_columns, is_shared)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                req.projectId,
+                req.user.id,
+                name,
+                JSON.stringify(normalizeFilters(filters)),
+                sort,
+                JSON.stringify(hiddenColumns),
+                shared
+            ]
+        );
+
+        const view = await getVisibleView(db, req.projectId, result.insertId, req.user.id);
+
+        res.status(201).json({
+            message: 'View saved successfully',
+            view: formatView(view)
+        });
+    } catch (error) {
+        console.error('Create view error:', error);
+        res.status(500).json({ message: 'Error saving view' });
+    }
+});
+
+/**
+ * @route PUT /api/projects/:projectId/views/:viewId
+ * @desc Rename, overwrite or (un)share a view
+ * @access Private (the view's owner)
+ */
+router.put('/:viewId', [
+    param('viewId').isInt({ min: 1 }).withMessage('Invalid view ID'),
+    ...viewValidators(true)
+], authorize('project:read'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+
+        const view = await getVisibleView(db, req.projectId, req.params.viewId, req.user.id);
+        if (!view) {
+            return res.status(404).json({ message: 'View not found' });
+        }
+
+        if (view.owner_id !== req.user.id) {
+            return res.status(403).json({ message: 'Access denied: You can only change your own views' });
+        }
+
+        const name = req.body.name !== undefined ? req.body.name : view.name;
+        if (name !== view.name && await viewNameTaken(db, req.projectId, req.user.id, name, view.id)) {
+            return res.status(400).json({ message: 'You already have a view with this name' });
+        }
+
+        const filters = req.body.filters !== undefined ? normalizeFilters(req.body.filters) : parseJson(view.filters);
+        const sort = req.body.sort !== undefined ? req.body.sort : view.sort;
+        const hiddenColumns = req.body.hiddenColumns !== undefined ? req.body.hiddenColumns : parseJson(view.hidden_columns);
+        const shared = req.body.shared !== undefined ? req.body.shared : !!view.is_shared;
+
+        await db.execute(
+            'UPDATE saved_views SET name = ?, filters = ?, sort = ?, hidden_columns = ?, is_shared = ? WHERE id = ?',
+            [name, JSON.stringify(filters), sort, JSON.stringify(hiddenColumns), shared, view.id]
+        );
+
+        const updatedView = await getVisibleView(db, req.projectId, view.id, req.user.id);
+
+        res.json({
+            message: 'View updated successfully',
+            view: formatView(updatedView)
+        });
+    } catch (error) {
+        console.error('Update view error:', error);
+        res.status(500).json({ message: 'Error updating view' });
+    }
+});
+
+/**
+ * @route DELETE /api/projects/:projectId/views/:viewId
+ * @desc Delete a view
+ * @access Private (the view's owner, or project admins for shared views)
+ */
+router.delete('/:viewId', [
+    param('viewId').isInt({ min: 1 }).withMessage('Invalid view ID')
+], authorize('project:read'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Invalid view ID',
+                errors: errors.array()
+            });
+        }
+
+        const db = req.app.locals.db;
+
+        const view = await getVisibleView(db, req.projectId, req.params.viewId, req.user.id);
+        if (!view) {
+            return res.status(404).json({ message: 'View not found' });
+        }
+
+        if (view.owner_id !== req.user.id && !hasPermission(req.projectRole, 'project:manage')) {
+            return res.status(403).json({ message: 'Access denied: You can only delete your own views' });
+        }
+
+        await db.execute('DELETE FROM saved_views WHERE id = ?', [view.id]);
+
+        res.json({ message: 'View deleted successfully' });
+    } catch (error) {
+        console.error('Delete view error:', error);
+        res.status(500).json({ message: 'Error deleting view' });
+    }
+});
+
+module.exports = router;
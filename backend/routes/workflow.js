@@ -0,0 +1,385 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const { authorize } = require('../middleware/authorize');
+const { formatColumn, getColumns } = require('../utils/workflow');
+const { broadcast } = require('../utils/events');
+const { recordActivity } = require('../utils/activity');
+
+// Mounted by the projects router under /api/projects/:projectId/columns,
+// which already requires authentication
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Helper function to fetch a column that belongs to the current project
+ * @returns {Object|null} Column row or null if not found
+ */
+const getProjectColumn = async (db, projectId, columnId) => {
+    const [columns] = await db.execute(
+        'SELECT id, project_id, name, position, is_done FROM workflow_columns WHERE id = ? AND project_id = ?',
+        [columnId, projectId]
+    );
+    return columns.length > 0 ? columns[0] : null;
+};
+
+/**
+ * Helper function to move all of a project's tasks from one column to another, with a
+ * status change in each task's activity log
+ * @param {Object} connection - Connection with an open transaction
+ * @param {number} projectId - Project ID
+ * @param {string} from - Name of the column the tasks are in
+ * @param {string} to - Name of the column they move to
+ * @param {number} actorId - User who made the change
+ * @returns {Promise<number>} Number of tasks moved
+ */
+const moveColumnTasks = async (connection, projectId, from, to, actorId) => {
+    const [tasks] = await connection.execute(
+        'SELECT id FROM tasks WHERE project_id = ? AND status = ? FOR UPDATE',
+        [projectId, from]
+    );
+    if (tasks.length === 0) {
+        return 0;
+    }
+
+    await connection.execute(
+        'UPDATE tasks SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE project_id = ? AND status = ?',
+        [to, projectId, from]
+    );
+
+    for (const task of tasks) {
+        await recordActivity(connection, {
+            taskId: task.id,
+            actorId,
+            action: 'status_changed',
+            field: 'status',
+            oldValue: from,
+            newValue: to
+        });
+    }
+
+    return tasks.length;
+};
+
+/**
+ * @route GET /api/projects/:projectId/columns
+ * @desc Get the project's workflow columns in board order
+ * @access Private (project members)
+ */
+router.get('/', authorize('project:read'), async (req, res) => {
+    try {
+        const columns = await getColumns(req.app.locals.db, req.projectId);
+        res.json(columns);
+    } catch (error) {
+        console.error('Get columns error:', error);
+        res.status(500).json({ message: 'Error fetching columns' });
+    }
+});
+
+/**
+ * @route POST /api/projects/:projectId/columns
+ * @desc Add a workflow column (appended at the end unless a position is given)
+ * @access Private (project admins)
+ */
+router.post('/', [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Column name is required and must be less than 50 characters'),
+    body('is_done')
+        .optional()
+        .isBoolean()
+        .withMessage('is_done must be a boolean'),
+    body('position')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Position must be a non-negative integer')
+], authorize('project:manage'), async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, is_done = false } = req.body;
+
+        const [existingColumns] = await db.execute(
+            'SELECT id FROM workflow_columns WHERE project_id = ? AND name = ?',
+            [req.projectId, name]
+        );
+        if (existingColumns.length > 0) {
+            return res.status(400).json({ message: 'A column with this name already exists' });
+        }
+
+        const columns = await getColumns(db, req.projectId);
+        const position = Math.min(
+            req.body.position !== undefined ? parseInt(req.body.position) : columns.length,
+            columns.length
+        );
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        // Make room for the new column
+        await connection.execute(
+            'UPDATE workflow_columns SET position = position + 1 WHERE project_id = ? AND position >= ?',
+            [req.projectId, position]
+        );
+
+        const [result] = await connection.execute(
+            'INSERT INTO workflow_columns (project_id, name, position, is_done) VALUES (?, ?, ?, ?)',
+            [req.projectId, name, position, is_done === true || is_done === 'true']
+        );
+
+        await connection.commit();
+
+        await broadcast(req, 'workflow.updated', {});
+
+        const column = await getProjectColumn(db, req.projectId, result.insertId);
+
+        res.status(201).json({
+            message: 'Column created successfully',
+            column: formatColumn(column)
+        });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error('Create column error:', error);
+        res.status(500).json({ message: 'Error creating column' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+});
+
+/**
+ * @route PUT /api/projects/:projectId/columns/order
+ * @desc Reorder workflow columns
+ * @access Private (project admins)
+ */
+router.put('/order', [
+    body('column_ids')
+        .isArray({ min: 1 })
+        .withMessage('column_ids must be a non-empty array'),
+    body('column_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Invalid column ID')
+], authorize('project:manage'), async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const columnIds = req.body.column_ids.map(id => parseInt(id));
+        const columns = await getColumns(db, req.projectId);
+        const currentIds = columns.map(column => column.id).sort((a, b) => a - b);
+        const requestedIds = [...columnIds].sort((a, b) => a - b);
+
+        if (currentIds.length !== requestedIds.length || currentIds.some((id, index) => id !== requestedIds[index])) {
+            return res.status(400).json({ message: 'column_ids must list every column of the project exactly once' });
+        }
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        for (const [position, columnId] of columnIds.entries()) {
+            await connection.execute(
+                'UPDATE workflow_columns SET position = ? WHERE id = ? AND project_id = ?',
+                [position, columnId, req.projectId]
+            );
+        }
+
+        await connection.commit();
+
+        await broadcast(req, 'workflow.updated', {});
+
+        res.json({
+            message: 'Columns reordered successfully',
+            columns: await getColumns(db, req.projectId)
+        });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error('Reorder columns error:', error);
+        res.status(500).json({ message: 'Error reordering columns' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+});
+
+/**
+ * @route PUT /api/projects/:projectId/columns/:columnId
+ * @desc Rename a column or change whether it counts as done; tasks in the column follow a rename
+ * @access Private (project admins)
+ */
+router.put('/:columnId', [
+    param('columnId').isInt({ min: 1 }).withMessage('Invalid column ID'),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Column name must be less than 50 characters'),
+    body('is_done')
+        .optional()
+        .isBoolean()
+        .withMessage('is_done must be a boolean')
+], authorize('project:manage'), async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const column = await getProjectColumn(db, req.projectId, req.params.columnId);
+        if (!column) {
+            return res.status(404).json({ message: 'Column not found' });
+        }
+
+        const name = req.body.name !== undefined ? req.body.name : column.name;
+        const isDone = req.body.is_done !== undefined
+            ? req.body.is_done === true || req.body.is_done === 'true'
+            : !!column.is_done;
+
+        if (name !== column.name) {
+            const [existingColumns] = await db.execute(
+                'SELECT id FROM workflow_columns WHERE project_id = ? AND name = ? AND id <> ?',
+                [req.projectId, name, column.id]
+            );
+            if (existingColumns.length > 0) {
+                return res.status(400).json({ message: 'A column with this name already exists' });
+            }
+        }
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        await connection.execute(
+            'UPDATE workflow_columns SET name = ?, is_done = ? WHERE id = ?',
+            [name, isDone, column.id]
+        );
+
+        // Tasks reference their column by name, so move them along with a rename
+        if (name !== column.name) {
+            await moveColumnTasks(connection, req.projectId, column.name, name, req.user.id);
+        }
+
+        await connection.commit();
+
+        // Open boards reload their columns, and the tasks that moved with a rename
+        await broadcast(req, 'workflow.updated', {});
+
+        const updatedColumn = await getProjectColumn(db, req.projectId, column.id);
+
+        res.json({
+            message: 'Column updated successfully',
+            column: formatColumn(updatedColumn)
+        });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error('Update column error:', error);
+        res.status(500).json({ message: 'Error updating column' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+});
+
+/**
+ * @route DELETE /api/projects/:projectId/columns/:columnId
+ * @desc Delete a column; its tasks move to ?move_to=<columnId> (defaults to the first remaining column)
+ * @access Private (project admins)
+ */
+router.delete('/:columnId', [
+    param('columnId').isInt({ min: 1 }).withMessage('Invalid column ID'),
+    query('move_to').optional().isInt({ min: 1 }).withMessage('Invalid target column ID')
+], authorize('project:manage'), async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const column = await getProjectColumn(db, req.projectId, req.params.columnId);
+        if (!column) {
+            return res.status(404).json({ message: 'Column not found' });
+        }
+
+        const remainingColumns = (await getColumns(db, req.projectId)).filter(c => c.id !== column.id);
+        if (remainingColumns.length === 0) {
+            return res.status(400).json({ message: 'A project needs at least one column' });
+        }
+
+        const target = req.query.move_to
+            ? remainingColumns.find(c => c.id === parseInt(req.query.move_to))
+            : remainingColumns[0];
+        if (!target) {
+            return res.status(400).json({ message: 'Target column not found' });
+        }
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const movedTasks = await moveColumnTasks(connection, req.projectId, column.name, target.name, req.user.id);
+
+        await connection.execute('DELETE FROM workflow_columns WHERE id = ?', [column.id]);
+
+        await connection.execute(
+            'UPDATE workflow_columns SET position = position - 1 WHERE project_id = ? AND position > ?',
+            [req.projectId, column.position]
+        );
+
+        await connection.commit();
+
+        // Open boards reload their columns, and the tasks moved out of the deleted one
+        await broadcast(req, 'workflow.updated', {});
+
+        res.json({
+            message: 'Column deleted successfully',
+            movedTasks,
+            movedTo: target
+        });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error('Delete column error:', error);
+        res.status(500).json({ message: 'Error deleting column' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+});
+
+module.exports = router;
@@ -6,9 +6,19 @@ const mysql = require('mysql2/promise');
 // Load environment variables
 dotenv.config();
 
+const { startTrashPurge } = require('./utils/trash');
+const { startRecurrenceSchedule } = require('./utils/recurrence');
+const { startDueDateReminders } = require('./utils/notifications');
+const { startMailOutbox } = require('./utils/mailer');
+const { startDigestSchedule } = require('./utils/digests');
+const { createTransport } = require('./utils/mailTransports');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Fails at startup when MAIL_TRANSPORT names no transport
+const mailTransport = createTransport();
+
 // Middleware
 app.use(cors({
     origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
@@ -38,6 +48,17 @@ pool.getConnection()
     .then(connection => {
         console.log('✅ Database connected successfully');
         connection.release();
+
+        // Purge tasks that outlived the trash retention period
+        startTrashPurge(pool);
+        // Create the next instances of recurring tasks that are due
+        startRecurrenceSchedule(pool);
+        // Remind assignees of tasks that are due soon or overdue
+        startDueDateReminders(pool);
+        // Queue daily and weekly digests as they come due
+        startDigestSchedule(pool);
+        // Send queued emails
+        startMailOutbox(pool, mailTransport);
     })
     .catch(err => {
         console.error('❌ Database connection failed:', err.message);
@@ -49,11 +70,19 @@ const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
 const commentRoutes = require('./routes/comments');
 const userRoutes = require('./routes/users');
+const projectRoutes = require('./routes/projects');
+const searchRoutes = require('./routes/search');
+const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,69 @@
+/**
+ * Task fields whose changes are written to the activity log
+ */
+const TRACKED_FIELDS = ['title', 'description', 'priority', 'status', 'assignee_id', 'due_date', 'labels', 'recurrence'];
+
+/**
+ * Normalize a field value for storage and comparison in the activity log
+ * @returns {string|null}
+ */
+const normalizeValue = (field, value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (field === 'due_date') {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? String(value) : date.toISOString();
+    }
+    if (field === 'labels') {
+        return value.length > 0 ? value.map(label => label.name).sort().join(', ') : null;
+    }
+    return String(value);
+};
+
+/**
+ * Append an entry to a task's activity log
+ * @param {Object} db - Database pool or connection
+ * @param {Object} entry - { taskId, actorId, action, field, oldValue, newValue, commentId }
+ */
+const recordActivity = async (db, { taskId, actorId, action, field = null, oldValue = null, newValue = null, commentId = null }) => {
+    await db.execute(`
+        INSERT INTO task_activity (task_id, actor_id, action, field, old_value, new_value, comment_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [taskId, actorId, action, field, oldValue, newValue, commentId]);
+};
+
+/**
+ * Record one activity entry per tracked field that differs between two versions of a task.
+ * Status and assignee changes get their own actions; everything else is 'updated'.
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Task ID
+ * @param {number} actorId - User who made the change
+ * @param {Object} before - Task row before the update
+ * @param {Object} after - Task row after the update
+ */
+const recordTaskChanges = async (db, taskId, actorId, before, after) => {
+    for (const field of TRACKED_FIELDS) {
+        const oldValue = normalizeValue(field, before[field]);
+        const newValue = normalizeValue(field, after[field]);
+
+        if (oldValue === newValue) {
+            continue;
+        }
+
+        let action = 'updated';
+        if (field === 'status') {
+            action = 'status_changed';
+        } else if (field === 'assignee_id') {
+            action = 'assigned';
+        }
+
+        await recordActivity(db, { taskId, actorId, action, field, oldValue, newValue });
+    }
+};
+
+module.exports = {
+    TRACKED_FIELDS,
+    recordActivity,
+    recordTaskChanges
+};
@@ -0,0 +1,150 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Attachment storage settings, configurable through the environment
+ */
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+const MAX_ATTACHMENT_SIZE = parseInt(process.env.ATTACHMENT_MAX_SIZE) || 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_UPLOAD = parseInt(process.env.ATTACHMENT_MAX_FILES) || 10;
+const ALLOWED_MIME_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES || [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'text/markdown',
+    'application/json',
+    'application/zip'
+].join(','))
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Check whether a MIME type may be uploaded
+ * @param {string} mimeType - MIME type reported for the file
+ * @returns {boolean}
+ */
+const isAllowedMimeType = (mimeType) => ALLOWED_MIME_TYPES.includes((mimeType || '').toLowerCase());
+
+/**
+ * Absolute path of a stored attachment file
+ * @param {string} storedName - Name the file was stored under
+ * @returns {string}
+ */
+const getAttachmentPath = (storedName) => path.join(UPLOAD_DIR, path.basename(storedName));
+
+/**
+ * Shape an attachment row for API responses
+ */
+const formatAttachment = (attachment) => ({
+    id: attachment.id,
+    taskId: attachment.task_id,
+    filename: attachment.original_name,
+    mimeType: attachment.mime_type,
+    size: attachment.size,
+    createdAt: attachment.created_at,
+    author: attachment.uploader_id ? {
+        id: attachment.uploader_id,
+        name: attachment.uploader_name
+    } : null
+});
+
+const ATTACHMENT_SELECT = `
+    SELECT a.id, a.task_id, a.uploader_id, a.original_name, a.stored_name, a.mime_type, a.size, a.created_at,
+           u.name as uploader_name
+    FROM attachments a
+    LEFT JOIN users u ON a.uploader_id = u.id
+`;
+
+/**
+ * Fetch a task's attachment row by ID
+ * @returns {Object|null} Attachment row (with stored_name) or null if not found
+ */
+const getAttachment = async (db, taskId, attachmentId) => {
+    const [attachments] = await db.execute(
+        `${ATTACHMENT_SELECT} WHERE a.id = ? AND a.task_id = ?`,
+        [attachmentId, taskId]
+    );
+    return attachments.length > 0 ? attachments[0] : null;
+};
+
+/**
+ * Get the stored file names of a task's attachments, including those of its subtasks
+ * at any depth (they are deleted along with the task)
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Task ID
+ * @returns {Promise<string[]>}
+ */
+const getTaskTreeFiles = async (db, taskId) => {
+    const taskIds = [];
+    let frontier = [taskId];
+
+    while (frontier.length > 0) {
+        taskIds.push(...frontier);
+        const placeholders = frontier.map(() => '?').join(', ');
+        const [children] = await db.execute(
+            `SELECT id FROM tasks WHERE parent_id IN (${placeholders})`,
+            frontier
+        );
+        frontier = children.map(child => child.id);
+    }
+
+    const placeholders = taskIds.map(() => '?').join(', ');
+    const [files] = await db.execute(
+        `SELECT stored_name FROM attachments WHERE task_id IN (${placeholders})`,
+        taskIds
+    );
+    return files.map(file => file.stored_name);
+};
+
+/**
+ * Get the stored file names of every attachment in a project
+ * @param {Object} db - Database pool or connection
+ * @param {number} projectId - Project ID
+ * @returns {Promise<string[]>}
+ */
+const getProjectFiles = async (db, projectId) => {
+    const [files] = await db.execute(`
+        SELECT a.stored_name
+        FROM attachments a
+        JOIN tasks t ON a.task_id = t.id
+        WHERE t.project_id = ?
+    `, [projectId]);
+    return files.map(file => file.stored_name);
+};
+
+/**
+ * Remove stored attachment files from disk. Files that are already gone are ignored,
+ * other failures are logged so they never fail the request that deleted the rows.
+ * @param {string[]} storedNames - Stored file names
+ */
+const removeAttachmentFiles = async (storedNames) => {
+    for (const storedName of storedNames) {
+        try {
+            await fs.unlink(getAttachmentPath(storedName));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Remove attachment file error:', error);
+            }
+        }
+    }
+};
+
+module.exports = {
+    UPLOAD_DIR,
+    MAX_ATTACHMENT_SIZE,
+    MAX_ATTACHMENTS_PER_UPLOAD,
+    ALLOWED_MIME_TYPES,
+    ATTACHMENT_SELECT,
+    isAllowedMimeType,
+    getAttachmentPath,
+    formatAttachment,
+    getAttachment,
+    getTaskTreeFiles,
+    getProjectFiles,
+    removeAttachmentFiles
+};
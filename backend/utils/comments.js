@@ -0,0 +1,112 @@
+const { getMentions } = require('./mentions');
+const { getReactions } = require('./reactions');
+
+/**
+ * Columns and joins shared by every comment query, kept apart so paginated
+ * queries can add their sort key columns
+ */
+const COMMENT_COLUMNS = `
+        c.id, c.task_id, c.parent_id, c.body, c.created_at, c.updated_at, c.resolved_at,
+        c.author_id, u.name as author_name, u.email as author_email,
+        c.resolved_by, ru.name as resolved_by_name,
+        (SELECT COUNT(*) FROM comments r WHERE r.parent_id = c.id) as reply_count,
+        (SELECT COUNT(*) FROM comment_revisions cr WHERE cr.comment_id = c.id) as revision_count
+`;
+
+const COMMENT_JOINS = `
+    FROM comments c
+    JOIN users u ON c.author_id = u.id
+    LEFT JOIN users ru ON c.resolved_by = ru.id
+`;
+
+/**
+ * Full comment query. Callers append their own WHERE / ORDER BY clauses.
+ */
+const COMMENT_SELECT = `SELECT ${COMMENT_COLUMNS} ${COMMENT_JOINS}`;
+
+/**
+ * Shape a comment row for API responses
+ * @param {Object} comment - Row of a COMMENT_SELECT query
+ * @param {Object} mentions - Result of getMentions
+ * @param {Object} reactions - Result of getReactions
+ * @returns {Object}
+ */
+const formatComment = (comment, mentions, reactions) => ({
+    id: comment.id,
+    taskId: comment.task_id,
+    parentId: comment.parent_id,
+    body: comment.body,
+    createdAt: comment.created_at,
+    updatedAt: comment.updated_at,
+    edited: !!comment.updated_at,
+    revisionCount: Number(comment.revision_count),
+    author: {
+        id: comment.author_id,
+        name: comment.author_name,
+        email: comment.author_email
+    },
+    mentions: mentions[comment.id] || [],
+    reactions: reactions[comment.id] || [],
+    replyCount: Number(comment.reply_count),
+    resolved: !!comment.resolved_at,
+    resolvedAt: comment.resolved_at,
+    resolvedBy: comment.resolved_by ? { id: comment.resolved_by, name: comment.resolved_by_name } : null
+});
+
+/**
+ * Shape comment rows for API responses, with their mentions and reactions
+ * @param {Object} db - Database pool or connection
+ * @param {Object[]} rows - Rows of a COMMENT_SELECT query
+ * @returns {Promise<Object[]>}
+ */
+const formatComments = async (db, rows) => {
+    const ids = rows.map(row => row.id);
+    const mentions = await getMentions(db, ids);
+    const reactions = await getReactions(db, 'comment', ids);
+    return rows.map(row => formatComment(row, mentions, reactions));
+};
+
+/**
+ * Get a comment as returned by the API
+ * @param {Object} db - Database pool or connection
+ * @param {number} id - Comment ID
+ * @returns {Promise<Object|null>}
+ */
+const getComment = async (db, id) => {
+    const [rows] = await db.execute(`${COMMENT_SELECT} WHERE c.id = ?`, [id]);
+    return rows.length > 0 ? (await formatComments(db, rows))[0] : null;
+};
+
+/**
+ * Get the replies of some threads, oldest first
+ * @param {Object} db - Database pool or connection
+ * @param {number[]} threadIds - IDs of the comments starting the threads
+ * @returns {Promise<Object>} Map of thread ID to formatted replies
+ */
+const getReplies = async (db, threadIds) => {
+    const repliesByThread = Object.fromEntries(threadIds.map(id => [id, []]));
+    if (threadIds.length === 0) {
+        return repliesByThread;
+    }
+
+    const [rows] = await db.execute(`
+        ${COMMENT_SELECT}
+        WHERE c.parent_id IN (${threadIds.map(() => '?').join(', ')})
+        ORDER BY c.created_at ASC, c.id ASC
+    `, threadIds);
+
+    (await formatComments(db, rows)).forEach(reply => {
+        repliesByThread[reply.parentId].push(reply);
+    });
+
+    return repliesByThread;
+};
+
+module.exports = {
+    COMMENT_COLUMNS,
+    COMMENT_JOINS,
+    COMMENT_SELECT,
+    formatComments,
+    getComment,
+    getReplies
+};
@@ -0,0 +1,81 @@
+const { TASK_SELECT, formatTask } = require('./tasks');
+
+/**
+ * Check whether making a task blocked by another would close a cycle,
+ * i.e. whether the task is already (transitively) blocking the other one.
+ * Walks the blocked-by graph breadth-first from the proposed blocker.
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Task that would become blocked
+ * @param {number} blockedById - Proposed blocker
+ * @returns {Promise<boolean>}
+ */
+const wouldCreateCycle = async (db, taskId, blockedById) => {
+    const visited = new Set();
+    let frontier = [blockedById];
+
+    while (frontier.length > 0) {
+        if (frontier.includes(taskId)) {
+            return true;
+        }
+
+        frontier.forEach(id => visited.add(id));
+
+        const placeholders = frontier.map(() => '?').join(', ');
+        const [rows] = await db.execute(
+            `SELECT DISTINCT blocked_by_id FROM task_dependencies WHERE task_id IN (${placeholders})`,
+            frontier
+        );
+
+        frontier = rows
+            .map(row => row.blocked_by_id)
+            .filter(id => !visited.has(id));
+    }
+
+    return false;
+};
+
+/**
+ * Get the tasks blocking a task that are not done yet
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Object[]>} Rows with id, title and status
+ */
+const getOpenBlockers = async (db, taskId) => {
+    const [blockers] = await db.execute(`
+        SELECT bt.id, bt.title, bt.status
+        FROM task_dependencies td
+        JOIN tasks bt ON bt.id = td.blocked_by_id
+        LEFT JOIN workflow_columns wc ON wc.project_id = bt.project_id AND wc.name = bt.status
+        WHERE td.task_id = ? AND bt.deleted_at IS NULL AND NOT COALESCE(wc.is_done, FALSE)
+        ORDER BY bt.id ASC
+    `, [taskId]);
+    return blockers;
+};
+
+/**
+ * Get both sides of a task's dependencies as formatted tasks
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Object>} { blockedBy, blocks }
+ */
+const getDependencies = async (db, taskId) => {
+    const [blockedBy] = await db.execute(
+        `${TASK_SELECT} JOIN task_dependencies td ON td.blocked_by_id = t.id WHERE td.task_id = ? AND t.deleted_at IS NULL ORDER BY td.created_at ASC`,
+        [taskId]
+    );
+    const [blocks] = await db.execute(
+        `${TASK_SELECT} JOIN task_dependencies td ON td.task_id = t.id WHERE td.blocked_by_id = ? AND t.deleted_at IS NULL ORDER BY td.created_at ASC`,
+        [taskId]
+    );
+
+    return {
+        blockedBy: blockedBy.map(formatTask),
+        blocks: blocks.map(formatTask)
+    };
+};
+
+module.exports = {
+    wouldCreateCycle,
+    getOpenBlockers,
+    getDependencies
+};
@@ -0,0 +1,313 @@
+const { getTaskBadge } = require('./tasks');
+const { NOTIFICATION_SELECT, formatNotification } = require('./notifications');
+const { enqueueEmail } = require('./mailer');
+const { renderEmail } = require('./emailTemplates');
+const { getPreferences } = require('./preferences');
+
+/**
+ * Daily and weekly digest emails.
+ *
+ * Users who opted in get one email per day or week, at DIGEST_HOUR in their
+ * timezone (weekly ones on Monday), listing:
+ * - their open tasks that are overdue or due soon, by the rules of getTaskBadge
+ * - tasks assigned to them since the previous digest
+ * - comments by others since the previous digest on tasks assigned to them or
+ *   created by them
+ * Digests with nothing to list are not sent.
+ */
+
+/**
+ * Digest settings, configurable through the environment
+ */
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR) >= 0 ? Math.min(parseInt(process.env.DIGEST_HOUR), 23) : 8;
+const DIGEST_CHECK_INTERVAL_MINUTES = parseInt(process.env.DIGEST_CHECK_INTERVAL_MINUTES) || 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const MONDAY = 1;
+const SECTION_LIMIT = 50;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the wall-clock date and time of an instant in a timezone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } with weekday 0 for Sunday
+ */
+const zonedParts = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+    const value = (type) => parts.find(part => part.type === type).value;
+
+    return {
+        year: Number(value('year')),
+        month: Number(value('month')),
+        day: Number(value('day')),
+        hour: Number(value('hour')),
+        minute: Number(value('minute')),
+        second: Number(value('second')),
+        weekday: WEEKDAYS.indexOf(value('weekday'))
+    };
+};
+
+/**
+ * Get the instant of a wall-clock time in a timezone
+ * @param {number} localDate - The local date as a UTC midnight timestamp
+ * @param {number} hour - Local hour
+ * @param {string} timezone - Timezone name
+ * @returns {Date}
+ */
+const zonedTime = (localDate, hour, timezone) => {
+    const wanted = localDate + hour * 60 * 60 * 1000;
+    let time = wanted;
+
+    // Shift by the timezone's offset; a second pass settles daylight saving changes
+    for (let pass = 0; pass < 2; pass++) {
+        const local = zonedParts(new Date(time), timezone);
+        const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+        time = wanted - (wallClock - time);
+    }
+
+    return new Date(time);
+};
+
+/**
+ * Get when the current digest period started: the latest DIGEST_HOUR in the
+ * user's timezone, on a Monday for weekly digests
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {string} timezone - Timezone name
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const periodStart = (frequency, timezone, now) => {
+    const local = zonedParts(now, timezone);
+    let localDate = Date.UTC(local.year, local.month - 1, local.day);
+
+    if (frequency === 'weekly') {
+        localDate -= ((local.weekday - MONDAY + 7) % 7) * DAY_MS;
+    }
+
+    const start = zonedTime(localDate, DIGEST_HOUR, timezone);
+    return start <= now
+        ? start
+        : zonedTime(localDate - PERIOD_DAYS[frequency] * DAY_MS, DIGEST_HOUR, timezone);
+};
+
+/**
+ * Shape a task row for a digest entry, like a notification's task
+ */
+const digestTask = (row) => ({
+    id: row.task_id,
+    title: row.task_title,
+    dueDate: row.task_due_date,
+    projectId: row.project_id,
+    projectName: row.project_name
+});
+
+/**
+ * Collect what a user's digest lists
+ * @param {Object} db - Database pool
+ * @param {number} userId - Recipient
+ * @param {Object} period
+ * @param {string} period.frequency - 'daily' or 'weekly'
+ * @param {string} period.timezone - Recipient's timezone
+ * @param {Date} period.since - Start of the covered time
+ * @returns {Promise<Object>} { frequency, timezone, since, overdue, dueSoon, assigned, comments },
+ *          each list holding { task } entries, with actor for assigned and comments
+ *          and commentExcerpt for comments
+ */
+const buildDigest = async (db, userId, { frequency, timezone, since }) => {
+    // Open tasks that getTaskBadge marks Overdue or At Risk (due within a day)
+    const [dueTasks] = await db.execute(`
+        SELECT t.id as task_id, t.title as task_title, t.due_date as task_due_date,
+            t.project_id, p.name as project_name, COALESCE(wc.is_done, FALSE) as is_done
+        FROM tasks t
+        JOIN projects p ON p.id = t.project_id
+        JOIN project_members pm ON pm.project_id = t.project_id AND pm.user_id = t.assignee_id
+        LEFT JOIN workflow_columns wc ON wc.project_id = t.project_id AND wc.name = t.status
+        WHERE t.assignee_id = ? AND t.deleted_at IS NULL
+            AND t.due_date <= DATE_ADD(NOW(), INTERVAL 1 DAY)
+        ORDER BY t.due_date ASC, t.id ASC
+    `, [userId]);
+
+    const withBadge = (badge) => dueTasks
+        .filter(row => getTaskBadge(row.task_due_date, row.is_done) === badge)
+        .slice(0, SECTION_LIMIT)
+        .map(row => ({ task: digestTask(row) }));
+
+    // Assignments since the last digest, once per task, for tasks still assigned to the user
+    const [assignments] = await db.execute(`
+        ${NOTIFICATION_SELECT}
+        WHERE n.user_id = ? AND n.type = 'assigned' AND n.created_at > ? AND t.assignee_id = n.user_id
+        ORDER BY n.created_at DESC, n.id DESC
+    `, [userId, since]);
+
+    const assigned = new Map();
+    assignments.map(formatNotification).forEach(notification => {
+        if (!assigned.has(notification.task.id)) {
+            assigned.set(notification.task.id, { task: notification.task, actor: notification.actor });
+        }
+    });
+
+    const [comments] = await db.execute(`
+        SELECT c.id, SUBSTRING(c.body, 1, 200) as comment_excerpt, c.author_id, au.name as author_name,
+            t.id as task_id, t.title as task_title, t.due_date as task_due_date,
+            t.project_id, p.name as project_name
+        FROM comments c
+        JOIN tasks t ON t.id = c.task_id AND t.deleted_at IS NULL
+        JOIN projects p ON p.id = t.project_id
+        JOIN project_members pm ON pm.project_id = t.project_id AND pm.user_id = ?
+        JOIN users au ON au.id = c.author_id
+        WHERE c.created_at > ? AND c.author_id <> ?
+            AND (t.assignee_id = ? OR EXISTS (
+                SELECT 1 FROM task_activity a WHERE a.task_id = t.id AND a.action = 'created' AND a.actor_id = ?
+            ))
+        ORDER BY c.created_at ASC, c.id ASC
+        LIMIT ${SECTION_LIMIT}
+    `, [userId, since, userId, userId, userId]);
+
+    return {
+        frequency,
+        timezone,
+        since,
+        overdue: withBadge('Overdue'),
+        dueSoon: withBadge('At Risk'),
+        assigned: [...assigned.values()].reverse().slice(0, SECTION_LIMIT),
+        comments: comments.map(row => ({
+            task: digestTask(row),
+            actor: { id: row.author_id, name: row.author_name },
+            commentExcerpt: row.comment_excerpt
+        }))
+    };
+};
+
+/**
+ * Check whether a digest has nothing to list
+ */
+const isEmptyDigest = (digest) =>
+    ['overdue', 'dueSoon', 'assigned', 'comments'].every(key => digest[key].length === 0);
+
+/**
+ * Get when the time a digest covers starts: the previous digest, but at most one period back
+ */
+const digestSince = (frequency, lastDigestAt, now) => {
+    const periodAgo = new Date(now.getTime() - PERIOD_DAYS[frequency] * DAY_MS);
+    return lastDigestAt && new Date(lastDigestAt) > periodAgo ? new Date(lastDigestAt) : periodAgo;
+};
+
+/**
+ * Build and render the digest a user would get now, whether or not they opted in
+ * @param {Object} db - Database pool
+ * @param {Object} user - { id, name }
+ * @param {string} [frequency] - 'daily' or 'weekly'; the user's own, or daily, by default
+ * @returns {Promise<Object>} { digest, email: { subject, html, text } }
+ */
+const previewDigest = async (db, user, frequency) => {
+    const preferences = await getPreferences(db, user.id);
+    const digestFrequency = frequency || (preferences.digestFrequency !== 'off' ? preferences.digestFrequency : 'daily');
+    const now = new Date();
+
+    const digest = await buildDigest(db, user.id, {
+        frequency: digestFrequency,
+        timezone: preferences.timezone,
+        since: digestSince(digestFrequency, null, now)
+    });
+
+    return {
+        digest,
+        email: renderEmail('digest', { ...digest, recipientName: user.name })
+    };
+};
+
+/**
+ * Queue the digests whose period has started since they were last sent
+ * @param {Object} db - Database pool
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of digests queued
+ */
+const sendDueDigests = async (db, now = new Date()) => {
+    const [subscribers] = await db.execute(`
+        SELECT np.user_id, np.digest_frequency, np.timezone, np.last_digest_at, u.name, u.email
+        FROM notification_preferences np
+        JOIN users u ON u.id = np.user_id
+        WHERE np.digest_frequency <> 'off'
+    `);
+
+    let queued = 0;
+    for (const subscriber of subscribers) {
+        try {
+            const frequency = subscriber.digest_frequency;
+            const start = periodStart(frequency, subscriber.timezone, now);
+            if (subscriber.last_digest_at && new Date(subscriber.last_digest_at) >= start) {
+                continue;
+            }
+
+            // Claim this period's digest, so that another process doesn't send it too
+            const [claimed] = await db.execute(`
+                UPDATE notification_preferences SET last_digest_at = ?
+                WHERE user_id = ? AND (last_digest_at IS NULL OR last_digest_at < ?)
+            `, [now, subscriber.user_id, start]);
+            if (claimed.affectedRows === 0) {
+                continue;
+            }
+
+            const digest = await buildDigest(db, subscriber.user_id, {
+                frequency,
+                timezone: subscriber.timezone,
+                since: digestSince(frequency, subscriber.last_digest_at, now)
+            });
+            if (isEmptyDigest(digest)) {
+                continue;
+            }
+
+            await enqueueEmail(db, {
+                userId: subscriber.user_id,
+                to: subscriber.email,
+                template: 'digest',
+                data: { ...digest, recipientName: subscriber.name }
+            });
+            queued++;
+        } catch (error) {
+            console.error(`Digest error for user ${subscriber.user_id}:`, error);
+        }
+    }
+
+    return queued;
+};
+
+/**
+ * Queue due digests now and then periodically
+ * @param {Object} db - Database pool
+ */
+const startDigestSchedule = (db) => {
+    const run = async () => {
+        try {
+            const queued = await sendDueDigests(db);
+            if (queued > 0) {
+                console.log(`📰 Queued ${queued} digest email(s)`);
+            }
+        } catch (error) {
+            console.error('Digests error:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, DIGEST_CHECK_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    periodStart,
+    buildDigest,
+    previewDigest,
+    sendDueDigests,
+    startDigestSchedule
+};
@@ -0,0 +1,243 @@
+/**
+ * Email templates. Each template renders a subject, an HTML body and a plain text
+ * body from the same data; the HTML body is wrapped in a common layout.
+ *
+ * Notification emails get the notification as formatted by utils/notifications.js,
+ * plus recipientName and timezone; the digest gets the digest built by utils/digests.js.
+ */
+
+const APP_URL = (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/+$/, '');
+
+/**
+ * Escape text for use in HTML
+ */
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Format a date for an email in the recipient's timezone, e.g. 'Mon, 19 Oct 2026, 14:00 UTC'
+ */
+const formatDate = (value, timezone = 'UTC') => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return '';
+    }
+
+    return new Intl.DateTimeFormat('en-GB', {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: timezone,
+        timeZoneName: 'short'
+    }).format(date);
+};
+
+/**
+ * Link that opens a task on its board
+ */
+const taskUrl = (task) => `${APP_URL}/?project=${task.projectId}&task=${task.id}`;
+
+/**
+ * Wrap an HTML body in the common layout
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f8fafc;font-family:Arial,Helvetica,sans-serif;color:#1e293b;">
+<div style="max-width:560px;margin:0 auto;padding:24px;background:#ffffff;border:1px solid #e5e7eb;border-radius:8px;">
+${body}
+</div>
+<p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#9ca3af;">
+You get this email because of your notification settings in <a href="${APP_URL}" style="color:#9ca3af;">Task Board</a>.
+</p>
+</body>
+</html>`;
+
+/**
+ * HTML for a task title linking to the task and its project
+ */
+const taskHtml = (task, timezone) => `<p style="margin:16px 0;">
+<a href="${escapeHtml(taskUrl(task))}" style="font-size:16px;font-weight:bold;color:#2563eb;">${escapeHtml(task.title)}</a><br>
+<span style="font-size:13px;color:#6b7280;">${escapeHtml(task.projectName)}${task.dueDate ? ` · due ${escapeHtml(formatDate(task.dueDate, timezone))}` : ''}</span>
+</p>`;
+
+/**
+ * Text for a task title with its project and link
+ */
+const taskText = (task, timezone) => [
+    task.title,
+    `${task.projectName}${task.dueDate ? ` · due ${formatDate(task.dueDate, timezone)}` : ''}`,
+    taskUrl(task)
+].join('\n');
+
+/**
+ * Quote of a comment
+ */
+const quoteHtml = (text) => text
+    ? `<blockquote style="margin:16px 0;padding:8px 12px;border-left:3px solid #e5e7eb;color:#4b5563;white-space:pre-wrap;">${escapeHtml(text)}</blockquote>`
+    : '';
+
+const quoteText = (text) => text ? `\n${text.replace(/^/gm, '> ')}\n` : '';
+
+const actorName = (data) => data.actor?.name || 'Someone';
+
+/**
+ * Sections of a digest. Every entry has a task; assigned entries add who assigned
+ * it (actor), comment entries the author (actor) and commentExcerpt.
+ */
+const DIGEST_SECTIONS = [
+    { key: 'overdue', title: 'Overdue', count: (n) => `${n} overdue` },
+    { key: 'dueSoon', title: 'Due soon', count: (n) => `${n} due soon` },
+    { key: 'assigned', title: 'Newly assigned to you', count: (n) => `${n} newly assigned` },
+    { key: 'comments', title: 'New comments on your tasks', count: (n) => `${n} new comment${n === 1 ? '' : 's'}` }
+];
+
+const digestItemHtml = (section, item, timezone) => {
+    const { task } = item;
+
+    if (section.key === 'comments') {
+        return `${quoteHtml(`${actorName(item)}: ${item.commentExcerpt}`)}${taskHtml(task, timezone)}`;
+    }
+    if (section.key === 'assigned') {
+        return `${taskHtml(task, timezone)}<p style="margin:-12px 0 16px;font-size:13px;color:#6b7280;">Assigned by ${escapeHtml(actorName(item))}</p>`;
+    }
+    return taskHtml(task, timezone);
+};
+
+const digestItemText = (section, item, timezone) => {
+    const { task } = item;
+
+    if (section.key === 'comments') {
+        return `${quoteText(`${actorName(item)}: ${item.commentExcerpt}`).trim()}\n${taskText(task, timezone)}`;
+    }
+    if (section.key === 'assigned') {
+        return `${taskText(task, timezone)}\nAssigned by ${actorName(item)}`;
+    }
+    return taskText(task, timezone);
+};
+
+const TEMPLATES = {
+    assigned: {
+        subject: (data) => `${actorName(data)} assigned you "${data.task.title}"`,
+        html: (data) => `<p>Hi ${escapeHtml(data.recipientName)},</p>
+<p>${escapeHtml(actorName(data))} assigned a task to you:</p>
+${taskHtml(data.task, data.timezone)}`,
+        text: (data) => `Hi ${data.recipientName},
+
+${actorName(data)} assigned a task to you:
+
+${taskText(data.task, data.timezone)}
+`
+    },
+
+    commented: {
+        subject: (data) => `${actorName(data)} commented on "${data.task.title}"`,
+        html: (data) => `<p>Hi ${escapeHtml(data.recipientName)},</p>
+<p>${escapeHtml(actorName(data))} commented on a task you take part in:</p>
+${quoteHtml(data.commentExcerpt)}
+${taskHtml(data.task, data.timezone)}`,
+        text: (data) => `Hi ${data.recipientName},
+
+${actorName(data)} commented on a task you take part in:
+${quoteText(data.commentExcerpt)}
+${taskText(data.task, data.timezone)}
+`
+    },
+
+    mentioned: {
+        subject: (data) => `${actorName(data)} mentioned you on "${data.task.title}"`,
+        html: (data) => `<p>Hi ${escapeHtml(data.recipientName)},</p>
+<p>${escapeHtml(actorName(data))} mentioned you:</p>
+${quoteHtml(data.commentExcerpt)}
+${taskHtml(data.task, data.timezone)}`,
+        text: (data) => `Hi ${data.recipientName},
+
+${actorName(data)} mentioned you:
+${quoteText(data.commentExcerpt)}
+${taskText(data.task, data.timezone)}
+`
+    },
+
+    due_soon: {
+        subject: (data) => `"${data.task.title}" is due ${formatDate(data.task.dueDate, data.timezone)}`,
+        html: (data) => `<p>Hi ${escapeHtml(data.recipientName)},</p>
+<p>A task assigned to you is due soon:</p>
+${taskHtml(data.task, data.timezone)}`,
+        text: (data) => `Hi ${data.recipientName},
+
+A task assigned to you is due soon:
+
+${taskText(data.task, data.timezone)}
+`
+    },
+
+    overdue: {
+        subject: (data) => `"${data.task.title}" is overdue`,
+        html: (data) => `<p>Hi ${escapeHtml(data.recipientName)},</p>
+<p>A task assigned to you is past its due date:</p>
+${taskHtml(data.task, data.timezone)}`,
+        text: (data) => `Hi ${data.recipientName},
+
+A task assigned to you is past its due date:
+
+${taskText(data.task, data.timezone)}
+`
+    },
+
+    digest: {
+        subject: (data) => {
+            const counts = DIGEST_SECTIONS
+                .filter(section => data[section.key].length > 0)
+                .map(section => section.count(data[section.key].length));
+            return `Your ${data.frequency} digest: ${counts.join(', ') || 'nothing new'}`;
+        },
+        html: (data) => `<p>Hi ${escapeHtml(data.recipientName)},</p>
+<p>Here is what happened since ${escapeHtml(formatDate(data.since, data.timezone))}.</p>
+${DIGEST_SECTIONS.filter(section => data[section.key].length > 0).map(section => `<h3 style="margin:24px 0 8px;font-size:15px;">${escapeHtml(section.title)}</h3>
+${data[section.key].map(item => digestItemHtml(section, item, data.timezone)).join('\n')}`).join('\n')}`,
+        text: (data) => `Hi ${data.recipientName},
+
+Here is what happened since ${formatDate(data.since, data.timezone)}.
+${DIGEST_SECTIONS.filter(section => data[section.key].length > 0).map(section => `
+${section.title.toUpperCase()}
+
+${data[section.key].map(item => digestItemText(section, item, data.timezone)).join('\n\n')}
+`).join('')}`
+    }
+};
+
+/**
+ * Render an email
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, html, text }
+ */
+const renderEmail = (name, data) => {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template "${name}"`);
+    }
+
+    const subject = template.subject(data);
+    return {
+        subject,
+        html: layout(subject, template.html(data)),
+        text: template.text(data)
+    };
+};
+
+module.exports = {
+    APP_URL,
+    escapeHtml,
+    renderEmail
+};
@@ -0,0 +1,140 @@
+const { getTasksByIds } = require('./tasks');
+
+/**
+ * Live updates. Clients keep a Server-Sent Events stream open (GET /api/events) and are
+ * sent every change to the tasks and comments of the projects they can see:
+ *   task.created      { tasks }                  new tasks, restored tasks and next instances
+ *   task.updated      { tasks }                  changed tasks, including parents and blocked tasks
+ *   task.deleted      { taskIds }                tasks moved to the trash, with their subtasks
+ *   task.reactions    { taskId, reactions }
+ *   comment.created   { comment }
+ *   comment.updated   { comment }                edited, resolved or reopened comments
+ *   comment.deleted   { taskId, commentId, parentId }
+ *   comment.reactions { taskId, commentId, parentId, reactions }
+ *   workflow.updated  {}                         columns added, renamed, reordered or deleted
+ * Every event also carries its projectId.
+ */
+
+// Seconds between keep-alive comments, so idle streams aren't closed by proxies
+const EVENTS_HEARTBEAT_SECONDS = parseInt(process.env.EVENTS_HEARTBEAT_SECONDS) || 25;
+
+// Longest delay setTimeout supports (about 24 days)
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Open streams: { res, user, clientId }
+const clients = new Set();
+
+/**
+ * Start an event stream on a response and keep it until the client goes away
+ * @param {Object} req - Express request, after authenticateToken
+ * @param {Object} res - Express response
+ */
+const openEventStream = (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, user: req.user, clientId: req.get('X-Client-Id') || null };
+    clients.add(client);
+    res.write(`event: ready\ndata: ${JSON.stringify({ heartbeatSeconds: EVENTS_HEARTBEAT_SECONDS })}\n\n`);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENTS_HEARTBEAT_SECONDS * 1000);
+    let expiry = null;
+
+    const close = () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        clients.delete(client);
+    };
+
+    // The token is only checked when the stream opens, so end the stream when it expires
+    // and let the client reconnect with the token it has by then
+    if (req.tokenExpiresAt) {
+        expiry = setTimeout(() => {
+            close();
+            res.end();
+        }, Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMEOUT_MS));
+    }
+
+    req.on('close', close);
+};
+
+/**
+ * Send an event to every open stream whose user can see a project. Failures are
+ * logged rather than thrown, since the change itself has already been made.
+ * @param {Object} db - Database pool or connection
+ * @param {number} projectId - Project the change belongs to
+ * @param {string} type - Event type, e.g. 'task.updated'
+ * @param {Object} data - Event payload
+ * @param {string|null} exceptClientId - Client that made the change and already has it
+ */
+const publishEvent = async (db, projectId, type, data, exceptClientId = null) => {
+    if (clients.size === 0) {
+        return;
+    }
+
+    try {
+        const [members] = await db.execute(
+            'SELECT user_id FROM project_members WHERE project_id = ?',
+            [projectId]
+        );
+        const memberIds = new Set(members.map(member => member.user_id));
+        const message = `event: ${type}\ndata: ${JSON.stringify({ projectId: Number(projectId), ...data })}\n\n`;
+
+        clients.forEach(client => {
+            if (exceptClientId && client.clientId === exceptClientId) {
+                return;
+            }
+            // Global admins are admins of every project
+            if (client.user.role === 'admin' || memberIds.has(client.user.id)) {
+                client.res.write(message);
+            }
+        });
+    } catch (error) {
+        console.error('Publish event error:', error);
+    }
+};
+
+/**
+ * Send an event about a change made by a request, to everyone in the request's
+ * project but the client that made it
+ * @param {Object} req - Express request, after authorize
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+const broadcast = (req, type, data) => publishEvent(
+    req.app.locals.db,
+    req.projectId,
+    type,
+    data,
+    req.get('X-Client-Id') || null
+);
+
+/**
+ * Send task.updated for tasks a request changed in bulk, e.g. by renaming a label they carry
+ * @param {Object} req - Express request, after authorize
+ * @param {number[]} taskIds - Changed tasks
+ */
+const broadcastTaskUpdates = async (req, taskIds) => {
+    if (taskIds.length === 0) {
+        return;
+    }
+
+    try {
+        const tasks = await getTasksByIds(req.app.locals.db, taskIds);
+        await broadcast(req, 'task.updated', { tasks });
+    } catch (error) {
+        console.error('Publish event error:', error);
+    }
+};
+
+module.exports = {
+    openEventStream,
+    publishEvent,
+    broadcast,
+    broadcastTaskUpdates
+};
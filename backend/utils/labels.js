@@ -0,0 +1,66 @@
+/**
+ * Shape a label row for API responses
+ */
+const formatLabel = (label) => ({
+    id: label.id,
+    projectId: label.project_id,
+    name: label.name,
+    color: label.color
+});
+
+/**
+ * Get a project's labels sorted by name
+ * @param {Object} db - Database pool or connection
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Object[]>} Formatted labels
+ */
+const getLabels = async (db, projectId) => {
+    const [labels] = await db.execute(
+        'SELECT id, project_id, name, color FROM labels WHERE project_id = ? ORDER BY name ASC',
+        [projectId]
+    );
+    return labels.map(formatLabel);
+};
+
+/**
+ * Check that every label ID belongs to a project
+ * @param {Object} db - Database pool or connection
+ * @param {number} projectId - Project ID
+ * @param {number[]} labelIds - Label IDs
+ * @returns {Promise<boolean>}
+ */
+const labelsBelongToProject = async (db, projectId, labelIds) => {
+    // IDs may arrive as numbers or numeric strings, so 3 and '3' count once
+    const uniqueIds = [...new Set(labelIds.map(Number))];
+    if (uniqueIds.length === 0) {
+        return true;
+    }
+
+    const placeholders = uniqueIds.map(() => '?').join(', ');
+    const [rows] = await db.execute(
+        `SELECT COUNT(*) as label_count FROM labels WHERE project_id = ? AND id IN (${placeholders})`,
+        [projectId, ...uniqueIds]
+    );
+    return Number(rows[0].label_count) === uniqueIds.length;
+};
+
+/**
+ * Replace the labels on a task
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Task ID
+ * @param {number[]} labelIds - Label IDs, already checked with labelsBelongToProject
+ */
+const setTaskLabels = async (db, taskId, labelIds) => {
+    await db.execute('DELETE FROM task_labels WHERE task_id = ?', [taskId]);
+
+    for (const labelId of new Set(labelIds.map(Number))) {
+        await db.execute('INSERT INTO task_labels (task_id, label_id) VALUES (?, ?)', [taskId, labelId]);
+    }
+};
+
+module.exports = {
+    formatLabel,
+    getLabels,
+    labelsBelongToProject,
+    setTaskLabels
+};
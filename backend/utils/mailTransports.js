@@ -0,0 +1,94 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transports.
+ *
+ * A transport is an object with a name and an async send(message) that delivers
+ * { from, to, subject, html, text } and resolves to { messageId }, or throws when
+ * the message could not be delivered. MAIL_TRANSPORT picks one:
+ * - smtp: deliver through SMTP_HOST (production)
+ * - file: write each message as an .eml file to MAIL_FILE_DIR (local development, tests)
+ * - console: log each message (the default)
+ */
+
+const MAIL_FILE_DIR = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail'));
+
+/**
+ * Deliver through an SMTP server
+ */
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD
+        } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+/**
+ * Write every message to a file instead of sending it
+ */
+const createFileTransport = () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+
+            await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+            await fs.writeFile(path.join(MAIL_FILE_DIR, fileName), info.message);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+/**
+ * Log every message instead of sending it
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`📧 To: ${message.to}\n   Subject: ${message.subject}\n${message.text.replace(/^/gm, '   ')}`);
+        return { messageId: `console-${crypto.randomUUID()}` };
+    }
+});
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+/**
+ * Create the transport named by MAIL_TRANSPORT, or by the given name
+ * @param {string} [name] - Transport name
+ * @returns {Object} Transport
+ */
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+    const factory = TRANSPORTS[name];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return factory();
+};
+
+module.exports = {
+    MAIL_FILE_DIR,
+    createTransport
+};
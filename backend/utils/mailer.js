@@ -0,0 +1,154 @@
+const { renderEmail } = require('./emailTemplates');
+
+/**
+ * Outgoing email.
+ *
+ * Emails are rendered and stored in the email_outbox table when queued, and a
+ * background job sends them through the configured transport (see
+ * utils/mailTransports.js). A failed send is retried with a growing delay, up to
+ * MAIL_MAX_ATTEMPTS times, so queueing an email never depends on the mail server.
+ */
+
+/**
+ * Mail settings, configurable through the environment
+ */
+const MAIL_FROM = process.env.MAIL_FROM || 'Task Board <no-reply@localhost>';
+const MAIL_MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+const MAIL_OUTBOX_INTERVAL_SECONDS = parseInt(process.env.MAIL_OUTBOX_INTERVAL_SECONDS) || 30;
+const MAIL_BATCH_SIZE = 20;
+
+// An email still 'sending' after this long was left behind by a stopped process
+const SENDING_TIMEOUT_MINUTES = 10;
+
+/**
+ * Minutes to wait before retrying an email that failed a number of times:
+ * 1, 2, 4, ... up to an hour
+ */
+const retryDelayMinutes = (attempts) => Math.min(2 ** (attempts - 1), 60);
+
+/**
+ * Render an email and add it to the outbox
+ * @param {Object} db - Database pool or connection
+ * @param {Object} email
+ * @param {number} [email.userId] - Recipient user, if any
+ * @param {string} email.to - Recipient address
+ * @param {string} email.template - Template name (see utils/emailTemplates.js)
+ * @param {Object} email.data - Template data
+ * @returns {Promise<number>} Outbox entry ID
+ */
+const enqueueEmail = async (db, { userId = null, to, template, data }) => {
+    const { subject, html, text } = renderEmail(template, data);
+
+    const [result] = await db.execute(`
+        INSERT INTO email_outbox (user_id, to_address, template, subject, html_body, text_body)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [userId, to, template, subject.substring(0, 255), html, text]);
+
+    return result.insertId;
+};
+
+/**
+ * Send the outbox entries that are due
+ * @param {Object} db - Database pool
+ * @param {Object} transport - Mail transport
+ * @returns {Promise<Object>} { sent, failed } counts of this run
+ */
+const processOutbox = async (db, transport) => {
+    await db.execute(`
+        UPDATE email_outbox SET status = 'pending'
+        WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL ${SENDING_TIMEOUT_MINUTES} MINUTE)
+    `);
+
+    const [emails] = await db.execute(`
+        SELECT id, to_address, subject, html_body, text_body, attempts
+        FROM email_outbox
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT ${MAIL_BATCH_SIZE}
+    `);
+
+    const counts = { sent: 0, failed: 0 };
+
+    for (const email of emails) {
+        // Claim the email, so that another process doesn't send it too
+        const [claimed] = await db.execute(
+            "UPDATE email_outbox SET status = 'sending', attempts = attempts + 1 WHERE id = ? AND status = 'pending'",
+            [email.id]
+        );
+        if (claimed.affectedRows === 0) {
+            continue;
+        }
+
+        const attempts = email.attempts + 1;
+
+        try {
+            await transport.send({
+                from: MAIL_FROM,
+                to: email.to_address,
+                subject: email.subject,
+                html: email.html_body,
+                text: email.text_body
+            });
+
+            await db.execute(
+                "UPDATE email_outbox SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL WHERE id = ?",
+                [email.id]
+            );
+            counts.sent++;
+        } catch (error) {
+            const giveUp = attempts >= MAIL_MAX_ATTEMPTS;
+
+            await db.execute(`
+                UPDATE email_outbox
+                SET status = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+                WHERE id = ?
+            `, [giveUp ? 'failed' : 'pending', String(error.message).substring(0, 1000), retryDelayMinutes(attempts), email.id]);
+
+            if (giveUp) {
+                counts.failed++;
+                console.error(`Email ${email.id} to ${email.to_address} failed after ${attempts} attempts:`, error.message);
+            }
+        }
+    }
+
+    return counts;
+};
+
+/**
+ * Send due outbox entries now and then periodically
+ * @param {Object} db - Database pool
+ * @param {Object} transport - Mail transport (see utils/mailTransports.js)
+ */
+const startMailOutbox = (db, transport) => {
+    let running = false;
+
+    const run = async () => {
+        // A slow mail server can make a run outlast the interval
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            const { sent, failed } = await processOutbox(db, transport);
+            if (sent > 0 || failed > 0) {
+                console.log(`📧 Sent ${sent} email(s) via ${transport.name}${failed > 0 ? `, ${failed} failed for good` : ''}`);
+            }
+        } catch (error) {
+            console.error('Mail outbox error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, MAIL_OUTBOX_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    enqueueEmail,
+    processOutbox,
+    startMailOutbox
+};
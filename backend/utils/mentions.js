@@ -0,0 +1,112 @@
+/**
+ * @mentions in comments.
+ *
+ * A mention is '@' followed by a project member's name, e.g. '@Ann Smith', at the
+ * start of the text or after a character that can't be part of a word. When names
+ * overlap ('@Ann' and '@Ann Smith'), the longest matching name wins.
+ */
+
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+
+/**
+ * Find the mentions of project members in a comment body
+ * @param {string} body - Comment body
+ * @param {Object[]} members - Project members, { id, name }
+ * @returns {Object[]} { userId, start, length } in order, where start is the index of the '@'
+ */
+const parseMentions = (body, members) => {
+    const candidates = members
+        .filter(member => member.name)
+        .sort((a, b) => b.name.length - a.name.length);
+    const mentions = [];
+
+    // Names are compared without case against the body itself, not a lower-cased copy,
+    // since lower-casing can change the length of the text before a mention ('İ')
+    const isNameAt = (name, start) => body
+        .slice(start, start + name.length)
+        .localeCompare(name, undefined, { sensitivity: 'accent' }) === 0;
+
+    for (let index = body.indexOf('@'); index !== -1; index = body.indexOf('@', index + 1)) {
+        if (index > 0 && WORD_CHARACTER.test(body[index - 1])) {
+            continue;
+        }
+
+        const member = candidates.find(candidate => {
+            const end = index + 1 + candidate.name.length;
+            return isNameAt(candidate.name, index + 1) && !(end < body.length && WORD_CHARACTER.test(body[end]));
+        });
+
+        if (member) {
+            mentions.push({ userId: member.id, start: index, length: member.name.length + 1 });
+            index += member.name.length;
+        }
+    }
+
+    return mentions;
+};
+
+/**
+ * Parse a comment's mentions of the members of its project and store them,
+ * replacing the ones stored before
+ * @param {Object} db - Database pool or connection
+ * @param {number} projectId - Project of the comment's task
+ * @param {number} commentId - Comment ID
+ * @param {string} body - Comment body
+ * @returns {Promise<number[]>} IDs of the mentioned users
+ */
+const saveMentions = async (db, projectId, commentId, body) => {
+    const [members] = await db.execute(`
+        SELECT u.id, u.name
+        FROM project_members pm
+        JOIN users u ON u.id = pm.user_id
+        WHERE pm.project_id = ?
+    `, [projectId]);
+    const mentions = parseMentions(body, members);
+
+    await db.execute('DELETE FROM comment_mentions WHERE comment_id = ?', [commentId]);
+    for (const mention of mentions) {
+        await db.execute(
+            'INSERT INTO comment_mentions (comment_id, user_id, start_offset, length) VALUES (?, ?, ?, ?)',
+            [commentId, mention.userId, mention.start, mention.length]
+        );
+    }
+
+    return [...new Set(mentions.map(mention => mention.userId))];
+};
+
+/**
+ * Get the mentions of some comments
+ * @param {Object} db - Database pool or connection
+ * @param {number[]} commentIds - Comment IDs
+ * @returns {Promise<Object>} Map of comment ID to mentions, { start, length, user: { id, name, email } }
+ */
+const getMentions = async (db, commentIds) => {
+    const mentionsByComment = {};
+    if (commentIds.length === 0) {
+        return mentionsByComment;
+    }
+
+    const [rows] = await db.execute(`
+        SELECT cm.comment_id, cm.start_offset, cm.length, u.id as user_id, u.name, u.email
+        FROM comment_mentions cm
+        JOIN users u ON u.id = cm.user_id
+        WHERE cm.comment_id IN (${commentIds.map(() => '?').join(', ')})
+        ORDER BY cm.comment_id ASC, cm.start_offset ASC
+    `, commentIds);
+
+    rows.forEach(row => {
+        (mentionsByComment[row.comment_id] = mentionsByComment[row.comment_id] || []).push({
+            start: row.start_offset,
+            length: row.length,
+            user: { id: row.user_id, name: row.name, email: row.email }
+        });
+    });
+
+    return mentionsByComment;
+};
+
+module.exports = {
+    parseMentions,
+    saveMentions,
+    getMentions
+};
@@ -0,0 +1,287 @@
+const { enqueueEmail } = require('./mailer');
+const { getPreferences, wantsEmail } = require('./preferences');
+
+/**
+ * In-app notifications.
+ *
+ * A notification tells a user about something that happened to a task:
+ * - assigned: someone assigned the task to them
+ * - commented: someone commented on a task they are assigned to, created or commented on
+ * - due_soon: a task assigned to them is due within DUE_SOON_HOURS
+ * - overdue: a task assigned to them has just passed its due date
+ *
+ * Nobody is notified of their own actions. Users also get the types they chose
+ * in their preferences by email (see utils/preferences.js).
+ */
+
+/**
+ * Notification settings, configurable through the environment
+ */
+const DUE_SOON_HOURS = parseInt(process.env.DUE_SOON_HOURS) || 24;
+const DUE_DATE_CHECK_INTERVAL_MINUTES = parseInt(process.env.DUE_DATE_CHECK_INTERVAL_MINUTES) || 15;
+
+/**
+ * Notification query with the actor, task and comment excerpt. Notifications about
+ * trashed tasks or projects the recipient has left are hidden.
+ */
+const NOTIFICATION_COLUMNS = `
+        n.id, n.type, n.task_id, n.comment_id, n.read_at, n.created_at,
+        n.actor_id, actor.name as actor_name,
+        t.title as task_title, t.due_date as task_due_date,
+        t.project_id, p.name as project_name,
+        SUBSTRING(c.body, 1, 200) as comment_excerpt`;
+
+const NOTIFICATION_JOINS = `
+    FROM notifications n
+    JOIN tasks t ON t.id = n.task_id AND t.deleted_at IS NULL
+    JOIN projects p ON p.id = t.project_id
+    JOIN project_members pm ON pm.project_id = t.project_id AND pm.user_id = n.user_id
+    LEFT JOIN users actor ON actor.id = n.actor_id
+    LEFT JOIN comments c ON c.id = n.comment_id`;
+
+const NOTIFICATION_SELECT = `SELECT ${NOTIFICATION_COLUMNS} ${NOTIFICATION_JOINS}`;
+
+/**
+ * Shape a notification row for API responses
+ */
+const formatNotification = (row) => ({
+    id: row.id,
+    type: row.type,
+    read: row.read_at !== null,
+    readAt: row.read_at,
+    createdAt: row.created_at,
+    actor: row.actor_id ? { id: row.actor_id, name: row.actor_name } : null,
+    task: {
+        id: row.task_id,
+        title: row.task_title,
+        dueDate: row.task_due_date,
+        projectId: row.project_id,
+        projectName: row.project_name
+    },
+    commentId: row.comment_id,
+    commentExcerpt: row.comment_excerpt
+});
+
+/**
+ * Queue the email for a notification, if its recipient wants one
+ * @param {Object} db - Database pool or connection
+ * @param {number} notificationId - Notification ID
+ */
+const queueNotificationEmail = async (db, notificationId) => {
+    const [rows] = await db.execute(`
+        SELECT ${NOTIFICATION_COLUMNS}, n.user_id, recipient.name as recipient_name, recipient.email as recipient_email
+        ${NOTIFICATION_JOINS}
+        JOIN users recipient ON recipient.id = n.user_id
+        WHERE n.id = ?
+    `, [notificationId]);
+
+    const row = rows[0];
+    if (!row) {
+        return;
+    }
+
+    const preferences = await getPreferences(db, row.user_id);
+    if (!wantsEmail(preferences, row.type)) {
+        return;
+    }
+
+    await enqueueEmail(db, {
+        userId: row.user_id,
+        to: row.recipient_email,
+        template: row.type,
+        data: { ...formatNotification(row), recipientName: row.recipient_name, timezone: preferences.timezone }
+    });
+};
+
+/**
+ * Notify a user, unless they caused it themselves
+ * @param {Object} db - Database pool or connection
+ * @param {Object} notification - { userId, actorId, type, taskId, commentId, dedupeKey }
+ * @returns {Promise<number|null>} Notification ID, or null when none was created
+ */
+const createNotification = async (db, { userId, actorId = null, type, taskId, commentId = null, dedupeKey = null }) => {
+    if (!userId || userId === actorId) {
+        return null;
+    }
+
+    const [result] = await db.execute(`
+        INSERT IGNORE INTO notifications (user_id, actor_id, type, task_id, comment_id, dedupe_key)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [userId, actorId, type, taskId, commentId, dedupeKey]);
+
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    // The in-app notification stands even when the email can't be queued
+    try {
+        await queueNotificationEmail(db, result.insertId);
+    } catch (error) {
+        console.error('Queue notification email error:', error);
+    }
+
+    return result.insertId;
+};
+
+/**
+ * Notify the new assignee of a task
+ * @param {Object} db - Database pool or connection
+ * @param {Object} task - Task after the change, with assignee_id
+ * @param {number} actorId - User who assigned the task
+ */
+const notifyAssignment = async (db, task, actorId) => {
+    await createNotification(db, {
+        userId: task.assignee_id,
+        actorId,
+        type: 'assigned',
+        taskId: task.id
+    });
+};
+
+/**
+ * Notify the people taking part in a task of a new comment: its assignee, its
+ * creator and everyone who commented on it before, as long as they are still
+ * project members
+ * @param {Object} db - Database pool or connection
+ * @param {Object} comment - { taskId, commentId, authorId, excludeUserIds }, where
+ *        excludeUserIds are users notified of the comment otherwise, e.g. mentioned ones
+ */
+const notifyComment = async (db, { taskId, commentId, authorId, excludeUserIds = [] }) => {
+    const [recipients] = await db.execute(`
+        SELECT DISTINCT pm.user_id
+        FROM tasks t
+        JOIN project_members pm ON pm.project_id = t.project_id
+        WHERE t.id = ? AND (
+            pm.user_id = t.assignee_id
+            OR pm.user_id IN (SELECT actor_id FROM task_activity WHERE task_id = t.id AND action = 'created')
+            OR pm.user_id IN (SELECT author_id FROM comments WHERE task_id = t.id AND id <> ?)
+        )
+    `, [taskId, commentId]);
+
+    for (const recipient of recipients.filter(recipient => !excludeUserIds.includes(recipient.user_id))) {
+        await createNotification(db, {
+            userId: recipient.user_id,
+            actorId: authorId,
+            type: 'commented',
+            taskId,
+            commentId
+        });
+    }
+};
+
+/**
+ * Notify the users mentioned in a comment. Each user hears of a comment's
+ * mention once, however often the comment is edited.
+ * @param {Object} db - Database pool or connection
+ * @param {Object} comment - { taskId, commentId, authorId, userIds }
+ */
+const notifyMentions = async (db, { taskId, commentId, authorId, userIds }) => {
+    for (const userId of userIds) {
+        await createNotification(db, {
+            userId,
+            actorId: authorId,
+            type: 'mentioned',
+            taskId,
+            commentId,
+            dedupeKey: `mentioned:${commentId}`
+        });
+    }
+};
+
+/**
+ * Notify the assignees of open tasks whose due date falls in a time window. Each
+ * task and due date gets one notification of a type, so moving the due date
+ * brings a new one.
+ * @param {Object} db - Database pool
+ * @param {string} type - Notification type
+ * @param {string} window - SQL condition on t.due_date
+ * @param {Array} params - Values of the condition
+ * @returns {Promise<number>} Number of notifications created
+ */
+const notifyDueDates = async (db, type, window, params) => {
+    const [tasks] = await db.execute(`
+        SELECT t.id, t.assignee_id, DATE_FORMAT(t.due_date, '%Y%m%d%H%i%s') as due_key
+        FROM tasks t
+        JOIN workflow_columns wc ON wc.project_id = t.project_id AND wc.name = t.status
+        WHERE t.assignee_id IS NOT NULL
+            AND t.deleted_at IS NULL
+            AND NOT wc.is_done
+            AND ${window}
+    `, params);
+
+    let created = 0;
+    for (const task of tasks) {
+        const notificationId = await createNotification(db, {
+            userId: task.assignee_id,
+            type,
+            taskId: task.id,
+            dedupeKey: `${type}:${task.id}:${task.due_key}`
+        });
+        if (notificationId) {
+            created++;
+        }
+    }
+    return created;
+};
+
+/**
+ * Remind assignees of open tasks due within DUE_SOON_HOURS
+ * @param {Object} db - Database pool
+ * @returns {Promise<number>} Number of reminders created
+ */
+const notifyDueSoon = (db) => notifyDueDates(
+    db,
+    'due_soon',
+    't.due_date > NOW() AND t.due_date <= DATE_ADD(NOW(), INTERVAL ? HOUR)',
+    [DUE_SOON_HOURS]
+);
+
+/**
+ * Tell assignees about open tasks that passed their due date in the last day.
+ * Older ones were either reported already or predate the reminders.
+ * @param {Object} db - Database pool
+ * @returns {Promise<number>} Number of notifications created
+ */
+const notifyOverdue = (db) => notifyDueDates(
+    db,
+    'overdue',
+    't.due_date <= NOW() AND t.due_date > DATE_SUB(NOW(), INTERVAL 1 DAY)',
+    []
+);
+
+/**
+ * Send due date reminders now and then periodically
+ * @param {Object} db - Database pool
+ */
+const startDueDateReminders = (db) => {
+    const run = async () => {
+        try {
+            const created = await notifyDueSoon(db) + await notifyOverdue(db);
+            if (created > 0) {
+                console.log(`🔔 Sent ${created} due date reminder(s)`);
+            }
+        } catch (error) {
+            console.error('Due date reminders error:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, DUE_DATE_CHECK_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    DUE_SOON_HOURS,
+    NOTIFICATION_COLUMNS,
+    NOTIFICATION_JOINS,
+    NOTIFICATION_SELECT,
+    formatNotification,
+    createNotification,
+    notifyAssignment,
+    notifyComment,
+    notifyMentions,
+    notifyDueSoon,
+    notifyOverdue,
+    startDueDateReminders
+};
@@ -0,0 +1,205 @@
+const { query } = require('express-validator');
+
+/**
+ * Keyset (cursor) pagination helpers.
+ *
+ * A sort is a list of keys, each an SQL expression that never yields NULL.
+ * Rows are ordered by the keys and then by the row ID, so every position in
+ * the order is unique and a cursor only has to remember the last row's key
+ * values and ID.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Sorts available for task lists. rank is the manual order of a board column
+ * (see utils/ranks.js); due_date keeps tasks without a due date last in both directions.
+ */
+const TASK_SORTS = {
+    rank: [{ expr: 't.board_rank' }],
+    created_at: [{ expr: 't.created_at', type: 'date' }],
+    updated_at: [{ expr: 't.updated_at', type: 'date' }],
+    due_date: [
+        { expr: '(t.due_date IS NULL)', direction: 'ASC' },
+        { expr: "COALESCE(t.due_date, CAST('1000-01-01' AS DATETIME))", type: 'date' }
+    ],
+    priority: [{ expr: "FIELD(t.priority, 'Low', 'Medium', 'High')" }],
+    title: [{ expr: 't.title' }]
+};
+
+/**
+ * Sorts available for comment lists
+ */
+const COMMENT_SORTS = {
+    created_at: [{ expr: 'c.created_at', type: 'date' }]
+};
+
+/**
+ * Sorts available for notification lists
+ */
+const NOTIFICATION_SORTS = {
+    created_at: [{ expr: 'n.created_at', type: 'date' }]
+};
+
+/**
+ * Error for malformed sort or cursor parameters; routes answer it with 400
+ */
+class PaginationError extends Error {}
+
+/**
+ * Parse a sort parameter such as 'due_date' (ascending) or '-due_date' (descending)
+ * @param {string|undefined} value - Sort parameter
+ * @param {Object} sorts - Available sorts, e.g. TASK_SORTS
+ * @param {string} defaultValue - Sort used when none is given
+ * @returns {Object} { name, direction, keys }
+ */
+const parseSort = (value, sorts, defaultValue) => {
+    const sort = value || defaultValue;
+    const descending = sort.startsWith('-');
+    const name = descending ? sort.substring(1) : sort;
+
+    if (!sorts[name]) {
+        throw new PaginationError(`Sort must be one of: ${Object.keys(sorts).join(', ')} (prefix with - for descending)`);
+    }
+
+    return { name, direction: descending ? 'DESC' : 'ASC', keys: sorts[name] };
+};
+
+/**
+ * Decode a cursor produced by paginate() for the same sort
+ * @returns {Object|null} { values, id } or null when there is no cursor
+ */
+const decodeCursor = (cursor, sort) => {
+    if (!cursor) {
+        return null;
+    }
+
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const valid = decoded.sort === `${sort.name}:${sort.direction}`
+            && Array.isArray(decoded.values)
+            && decoded.values.length === sort.keys.length
+            && Number.isInteger(decoded.id);
+
+        if (valid) {
+            return decoded;
+        }
+    } catch (error) {
+        // Fall through to the error below
+    }
+
+    throw new PaginationError('Invalid cursor for this sort');
+};
+
+/**
+ * Build the SQL pieces for one page of a keyset-paginated query
+ * @param {Object} options
+ * @param {Object} options.sort - Result of parseSort
+ * @param {string} options.cursor - Cursor from the previous page, if any
+ * @param {string} options.idExpr - Unique row ID expression used as the tiebreak, e.g. 't.id'
+ * @returns {Object} { select, where, params, orderBy } where select adds the sort key
+ *          columns, where (possibly empty) starts after the cursor and params are its values
+ */
+const buildPageQuery = ({ sort, cursor, idExpr }) => {
+    const keys = sort.keys.map(key => ({ ...key, direction: key.direction || sort.direction }));
+    keys.push({ expr: idExpr, direction: sort.direction });
+
+    const select = sort.keys
+        .map((key, index) => {
+            const value = key.type === 'date' ? `DATE_FORMAT(${key.expr}, '%Y-%m-%d %H:%i:%s.%f')` : key.expr;
+            return `, ${value} as sort_key_${index}`;
+        })
+        .join('');
+
+    const orderBy = keys.map(key => `${key.expr} ${key.direction}`).join(', ');
+
+    const after = decodeCursor(cursor, sort);
+    if (!after) {
+        return { select, where: '', params: [], orderBy };
+    }
+
+    // (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... with < for descending keys
+    const values = [...after.values, after.id];
+    const conditions = [];
+    const params = [];
+
+    keys.forEach((key, index) => {
+        const equal = keys.slice(0, index).map(previous => `${previous.expr} = ?`);
+        const compare = `${key.expr} ${key.direction === 'ASC' ? '>' : '<'} ?`;
+        conditions.push(`(${[...equal, compare].join(' AND ')})`);
+        params.push(...values.slice(0, index + 1));
+    });
+
+    return { select, where: `(${conditions.join(' OR ')})`, params, orderBy };
+};
+
+/**
+ * Validation rules for the sort, limit and cursor query parameters of a paginated list
+ * @param {Object} sorts - Available sorts, e.g. TASK_SORTS
+ * @returns {Function[]} express-validator chains
+ */
+const pageValidators = (sorts) => [
+    query('sort')
+        .optional()
+        .isIn(Object.keys(sorts).flatMap(name => [name, `-${name}`]))
+        .withMessage(`Sort must be one of: ${Object.keys(sorts).join(', ')} (prefix with - for descending)`),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+    query('cursor')
+        .optional()
+        .isString()
+];
+
+/**
+ * Parse a page size parameter
+ * @returns {number}
+ */
+const parseLimit = (value) => Math.min(parseInt(value) || DEFAULT_LIMIT, MAX_LIMIT);
+
+/**
+ * Cut the extra row fetched to detect a next page, strip the sort key columns
+ * and compute the cursor for the next page
+ * @param {Object[]} rows - Rows fetched with LIMIT limit + 1
+ * @param {number} limit - Page size
+ * @param {Object} sort - Result of parseSort
+ * @returns {Object} { items, nextCursor }
+ */
+const paginate = (rows, limit, sort) => {
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const keyNames = sort.keys.map((key, index) => `sort_key_${index}`);
+
+    const items = pageRows.map(row => {
+        const item = { ...row };
+        keyNames.forEach(name => delete item[name]);
+        return item;
+    });
+
+    let nextCursor = null;
+    if (hasMore) {
+        const last = pageRows[pageRows.length - 1];
+        nextCursor = Buffer.from(JSON.stringify({
+            sort: `${sort.name}:${sort.direction}`,
+            values: keyNames.map(name => last[name]),
+            id: last.id
+        })).toString('base64url');
+    }
+
+    return { items, nextCursor };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    TASK_SORTS,
+    COMMENT_SORTS,
+    NOTIFICATION_SORTS,
+    PaginationError,
+    pageValidators,
+    parseSort,
+    parseLimit,
+    buildPageQuery,
+    paginate
+};
@@ -0,0 +1,109 @@
+/**
+ * Per-user notification preferences. Users without a saved row get the defaults.
+ */
+
+/**
+ * Preferences as named in the API, with their column and default. The email
+ * preferences are booleans, the digest ones strings.
+ */
+const PREFERENCES = {
+    emailAssigned: { column: 'email_assigned', defaultValue: true },
+    emailCommented: { column: 'email_commented', defaultValue: false },
+    emailMentioned: { column: 'email_mentioned', defaultValue: true },
+    emailDueDates: { column: 'email_due_dates', defaultValue: true },
+    digestFrequency: { column: 'digest_frequency', defaultValue: 'off' },
+    timezone: { column: 'timezone', defaultValue: 'UTC' }
+};
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+/**
+ * Check whether a timezone is an IANA name the server knows, e.g. 'Europe/Berlin'
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Read a preference from a notification_preferences row
+ */
+const readPreference = ({ column, defaultValue }, row) => {
+    if (!row) {
+        return defaultValue;
+    }
+    return typeof defaultValue === 'boolean' ? !!row[column] : row[column];
+};
+
+/**
+ * Preference deciding whether a notification type is also sent by email
+ */
+const EMAIL_PREFERENCE_BY_TYPE = {
+    assigned: 'emailAssigned',
+    commented: 'emailCommented',
+    mentioned: 'emailMentioned',
+    due_soon: 'emailDueDates',
+    overdue: 'emailDueDates'
+};
+
+/**
+ * Get a user's notification preferences
+ * @param {Object} db - Database pool or connection
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} e.g. { emailAssigned: true, ... }
+ */
+const getPreferences = async (db, userId) => {
+    const [rows] = await db.execute('SELECT * FROM notification_preferences WHERE user_id = ?', [userId]);
+
+    return Object.fromEntries(Object.entries(PREFERENCES).map(([name, preference]) => [
+        name,
+        readPreference(preference, rows[0])
+    ]));
+};
+
+/**
+ * Change some of a user's notification preferences
+ * @param {Object} db - Database pool or connection
+ * @param {number} userId - User ID
+ * @param {Object} changes - Validated preferences to change, e.g. { emailCommented: true }
+ * @returns {Promise<Object>} All preferences after the change
+ */
+const updatePreferences = async (db, userId, changes) => {
+    const preferences = { ...(await getPreferences(db, userId)), ...changes };
+    const columns = Object.values(PREFERENCES).map(preference => preference.column);
+    const values = Object.keys(PREFERENCES).map(name => preferences[name]);
+
+    await db.execute(`
+        INSERT INTO notification_preferences (user_id, ${columns.join(', ')})
+        VALUES (?, ${columns.map(() => '?').join(', ')})
+        ON DUPLICATE KEY UPDATE ${columns.map(column => `${column} = VALUES(${column})`).join(', ')}
+    `, [userId, ...values]);
+
+    return getPreferences(db, userId);
+};
+
+/**
+ * Check whether preferences ask for a notification type by email
+ * @param {Object} preferences - Result of getPreferences
+ * @param {string} type - Notification type
+ * @returns {boolean}
+ */
+const wantsEmail = (preferences, type) => {
+    const preference = EMAIL_PREFERENCE_BY_TYPE[type];
+    return !!preference && preferences[preference];
+};
+
+module.exports = {
+    PREFERENCES,
+    DIGEST_FREQUENCIES,
+    isValidTimezone,
+    getPreferences,
+    updatePreferences,
+    wantsEmail
+};
@@ -0,0 +1,226 @@
+/**
+ * Manual card order within a board column.
+ *
+ * Every task has a board_rank: a string of base-36 digits compared byte by byte.
+ * A rank can always be found between two different ranks, so moving a card only
+ * rewrites that card's rank. Ranks never end in '0', which keeps room below
+ * every rank. When ranks get long or two cards share one, the column is
+ * rebalanced to short, evenly spread ranks.
+ *
+ * Rank changes in a column are serialized by locking the column's
+ * workflow_columns row (see withColumnLock).
+ */
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+const MAX_RANK_LENGTH = 48;
+
+/**
+ * Error for a move whose neighbours no longer match the column, e.g. because
+ * someone else moved them meanwhile; routes answer it with 409
+ */
+class RankConflictError extends Error {}
+
+/**
+ * Get a rank strictly between two ranks
+ * @param {string|null} lower - Rank to come after, or null for the start of the column
+ * @param {string|null} upper - Rank to come before, or null for the end of the column
+ * @returns {string}
+ */
+const rankBetween = (lower, upper) => {
+    // At either end of the column, step a digit instead of halving, so that
+    // repeatedly adding cards at the top or bottom keeps ranks short
+    if (lower === null && upper !== null) {
+        const index = [...upper].findIndex(digit => DIGITS.indexOf(digit) > 1);
+        if (index !== -1) {
+            return upper.substring(0, index) + DIGITS[DIGITS.indexOf(upper[index]) - 1];
+        }
+    }
+    if (upper === null && lower !== null) {
+        const index = [...lower].findIndex(digit => DIGITS.indexOf(digit) < BASE - 1);
+        if (index !== -1) {
+            return lower.substring(0, index) + DIGITS[DIGITS.indexOf(lower[index]) + 1];
+        }
+    }
+
+    const low = lower || '';
+    let high = upper;
+    let rank = '';
+
+    for (let index = 0; ; index++) {
+        const lowDigit = index < low.length ? DIGITS.indexOf(low[index]) : 0;
+        const highDigit = high !== null && index < high.length ? DIGITS.indexOf(high[index]) : BASE;
+
+        if (highDigit - lowDigit > 1) {
+            return rank + DIGITS[Math.floor((lowDigit + highDigit) / 2)];
+        }
+
+        rank += DIGITS[lowDigit];
+        // Once below the upper rank's prefix, any continuation stays below it
+        if (highDigit > lowDigit) {
+            high = null;
+        }
+    }
+};
+
+/**
+ * Get evenly spread ranks for a column of cards
+ * @param {number} count - Number of cards
+ * @returns {string[]} Ascending ranks
+ */
+const spreadRanks = (count) => {
+    const width = Math.max(2, Math.ceil(Math.log(count + 2) / Math.log(BASE)) + 1);
+    const step = Math.floor(BASE ** width / (count + 1));
+
+    return Array.from({ length: count }, (value, index) =>
+        (step * (index + 1)).toString(BASE).padStart(width, '0').replace(/0+$/, '')
+    );
+};
+
+/**
+ * Run a function in a transaction that holds the lock on a board column's ranks
+ * @param {Object} db - Database pool
+ * @param {number} projectId - Project ID
+ * @param {string} status - Column name
+ * @param {Function} fn - async (connection) => result
+ * @returns {Promise<*>} The function's result
+ */
+const withColumnLock = async (db, projectId, status, fn) => {
+    const connection = await db.getConnection();
+
+    try {
+        await connection.beginTransaction();
+        await connection.execute(
+            'SELECT id FROM workflow_columns WHERE project_id = ? AND name = ? FOR UPDATE',
+            [projectId, status]
+        );
+
+        const result = await fn(connection);
+
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Give every card of a column a short rank, keeping their order
+ * @param {Object} connection - Connection holding the column lock
+ */
+const rebalanceColumn = async (connection, projectId, status) => {
+    const [tasks] = await connection.execute(
+        'SELECT id FROM tasks WHERE project_id = ? AND status = ? ORDER BY board_rank ASC, id ASC',
+        [projectId, status]
+    );
+    const ranks = spreadRanks(tasks.length);
+
+    for (const [index, task] of tasks.entries()) {
+        await connection.execute(
+            'UPDATE tasks SET board_rank = ?, updated_at = updated_at WHERE id = ?',
+            [ranks[index], task.id]
+        );
+    }
+};
+
+/**
+ * Find the cards directly around the requested spot of a column
+ * @returns {Promise<Object>} { lower, upper } rows with board_rank, either may be null
+ */
+const findGap = async (connection, { projectId, status, taskId, afterId, beforeId }) => {
+    const neighbourIds = [afterId, beforeId].filter(Boolean);
+    const neighbours = {};
+
+    if (neighbourIds.length > 0) {
+        const placeholders = neighbourIds.map(() => '?').join(', ');
+        const [rows] = await connection.execute(
+            `SELECT id, board_rank FROM tasks
+             WHERE id IN (${placeholders}) AND id <> ? AND project_id = ? AND status = ? AND deleted_at IS NULL`,
+            [...neighbourIds, taskId, projectId, status]
+        );
+        rows.forEach(row => {
+            neighbours[row.id] = row;
+        });
+
+        if (rows.length !== neighbourIds.length) {
+            throw new RankConflictError('The cards around the new position are no longer in this column');
+        }
+    }
+
+    const after = afterId ? neighbours[afterId] : null;
+    const before = beforeId ? neighbours[beforeId] : null;
+
+    if (after && before && (after.board_rank > before.board_rank
+        || (after.board_rank === before.board_rank && after.id > before.id))) {
+        throw new RankConflictError('The cards around the new position have been reordered');
+    }
+
+    const others = 'project_id = ? AND status = ? AND deleted_at IS NULL AND id <> ?';
+    const params = [projectId, status, taskId];
+
+    // Right below the card to follow; otherwise right above the card to precede, or at the top
+    if (after) {
+        const [next] = await connection.execute(
+            `SELECT id, board_rank FROM tasks
+             WHERE ${others} AND (board_rank > ? OR (board_rank = ? AND id > ?))
+             ORDER BY board_rank ASC, id ASC LIMIT 1`,
+            [...params, after.board_rank, after.board_rank, after.id]
+        );
+        return { lower: after, upper: next[0] || null };
+    }
+
+    if (before) {
+        const [previous] = await connection.execute(
+            `SELECT id, board_rank FROM tasks
+             WHERE ${others} AND (board_rank < ? OR (board_rank = ? AND id < ?))
+             ORDER BY board_rank DESC, id DESC LIMIT 1`,
+            [...params, before.board_rank, before.board_rank, before.id]
+        );
+        return { lower: previous[0] || null, upper: before };
+    }
+
+    const [first] = await connection.execute(
+        `SELECT id, board_rank FROM tasks WHERE ${others} ORDER BY board_rank ASC, id ASC LIMIT 1`,
+        params
+    );
+    return { lower: null, upper: first[0] || null };
+};
+
+/**
+ * Get the rank for a card placed in a column, directly after one card and/or
+ * before another, or at the top when no neighbour is given
+ * @param {Object} connection - Connection holding the column lock
+ * @param {Object} placement
+ * @param {number} placement.projectId - Project ID
+ * @param {string} placement.status - Column name
+ * @param {number} [placement.taskId] - Card being moved, ignored as a neighbour
+ * @param {number} [placement.afterId] - Card that ends up directly above
+ * @param {number} [placement.beforeId] - Card that ends up directly below
+ * @returns {Promise<string>} Rank
+ * @throws {RankConflictError} When the neighbours are not in the column or out of order
+ */
+const rankForPlacement = async (connection, { projectId, status, taskId = 0, afterId = null, beforeId = null }) => {
+    const placement = { projectId, status, taskId, afterId, beforeId };
+
+    let { lower, upper } = await findGap(connection, placement);
+    const roomBetween = !lower || !upper || lower.board_rank < upper.board_rank;
+
+    let rank = roomBetween ? rankBetween(lower?.board_rank || null, upper?.board_rank || null) : null;
+    if (!rank || rank.length > MAX_RANK_LENGTH) {
+        await rebalanceColumn(connection, projectId, status);
+        ({ lower, upper } = await findGap(connection, placement));
+        rank = rankBetween(lower?.board_rank || null, upper?.board_rank || null);
+    }
+
+    return rank;
+};
+
+module.exports = {
+    RankConflictError,
+    rankBetween,
+    withColumnLock,
+    rankForPlacement
+};
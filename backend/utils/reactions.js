@@ -0,0 +1,92 @@
+/**
+ * Emoji reactions on tasks and comments. Each user can react once with each emoji.
+ */
+
+/**
+ * Emoji users can react with
+ */
+const REACTION_EMOJIS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
+
+/**
+ * Tables holding the reactions of each kind of target
+ */
+const REACTION_TARGETS = {
+    task: { table: 'task_reactions', column: 'task_id' },
+    comment: { table: 'comment_reactions', column: 'comment_id' }
+};
+
+/**
+ * Get the reactions on some tasks or comments, grouped by emoji in the order
+ * each emoji was first used
+ * @param {Object} db - Database pool or connection
+ * @param {string} target - 'task' or 'comment'
+ * @param {number[]} ids - Task or comment IDs
+ * @returns {Promise<Object>} Map of ID to reactions, { emoji, count, users: [{ id, name }] }
+ */
+const getReactions = async (db, target, ids) => {
+    const { table, column } = REACTION_TARGETS[target];
+    const reactionsById = {};
+    if (ids.length === 0) {
+        return reactionsById;
+    }
+
+    const [rows] = await db.execute(`
+        SELECT r.${column} as target_id, r.emoji, r.user_id, u.name as user_name
+        FROM ${table} r
+        JOIN users u ON u.id = r.user_id
+        WHERE r.${column} IN (${ids.map(() => '?').join(', ')})
+        ORDER BY r.created_at ASC, r.user_id ASC
+    `, ids);
+
+    rows.forEach(row => {
+        const reactions = reactionsById[row.target_id] = reactionsById[row.target_id] || [];
+        let reaction = reactions.find(existing => existing.emoji === row.emoji);
+        if (!reaction) {
+            reaction = { emoji: row.emoji, count: 0, users: [] };
+            reactions.push(reaction);
+        }
+        reaction.count++;
+        reaction.users.push({ id: row.user_id, name: row.user_name });
+    });
+
+    return reactionsById;
+};
+
+/**
+ * React to a task or comment; reacting twice with the same emoji changes nothing
+ * @param {Object} db - Database pool or connection
+ * @param {string} target - 'task' or 'comment'
+ * @param {number} id - Task or comment ID
+ * @param {number} userId - User reacting
+ * @param {string} emoji - One of REACTION_EMOJIS
+ */
+const addReaction = async (db, target, id, userId, emoji) => {
+    const { table, column } = REACTION_TARGETS[target];
+    await db.execute(
+        `INSERT IGNORE INTO ${table} (${column}, user_id, emoji) VALUES (?, ?, ?)`,
+        [id, userId, emoji]
+    );
+};
+
+/**
+ * Take back a reaction to a task or comment
+ * @param {Object} db - Database pool or connection
+ * @param {string} target - 'task' or 'comment'
+ * @param {number} id - Task or comment ID
+ * @param {number} userId - User who reacted
+ * @param {string} emoji - Emoji of the reaction
+ */
+const removeReaction = async (db, target, id, userId, emoji) => {
+    const { table, column } = REACTION_TARGETS[target];
+    await db.execute(
+        `DELETE FROM ${table} WHERE ${column} = ? AND user_id = ? AND emoji = ?`,
+        [id, userId, emoji]
+    );
+};
+
+module.exports = {
+    REACTION_EMOJIS,
+    getReactions,
+    addReaction,
+    removeReaction
+};
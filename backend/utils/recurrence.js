@@ -0,0 +1,322 @@
+const { getColumns } = require('./workflow');
+const { recordActivity } = require('./activity');
+const { withColumnLock, rankForPlacement } = require('./ranks');
+const { getTaskTree } = require('./tasks');
+const { publishEvent } = require('./events');
+
+/**
+ * Recurring tasks.
+ *
+ * A task's recurrence is an RRULE (RFC 5545) limited to:
+ *
+ *   FREQ=DAILY|WEEKLY|MONTHLY   required
+ *   INTERVAL=n                  every n days, weeks or months (1-99, default 1)
+ *   BYDAY=MO,WE,FR              weekly only: the weekdays (default the due date's)
+ *   BYMONTHDAY=1,15,-1          monthly only: days of the month, negative from the end
+ *                               (default the due date's; months without the day are skipped)
+ *   UNTIL=YYYYMMDD              last day of the series
+ *
+ * The due date anchors the series: occurrences keep its time of day and
+ * INTERVAL counts from its day, week (starting Monday) or month.
+ *
+ * When an instance is moved to a done column, or once its due date has passed,
+ * the next instance is created in the first column with the next due date.
+ * Each instance is followed by at most one next instance.
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const MAX_INTERVAL = 99;
+// Upper bound on the days searched for the next occurrence
+const MAX_SEARCH_DAYS = 366 * 20;
+
+const RECURRENCE_CHECK_INTERVAL_MINUTES = parseInt(process.env.RECURRENCE_CHECK_INTERVAL_MINUTES) || 5;
+
+/**
+ * Error for a recurrence rule outside the supported subset
+ */
+class RecurrenceError extends Error {}
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - RRULE, optionally prefixed with 'RRULE:'
+ * @returns {Object} { freq, interval, byDay, byMonthDay, until } with byDay as
+ *          weekday numbers (0 = Sunday) and until as the end of its day, or null
+ * @throws {RecurrenceError} When the rule is malformed or unsupported
+ */
+const parseRecurrence = (rule) => {
+    const parts = {};
+
+    for (const part of rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+        const [key, value, ...rest] = part.split('=');
+        if (!value || rest.length > 0) {
+            throw new RecurrenceError(`Invalid recurrence part "${part}"`);
+        }
+        parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    }
+
+    const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL'].includes(key));
+    if (unsupported.length > 0) {
+        throw new RecurrenceError(`Unsupported recurrence part ${unsupported[0]}. Use FREQ, INTERVAL, BYDAY, BYMONTHDAY and UNTIL`);
+    }
+
+    if (!FREQUENCIES.includes(parts.FREQ)) {
+        throw new RecurrenceError(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+        throw new RecurrenceError(`INTERVAL must be a whole number from 1 to ${MAX_INTERVAL}`);
+    }
+
+    let byDay = [];
+    if (parts.BYDAY) {
+        if (parts.FREQ !== 'WEEKLY') {
+            throw new RecurrenceError('BYDAY is only supported with FREQ=WEEKLY');
+        }
+        byDay = parts.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day));
+        if (byDay.includes(-1)) {
+            throw new RecurrenceError(`BYDAY takes weekdays: ${WEEKDAYS.join(', ')}`);
+        }
+    }
+
+    let byMonthDay = [];
+    if (parts.BYMONTHDAY) {
+        if (parts.FREQ !== 'MONTHLY') {
+            throw new RecurrenceError('BYMONTHDAY is only supported with FREQ=MONTHLY');
+        }
+        byMonthDay = parts.BYMONTHDAY.split(',').map(Number);
+        if (byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31)) {
+            throw new RecurrenceError('BYMONTHDAY takes days from 1 to 31, or -1 to -31 from the end of the month');
+        }
+    }
+
+    let until = null;
+    if (parts.UNTIL) {
+        const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+        until = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59, 999) : null;
+        if (!until || until.getDate() !== Number(match[3])) {
+            throw new RecurrenceError('UNTIL must be a date such as 20261231');
+        }
+    }
+
+    return { freq: parts.FREQ, interval, byDay: [...new Set(byDay)], byMonthDay: [...new Set(byMonthDay)], until };
+};
+
+/**
+ * Write a recurrence rule in its canonical form
+ * @param {string} rule - Valid recurrence rule
+ * @returns {string} e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH'
+ */
+const normalizeRecurrence = (rule) => {
+    const { freq, interval, byDay, byMonthDay, until } = parseRecurrence(rule);
+    const parts = [`FREQ=${freq}`];
+
+    if (interval > 1) {
+        parts.push(`INTERVAL=${interval}`);
+    }
+    if (byDay.length > 0) {
+        // Weeks start on Monday
+        parts.push(`BYDAY=${[...byDay].sort((a, b) => (a + 6) % 7 - (b + 6) % 7).map(day => WEEKDAYS[day]).join(',')}`);
+    }
+    if (byMonthDay.length > 0) {
+        parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+    }
+    if (until) {
+        const pad = (value) => String(value).padStart(2, '0');
+        parts.push(`UNTIL=${until.getFullYear()}${pad(until.getMonth() + 1)}${pad(until.getDate())}`);
+    }
+
+    return parts.join(';');
+};
+
+/**
+ * Whole days from one local date to another
+ */
+const daysBetween = (from, to) => {
+    const start = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+    const end = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+    return Math.round((end - start) / (24 * 3600 * 1000));
+};
+
+/**
+ * Check whether a day is part of the series
+ */
+const isOccurrenceDay = ({ freq, interval, byDay, byMonthDay }, anchor, day) => {
+    switch (freq) {
+        case 'DAILY':
+            return daysBetween(anchor, day) % interval === 0;
+
+        case 'WEEKLY': {
+            // Count weeks between the Mondays starting the anchor's and the day's weeks
+            const weeks = Math.floor((daysBetween(anchor, day) + (anchor.getDay() + 6) % 7) / 7);
+            const weekdays = byDay.length > 0 ? byDay : [anchor.getDay()];
+            return weeks % interval === 0 && weekdays.includes(day.getDay());
+        }
+
+        default: {
+            const months = (day.getFullYear() - anchor.getFullYear()) * 12 + day.getMonth() - anchor.getMonth();
+            const monthLength = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+            const monthDays = (byMonthDay.length > 0 ? byMonthDay : [anchor.getDate()])
+                .map(monthDay => monthDay > 0 ? monthDay : monthLength + monthDay + 1);
+            return months % interval === 0 && monthDays.includes(day.getDate());
+        }
+    }
+};
+
+/**
+ * Find the first occurrence of a series after a moment
+ * @param {string} rule - Recurrence rule
+ * @param {Date} anchor - Due date of an instance of the series
+ * @param {Date} after - Occurrences up to this moment are skipped
+ * @returns {Date|null} Next due date, or null once the series has ended
+ */
+const nextOccurrence = (rule, anchor, after) => {
+    const parsed = parseRecurrence(rule);
+    const start = after > anchor ? after : anchor;
+
+    for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+        const candidate = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset,
+            anchor.getHours(), anchor.getMinutes(), anchor.getSeconds());
+
+        if (parsed.until && candidate > parsed.until) {
+            return null;
+        }
+        if (candidate > start && isOccurrenceDay(parsed, anchor, candidate)) {
+            return candidate;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Create the next instance of a recurring task, unless it already has one or its series
+ * has ended: a copy in the project's first column with the next due date, its labels and
+ * its subtasks (reopened, their due dates shifted along)
+ * @param {Object} db - Database pool
+ * @param {number} taskId - Recurring task
+ * @param {number|null} actorId - User whose change triggered it, or null for the schedule
+ * @returns {Promise<number|null>} ID of the new task, or null when none was created
+ */
+const createNextInstance = async (db, taskId, actorId = null) => {
+    const [tasks] = await db.execute('SELECT project_id FROM tasks WHERE id = ?', [taskId]);
+    if (tasks.length === 0) {
+        return null;
+    }
+
+    const projectId = tasks[0].project_id;
+    const [firstColumn] = await getColumns(db, projectId);
+    if (!firstColumn) {
+        return null;
+    }
+
+    return withColumnLock(db, projectId, firstColumn.name, async (connection) => {
+        // Locking the task makes the done move and the schedule create one instance between them
+        const [rows] = await connection.execute('SELECT * FROM tasks WHERE id = ? FOR UPDATE', [taskId]);
+        const task = rows[0];
+        if (!task.recurrence || task.recurrence_spawned || task.deleted_at || !task.due_date) {
+            return null;
+        }
+
+        const dueDate = new Date(task.due_date);
+        const nextDue = nextOccurrence(task.recurrence, dueDate, new Date());
+
+        await connection.execute('UPDATE tasks SET recurrence_spawned = TRUE, updated_at = updated_at WHERE id = ?', [task.id]);
+        if (!nextDue) {
+            return null;
+        }
+
+        const insertCopy = async (source, { parentId, dueDate: copyDue, recurrence }) => {
+            const rank = await rankForPlacement(connection, { projectId, status: firstColumn.name });
+            const [result] = await connection.execute(`
+                INSERT INTO tasks (project_id, parent_id, title, description, priority, status, assignee_id,
+                    due_date, board_rank, recurrence, recurrence_source_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                projectId, parentId, source.title, source.description, source.priority, firstColumn.name,
+                source.assignee_id, copyDue, rank, recurrence, recurrence ? source.id : null
+            ]);
+
+            await connection.execute(
+                'INSERT INTO task_labels (task_id, label_id) SELECT ?, label_id FROM task_labels WHERE task_id = ?',
+                [result.insertId, source.id]
+            );
+            await recordActivity(connection, { taskId: result.insertId, actorId, action: 'created' });
+            return result.insertId;
+        };
+
+        const instanceId = await insertCopy(task, { parentId: task.parent_id, dueDate: nextDue, recurrence: task.recurrence });
+
+        // Cards are added at the top, so copy the subtasks bottom first to keep their order
+        const [subtasks] = await connection.execute(
+            'SELECT * FROM tasks WHERE parent_id = ? AND deleted_at IS NULL ORDER BY board_rank DESC, id DESC',
+            [task.id]
+        );
+        const shift = nextDue.getTime() - dueDate.getTime();
+        for (const subtask of subtasks) {
+            await insertCopy(subtask, {
+                parentId: instanceId,
+                dueDate: subtask.due_date ? new Date(new Date(subtask.due_date).getTime() + shift) : null,
+                recurrence: null
+            });
+        }
+
+        return instanceId;
+    });
+};
+
+/**
+ * Create the next instances of recurring tasks whose due date has passed
+ * @param {Object} db - Database pool
+ * @returns {Promise<number>} Number of instances created
+ */
+const createDueInstances = async (db) => {
+    const [due] = await db.execute(`
+        SELECT id FROM tasks
+        WHERE recurrence IS NOT NULL AND NOT recurrence_spawned AND deleted_at IS NULL AND due_date <= NOW()
+    `);
+
+    let created = 0;
+    for (const task of due) {
+        const instanceId = await createNextInstance(db, task.id);
+        if (instanceId) {
+            created++;
+            const tasks = await getTaskTree(db, instanceId);
+            await publishEvent(db, tasks[0].project_id, 'task.created', { tasks });
+        }
+    }
+    return created;
+};
+
+/**
+ * Create due instances now and then periodically
+ * @param {Object} db - Database pool
+ */
+const startRecurrenceSchedule = (db) => {
+    const run = async () => {
+        try {
+            const created = await createDueInstances(db);
+            if (created > 0) {
+                console.log(`🔁 Created ${created} recurring task instance(s)`);
+            }
+        } catch (error) {
+            console.error('Recurring tasks error:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, RECURRENCE_CHECK_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    RecurrenceError,
+    parseRecurrence,
+    normalizeRecurrence,
+    nextOccurrence,
+    createNextInstance,
+    createDueInstances,
+    startRecurrenceSchedule
+};
@@ -0,0 +1,89 @@
+/**
+ * Characters with a special meaning in MySQL boolean-mode full-text queries
+ */
+const BOOLEAN_OPERATORS = /[+\-><()~*"@]/g;
+
+/**
+ * Turn user input into a MySQL boolean-mode full-text query.
+ * Quoted text is kept as a phrase; every other word of two or more characters
+ * matches as a prefix.
+ * @param {string} input - Raw search text
+ * @returns {Object} { booleanQuery, terms } where terms are the plain words/phrases to highlight
+ */
+const parseSearchQuery = (input) => {
+    const terms = [];
+    const parts = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+        if (match[1] !== undefined) {
+            const phrase = match[1].replace(BOOLEAN_OPERATORS, ' ').trim().replace(/\s+/g, ' ');
+            if (phrase) {
+                terms.push(phrase);
+                parts.push(`"${phrase}"`);
+            }
+        } else {
+            match[2].replace(BOOLEAN_OPERATORS, ' ').split(/\s+/).filter(word => word.length > 1).forEach(word => {
+                terms.push(word);
+                parts.push(`${word}*`);
+            });
+        }
+    }
+
+    return { booleanQuery: parts.join(' '), terms };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Cut a snippet around the first search term found in a text and locate every term in it.
+ * Highlights are returned as [start, end) offsets so clients can render them safely.
+ * @param {string} text - Text that matched
+ * @param {string[]} terms - Terms from parseSearchQuery
+ * @param {number} radius - Characters of context on each side of the first match
+ * @returns {Object|null} { text, highlights } or null when no term occurs in the text
+ */
+const buildSnippet = (text, terms, radius = 60) => {
+    if (!text || terms.length === 0) {
+        return null;
+    }
+
+    // Words match as prefixes, like the full-text query
+    const pattern = new RegExp(terms.map(term => `\\b${escapeRegExp(term)}`).join('|'), 'gi');
+    const first = pattern.exec(text);
+    if (!first) {
+        return null;
+    }
+
+    let start = Math.max(0, first.index - radius);
+    let end = Math.min(text.length, first.index + first[0].length + radius);
+
+    // Don't cut words in half
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < first.index ? space + 1 : start;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > first.index + first[0].length ? space : end;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const snippet = `${prefix}${text.substring(start, end)}${suffix}`;
+
+    const highlights = [];
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(snippet)) !== null) {
+        highlights.push([match.index, match.index + match[0].length]);
+    }
+
+    return { text: snippet, highlights };
+};
+
+module.exports = {
+    parseSearchQuery,
+    buildSnippet
+};
@@ -0,0 +1,293 @@
+/**
+ * Task filter query language.
+ *
+ * A query is a list of terms separated by whitespace; a task has to match every term.
+ *
+ *   assignee:me,unassigned   field:value,value matches any of the values
+ *   status:!Done             ! in front of the values excludes them
+ *   status:"In Progress"     values with spaces are quoted
+ *   label:bug label:ui       labels by name or ID; repeat the field to require all of them
+ *   due:<7d                  dates compare with <, <=, >, >= or =
+ *   updated:>2026-01-01      against a day (YYYY-MM-DD) or an offset from now
+ *   created:>=-2w            (h, d or w, negative for the past)
+ *   "login bug"              any other word or quoted phrase searches title and description
+ *
+ * Queries are turned into SQL conditions on the tasks table aliased as t.
+ * Values are always passed as parameters.
+ */
+
+const PRIORITIES = ['Low', 'Medium', 'High'];
+
+const DATE_FIELDS = {
+    due: 't.due_date',
+    updated: 't.updated_at',
+    created: 't.created_at'
+};
+
+const UNIT_HOURS = { h: 1, d: 24, w: 24 * 7 };
+
+/**
+ * Error for a query that doesn't parse; carries every problem found with its position
+ */
+class TaskQueryError extends Error {
+    /**
+     * @param {Object[]} errors - { message, column, length } with 1-based columns
+     */
+    constructor(errors) {
+        super(errors[0].message);
+        this.errors = errors;
+    }
+}
+
+/**
+ * Split a query into raw terms, keeping quoted text together
+ * @returns {Object[]} { text, start } where start is the 0-based offset in the query
+ */
+const splitTerms = (input, errors) => {
+    const terms = [];
+    let index = 0;
+
+    while (index < input.length) {
+        if (/\s/.test(input[index])) {
+            index++;
+            continue;
+        }
+
+        const start = index;
+        while (index < input.length && !/\s/.test(input[index])) {
+            if (input[index] === '"') {
+                const closing = input.indexOf('"', index + 1);
+                if (closing === -1) {
+                    errors.push({ message: 'Unterminated quote', column: index + 1, length: input.length - index });
+                    index = input.length;
+                    break;
+                }
+                index = closing;
+            }
+            index++;
+        }
+
+        terms.push({ text: input.substring(start, index), start });
+    }
+
+    return terms;
+};
+
+/**
+ * Split a comma-separated value list, keeping quoted values together
+ * @returns {Object[]} { value, start } with quotes removed
+ */
+const splitValues = (text, offset) => {
+    const values = [];
+    let start = 0;
+    let inQuotes = false;
+
+    for (let index = 0; index <= text.length; index++) {
+        if (text[index] === '"') {
+            inQuotes = !inQuotes;
+        } else if (index === text.length || (text[index] === ',' && !inQuotes)) {
+            values.push({
+                value: text.substring(start, index).replace(/"/g, ''),
+                start: offset + start,
+                length: index - start
+            });
+            start = index + 1;
+        }
+    }
+
+    return values;
+};
+
+/**
+ * Escape LIKE wildcards so text matches literally
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Validate a YYYY-MM-DD date, rejecting days that don't exist
+ */
+const isValidDate = (value) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Build the condition for one value of a date field
+ * @returns {Object|string} { sql, params } or an error message
+ */
+const dateCondition = (column, raw) => {
+    if (column === 't.due_date' && raw.toLowerCase() === 'none') {
+        return { sql: `${column} IS NULL`, params: [] };
+    }
+
+    const [, operator = '=', value] = raw.match(/^(<=|>=|<|>|=)?(.*)$/);
+
+    const relative = value.match(/^([+-]?)(\d+)([hdw])$/i);
+    if (relative) {
+        if (operator === '=') {
+            return 'Compare relative dates with <, <=, > or >=';
+        }
+        const hours = parseInt(relative[2]) * UNIT_HOURS[relative[3].toLowerCase()] * (relative[1] === '-' ? -1 : 1);
+        return { sql: `${column} ${operator} DATE_ADD(NOW(), INTERVAL ? HOUR)`, params: [hours] };
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !isValidDate(value)) {
+        return 'Dates must be YYYY-MM-DD or an offset such as 7d, -2w or 12h';
+    }
+
+    // A day covers [day, next day)
+    const nextDay = 'DATE_ADD(?, INTERVAL 1 DAY)';
+    switch (operator) {
+        case '<':
+            return { sql: `${column} < ?`, params: [value] };
+        case '<=':
+            return { sql: `${column} < ${nextDay}`, params: [value] };
+        case '>':
+            return { sql: `${column} >= ${nextDay}`, params: [value] };
+        case '>=':
+            return { sql: `${column} >= ?`, params: [value] };
+        default:
+            return { sql: `(${column} >= ? AND ${column} < ${nextDay})`, params: [value, value] };
+    }
+};
+
+/**
+ * Build the condition for one value of a field
+ * @returns {Object|string} { sql, params } or an error message
+ */
+const valueCondition = (field, value, userId) => {
+    if (DATE_FIELDS[field]) {
+        return dateCondition(DATE_FIELDS[field], value);
+    }
+
+    switch (field) {
+        case 'assignee':
+            if (value.toLowerCase() === 'me') {
+                return { sql: 't.assignee_id = ?', params: [userId] };
+            }
+            if (value.toLowerCase() === 'unassigned') {
+                return { sql: 't.assignee_id IS NULL', params: [] };
+            }
+            if (/^\d+$/.test(value)) {
+                return { sql: 't.assignee_id = ?', params: [parseInt(value)] };
+            }
+            if (value.includes('@')) {
+                return { sql: 't.assignee_id IN (SELECT id FROM users WHERE email = ?)', params: [value] };
+            }
+            return 'Assignee must be me, unassigned, a user ID or an email address';
+
+        case 'priority': {
+            const priority = PRIORITIES.find(name => name.toLowerCase() === value.toLowerCase());
+            if (!priority) {
+                return `Priority must be one of: ${PRIORITIES.join(', ')}`;
+            }
+            return { sql: 't.priority = ?', params: [priority] };
+        }
+
+        case 'status':
+            return { sql: 't.status = ?', params: [value] };
+
+        case 'label': {
+            // Labels match by name, or by ID when the value is a number
+            const labelId = /^\d+$/.test(value) ? parseInt(value) : null;
+            return {
+                sql: 'EXISTS (SELECT 1 FROM task_labels tl JOIN labels l ON l.id = tl.label_id WHERE tl.task_id = t.id AND (l.name = ? OR l.id = ?))',
+                params: [value, labelId]
+            };
+        }
+
+        default:
+            return null;
+    }
+};
+
+const FIELDS = ['assignee', 'priority', 'status', 'label', ...Object.keys(DATE_FIELDS)];
+
+/**
+ * Build the condition for a text term matching title or description
+ */
+const textCondition = (text) => {
+    const pattern = `%${escapeLike(text)}%`;
+    return { sql: '(t.title LIKE ? OR t.description LIKE ?)', params: [pattern, pattern] };
+};
+
+/**
+ * Parse a filter query into SQL conditions
+ * @param {string} input - Query text
+ * @param {Object} options
+ * @param {number} options.userId - User that assignee:me refers to
+ * @returns {Object} { conditions, params } where conditions are SQL strings to AND together
+ * @throws {TaskQueryError} When the query has syntax errors, unknown fields or invalid values
+ */
+const parseTaskQuery = (input, { userId }) => {
+    const errors = [];
+    const conditions = [];
+    const params = [];
+
+    for (const term of splitTerms(input, errors)) {
+        const fieldMatch = term.text.match(/^([a-z]+):/i);
+
+        // Anything that isn't field:values is text to search for
+        if (!fieldMatch) {
+            const text = term.text.replace(/"/g, '').trim();
+            if (text) {
+                const condition = textCondition(text);
+                conditions.push(condition.sql);
+                params.push(...condition.params);
+            }
+            continue;
+        }
+
+        const field = fieldMatch[1].toLowerCase();
+        if (!FIELDS.includes(field)) {
+            errors.push({
+                message: `Unknown field "${fieldMatch[1]}". Use one of: ${FIELDS.join(', ')}`,
+                column: term.start + 1,
+                length: fieldMatch[1].length
+            });
+            continue;
+        }
+
+        let valueText = term.text.substring(fieldMatch[0].length);
+        let valueOffset = term.start + fieldMatch[0].length;
+        const negated = valueText.startsWith('!');
+        if (negated) {
+            valueText = valueText.substring(1);
+            valueOffset++;
+        }
+
+        const valueConditions = [];
+        for (const { value, start, length } of splitValues(valueText, valueOffset)) {
+            if (!value) {
+                errors.push({ message: `Missing value for ${field}`, column: start + 1, length: Math.max(length, 1) });
+                continue;
+            }
+
+            const condition = valueCondition(field, value, userId);
+            if (typeof condition === 'string') {
+                errors.push({ message: condition, column: start + 1, length });
+                continue;
+            }
+
+            valueConditions.push(condition);
+        }
+
+        if (valueConditions.length > 0) {
+            const any = `(${valueConditions.map(condition => condition.sql).join(' OR ')})`;
+            // Tasks without an assignee or due date don't match the values, so a negated list keeps them
+            conditions.push(negated ? `NOT COALESCE(${any}, FALSE)` : any);
+            valueConditions.forEach(condition => params.push(...condition.params));
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new TaskQueryError(errors);
+    }
+
+    return { conditions, params };
+};
+
+module.exports = {
+    TaskQueryError,
+    parseTaskQuery
+};
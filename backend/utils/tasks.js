@@ -0,0 +1,182 @@
+/**
+ * Helper function to determine task badge status
+ * @param {Date} dueDate - Task due date
+ * @param {boolean} isDone - Whether the task is in a column that counts as done
+ * @returns {string} Badge status: 'On Track', 'At Risk', or 'Overdue'
+ */
+const getTaskBadge = (dueDate, isDone) => {
+    if (!dueDate || isDone) {
+        return 'On Track';
+    }
+
+    const now = new Date();
+    const due = new Date(dueDate);
+    const timeDiff = due.getTime() - now.getTime();
+    const hoursDiff = timeDiff / (1000 * 3600);
+
+    if (hoursDiff < 0) {
+        return 'Overdue';
+    } else if (hoursDiff <= 24) {
+        return 'At Risk';
+    }
+    return 'On Track';
+};
+
+/**
+ * Columns and joins shared by every task query, kept apart so paginated
+ * queries can add their sort key columns
+ */
+const TASK_COLUMNS = `
+        t.id, t.project_id, t.parent_id, t.title, t.description, t.priority, t.status, t.due_date,
+        t.created_at, t.updated_at, t.assignee_id, t.board_rank, t.recurrence, t.recurrence_source_id,
+        u.name as assignee_name, u.email as assignee_email,
+        pt.title as parent_title,
+        COALESCE(wc.is_done, FALSE) as is_done,
+        (SELECT COUNT(*) FROM tasks st WHERE st.parent_id = t.id AND st.deleted_at IS NULL) as subtask_count,
+        (
+            SELECT COUNT(*)
+            FROM tasks st
+            JOIN workflow_columns swc ON swc.project_id = st.project_id AND swc.name = st.status
+            WHERE st.parent_id = t.id AND st.deleted_at IS NULL AND swc.is_done
+        ) as subtask_done_count,
+        (
+            SELECT COUNT(*)
+            FROM task_dependencies td
+            JOIN tasks bt ON bt.id = td.blocked_by_id
+            LEFT JOIN workflow_columns bwc ON bwc.project_id = bt.project_id AND bwc.name = bt.status
+            WHERE td.task_id = t.id AND bt.deleted_at IS NULL AND NOT COALESCE(bwc.is_done, FALSE)
+        ) as open_blocker_count,
+        (
+            SELECT COUNT(*)
+            FROM task_dependencies td
+            JOIN tasks dt ON dt.id = td.task_id
+            WHERE td.blocked_by_id = t.id AND dt.deleted_at IS NULL
+        ) as blocking_count,
+        (
+            SELECT JSON_ARRAYAGG(JSON_OBJECT('id', l.id, 'name', l.name, 'color', l.color))
+            FROM task_labels tl
+            JOIN labels l ON l.id = tl.label_id
+            WHERE tl.task_id = t.id
+        ) as labels
+`;
+
+const TASK_JOINS = `
+    FROM tasks t
+    LEFT JOIN users u ON t.assignee_id = u.id
+    LEFT JOIN tasks pt ON t.parent_id = pt.id
+    LEFT JOIN workflow_columns wc ON wc.project_id = t.project_id AND wc.name = t.status
+`;
+
+/**
+ * Full task query. Callers append their own WHERE / ORDER BY clauses,
+ * and leave out tasks in the trash with t.deleted_at IS NULL.
+ */
+const TASK_SELECT = `SELECT ${TASK_COLUMNS} ${TASK_JOINS}`;
+
+/**
+ * Parse the aggregated labels column (a JSON string on servers without a native JSON type)
+ * @returns {Object[]} Labels sorted by name
+ */
+const parseLabels = (labels) => {
+    if (!labels) {
+        return [];
+    }
+    const parsed = typeof labels === 'string' ? JSON.parse(labels) : labels;
+    return parsed.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Shape a task row from TASK_SELECT for API responses; extra columns a query
+ * selects, such as project_name, pass through unchanged
+ * @param {Object} task - Task row
+ * @returns {Object} Task with badge, subtask rollup, blocked flag, labels and nested assignee
+ */
+const formatTask = (task) => ({
+    ...task,
+    is_done: !!task.is_done,
+    badge: getTaskBadge(task.due_date, task.is_done),
+    subtasks: {
+        total: Number(task.subtask_count),
+        done: Number(task.subtask_done_count)
+    },
+    open_blocker_count: Number(task.open_blocker_count),
+    blocking_count: Number(task.blocking_count),
+    blocked: Number(task.open_blocker_count) > 0,
+    labels: parseLabels(task.labels),
+    assignee: task.assignee_id ? {
+        id: task.assignee_id,
+        name: task.assignee_name,
+        email: task.assignee_email
+    } : null
+});
+
+/**
+ * Fetch a single formatted task by ID
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Task ID
+ * @returns {Object|null} Task or null if not found
+ */
+const getTaskById = async (db, taskId) => {
+    const [tasks] = await db.execute(`${TASK_SELECT} WHERE t.id = ?`, [taskId]);
+    return tasks.length > 0 ? formatTask(tasks[0]) : null;
+};
+
+/**
+ * Fetch formatted tasks by ID
+ * @param {Object} db - Database pool or connection
+ * @param {number[]} taskIds - Task IDs
+ * @returns {Promise<Object[]>} Tasks, in ID order
+ */
+const getTasksByIds = async (db, taskIds) => {
+    if (taskIds.length === 0) {
+        return [];
+    }
+
+    const [tasks] = await db.execute(
+        `${TASK_SELECT} WHERE t.id IN (${taskIds.map(() => '?').join(', ')}) ORDER BY t.id ASC`,
+        taskIds
+    );
+    return tasks.map(formatTask);
+};
+
+/**
+ * Fetch a task followed by its subtasks that aren't in the trash
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Object[]>} Formatted tasks, the task itself first
+ */
+const getTaskTree = async (db, taskId) => {
+    const [tasks] = await db.execute(
+        `${TASK_SELECT} WHERE (t.id = ? OR t.parent_id = ?) AND t.deleted_at IS NULL ORDER BY t.parent_id IS NOT NULL, t.id ASC`,
+        [taskId, taskId]
+    );
+    return tasks.map(formatTask);
+};
+
+/**
+ * Count a task's subtasks that are not in a done column
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Parent task ID
+ * @returns {Promise<number>}
+ */
+const countOpenSubtasks = async (db, taskId) => {
+    const [rows] = await db.execute(`
+        SELECT COUNT(*) as open_count
+        FROM tasks st
+        LEFT JOIN workflow_columns wc ON wc.project_id = st.project_id AND wc.name = st.status
+        WHERE st.parent_id = ? AND st.deleted_at IS NULL AND NOT COALESCE(wc.is_done, FALSE)
+    `, [taskId]);
+    return Number(rows[0].open_count);
+};
+
+module.exports = {
+    getTaskBadge,
+    countOpenSubtasks,
+    TASK_COLUMNS,
+    TASK_JOINS,
+    TASK_SELECT,
+    formatTask,
+    getTaskById,
+    getTasksByIds,
+    getTaskTree
+};
@@ -0,0 +1,133 @@
+const { getTaskTreeFiles, removeAttachmentFiles } = require('./attachments');
+
+/**
+ * Trash settings, configurable through the environment
+ */
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+/**
+ * Collect a task and its subtasks at any depth that are in the same trash state:
+ * live subtasks of a live task, or subtasks trashed together with a trashed task
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Root task ID
+ * @returns {Promise<number[]>} Task IDs, root first
+ */
+const getTrashTree = async (db, taskId) => {
+    const taskIds = [];
+    let frontier = [taskId];
+
+    while (frontier.length > 0) {
+        taskIds.push(...frontier);
+        const placeholders = frontier.map(() => '?').join(', ');
+        const [children] = await db.execute(`
+            SELECT st.id
+            FROM tasks st
+            JOIN tasks root ON root.id = ?
+            WHERE st.parent_id IN (${placeholders})
+                AND (st.deleted_at = root.deleted_at OR (st.deleted_at IS NULL AND root.deleted_at IS NULL))
+        `, [taskId, ...frontier]);
+        frontier = children.map(child => child.id);
+    }
+
+    return taskIds;
+};
+
+/**
+ * Move a task and its live subtasks to the trash
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Task ID
+ * @param {number} userId - User deleting the task
+ * @returns {Promise<number[]>} IDs of the trashed tasks
+ */
+const trashTask = async (db, taskId, userId) => {
+    const taskIds = await getTrashTree(db, taskId);
+    const placeholders = taskIds.map(() => '?').join(', ');
+
+    // One statement, so the whole tree gets the same deleted_at
+    await db.execute(
+        `UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id IN (${placeholders})`,
+        [userId, ...taskIds]
+    );
+    return taskIds;
+};
+
+/**
+ * Take a trashed task out of the trash with the subtasks trashed along with it
+ * @param {Object} db - Database pool or connection
+ * @param {number} taskId - Task ID
+ * @returns {Promise<number[]>} IDs of the restored tasks
+ */
+const restoreTask = async (db, taskId) => {
+    const taskIds = await getTrashTree(db, taskId);
+    const placeholders = taskIds.map(() => '?').join(', ');
+
+    await db.execute(
+        `UPDATE tasks SET deleted_at = NULL, deleted_by = NULL WHERE id IN (${placeholders})`,
+        taskIds
+    );
+    return taskIds;
+};
+
+/**
+ * Permanently delete trashed tasks, their subtasks and attachment files
+ * @param {Object} db - Database pool or connection
+ * @param {number[]} taskIds - Trashed task IDs
+ */
+const purgeTasks = async (db, taskIds) => {
+    for (const taskId of taskIds) {
+        // Attachment rows, comments and subtasks cascade with the task; files don't
+        const files = await getTaskTreeFiles(db, taskId);
+        await db.execute('DELETE FROM tasks WHERE id = ? AND deleted_at IS NOT NULL', [taskId]);
+        await removeAttachmentFiles(files);
+    }
+};
+
+/**
+ * Permanently delete tasks that have been in the trash longer than the retention period
+ * @param {Object} db - Database pool or connection
+ * @returns {Promise<number>} Number of tasks purged (not counting their subtasks)
+ */
+const purgeExpiredTasks = async (db) => {
+    const [expired] = await db.execute(`
+        SELECT t.id
+        FROM tasks t
+        LEFT JOIN tasks pt ON pt.id = t.parent_id
+        WHERE t.deleted_at < NOW() - INTERVAL ? DAY
+            AND (pt.id IS NULL OR pt.deleted_at IS NULL OR pt.deleted_at <> t.deleted_at)
+    `, [TRASH_RETENTION_DAYS]);
+
+    await purgeTasks(db, expired.map(task => task.id));
+    return expired.length;
+};
+
+/**
+ * Purge expired trash now and then periodically
+ * @param {Object} db - Database pool
+ */
+const startTrashPurge = (db) => {
+    const purge = async () => {
+        try {
+            const purged = await purgeExpiredTasks(db);
+            if (purged > 0) {
+                console.log(`🗑️  Purged ${purged} task(s) from the trash`);
+            }
+        } catch (error) {
+            console.error('Trash purge error:', error);
+        }
+    };
+
+    purge();
+    const timer = setInterval(purge, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    trashTask,
+    restoreTask,
+    purgeTasks,
+    purgeExpiredTasks,
+    startTrashPurge
+};
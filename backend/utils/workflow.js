@@ -0,0 +1,68 @@
+/**
+ * Columns every new project starts with
+ */
+const DEFAULT_COLUMNS = [
+    { name: 'Backlog', isDone: false },
+    { name: 'In Progress', isDone: false },
+    { name: 'Review', isDone: false },
+    { name: 'Done', isDone: true }
+];
+
+/**
+ * Shape a workflow column row for API responses
+ */
+const formatColumn = (column) => ({
+    id: column.id,
+    projectId: column.project_id,
+    name: column.name,
+    position: column.position,
+    isDone: !!column.is_done
+});
+
+/**
+ * Get a project's workflow columns in board order
+ * @param {Object} db - Database pool or connection
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Object[]>} Formatted columns
+ */
+const getColumns = async (db, projectId) => {
+    const [columns] = await db.execute(
+        'SELECT id, project_id, name, position, is_done FROM workflow_columns WHERE project_id = ? ORDER BY position ASC, id ASC',
+        [projectId]
+    );
+    return columns.map(formatColumn);
+};
+
+/**
+ * Find a project's column by name
+ * @returns {Promise<Object|null>} Formatted column or null if the project has no such column
+ */
+const getColumnByName = async (db, projectId, name) => {
+    const [columns] = await db.execute(
+        'SELECT id, project_id, name, position, is_done FROM workflow_columns WHERE project_id = ? AND name = ?',
+        [projectId, name]
+    );
+    return columns.length > 0 ? formatColumn(columns[0]) : null;
+};
+
+/**
+ * Create the default columns for a new project
+ * @param {Object} connection - Database connection (usually inside a transaction)
+ * @param {number} projectId - Project ID
+ */
+const createDefaultColumns = async (connection, projectId) => {
+    for (const [position, column] of DEFAULT_COLUMNS.entries()) {
+        await connection.execute(
+            'INSERT INTO workflow_columns (project_id, name, position, is_done) VALUES (?, ?, ?, ?)',
+            [projectId, column.name, position, column.isDone]
+        );
+    }
+};
+
+module.exports = {
+    DEFAULT_COLUMNS,
+    formatColumn,
+    getColumns,
+    getColumnByName,
+    createDefaultColumns
+};
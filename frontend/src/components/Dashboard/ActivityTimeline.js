@@ -0,0 +1,130 @@
+import React, { useEffect } from 'react';
+import { format, isValid } from 'date-fns';
+import { useTask } from '../../context/TaskContext';
+import { describeRecurrence } from '../../services/recurrence';
+
+/**
+ * Human-readable names for tracked task fields
+ */
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  priority: 'priority',
+  due_date: 'due date',
+  labels: 'labels',
+  recurrence: 'repeat rule'
+};
+
+/**
+ * Format a date for display
+ */
+const formatDate = (dateString, pattern = 'MMM dd, yyyy \'at\' h:mm a') => {
+  if (!dateString) return null;
+
+  const date = new Date(dateString);
+  if (!isValid(date)) return dateString;
+
+  return format(date, pattern);
+};
+
+/**
+ * Shorten long values such as descriptions and comment bodies
+ */
+const truncate = (value, length = 60) => {
+  if (!value) return value;
+  return value.length > length ? `${value.substring(0, length)}...` : value;
+};
+
+/**
+ * Describe a single activity entry
+ */
+const describeEntry = (entry) => {
+  switch (entry.action) {
+    case 'created':
+      return 'created this task';
+    case 'status_changed':
+      return <>moved this task from <strong>{entry.oldValue}</strong> to <strong>{entry.newValue}</strong></>;
+    case 'assigned':
+      if (!entry.newValue) {
+        return <>unassigned <strong>{entry.oldValue}</strong></>;
+      }
+      return <>assigned this task to <strong>{entry.newValue}</strong></>;
+    case 'commented':
+      return <>commented: “{truncate(entry.newValue)}”</>;
+    case 'comment_edited':
+      return 'edited a comment';
+    case 'comment_deleted':
+      return 'deleted a comment';
+    case 'comment_resolved':
+      return 'resolved a thread';
+    case 'comment_reopened':
+      return 'reopened a thread';
+    case 'deleted':
+      return 'moved this task to the trash';
+    case 'restored':
+      return 'restored this task from the trash';
+    case 'updated': {
+      const label = FIELD_LABELS[entry.field] || entry.field;
+
+      if (entry.field === 'description') {
+        return entry.newValue ? 'updated the description' : 'removed the description';
+      }
+
+      const display = (value) => {
+        if (entry.field === 'due_date') {
+          return formatDate(value, 'MMM dd, yyyy h:mm a');
+        }
+        return entry.field === 'recurrence' ? describeRecurrence(value) : truncate(value);
+      };
+
+      if (!entry.oldValue) {
+        return <>set the {label} to <strong>{display(entry.newValue)}</strong></>;
+      }
+      if (!entry.newValue) {
+        return <>cleared the {label} (was <strong>{display(entry.oldValue)}</strong>)</>;
+      }
+      return <>changed the {label} from <strong>{display(entry.oldValue)}</strong> to <strong>{display(entry.newValue)}</strong></>;
+    }
+    default:
+      return entry.action;
+  }
+};
+
+/**
+ * Activity Timeline Component
+ * Chronological history of changes made to a task
+ */
+const ActivityTimeline = ({ task }) => {
+  const { activity, commentPages, loadActivity } = useTask();
+  const entries = activity[task.id];
+  const commentCount = commentPages[task.id]?.total || 0;
+
+  // Reload whenever the task or its comments change
+  useEffect(() => {
+    loadActivity(task.id);
+  }, [task.id, task.updated_at, commentCount, loadActivity]);
+
+  if (!entries) {
+    return <p className="no-activity">Loading activity...</p>;
+  }
+
+  if (entries.length === 0) {
+    return <p className="no-activity">No activity recorded yet.</p>;
+  }
+
+  return (
+    <ol className="activity-timeline">
+      {[...entries].reverse().map(entry => (
+        <li key={entry.id} className={`activity-item activity-${entry.action}`}>
+          <div className="activity-text">
+            <span className="activity-actor">{entry.actor ? entry.actor.name : 'Someone'}</span>{' '}
+            {describeEntry(entry)}
+          </div>
+          <span className="activity-date">{formatDate(entry.createdAt)}</span>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default ActivityTimeline;
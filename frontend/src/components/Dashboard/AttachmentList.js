@@ -0,0 +1,242 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { format, isValid } from 'date-fns';
+import { useTask } from '../../context/TaskContext';
+import { attachmentAPI } from '../../services/api';
+
+/**
+ * Format a file size for display
+ */
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Format an upload date for display
+ */
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return isValid(date) ? format(date, 'MMM dd, yyyy') : '';
+};
+
+/**
+ * Attachment Thumbnail Component
+ * Image preview loaded through the authenticated API as an object URL
+ */
+const AttachmentThumbnail = ({ taskId, attachment }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    attachmentAPI.downloadAttachment(taskId, attachment.id, true)
+      .then(response => {
+        if (!cancelled) {
+          objectUrl = URL.createObjectURL(response.data);
+          setUrl(objectUrl);
+        }
+      })
+      .catch(error => console.error('Error loading thumbnail:', error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [taskId, attachment.id]);
+
+  return url ? (
+    <img src={url} alt={attachment.filename} className="attachment-thumbnail" />
+  ) : (
+    <div className="attachment-thumbnail placeholder" aria-hidden="true">🖼</div>
+  );
+};
+
+/**
+ * Attachment List Component
+ * Task attachments with drag-and-drop upload, image thumbnails, download and delete
+ */
+const AttachmentList = ({ task }) => {
+  const { attachments, loadAttachments, uploadAttachments, deleteAttachment, can } = useTask();
+  const [isDragging, setIsDragging] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const taskAttachments = attachments[task.id] || [];
+  const canUpload = can('attachment:create');
+
+  // Load attachments when the task changes
+  useEffect(() => {
+    loadAttachments(task.id);
+  }, [task.id, loadAttachments]);
+
+  /**
+   * Upload the given files
+   */
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0 || progress !== null) {
+      return;
+    }
+
+    setError(null);
+    setProgress(0);
+
+    try {
+      const result = await uploadAttachments(task.id, files, setProgress);
+      if (!result.success) {
+        setError(result.error);
+      }
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  /**
+   * Handle drag over the drop zone; only file drags are accepted
+   */
+  const handleDragOver = (e) => {
+    if (!canUpload || !e.dataTransfer.types.includes('Files')) {
+      return;
+    }
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  /**
+   * Handle files dropped on the drop zone
+   */
+  const handleDrop = (e) => {
+    if (!canUpload) {
+      return;
+    }
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  /**
+   * Download an attachment through the authenticated API
+   */
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await attachmentAPI.downloadAttachment(task.id, attachment.id);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      setError('Failed to download attachment');
+    }
+  };
+
+  /**
+   * Delete an attachment after confirmation
+   */
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.filename}?`)) {
+      return;
+    }
+
+    setError(null);
+    const result = await deleteAttachment(task.id, attachment.id);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div
+      className={`attachment-list ${isDragging ? 'drag-over' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      {taskAttachments.length > 0 && (
+        <ul>
+          {taskAttachments.map(attachment => (
+            <li key={attachment.id} className="attachment-item">
+              {attachment.mimeType.startsWith('image/') ? (
+                <AttachmentThumbnail taskId={task.id} attachment={attachment} />
+              ) : (
+                <div className="attachment-thumbnail placeholder" aria-hidden="true">📄</div>
+              )}
+
+              <div className="attachment-info">
+                <button
+                  className="attachment-name"
+                  onClick={() => handleDownload(attachment)}
+                  title={`Download ${attachment.filename}`}
+                >
+                  {attachment.filename}
+                </button>
+                <span className="attachment-meta">
+                  {formatSize(attachment.size)}
+                  {attachment.author && ` · ${attachment.author.name}`}
+                  {` · ${formatDate(attachment.createdAt)}`}
+                </span>
+              </div>
+
+              {can('attachment:delete', attachment) && (
+                <button
+                  className="attachment-delete-btn"
+                  onClick={() => handleDelete(attachment)}
+                  aria-label={`Delete ${attachment.filename}`}
+                  title="Delete attachment"
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {taskAttachments.length === 0 && !canUpload && (
+        <p className="no-attachments">No attachments.</p>
+      )}
+
+      {error && (
+        <p className="attachment-error">{error}</p>
+      )}
+
+      {canUpload && (
+        <div className="attachment-dropzone">
+          {progress !== null ? (
+            <span>Uploading... {progress}%</span>
+          ) : (
+            <>
+              <span>Drop files here or </span>
+              <button
+                type="button"
+                className="attachment-browse-btn"
+                onClick={() => fileInputRef.current?.click()}
+              >
+                browse
+              </button>
+            </>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            hidden
+            onChange={(e) => {
+              handleFiles(e.target.files);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import { useTask } from '../../context/TaskContext';
+import { commentAPI } from '../../services/api';
+import { format, isValid } from 'date-fns';
+import MentionInput from './MentionInput';
+import Markdown from './Markdown';
+import MarkdownEditor from './MarkdownEditor';
+import ReactionBar from './ReactionBar';
+
+/**
+ * Format a comment date for display
+ */
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return isValid(date) ? format(date, 'MMM dd, yyyy \'at\' h:mm a') : 'Invalid date';
+};
+
+/**
+ * Comment Item Component
+ * A single comment or reply. Its author can edit it inline, and it can be deleted
+ * by whoever the project role allows; edited comments show a marker that opens
+ * their earlier versions. Children are extra actions shown before Edit and Delete.
+ */
+const CommentItem = ({ task, comment, className = '', children }) => {
+  const { updateComment, deleteComment, toggleCommentReaction, can } = useTask();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(comment.body);
+  const [isSaving, setIsSaving] = useState(false);
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [revisions, setRevisions] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Start editing with the current body
+   */
+  const handleEdit = () => {
+    setDraft(comment.body);
+    setError(null);
+    setIsEditing(true);
+  };
+
+  /**
+   * Save the edited body
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (!draft.trim()) {
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const result = await updateComment(task.id, comment.id, draft);
+      if (result.success) {
+        setIsEditing(false);
+        setRevisions(null);
+        setShowHistory(false);
+      } else {
+        setError(result.error);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Delete the comment once confirmed
+   */
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    setError(null);
+
+    const result = await deleteComment(task.id, comment);
+    if (!result.success) {
+      setError(result.error);
+      setIsDeleting(false);
+      setShowDeleteConfirm(false);
+    }
+  };
+
+  /**
+   * Show or hide the earlier versions, loading them the first time
+   */
+  const handleToggleHistory = async () => {
+    if (showHistory) {
+      setShowHistory(false);
+      return;
+    }
+
+    setShowHistory(true);
+    if (revisions) {
+      return;
+    }
+
+    try {
+      const response = await commentAPI.getRevisions(comment.id);
+      setRevisions(response.data.revisions);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load the edit history');
+      setShowHistory(false);
+    }
+  };
+
+  const canEdit = can('comment:update', comment);
+  const canDelete = can('comment:delete', comment);
+
+  return (
+    <div className={`comment-item ${className}`}>
+      <div className="comment-header">
+        <span className="comment-author">{comment.author.name}</span>
+        <span className="comment-date">
+          {formatDate(comment.createdAt)}
+          {comment.edited && (
+            <button
+              type="button"
+              className="comment-edited"
+              onClick={handleToggleHistory}
+              title={`Edited ${formatDate(comment.updatedAt)}`}
+              aria-expanded={showHistory}
+            >
+              (edited)
+            </button>
+          )}
+        </span>
+      </div>
+
+      {isEditing ? (
+        <form onSubmit={handleSave} className="add-comment-form comment-edit-form">
+          <MarkdownEditor value={draft}>
+            <MentionInput
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              rows={3}
+              disabled={isSaving}
+              maxLength={1000}
+              autoFocus
+            />
+          </MarkdownEditor>
+          <div className="comment-form-actions">
+            <small className="char-count">
+              {draft.length}/1000 characters
+            </small>
+            <div className="comment-edit-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setIsEditing(false)}
+                disabled={isSaving}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={isSaving || !draft.trim()}
+              >
+                {isSaving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </form>
+      ) : (
+        <div className="comment-body">
+          <Markdown source={comment.body} mentions={comment.mentions} />
+        </div>
+      )}
+
+      <ReactionBar
+        reactions={comment.reactions}
+        onToggle={(emoji, reacted) => toggleCommentReaction(task.id, comment, emoji, reacted)}
+        canReact={can('reaction:create')}
+      />
+
+      {showHistory && (
+        <div className="comment-history">
+          <h4>Edit history</h4>
+          {!revisions ? (
+            <p className="comment-history-status">Loading...</p>
+          ) : (
+            <ol className="comment-revisions">
+              <li className="comment-revision">
+                <span className="comment-revision-date">
+                  Current version, {formatDate(comment.updatedAt)}
+                </span>
+                <div className="comment-revision-body">{comment.body}</div>
+              </li>
+              {revisions.map(revision => (
+                <li key={revision.id} className="comment-revision">
+                  <span className="comment-revision-date">
+                    {formatDate(revision.createdAt)}, replaced {formatDate(revision.replacedAt)}
+                  </span>
+                  <div className="comment-revision-body">{revision.body}</div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+
+      {!isEditing && (children || canEdit || canDelete) && (
+        <div className="comment-item-actions">
+          {children}
+          {showDeleteConfirm ? (
+            <>
+              <span className="comment-delete-confirm">
+                {comment.replyCount > 0
+                  ? `Delete this comment and its ${comment.replyCount} ${comment.replyCount === 1 ? 'reply' : 'replies'}?`
+                  : 'Delete this comment?'}
+              </span>
+              <button
+                type="button"
+                className="comment-thread-action danger"
+                onClick={handleDelete}
+                disabled={isDeleting}
+              >
+                {isDeleting ? 'Deleting...' : 'Delete'}
+              </button>
+              <button
+                type="button"
+                className="comment-thread-action"
+                onClick={() => setShowDeleteConfirm(false)}
+                disabled={isDeleting}
+              >
+                Cancel
+              </button>
+            </>
+          ) : (
+            <>
+              {canEdit && (
+                <button type="button" className="comment-thread-action" onClick={handleEdit}>
+                  Edit
+                </button>
+              )}
+              {canDelete && (
+                <button
+                  type="button"
+                  className="comment-thread-action"
+                  onClick={() => setShowDeleteConfirm(true)}
+                >
+                  Delete
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {error && <p className="comment-thread-error">{error}</p>}
+    </div>
+  );
+};
+
+export default CommentItem;
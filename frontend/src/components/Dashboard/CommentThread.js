@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { useTask } from '../../context/TaskContext';
+import CommentItem from './CommentItem';
+import MentionInput from './MentionInput';
+import MarkdownEditor from './MarkdownEditor';
+
+/**
+ * Comment Thread Component
+ * A comment with its replies and a reply box. Resolved threads start collapsed
+ * to their first comment; open ones start expanded.
+ */
+const CommentThread = ({ task, thread }) => {
+  const { loadThread, addComment, resolveThread, can } = useTask();
+  const [isExpanded, setIsExpanded] = useState(!thread.resolved);
+  const [reply, setReply] = useState('');
+  const [isReplying, setIsReplying] = useState(false);
+  const [isResolving, setIsResolving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const replies = thread.replies || [];
+
+  /**
+   * Expand or collapse the thread, catching up on replies when expanding
+   */
+  const handleToggle = () => {
+    if (!isExpanded && thread.replyCount > 0) {
+      loadThread(task.id, thread.id);
+    }
+    setIsExpanded(!isExpanded);
+  };
+
+  /**
+   * Resolve the thread and collapse it, or reopen it
+   */
+  const handleResolve = async () => {
+    setIsResolving(true);
+    setError(null);
+
+    try {
+      const result = await resolveThread(task.id, thread.id, !thread.resolved);
+      if (result.success) {
+        setIsExpanded(thread.resolved);
+      } else {
+        setError(result.error);
+      }
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  /**
+   * Handle reply submission
+   */
+  const handleReply = async (e) => {
+    e.preventDefault();
+
+    if (!reply.trim()) {
+      return;
+    }
+
+    setIsReplying(true);
+    setError(null);
+
+    try {
+      const result = await addComment(task.id, reply, thread.id);
+      if (result.success) {
+        setReply('');
+      } else {
+        setError(result.error);
+      }
+    } finally {
+      setIsReplying(false);
+    }
+  };
+
+  return (
+    <div className={`comment-thread ${thread.resolved ? 'resolved' : ''}`}>
+      <CommentItem task={task} comment={thread}>
+        {thread.resolved && (
+          <span className="comment-resolved-badge">
+            Resolved{thread.resolvedBy ? ` by ${thread.resolvedBy.name}` : ''}
+          </span>
+        )}
+        <button
+          type="button"
+          className="comment-thread-action"
+          onClick={handleToggle}
+          aria-expanded={isExpanded}
+        >
+          {isExpanded
+            ? 'Collapse'
+            : thread.replyCount > 0
+              ? `Show ${thread.replyCount} ${thread.replyCount === 1 ? 'reply' : 'replies'}`
+              : 'Reply'}
+        </button>
+        {can('comment:resolve') && (
+          <button
+            type="button"
+            className="comment-thread-action"
+            onClick={handleResolve}
+            disabled={isResolving}
+          >
+            {thread.resolved ? 'Reopen' : 'Resolve'}
+          </button>
+        )}
+      </CommentItem>
+
+      {isExpanded && (
+        <div className="comment-replies">
+          {replies.map(comment => (
+            <CommentItem key={comment.id} task={task} comment={comment} className="comment-reply" />
+          ))}
+
+          {can('comment:create') && (
+            <form onSubmit={handleReply} className="add-comment-form reply-form">
+              <MarkdownEditor value={reply}>
+                <MentionInput
+                  value={reply}
+                  onChange={(e) => setReply(e.target.value)}
+                  placeholder="Reply..."
+                  rows={2}
+                  disabled={isReplying}
+                  maxLength={1000}
+                />
+              </MarkdownEditor>
+              <div className="comment-form-actions">
+                <small className="char-count">
+                  {reply.length}/1000 characters
+                </small>
+                <button
+                  type="submit"
+                  className="btn btn-secondary"
+                  disabled={isReplying || !reply.trim()}
+                >
+                  {isReplying ? 'Replying...' : 'Reply'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+
+      {error && <p className="comment-thread-error">{error}</p>}
+    </div>
+  );
+};
+
+export default CommentThread;
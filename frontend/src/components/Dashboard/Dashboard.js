@@ -1,10 +1,17 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { useTask } from '../../context/TaskContext';
 import TaskBoard from './TaskBoard';
 import TaskForm from './TaskForm';
 import TaskModal from './TaskModal';
 import Filters from './Filters';
+import ProjectSwitcher from './ProjectSwitcher';
+import WorkflowEditor from './WorkflowEditor';
+import LabelEditor from './LabelEditor';
+import SearchBox from './SearchBox';
+import TrashView from './TrashView';
+import NotificationBell from './NotificationBell';
+import { taskAPI } from '../../services/api';
 import '../../styles/Dashboard.css';
 
 /**
@@ -13,13 +20,36 @@ import '../../styles/Dashboard.css';
  */
 const Dashboard = () => {
   const { user, logout } = useAuth();
-  const { error, clearError } = useTask();
+  const { error, clearError, currentProject, can, getTaskById } = useTask();
   
   // Modal states
   const [showTaskForm, setShowTaskForm] = useState(false);
   const [showTaskModal, setShowTaskModal] = useState(false);
   const [selectedTask, setSelectedTask] = useState(null);
   const [editingTask, setEditingTask] = useState(null);
+  const [showWorkflowEditor, setShowWorkflowEditor] = useState(false);
+  const [showLabelEditor, setShowLabelEditor] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+
+  // Open the task linked from an email, e.g. ?project=3&task=42
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const taskId = parseInt(params.get('task'));
+    if (!(taskId > 0)) {
+      return;
+    }
+
+    params.delete('task');
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
+
+    taskAPI.getTask(taskId)
+      .then(response => {
+        setSelectedTask(response.data);
+        setShowTaskModal(true);
+      })
+      .catch(error => console.error('Error opening linked task:', error));
+  }, []);
 
   /**
    * Handle logout
@@ -86,17 +116,50 @@ const Dashboard = () => {
       <header className="dashboard-header">
         <div className="header-left">
           <h1>Task Board</h1>
+          <ProjectSwitcher />
+          <SearchBox onSelectTask={handleViewTask} />
           <span className="user-welcome">Welcome, {user.name}</span>
         </div>
         
         <div className="header-right">
+          {currentProject && can('project:manage') && (
+            <button
+              onClick={() => setShowWorkflowEditor(true)}
+              className="btn btn-secondary"
+            >
+              Columns
+            </button>
+          )}
+
+          {currentProject && can('project:manage') && (
+            <button
+              onClick={() => setShowLabelEditor(true)}
+              className="btn btn-secondary"
+            >
+              Labels
+            </button>
+          )}
+
+          {currentProject && (
+            <button
+              onClick={() => setShowTrash(true)}
+              className="btn btn-secondary"
+            >
+              Trash
+            </button>
+          )}
+
           <button 
             onClick={handleCreateTask}
             className="btn btn-primary"
+            disabled={!currentProject || !can('task:create')}
+            title={currentProject ? 'Create task' : 'Create a project first'}
           >
             + New Task
           </button>
           
+          <NotificationBell onSelectTask={handleViewTask} />
+
           <div className="user-menu">
             <span className="user-email">{user.email}</span>
             <button 
@@ -148,9 +211,21 @@ const Dashboard = () => {
         />
       )}
 
+      {showWorkflowEditor && (
+        <WorkflowEditor onClose={() => setShowWorkflowEditor(false)} />
+      )}
+
+      {showLabelEditor && (
+        <LabelEditor onClose={() => setShowLabelEditor(false)} />
+      )}
+
+      {showTrash && (
+        <TrashView onClose={() => setShowTrash(false)} />
+      )}
+
       {showTaskModal && selectedTask && (
         <TaskModal
-          task={selectedTask}
+          task={getTaskById(selectedTask.id) || selectedTask}
           onClose={handleCloseTaskModal}
           onEdit={() => {
             handleCloseTaskModal();
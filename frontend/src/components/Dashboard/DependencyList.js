@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { useTask } from '../../context/TaskContext';
+
+/**
+ * Dependency List Component
+ * Shows the tasks blocking a task and the tasks it blocks, and lets
+ * members add or remove blockers
+ */
+const DependencyList = ({ task }) => {
+  const { tasks, dependencies, loadDependencies, addDependency, removeDependency, can } = useTask();
+  const [blockerId, setBlockerId] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const taskDependencies = dependencies[task.id];
+  const canEdit = can('task:update', task);
+
+  // Load dependencies when the task changes, or after they went stale
+  useEffect(() => {
+    if (!taskDependencies) {
+      loadDependencies(task.id);
+    }
+  }, [task.id, taskDependencies, loadDependencies]);
+
+  const blockedBy = taskDependencies?.blockedBy || [];
+  const blocks = taskDependencies?.blocks || [];
+
+  // Tasks that could still be added as blockers
+  const candidates = tasks.filter(candidate =>
+    candidate.id !== task.id && !blockedBy.some(blocker => blocker.id === candidate.id)
+  );
+
+  /**
+   * Run a dependency change while disabling the form
+   */
+  const save = async (change) => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const result = await change();
+      if (!result.success) {
+        setError(result.error);
+      }
+      return result;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Handle new blocker submission
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    if (!blockerId) {
+      return;
+    }
+
+    const result = await save(() => addDependency(task.id, parseInt(blockerId)));
+    if (result.success) {
+      setBlockerId('');
+    }
+  };
+
+  return (
+    <div className="dependency-list">
+      <div className="dependency-group">
+        <h4>Blocked by</h4>
+        {blockedBy.length === 0 ? (
+          <p className="no-dependencies">Nothing is blocking this task.</p>
+        ) : (
+          <ul>
+            {blockedBy.map(blocker => (
+              <li key={blocker.id} className={`dependency-item ${blocker.is_done ? 'done' : ''}`}>
+                <span className="dependency-title">{blocker.title}</span>
+                <span className="dependency-status">{blocker.status}</span>
+                {canEdit && (
+                  <button
+                    className="dependency-remove-btn"
+                    onClick={() => save(() => removeDependency(task.id, blocker.id))}
+                    disabled={isSaving}
+                    aria-label={`Remove blocker ${blocker.title}`}
+                    title="Remove blocker"
+                  >
+                    ×
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {blocks.length > 0 && (
+        <div className="dependency-group">
+          <h4>Blocks</h4>
+          <ul>
+            {blocks.map(blocked => (
+              <li key={blocked.id} className={`dependency-item ${blocked.is_done ? 'done' : ''}`}>
+                <span className="dependency-title">{blocked.title}</span>
+                <span className="dependency-status">{blocked.status}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {error && (
+        <p className="dependency-error">{error}</p>
+      )}
+
+      {canEdit && (
+        <form onSubmit={handleAdd} className="dependency-add-form">
+          <select
+            className="filter-select"
+            value={blockerId}
+            onChange={(e) => setBlockerId(e.target.value)}
+            disabled={isSaving}
+            aria-label="Blocking task"
+          >
+            <option value="">Add a blocking task...</option>
+            {candidates.map(candidate => (
+              <option key={candidate.id} value={candidate.id}>
+                {candidate.title}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            className="btn btn-secondary"
+            disabled={isSaving || !blockerId}
+          >
+            Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DependencyList;
@@ -1,14 +1,62 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { useTask } from '../../context/TaskContext';
 import { useAuth } from '../../context/AuthContext';
+import { buildTaskQuery, TASK_SORT_OPTIONS } from '../../services/taskQuery';
+import LabelChip from './LabelChip';
+import SavedViews from './SavedViews';
+
+/**
+ * Show a query with the parts the server rejected marked
+ */
+const QueryPreview = ({ query, errors }) => {
+  const parts = [];
+  let position = 0;
+
+  [...errors]
+    .sort((a, b) => a.column - b.column)
+    .forEach((error, index) => {
+      const start = Math.max(error.column - 1, position);
+      const end = Math.max(start + (error.length || 1), start);
+      parts.push(query.substring(position, start));
+      parts.push(
+        <mark key={index} className="query-error-mark" title={error.message}>
+          {query.substring(start, end) || ' '}
+        </mark>
+      );
+      position = end;
+    });
+  parts.push(query.substring(position));
+
+  return <code className="query-preview">{parts}</code>;
+};
 
 /**
  * Filters Component
- * Provides filtering options for tasks
+ * Provides filtering options for tasks. The chips build a filter query
+ * that can be refined by typing further terms.
  */
 const Filters = () => {
-  const { users, filters, updateFilters, clearFilters, tasks } = useTask();
+  const {
+    members,
+    labels,
+    columns,
+    filters,
+    queryErrors,
+    sort,
+    hiddenColumns,
+    updateFilters,
+    clearFilters,
+    setSort,
+    toggleColumn,
+    boardStats
+  } = useTask();
   const { user } = useAuth();
+  const [queryText, setQueryText] = useState(filters.query);
+
+  // Follow the applied query when it changes elsewhere, e.g. Clear All
+  useEffect(() => {
+    setQueryText(filters.query);
+  }, [filters.query]);
 
   /**
    * Handle filter change
@@ -19,6 +67,24 @@ const Filters = () => {
     });
   };
 
+  /**
+   * Add or remove a label from the label filter
+   */
+  const handleLabelToggle = (labelId) => {
+    handleFilterChange('labels', filters.labels.includes(labelId)
+      ? filters.labels.filter(id => id !== labelId)
+      : [...filters.labels, labelId]
+    );
+  };
+
+  /**
+   * Apply the typed query
+   */
+  const handleQuerySubmit = (e) => {
+    e.preventDefault();
+    handleFilterChange('query', queryText.trim());
+  };
+
   /**
    * Handle clear filters
    */
@@ -27,24 +93,21 @@ const Filters = () => {
   };
 
   /**
-   * Get filter statistics
+   * Get filter statistics, counted by the server across the whole board
    */
   const getFilterStats = () => {
-    const totalTasks = tasks.length;
-    const myTasks = tasks.filter(task => task.assignee?.id === user.id).length;
-    const highPriorityTasks = tasks.filter(task => task.priority === 'High').length;
-    const overdueTasks = tasks.filter(task => task.badge === 'Overdue').length;
-
     return {
-      total: totalTasks,
-      myTasks,
-      highPriority: highPriorityTasks,
-      overdue: overdueTasks
+      total: boardStats.total,
+      myTasks: boardStats.mine,
+      highPriority: boardStats.highPriority,
+      overdue: boardStats.overdue
     };
   };
 
   const stats = getFilterStats();
-  const hasActiveFilters = filters.assignee || filters.priority;
+  const hasActiveFilters = filters.assignee || filters.priority || filters.labels.length > 0 || filters.query;
+  const fullQuery = buildTaskQuery(filters);
+  const selectedLabels = labels.filter(label => filters.labels.includes(label.id));
 
   return (
     <div className="filters-container">
@@ -62,14 +125,20 @@ const Filters = () => {
       </div>
 
       <div className="filters-content">
+        {/* Saved Views */}
+        <div className="filter-section">
+          <label className="filter-label">Saved Views</label>
+          <SavedViews />
+        </div>
+
         {/* Quick Filters */}
         <div className="filter-section">
           <label className="filter-label">Quick Filters</label>
           <div className="quick-filters">
             <button
-              className={`quick-filter ${filters.assignee == user.id ? 'active' : ''}`}
+              className={`quick-filter ${filters.assignee === 'me' ? 'active' : ''}`}
               onClick={() => handleFilterChange('assignee', 
-                filters.assignee == user.id ? '' : user.id.toString()
+                filters.assignee === 'me' ? '' : 'me'
               )}
             >
               My Tasks ({stats.myTasks})
@@ -98,12 +167,12 @@ const Filters = () => {
             onChange={(e) => handleFilterChange('assignee', e.target.value)}
           >
             <option value="">All Assignees</option>
-            <option value={user.id}>My Tasks</option>
+            <option value="me">My Tasks</option>
             <option value="unassigned">Unassigned</option>
-            {users
+            {members
               .filter(u => u.id !== user.id)
               .map(u => (
-                <option key={u.id} value={u.id}>
+                <option key={u.id} value={String(u.id)}>
                   {u.name}
                 </option>
               ))
@@ -129,6 +198,114 @@ const Filters = () => {
           </select>
         </div>
 
+        {/* Label Filter */}
+        {labels.length > 0 && (
+          <div className="filter-section">
+            <label className="filter-label">Filter by Label</label>
+            <div className="label-filter">
+              {labels.map(label => (
+                <LabelChip
+                  key={label.id}
+                  label={label}
+                  selected={filters.labels.includes(label.id)}
+                  onClick={() => handleLabelToggle(label.id)}
+                />
+              ))}
+            </div>
+            {filters.labels.length > 1 && (
+              <div className="label-mode" role="radiogroup" aria-label="Label matching">
+                <label>
+                  <input
+                    type="radio"
+                    name="label-mode"
+                    checked={filters.labelMode === 'any'}
+                    onChange={() => handleFilterChange('labelMode', 'any')}
+                  />
+                  Any of these
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    name="label-mode"
+                    checked={filters.labelMode === 'all'}
+                    onChange={() => handleFilterChange('labelMode', 'all')}
+                  />
+                  All of these
+                </label>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Filter Query */}
+        <div className="filter-section">
+          <label className="filter-label" htmlFor="filter-query">Query</label>
+          <form onSubmit={handleQuerySubmit} className="filter-query-form">
+            <input
+              id="filter-query"
+              type="text"
+              className={`filter-query-input ${queryErrors.length > 0 ? 'invalid' : ''}`}
+              value={queryText}
+              onChange={(e) => setQueryText(e.target.value)}
+              placeholder='due:<7d status:!Done "login bug"'
+              maxLength={500}
+            />
+            <button type="submit" className="btn btn-secondary">Apply</button>
+          </form>
+          {fullQuery && (
+            <QueryPreview query={fullQuery} errors={queryErrors} />
+          )}
+          {queryErrors.length > 0 && (
+            <ul className="query-errors">
+              {queryErrors.map((error, index) => (
+                <li key={index}>Column {error.column}: {error.message}</li>
+              ))}
+            </ul>
+          )}
+          <small className="query-help">
+            Fields: assignee, priority, status, label, due, updated, created.
+            Separate values with commas, prefix them with ! to exclude.
+          </small>
+        </div>
+
+        {/* Sort Order */}
+        <div className="filter-section">
+          <label className="filter-label" htmlFor="sort-select">
+            Sort by
+          </label>
+          <select
+            id="sort-select"
+            className="filter-select"
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+          >
+            {TASK_SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Column Visibility */}
+        {columns.length > 0 && (
+          <div className="filter-section">
+            <label className="filter-label">Columns</label>
+            <div className="column-toggles">
+              {columns.map(column => (
+                <label key={column.id}>
+                  <input
+                    type="checkbox"
+                    checked={!hiddenColumns.includes(column.name)}
+                    onChange={() => toggleColumn(column.name)}
+                  />
+                  {column.name}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Task Statistics */}
         <div className="filter-section">
           <label className="filter-label">Task Overview</label>
@@ -165,9 +342,9 @@ const Filters = () => {
               {filters.assignee && (
                 <span className="active-filter">
                   Assignee: {
-                    filters.assignee == user.id ? 'Me' : 
+                    filters.assignee === 'me' ? 'Me' : 
                     filters.assignee === 'unassigned' ? 'Unassigned' :
-                    users.find(u => u.id == filters.assignee)?.name || 'Unknown'
+                    members.find(u => String(u.id) === filters.assignee)?.name || 'Unknown'
                   }
                   <button
                     className="remove-filter"
@@ -191,6 +368,34 @@ const Filters = () => {
                   </button>
                 </span>
               )}
+
+              {selectedLabels.length > 0 && (
+                <span className="active-filter">
+                  Labels ({filters.labelMode === 'all' && selectedLabels.length > 1 ? 'all' : 'any'}): {
+                    selectedLabels.map(label => label.name).join(', ')
+                  }
+                  <button
+                    className="remove-filter"
+                    onClick={() => handleFilterChange('labels', [])}
+                    aria-label="Remove label filter"
+                  >
+                    ×
+                  </button>
+                </span>
+              )}
+
+              {filters.query && (
+                <span className="active-filter">
+                  Query: {filters.query}
+                  <button
+                    className="remove-filter"
+                    onClick={() => handleFilterChange('query', '')}
+                    aria-label="Remove query filter"
+                  >
+                    ×
+                  </button>
+                </span>
+              )}
             </div>
           </div>
         )}
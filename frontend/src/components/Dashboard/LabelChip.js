@@ -0,0 +1,66 @@
+import React from 'react';
+
+/**
+ * Pick black or white text for a label's hex background color
+ */
+const getTextColor = (color) => {
+  const hex = (color || '#6b7280').replace('#', '');
+  const r = parseInt(hex.substring(0, 2), 16);
+  const g = parseInt(hex.substring(2, 4), 16);
+  const b = parseInt(hex.substring(4, 6), 16);
+  const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+  return brightness > 150 ? '#1f2937' : '#ffffff';
+};
+
+/**
+ * Label Chip Component
+ * A colored label; clickable chips toggle selection, removable chips show an ×
+ */
+const LabelChip = ({ label, selected = true, onClick, onRemove }) => {
+  const style = selected
+    ? { backgroundColor: label.color, borderColor: label.color, color: getTextColor(label.color) }
+    : { borderColor: label.color, color: '#374151' };
+
+  const className = `label-chip ${onClick ? 'clickable' : ''} ${selected ? 'selected' : ''}`;
+
+  const content = (
+    <>
+      {label.name}
+      {onRemove && (
+        <button
+          type="button"
+          className="label-chip-remove"
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove();
+          }}
+          aria-label={`Remove label ${label.name}`}
+        >
+          ×
+        </button>
+      )}
+    </>
+  );
+
+  if (onClick) {
+    return (
+      <button
+        type="button"
+        className={className}
+        style={style}
+        onClick={onClick}
+        aria-pressed={selected}
+      >
+        {content}
+      </button>
+    );
+  }
+
+  return (
+    <span className={className} style={style}>
+      {content}
+    </span>
+  );
+};
+
+export default LabelChip;
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { useTask } from '../../context/TaskContext';
+import LabelChip from './LabelChip';
+
+const DEFAULT_COLOR = '#3b82f6';
+
+/**
+ * Label Editor Component
+ * Modal for project admins to create, rename, recolor and delete labels
+ */
+const LabelEditor = ({ onClose }) => {
+  const { labels, createLabel, updateLabel, deleteLabel } = useTask();
+  const [names, setNames] = useState({});
+  const [newLabel, setNewLabel] = useState({ name: '', color: DEFAULT_COLOR });
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Keep the editable names in sync with the saved labels
+  useEffect(() => {
+    setNames(labels.reduce((acc, label) => ({ ...acc, [label.id]: label.name }), {}));
+  }, [labels]);
+
+  /**
+   * Run a label change while disabling the form
+   */
+  const save = async (change) => {
+    setIsSaving(true);
+    try {
+      return await change();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Save a renamed label when the input loses focus
+   */
+  const handleRename = (label) => {
+    const name = (names[label.id] || '').trim();
+
+    if (!name) {
+      setNames(prev => ({ ...prev, [label.id]: label.name }));
+      return;
+    }
+
+    if (name !== label.name) {
+      save(() => updateLabel(label.id, { name }));
+    }
+  };
+
+  /**
+   * Delete a label after confirmation
+   */
+  const handleDelete = (label) => {
+    if (window.confirm(`Delete the label "${label.name}"? It will be removed from every task.`)) {
+      save(() => deleteLabel(label.id));
+    }
+  };
+
+  /**
+   * Handle new label submission
+   */
+  const handleAddLabel = async (e) => {
+    e.preventDefault();
+
+    if (!newLabel.name.trim()) {
+      return;
+    }
+
+    const result = await save(() => createLabel({
+      name: newLabel.name.trim(),
+      color: newLabel.color
+    }));
+
+    if (result.success) {
+      setNewLabel({ name: '', color: DEFAULT_COLOR });
+    }
+  };
+
+  /**
+   * Handle modal backdrop click
+   */
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={handleBackdropClick}>
+      <div className="modal-content label-editor">
+        {/* Modal Header */}
+        <div className="modal-header">
+          <h2>Labels</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close modal"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {labels.length === 0 && (
+            <p className="workflow-hint">This project has no labels yet.</p>
+          )}
+
+          {/* Label List */}
+          <ul className="label-editor-list">
+            {labels.map(label => (
+              <li key={label.id} className="label-editor-item">
+                <input
+                  type="color"
+                  value={label.color}
+                  onChange={(e) => save(() => updateLabel(label.id, { color: e.target.value }))}
+                  disabled={isSaving}
+                  aria-label="Label color"
+                />
+                <input
+                  type="text"
+                  value={names[label.id] || ''}
+                  onChange={(e) => setNames(prev => ({ ...prev, [label.id]: e.target.value }))}
+                  onBlur={() => handleRename(label)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.target.blur();
+                    }
+                  }}
+                  maxLength={50}
+                  disabled={isSaving}
+                  aria-label="Label name"
+                />
+                <LabelChip label={label} />
+                <button
+                  className="workflow-delete-btn"
+                  onClick={() => handleDelete(label)}
+                  disabled={isSaving}
+                  aria-label="Delete label"
+                  title="Delete label"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {/* Add Label Form */}
+          <form onSubmit={handleAddLabel} className="workflow-add-form">
+            <input
+              type="color"
+              value={newLabel.color}
+              onChange={(e) => setNewLabel(prev => ({ ...prev, color: e.target.value }))}
+              disabled={isSaving}
+              aria-label="New label color"
+            />
+            <input
+              type="text"
+              value={newLabel.name}
+              onChange={(e) => setNewLabel(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="New label name"
+              maxLength={50}
+              disabled={isSaving}
+            />
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={isSaving || !newLabel.name.trim()}
+            >
+              Add Label
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LabelEditor;
@@ -0,0 +1,160 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown, parseInline, safeUrl } from '../../services/markdown';
+
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+
+/**
+ * Find the first mention in a text, e.g. '@Ann Smith', that isn't part of a longer word
+ * @param {Object[]} mentions - { label, user }, longest label first
+ * @returns {Object|null} { index, label, user }
+ */
+const findMention = (text, mentions) => {
+  let found = null;
+
+  mentions.forEach(({ label, user }) => {
+    for (let index = text.indexOf(label); index !== -1; index = text.indexOf(label, index + 1)) {
+      const before = text[index - 1];
+      const after = text[index + label.length];
+      if ((before && WORD_CHARACTER.test(before)) || (after && WORD_CHARACTER.test(after))) {
+        continue;
+      }
+      if (!found || index < found.index) {
+        found = { index, label, user };
+      }
+      break;
+    }
+  });
+
+  return found;
+};
+
+/**
+ * Render text with its mentions as links to the mentioned users
+ */
+const renderText = (text, mentions) => {
+  const parts = [];
+  let rest = text;
+  let mention;
+
+  while (mentions.length > 0 && (mention = findMention(rest, mentions))) {
+    parts.push(rest.slice(0, mention.index));
+    parts.push(
+      <a
+        key={parts.length}
+        className="mention"
+        href={`mailto:${mention.user.email}`}
+        title={`${mention.user.name} <${mention.user.email}>`}
+      >
+        {mention.label}
+      </a>
+    );
+    rest = rest.slice(mention.index + mention.label.length);
+  }
+
+  parts.push(rest);
+  return parts;
+};
+
+/**
+ * Render inline nodes
+ */
+const renderInline = (nodes, options) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'text':
+      return <React.Fragment key={index}>{renderText(node.value, options.mentions)}</React.Fragment>;
+    case 'code':
+      return <code key={index}>{node.value}</code>;
+    case 'break':
+      return <br key={index} />;
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children, options)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children, options)}</em>;
+    case 'del':
+      return <del key={index}>{renderInline(node.children, options)}</del>;
+    case 'link': {
+      const href = safeUrl(node.href);
+      const children = renderInline(node.children, options);
+      return href ? (
+        <a key={index} href={href} target="_blank" rel="noopener noreferrer nofollow">
+          {children}
+        </a>
+      ) : (
+        <React.Fragment key={index}>{children}</React.Fragment>
+      );
+    }
+    default:
+      return null;
+  }
+});
+
+/**
+ * Render blocks; the paragraphs of tight list items are rendered without <p>
+ */
+const renderBlocks = (blocks, options, tight = false) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'paragraph': {
+      const content = renderInline(parseInline(block.text), options);
+      return tight
+        ? <React.Fragment key={index}>{content}</React.Fragment>
+        : <p key={index}>{content}</p>;
+    }
+    case 'heading':
+      return React.createElement(`h${block.level}`, { key: index }, renderInline(parseInline(block.text), options));
+    case 'code':
+      return (
+        <pre key={index}>
+          <code className={block.lang ? `language-${block.lang}` : undefined}>{block.text}</code>
+        </pre>
+      );
+    case 'quote':
+      return <blockquote key={index}>{renderBlocks(block.children, options)}</blockquote>;
+    case 'rule':
+      return <hr key={index} />;
+    case 'list': {
+      const items = block.items.map(item => (
+        <li key={item.line} className={item.checked !== null ? 'task-list-item' : undefined}>
+          {item.checked !== null && (
+            <input
+              type="checkbox"
+              checked={item.checked}
+              disabled={!options.onToggleTask}
+              onChange={() => options.onToggleTask(item.line, !item.checked)}
+              aria-label={item.checked ? 'Mark as not done' : 'Mark as done'}
+            />
+          )}
+          {renderBlocks(item.children, options, !block.loose)}
+        </li>
+      ));
+      return block.ordered
+        ? <ol key={index} start={block.start !== 1 ? block.start : undefined}>{items}</ol>
+        : <ul key={index}>{items}</ul>;
+    }
+    default:
+      return null;
+  }
+});
+
+/**
+ * Markdown Component
+ * Renders the Markdown of a description or comment as React elements, so no HTML
+ * from the text reaches the page. Comment mentions become links to the users, and
+ * task-list checkboxes can be toggled when onToggleTask(line, checked) is given.
+ */
+const Markdown = ({ source, mentions = [], onToggleTask = null, className = '' }) => {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+
+  // The text of each mention, e.g. '@Ann Smith', longest first so it wins over '@Ann'
+  const mentionLabels = useMemo(() => mentions
+    .map(mention => ({ label: (source || '').slice(mention.start, mention.start + mention.length), user: mention.user }))
+    .filter(mention => mention.label.startsWith('@'))
+    .sort((a, b) => b.label.length - a.label.length), [source, mentions]);
+
+  return (
+    <div className={`markdown ${className}`}>
+      {renderBlocks(blocks, { mentions: mentionLabels, onToggleTask })}
+    </div>
+  );
+};
+
+export default Markdown;
@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+import Markdown from './Markdown';
+
+/**
+ * Markdown Editor Component
+ * Write and Preview tabs around a text input given as children; Preview shows
+ * the value as it will be rendered. Clearing the value goes back to Write.
+ */
+const MarkdownEditor = ({ value, children }) => {
+  const [isPreview, setIsPreview] = useState(false);
+
+  // Back to writing once the text is submitted and cleared
+  useEffect(() => {
+    if (!value) {
+      setIsPreview(false);
+    }
+  }, [value]);
+
+  return (
+    <div className="markdown-editor">
+      <div className="markdown-editor-tabs" role="tablist">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={!isPreview}
+          className={`markdown-editor-tab ${!isPreview ? 'active' : ''}`}
+          onClick={() => setIsPreview(false)}
+        >
+          Write
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={isPreview}
+          className={`markdown-editor-tab ${isPreview ? 'active' : ''}`}
+          onClick={() => setIsPreview(true)}
+        >
+          Preview
+        </button>
+        <small className="markdown-editor-hint">Markdown supported</small>
+      </div>
+
+      {isPreview ? (
+        <div className="markdown-preview" role="tabpanel">
+          {value.trim()
+            ? <Markdown source={value} />
+            : <p className="markdown-preview-empty">Nothing to preview</p>}
+        </div>
+      ) : children}
+    </div>
+  );
+};
+
+export default MarkdownEditor;
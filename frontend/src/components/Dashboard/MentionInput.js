@@ -0,0 +1,154 @@
+import React, { useState, useRef, useEffect, useId } from 'react';
+import { useTask } from '../../context/TaskContext';
+
+const MAX_SUGGESTIONS = 6;
+const MAX_QUERY_LENGTH = 40;
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+
+/**
+ * Find the @mention being typed before the caret
+ * @returns {Object|null} { start, query } where start is the index of the '@'
+ */
+const findMentionQuery = (text, caret) => {
+  const start = text.lastIndexOf('@', caret - 1);
+  if (start === -1 || caret - start - 1 > MAX_QUERY_LENGTH) {
+    return null;
+  }
+  if (start > 0 && WORD_CHARACTER.test(text[start - 1])) {
+    return null;
+  }
+
+  const query = text.slice(start + 1, caret);
+  return query.includes('\n') ? null : { start, query };
+};
+
+/**
+ * Mention Input Component
+ * Comment textarea that suggests project members while an @mention is typed;
+ * arrow keys move through the suggestions, Enter or Tab picks one, Escape closes them
+ */
+const MentionInput = ({ value, onChange, ...textareaProps }) => {
+  const { users, members } = useTask();
+  const [mention, setMention] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const textareaRef = useRef(null);
+  const caretRef = useRef(null);
+  const listId = useId();
+
+  // Only project members can be mentioned
+  const memberIds = new Set(members.map(member => member.id));
+  const query = mention?.query.toLowerCase();
+  const suggestions = mention
+    ? users
+      .filter(user => memberIds.has(user.id))
+      .filter(user => {
+        const name = user.name.toLowerCase();
+        return name.startsWith(query) || name.split(/\s+/).some(part => part.startsWith(query));
+      })
+      .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  // Put the caret after an inserted mention once the new value is rendered
+  useEffect(() => {
+    if (caretRef.current !== null && textareaRef.current) {
+      textareaRef.current.setSelectionRange(caretRef.current, caretRef.current);
+      caretRef.current = null;
+    }
+  }, [value]);
+
+  /**
+   * Look for a mention being typed at the caret
+   */
+  const updateMention = (text, caret) => {
+    setMention(findMentionQuery(text, caret));
+    setActiveIndex(0);
+  };
+
+  const handleChange = (e) => {
+    onChange(e);
+    updateMention(e.target.value, e.target.selectionStart);
+  };
+
+  /**
+   * Replace the typed mention with the chosen user's name
+   */
+  const insertMention = (user) => {
+    const caret = textareaRef.current.selectionStart;
+    const inserted = `@${user.name} `;
+    const text = value.slice(0, mention.start) + inserted + value.slice(caret);
+    const maxLength = textareaProps.maxLength;
+
+    if (maxLength && text.length > maxLength) {
+      return;
+    }
+
+    caretRef.current = mention.start + inserted.length;
+    setMention(null);
+    onChange({ target: { value: text } });
+    textareaRef.current.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) {
+      return;
+    }
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertMention(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      // Close the suggestions, not the modal
+      e.preventDefault();
+      e.stopPropagation();
+      setMention(null);
+    }
+  };
+
+  return (
+    <div className="mention-input">
+      <textarea
+        {...textareaProps}
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => updateMention(e.target.value, e.target.selectionStart)}
+        onBlur={() => setMention(null)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-controls={listId}
+        aria-expanded={suggestions.length > 0 ? 'true' : 'false'}
+      />
+
+      {suggestions.length > 0 && (
+        <ul id={listId} className="mention-suggestions" role="listbox">
+          {suggestions.map((user, index) => (
+            <li
+              key={user.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`mention-suggestion ${index === activeIndex ? 'active' : ''}`}
+              // Keep the textarea focused while picking
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insertMention(user);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span className="mention-suggestion-name">{user.name}</span>
+              <span className="mention-suggestion-email">{user.email}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MentionInput;
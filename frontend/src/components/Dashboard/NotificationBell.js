@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { format, isValid } from 'date-fns';
+import { useTask } from '../../context/TaskContext';
+import { notificationAPI, taskAPI } from '../../services/api';
+import NotificationSettings from './NotificationSettings';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const PAGE_SIZE = 20;
+
+/**
+ * Format a notification date for display
+ */
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return isValid(date) ? format(date, 'MMM dd, HH:mm') : '';
+};
+
+/**
+ * Describe a notification in words
+ */
+const describeNotification = (notification) => {
+  const actor = notification.actor?.name || 'Someone';
+  const title = `"${notification.task.title}"`;
+
+  switch (notification.type) {
+    case 'assigned':
+      return `${actor} assigned you ${title}`;
+    case 'commented':
+      return `${actor} commented on ${title}`;
+    case 'mentioned':
+      return `${actor} mentioned you on ${title}`;
+    case 'due_soon':
+      return `${title} is due ${formatDate(notification.task.dueDate)}`;
+    case 'overdue':
+      return `${title} is overdue`;
+    default:
+      return title;
+  }
+};
+
+/**
+ * Notification Bell Component
+ * Header bell with the number of unread notifications and a dropdown
+ * listing them; choosing one marks it read and opens its task
+ */
+const NotificationBell = ({ onSelectTask }) => {
+  const { currentProject, selectProject } = useTask();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  /**
+   * Load a page of notifications, the first one unless a cursor is given
+   */
+  const loadNotifications = useCallback(async (cursor = null) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await notificationAPI.getNotifications({ limit: PAGE_SIZE, cursor: cursor || undefined });
+      const page = response.data;
+      setNotifications(prev => cursor ? [...prev, ...page.notifications] : page.notifications);
+      setNextCursor(page.nextCursor);
+      setUnreadCount(page.unreadCount);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load notifications');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Keep the unread count current while the panel is closed
+  useEffect(() => {
+    if (isOpen) {
+      return;
+    }
+
+    const refreshCount = async () => {
+      try {
+        const response = await notificationAPI.getUnreadCount();
+        setUnreadCount(response.data.unreadCount);
+      } catch (error) {
+        console.error('Unread notifications error:', error);
+      }
+    };
+
+    refreshCount();
+    const timer = setInterval(refreshCount, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isOpen]);
+
+  // Close the panel when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  /**
+   * Open or close the panel, loading the latest notifications when opening
+   */
+  const handleToggle = () => {
+    if (!isOpen) {
+      loadNotifications();
+      setShowSettings(false);
+    }
+    setIsOpen(!isOpen);
+  };
+
+  /**
+   * Mark every notification read
+   */
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(notification => notification.read ? notification : { ...notification, read: true, readAt }));
+      setUnreadCount(0);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to mark notifications as read');
+    }
+  };
+
+  /**
+   * Mark a notification read and open its task, switching projects if needed
+   */
+  const handleSelect = async (notification) => {
+    setIsOpen(false);
+
+    try {
+      if (!notification.read) {
+        const response = await notificationAPI.markRead(notification.id);
+        setNotifications(prev => prev.map(item => item.id === notification.id ? response.data.notification : item));
+        setUnreadCount(response.data.unreadCount);
+      }
+
+      const response = await taskAPI.getTask(notification.task.id);
+      if (notification.task.projectId !== currentProject?.id) {
+        selectProject(notification.task.projectId);
+      }
+      onSelectTask(response.data);
+    } catch (error) {
+      console.error('Open notification error:', error);
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        className="notification-button"
+        onClick={handleToggle}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={isOpen}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-count">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && showSettings && (
+        <div className="notification-panel">
+          <NotificationSettings onBack={() => setShowSettings(false)} />
+        </div>
+      )}
+
+      {isOpen && !showSettings && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <h3>Notifications</h3>
+            <span className="notification-actions">
+              {unreadCount > 0 && (
+                <button className="notification-action" onClick={handleMarkAllRead}>
+                  Mark all read
+                </button>
+              )}
+              <button className="notification-action" onClick={() => setShowSettings(true)}>
+                Settings
+              </button>
+            </span>
+          </div>
+
+          {error && (
+            <p className="notification-status notification-error">{error}</p>
+          )}
+
+          {!isLoading && !error && notifications.length === 0 && (
+            <p className="notification-status">You're all caught up</p>
+          )}
+
+          <ul className="notification-list">
+            {notifications.map(notification => (
+              <li key={notification.id}>
+                <button
+                  className={`notification-item ${notification.read ? '' : 'unread'}`}
+                  onClick={() => handleSelect(notification)}
+                >
+                  <span className="notification-text">{describeNotification(notification)}</span>
+                  {notification.commentExcerpt && (
+                    <span className="notification-excerpt">{notification.commentExcerpt}</span>
+                  )}
+                  <span className="notification-meta">
+                    {notification.task.projectName} · {formatDate(notification.createdAt)}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {isLoading && (
+            <p className="notification-status">Loading...</p>
+          )}
+
+          {!isLoading && nextCursor && (
+            <button
+              className="notification-action notification-more"
+              onClick={() => loadNotifications(nextCursor)}
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { notificationAPI } from '../../services/api';
+
+const EMAIL_OPTIONS = [
+  { name: 'emailAssigned', label: 'A task is assigned to me' },
+  { name: 'emailMentioned', label: 'Someone mentions me' },
+  { name: 'emailCommented', label: 'Someone comments on a task I take part in' },
+  { name: 'emailDueDates', label: 'My tasks are due soon or overdue' }
+];
+
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Timezones to choose from, always including the current one
+ */
+const getTimezoneOptions = (current) => {
+  const timezones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [BROWSER_TIMEZONE];
+  return [...new Set(['UTC', current, ...timezones])].filter(Boolean);
+};
+
+/**
+ * Notification Settings Component
+ * Lets the user choose which notifications they also get by email and
+ * whether they get a daily or weekly digest; every change is saved right away
+ */
+const NotificationSettings = ({ onBack }) => {
+  const [preferences, setPreferences] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+
+  useEffect(() => {
+    notificationAPI.getPreferences()
+      .then(response => setPreferences(response.data.preferences))
+      .catch(error => setError(error.response?.data?.message || 'Failed to load notification settings'));
+  }, []);
+
+  /**
+   * Save some preferences
+   */
+  const savePreferences = async (changes) => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const response = await notificationAPI.updatePreferences(changes);
+      setPreferences(response.data.preferences);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save notification settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Change the digest frequency; subscribing with the default timezone
+   * switches to the browser's
+   */
+  const handleFrequencyChange = (digestFrequency) => {
+    const changes = { digestFrequency };
+    if (digestFrequency !== 'off' && preferences.digestFrequency === 'off' && preferences.timezone === 'UTC') {
+      changes.timezone = BROWSER_TIMEZONE;
+    }
+    savePreferences(changes);
+  };
+
+  /**
+   * Show the digest the user would get now
+   */
+  const handlePreview = async () => {
+    setIsLoadingPreview(true);
+    setError(null);
+
+    try {
+      const frequency = preferences.digestFrequency !== 'off' ? preferences.digestFrequency : 'daily';
+      const response = await notificationAPI.previewDigest(frequency);
+      setPreview(response.data.email);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load the digest preview');
+    } finally {
+      setIsLoadingPreview(false);
+    }
+  };
+
+  return (
+    <div className="notification-settings">
+      <div className="notification-panel-header">
+        <h3>Email me when</h3>
+        <button className="notification-action" onClick={onBack}>
+          Back
+        </button>
+      </div>
+
+      {error && (
+        <p className="notification-status notification-error">{error}</p>
+      )}
+
+      {!preferences && !error && (
+        <p className="notification-status">Loading...</p>
+      )}
+
+      {preferences && (
+        <>
+          {EMAIL_OPTIONS.map(option => (
+            <label key={option.name} className="notification-setting">
+              <input
+                type="checkbox"
+                checked={preferences[option.name]}
+                onChange={() => savePreferences({ [option.name]: !preferences[option.name] })}
+                disabled={isSaving}
+              />
+              {option.label}
+            </label>
+          ))}
+
+          <div className="notification-panel-header notification-section-header">
+            <h3>Digest</h3>
+            <button
+              className="notification-action"
+              onClick={handlePreview}
+              disabled={isLoadingPreview}
+            >
+              {isLoadingPreview ? 'Loading...' : 'Preview'}
+            </button>
+          </div>
+
+          <div className="notification-setting-row">
+            <label htmlFor="digest-frequency">Send me a summary</label>
+            <select
+              id="digest-frequency"
+              value={preferences.digestFrequency}
+              onChange={(e) => handleFrequencyChange(e.target.value)}
+              disabled={isSaving}
+            >
+              <option value="off">Never</option>
+              <option value="daily">Every morning</option>
+              <option value="weekly">Every Monday morning</option>
+            </select>
+          </div>
+
+          <div className="notification-setting-row">
+            <label htmlFor="digest-timezone">Timezone</label>
+            <select
+              id="digest-timezone"
+              value={preferences.timezone}
+              onChange={(e) => savePreferences({ timezone: e.target.value })}
+              disabled={isSaving}
+            >
+              {getTimezoneOptions(preferences.timezone).map(timezone => (
+                <option key={timezone} value={timezone}>{timezone}</option>
+              ))}
+            </select>
+          </div>
+        </>
+      )}
+
+      {preview && (
+        <div className="modal-backdrop" onClick={(e) => e.target === e.currentTarget && setPreview(null)}>
+          <div className="modal-content digest-preview">
+            <div className="modal-header">
+              <h2>{preview.subject}</h2>
+              <button
+                className="modal-close"
+                onClick={() => setPreview(null)}
+                aria-label="Close preview"
+              >
+                ×
+              </button>
+            </div>
+            <div className="modal-body">
+              <iframe
+                title="Digest preview"
+                className="digest-preview-frame"
+                srcDoc={preview.html}
+                sandbox=""
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { useTask } from '../../context/TaskContext';
+
+/**
+ * Project Switcher Component
+ * Selects the project shown on the board and creates new projects
+ */
+const ProjectSwitcher = () => {
+  const { projects, currentProject, selectProject, createProject } = useTask();
+  const [isCreating, setIsCreating] = useState(false);
+  const [projectName, setProjectName] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * Handle project creation
+   */
+  const handleCreateProject = async (e) => {
+    e.preventDefault();
+
+    if (!projectName.trim()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const result = await createProject({ name: projectName.trim() });
+
+      if (result.success) {
+        setProjectName('');
+        setIsCreating(false);
+      }
+    } catch (error) {
+      console.error('Error creating project:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Cancel project creation
+   */
+  const handleCancel = () => {
+    setProjectName('');
+    setIsCreating(false);
+  };
+
+  if (isCreating) {
+    return (
+      <form onSubmit={handleCreateProject} className="project-switcher project-create-form">
+        <input
+          type="text"
+          value={projectName}
+          onChange={(e) => setProjectName(e.target.value)}
+          placeholder="Project name"
+          maxLength={100}
+          disabled={isSubmitting}
+          autoFocus
+        />
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={isSubmitting || !projectName.trim()}
+        >
+          Create
+        </button>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={handleCancel}
+          disabled={isSubmitting}
+        >
+          Cancel
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="project-switcher">
+      <label htmlFor="project-select" className="project-label">Project</label>
+      <select
+        id="project-select"
+        className="project-select"
+        value={currentProject?.id || ''}
+        onChange={(e) => selectProject(e.target.value)}
+        disabled={projects.length === 0}
+      >
+        {projects.length === 0 && (
+          <option value="">No projects yet</option>
+        )}
+        {projects.map(project => (
+          <option key={project.id} value={project.id}>
+            {project.name}
+          </option>
+        ))}
+      </select>
+      <button
+        className="project-new-btn"
+        onClick={() => setIsCreating(true)}
+        title="Create project"
+      >
+        + Project
+      </button>
+    </div>
+  );
+};
+
+export default ProjectSwitcher;
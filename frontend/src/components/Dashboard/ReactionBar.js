@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+
+// Emoji users can react with, as accepted by the API
+const REACTION_EMOJIS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
+
+/**
+ * List who reacted, e.g. "Ann, Bob and you"
+ */
+const describeUsers = (users, currentUserId) => {
+  const names = users.map(user => user.id === currentUserId ? 'you' : user.name);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0];
+};
+
+/**
+ * Reaction Bar Component
+ * Emoji reactions with their counts; clicking one adds or takes back the
+ * current user's reaction, and the picker adds a new one
+ */
+const ReactionBar = ({ reactions = [], onToggle, canReact }) => {
+  const { user } = useAuth();
+  const [showPicker, setShowPicker] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const hasReacted = (emoji) => reactions.some(reaction =>
+    reaction.emoji === emoji && reaction.users.some(reactor => reactor.id === user?.id)
+  );
+
+  /**
+   * Add or take back a reaction
+   */
+  const handleToggle = async (emoji) => {
+    setShowPicker(false);
+    setIsSaving(true);
+
+    try {
+      await onToggle(emoji, hasReacted(emoji));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (reactions.length === 0 && !canReact) {
+    return null;
+  }
+
+  return (
+    <div className="reaction-bar">
+      {reactions.map(reaction => (
+        <button
+          key={reaction.emoji}
+          type="button"
+          className={`reaction-chip ${hasReacted(reaction.emoji) ? 'active' : ''}`}
+          onClick={() => handleToggle(reaction.emoji)}
+          disabled={!canReact || isSaving}
+          title={`${describeUsers(reaction.users, user?.id)} reacted with ${reaction.emoji}`}
+          aria-pressed={hasReacted(reaction.emoji)}
+        >
+          <span className="reaction-emoji">{reaction.emoji}</span>
+          <span className="reaction-count">{reaction.count}</span>
+        </button>
+      ))}
+
+      {canReact && (
+        <div className="reaction-picker-container">
+          <button
+            type="button"
+            className="reaction-chip reaction-add"
+            onClick={() => setShowPicker(!showPicker)}
+            disabled={isSaving}
+            aria-label="Add reaction"
+            aria-expanded={showPicker}
+          >
+            +
+          </button>
+
+          {showPicker && (
+            <div
+              className="reaction-picker"
+              role="menu"
+              onKeyDown={(e) => e.key === 'Escape' && setShowPicker(false)}
+            >
+              {REACTION_EMOJIS.map(emoji => (
+                <button
+                  key={emoji}
+                  type="button"
+                  role="menuitem"
+                  className={`reaction-option ${hasReacted(emoji) ? 'active' : ''}`}
+                  onClick={() => handleToggle(emoji)}
+                >
+                  {emoji}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReactionBar;
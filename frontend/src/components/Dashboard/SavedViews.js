@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import { useTask } from '../../context/TaskContext';
+import { useAuth } from '../../context/AuthContext';
+
+/**
+ * Check whether the board's settings differ from a saved view
+ */
+const isModified = (view, { filters, sort, hiddenColumns }) => {
+  const sameFilters = Object.keys(filters).every(key =>
+    JSON.stringify(filters[key]) === JSON.stringify(view.filters[key])
+  );
+  const sameColumns = hiddenColumns.length === view.hiddenColumns.length
+    && hiddenColumns.every(name => view.hiddenColumns.includes(name));
+
+  return !sameFilters || sort !== view.sort || !sameColumns;
+};
+
+/**
+ * Saved Views Component
+ * Picks a saved view for the board and saves, shares or deletes views
+ */
+const SavedViews = () => {
+  const {
+    views,
+    currentViewId,
+    filters,
+    sort,
+    hiddenColumns,
+    applyView,
+    clearView,
+    saveView,
+    updateView,
+    deleteView,
+    can
+  } = useTask();
+  const { user } = useAuth();
+  const [isSaving, setIsSaving] = useState(false);
+  const [viewName, setViewName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const currentView = views.find(view => view.id === currentViewId) || null;
+  const ownViews = views.filter(view => view.owner.id === user.id);
+  const sharedViews = views.filter(view => view.owner.id !== user.id);
+  const isOwner = currentView?.owner.id === user.id;
+  const modified = currentView && isModified(currentView, { filters, sort, hiddenColumns });
+
+  /**
+   * Run a view change while disabling the controls
+   */
+  const submit = async (change) => {
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const result = await change();
+      if (!result.success) {
+        setError(result.error);
+      }
+      return result;
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Handle view selection
+   */
+  const handleSelect = (e) => {
+    const view = views.find(v => v.id === parseInt(e.target.value));
+    setError(null);
+    if (view) {
+      applyView(view);
+    } else {
+      clearView();
+    }
+  };
+
+  /**
+   * Handle new view submission
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (!viewName.trim()) {
+      return;
+    }
+
+    const result = await submit(() => saveView(viewName.trim(), shared));
+    if (result.success) {
+      setViewName('');
+      setShared(false);
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Handle view deletion
+   */
+  const handleDelete = () => {
+    if (window.confirm(`Delete the view "${currentView.name}"?`)) {
+      submit(() => deleteView(currentView.id));
+    }
+  };
+
+  /**
+   * Copy a link that opens the board with the current view
+   */
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      setError('Could not copy the link');
+    }
+  };
+
+  return (
+    <div className="saved-views">
+      <select
+        className="filter-select"
+        value={currentViewId || ''}
+        onChange={handleSelect}
+        disabled={isSubmitting}
+        aria-label="Saved view"
+      >
+        <option value="">No saved view</option>
+        {ownViews.length > 0 && (
+          <optgroup label="My views">
+            {ownViews.map(view => (
+              <option key={view.id} value={view.id}>
+                {view.name}{view.shared ? ' (shared)' : ''}
+              </option>
+            ))}
+          </optgroup>
+        )}
+        {sharedViews.length > 0 && (
+          <optgroup label="Shared with the team">
+            {sharedViews.map(view => (
+              <option key={view.id} value={view.id}>
+                {view.name} ({view.owner.name})
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+
+      {modified && (
+        <p className="view-modified">The board differs from this view.</p>
+      )}
+
+      <div className="view-actions">
+        {currentView && isOwner && modified && (
+          <button
+            className="btn btn-secondary"
+            onClick={() => submit(() => updateView(currentView.id, { overwrite: true }))}
+            disabled={isSubmitting}
+          >
+            Update view
+          </button>
+        )}
+        {currentView && isOwner && (
+          <button
+            className="btn btn-secondary"
+            onClick={() => submit(() => updateView(currentView.id, { shared: !currentView.shared }))}
+            disabled={isSubmitting}
+          >
+            {currentView.shared ? 'Stop sharing' : 'Share with team'}
+          </button>
+        )}
+        {currentView && (isOwner || can('project:manage')) && (
+          <button
+            className="btn btn-secondary"
+            onClick={handleDelete}
+            disabled={isSubmitting}
+          >
+            Delete
+          </button>
+        )}
+        {currentView && (
+          <button className="btn btn-secondary" onClick={handleCopyLink}>
+            {copied ? 'Link copied' : 'Copy link'}
+          </button>
+        )}
+        {!isSaving && (
+          <button className="btn btn-secondary" onClick={() => setIsSaving(true)}>
+            Save as view...
+          </button>
+        )}
+      </div>
+
+      {isSaving && (
+        <form onSubmit={handleSave} className="view-save-form">
+          <input
+            type="text"
+            value={viewName}
+            onChange={(e) => setViewName(e.target.value)}
+            placeholder="View name"
+            maxLength={100}
+            disabled={isSubmitting}
+            autoFocus
+          />
+          <label>
+            <input
+              type="checkbox"
+              checked={shared}
+              onChange={(e) => setShared(e.target.checked)}
+              disabled={isSubmitting}
+            />
+            Share with the team
+          </label>
+          <div className="view-actions">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={isSubmitting || !viewName.trim()}
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setIsSaving(false)}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && (
+        <p className="view-error">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default SavedViews;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useTask } from '../../context/TaskContext';
+import { searchAPI } from '../../services/api';
+
+const MATCH_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  comment: 'Comment'
+};
+
+/**
+ * Render snippet text with its highlighted ranges wrapped in <mark>
+ */
+const HighlightedText = ({ snippet }) => {
+  const parts = [];
+  let position = 0;
+
+  snippet.highlights.forEach(([start, end], index) => {
+    if (start > position) {
+      parts.push(snippet.text.substring(position, start));
+    }
+    parts.push(<mark key={index}>{snippet.text.substring(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(snippet.text.substring(position));
+
+  return <>{parts}</>;
+};
+
+/**
+ * Search Box Component
+ * Searches the current project's tasks and comments as the user types and
+ * shows results grouped by task
+ */
+const SearchBox = ({ onSelectTask }) => {
+  const { currentProject } = useTask();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  const projectId = currentProject?.id;
+
+  // Search shortly after the user stops typing
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < 2 || !projectId) {
+      setResults([]);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await searchAPI.search(text, { project: projectId });
+        if (!cancelled) {
+          setResults(response.data.results);
+          setError(null);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setError(error.response?.data?.message || 'Search failed');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsSearching(false);
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, projectId]);
+
+  // Close the results when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  /**
+   * Open a result's task
+   */
+  const handleSelect = (task) => {
+    setIsOpen(false);
+    onSelectTask(task);
+  };
+
+  const showResults = isOpen && query.trim().length >= 2;
+
+  return (
+    <div className="search-box" ref={containerRef}>
+      <input
+        type="search"
+        className="search-input"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') {
+            setIsOpen(false);
+          } else if (e.key === 'Enter' && results.length > 0) {
+            handleSelect(results[0].task);
+          }
+        }}
+        placeholder="Search tasks and comments..."
+        aria-label="Search tasks and comments"
+        disabled={!projectId}
+      />
+
+      {showResults && (
+        <div className="search-results" role="listbox">
+          {isSearching && results.length === 0 && (
+            <p className="search-status">Searching...</p>
+          )}
+
+          {error && (
+            <p className="search-status search-error">{error}</p>
+          )}
+
+          {!isSearching && !error && results.length === 0 && (
+            <p className="search-status">No matches</p>
+          )}
+
+          {results.map(result => {
+            const titleMatch = result.matches.find(match => match.field === 'title');
+
+            return (
+              <button
+                key={result.task.id}
+                className="search-result"
+                role="option"
+                aria-selected="false"
+                onClick={() => handleSelect(result.task)}
+              >
+                <span className="search-result-header">
+                  <span className="search-result-title">
+                    {titleMatch ? <HighlightedText snippet={titleMatch.snippet} /> : result.task.title}
+                  </span>
+                  <span className="search-result-status">{result.task.status}</span>
+                </span>
+
+                {result.matches
+                  .filter(match => match.field !== 'title')
+                  .slice(0, 3)
+                  .map((match, index) => (
+                    <span key={index} className="search-result-match">
+                      <span className="search-match-field">{MATCH_LABELS[match.field]}:</span>{' '}
+                      <HighlightedText snippet={match.snippet} />
+                    </span>
+                  ))
+                }
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
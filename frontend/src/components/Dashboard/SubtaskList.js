@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { useTask } from '../../context/TaskContext';
+
+/**
+ * Subtask List Component
+ * Checklist of a task's subtasks with inline add and complete
+ */
+const SubtaskList = ({ task }) => {
+  const { subtasks, loadSubtasks, createSubtask, toggleSubtask, can } = useTask();
+  const [newTitle, setNewTitle] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const taskSubtasks = subtasks[task.id] || [];
+
+  // Load subtasks when the task changes
+  useEffect(() => {
+    loadSubtasks(task.id);
+  }, [task.id, loadSubtasks]);
+
+  /**
+   * Complete or reopen a subtask
+   */
+  const handleToggle = async (subtask) => {
+    setError(null);
+    const result = await toggleSubtask(subtask, !subtask.is_done);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  /**
+   * Handle new subtask submission
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    if (!newTitle.trim()) {
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const result = await createSubtask(task.id, { title: newTitle.trim() });
+
+      if (result.success) {
+        setNewTitle('');
+      } else {
+        setError(result.error);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="subtask-list">
+      {taskSubtasks.length > 0 && (
+        <ul>
+          {taskSubtasks.map(subtask => (
+            <li key={subtask.id} className={`subtask-item ${subtask.is_done ? 'done' : ''}`}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={subtask.is_done}
+                  onChange={() => handleToggle(subtask)}
+                  disabled={!can('task:update', subtask)}
+                />
+                <span className="subtask-title">{subtask.title}</span>
+              </label>
+              <span className="subtask-status">{subtask.status}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {taskSubtasks.length === 0 && (
+        <p className="no-subtasks">No subtasks yet.</p>
+      )}
+
+      {error && (
+        <p className="subtask-error">{error}</p>
+      )}
+
+      {can('task:create') && (
+        <form onSubmit={handleAdd} className="subtask-add-form">
+          <input
+            type="text"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            placeholder="Add a subtask..."
+            maxLength={255}
+            disabled={isSaving}
+          />
+          <button
+            type="submit"
+            className="btn btn-secondary"
+            disabled={isSaving || !newTitle.trim()}
+          >
+            Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -8,42 +8,24 @@ import '../../styles/TaskBoard.css';
  * Main board displaying tasks in columns by status
  */
 const TaskBoard = ({ onTaskClick, onTaskEdit }) => {
-  const { getTasksByStatus, loading } = useTask();
+  const { getTasksByStatus, columnPages, columns: workflowColumns, hiddenColumns, loading } = useTask();
 
   // Get tasks grouped by status
   const tasksByStatus = getTasksByStatus();
   
-  // Define column configuration
-  const columns = [
-    {
-      id: 'backlog',
-      title: 'Backlog',
-      status: 'Backlog',
-      className: 'backlog',
-      tasks: tasksByStatus['Backlog'] || []
-    },
-    {
-      id: 'in-progress',
-      title: 'In Progress',
-      status: 'In Progress',
-      className: 'in-progress',
-      tasks: tasksByStatus['In Progress'] || []
-    },
-    {
-      id: 'review',
-      title: 'Review',
-      status: 'Review',
-      className: 'review',
-      tasks: tasksByStatus['Review'] || []
-    },
-    {
-      id: 'done',
-      title: 'Done',
-      status: 'Done',
-      className: 'done',
-      tasks: tasksByStatus['Done'] || []
-    }
-  ];
+  // Build column configuration from the project's workflow, leaving out hidden columns
+  const columns = workflowColumns.filter(column => !hiddenColumns.includes(column.name)).map(column => {
+    const slug = column.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return {
+      id: column.id,
+      title: column.name,
+      status: column.name,
+      className: `${slug}${column.isDone ? ' done-column' : ''}`,
+      tasks: tasksByStatus[column.name] || [],
+      total: columnPages[column.name]?.total || 0,
+      hasMore: Boolean(columnPages[column.name]?.nextCursor)
+    };
+  });
 
   if (loading) {
     return (
@@ -58,7 +40,15 @@ const TaskBoard = ({ onTaskClick, onTaskEdit }) => {
 
   return (
     <div className="task-board">
-      <div className="board-columns">
+      <div
+        className="board-columns"
+        style={{ '--column-count': Math.max(columns.length, 1) }}
+      >
+        {columns.length === 0 && (
+          <div className="empty-board">
+            <p>This board has no columns yet.</p>
+          </div>
+        )}
         {columns.map(column => (
           <TaskColumn
             key={column.id}
@@ -66,6 +56,8 @@ const TaskBoard = ({ onTaskClick, onTaskEdit }) => {
             title={column.title}
             status={column.status}
             tasks={column.tasks}
+            total={column.total}
+            hasMore={column.hasMore}
             className={column.className}
             onTaskClick={onTaskClick}
             onTaskEdit={onTaskEdit}
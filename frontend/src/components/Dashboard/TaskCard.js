@@ -1,18 +1,29 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import { format, isValid } from 'date-fns';
+import { useTask } from '../../context/TaskContext';
+import LabelChip from './LabelChip';
+import { describeRecurrence } from '../../services/recurrence';
+import { markdownToText } from '../../services/markdown';
 
 /**
  * Task Card Component
  * Individual task card displaying task information
  */
 const TaskCard = ({ task, onClick, onEdit }) => {
+  const { can } = useTask();
+  const canEdit = can('task:update', task);
+  // Cards re-render on every board change, so the preview is only worked out again
+  // when the description changes
+  const descriptionText = useMemo(() => markdownToText(task.description), [task.description]);
+
   /**
    * Handle drag start event
    */
   const handleDragStart = (e) => {
     const taskData = {
       taskId: task.id,
-      currentStatus: task.status
+      currentStatus: task.status,
+      blocked: task.blocked
     };
     e.dataTransfer.setData('application/json', JSON.stringify(taskData));
     e.dataTransfer.effectAllowed = 'move';
@@ -84,8 +95,8 @@ const TaskCard = ({ task, onClick, onEdit }) => {
 
   return (
     <div
-      className="task-card"
-      draggable
+      className={`task-card ${task.blocked ? 'blocked' : ''}`}
+      draggable={canEdit}
       onDragStart={handleDragStart}
       onClick={handleCardClick}
       role="button"
@@ -102,31 +113,77 @@ const TaskCard = ({ task, onClick, onEdit }) => {
           <span className={`priority-indicator ${getPriorityClass(task.priority)}`}>
             {task.priority}
           </span>
+          {task.blocked && (
+            <span
+              className="task-blocked"
+              title={`Blocked by ${task.open_blocker_count} unfinished task${task.open_blocker_count === 1 ? '' : 's'}`}
+              aria-label="Blocked"
+            >
+              🔒
+            </span>
+          )}
+          {task.recurrence && (
+            <span
+              className="task-recurrence"
+              title={`Repeats: ${describeRecurrence(task.recurrence)}`}
+              aria-label="Recurring task"
+            >
+              🔁
+            </span>
+          )}
         </div>
         
-        <button
-          className="task-edit-btn"
-          onClick={handleEditClick}
-          aria-label="Edit task"
-          title="Edit task"
-        >
-          ✎
-        </button>
+        {canEdit && (
+          <button
+            className="task-edit-btn"
+            onClick={handleEditClick}
+            aria-label="Edit task"
+            title="Edit task"
+          >
+            ✎
+          </button>
+        )}
       </div>
 
+      {/* Parent Task */}
+      {task.parent_title && (
+        <p className="task-parent" title={`Subtask of ${task.parent_title}`}>
+          ↳ {task.parent_title}
+        </p>
+      )}
+
       {/* Task Title */}
       <h4 className="task-title">{task.title}</h4>
 
-      {/* Task Description Preview */}
-      {task.description && (
+      {/* Labels */}
+      {task.labels?.length > 0 && (
+        <div className="task-labels">
+          {task.labels.map(label => (
+            <LabelChip key={label.id} label={label} />
+          ))}
+        </div>
+      )}
+
+      {/* Task Description Preview, as plain text */}
+      {descriptionText && (
         <p className="task-description">
-          {task.description.length > 80 
-            ? `${task.description.substring(0, 80)}...` 
-            : task.description
+          {descriptionText.length > 80
+            ? `${descriptionText.substring(0, 80)}...`
+            : descriptionText
           }
         </p>
       )}
 
+      {/* Subtask Progress */}
+      {task.subtasks?.total > 0 && (
+        <div
+          className={`task-subtasks ${task.subtasks.done === task.subtasks.total ? 'complete' : ''}`}
+          title="Subtasks done"
+        >
+          ☑ {task.subtasks.done}/{task.subtasks.total} subtasks done
+        </div>
+      )}
+
       {/* Task Footer */}
       <div className="task-footer">
         {/* Assignee */}
@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { useTask } from '../../context/TaskContext';
 import TaskCard from './TaskCard';
+import VirtualList from './VirtualList';
 
 /**
  * Task Column Component
@@ -11,13 +12,64 @@ const TaskColumn = ({
   title, 
   status, 
   tasks, 
+  total,
+  hasMore,
   className, 
   onTaskClick, 
   onTaskEdit 
 }) => {
-  const { moveTask } = useTask();
+  const { moveTask, loadMoreTasks, columns, sort } = useTask();
   const [draggedOver, setDraggedOver] = useState(false);
+  // Index in tasks where a dragged card would land; only used in manual order
+  const [dropIndex, setDropIndex] = useState(null);
   const [isDropping, setIsDropping] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  // Scroll events can fire again before the loading state re-renders
+  const loadingMoreRef = useRef(false);
+
+  /**
+   * Fetch the column's next page when scrolled to the bottom
+   */
+  const handleEndReached = async () => {
+    if (!hasMore || loadingMoreRef.current || loadError) {
+      return;
+    }
+
+    loadingMoreRef.current = true;
+    setIsLoadingMore(true);
+
+    try {
+      const result = await loadMoreTasks(status);
+      if (!result.success) {
+        setLoadError(result.error);
+      }
+    } finally {
+      loadingMoreRef.current = false;
+      setIsLoadingMore(false);
+    }
+  };
+
+  // Cards can only be placed precisely while the board shows the manual order
+  const manualOrder = sort === 'rank';
+
+  /**
+   * Find where in the column a card dropped at the pointer would land:
+   * before the first rendered card whose middle is below the pointer
+   */
+  const getDropIndex = (e) => {
+    const nodes = [...e.currentTarget.querySelectorAll('[data-virtual-key]')];
+    const indexOf = (node) => tasks.findIndex(task => String(task.id) === node.dataset.virtualKey);
+
+    const below = nodes.find(node => {
+      const rect = node.getBoundingClientRect();
+      return e.clientY < rect.top + rect.height / 2;
+    });
+    if (below) {
+      return indexOf(below);
+    }
+    return nodes.length > 0 ? indexOf(nodes[nodes.length - 1]) + 1 : tasks.length;
+  };
 
   /**
    * Handle drag over event
@@ -25,6 +77,10 @@ const TaskColumn = ({
   const handleDragOver = (e) => {
     e.preventDefault();
     setDraggedOver(true);
+
+    if (manualOrder) {
+      setDropIndex(getDropIndex(e));
+    }
   };
 
   /**
@@ -33,6 +89,7 @@ const TaskColumn = ({
   const handleDragLeave = (e) => {
     e.preventDefault();
     setDraggedOver(false);
+    setDropIndex(null);
   };
 
   /**
@@ -40,21 +97,44 @@ const TaskColumn = ({
    */
   const handleDrop = async (e) => {
     e.preventDefault();
+    const index = manualOrder ? getDropIndex(e) : null;
     setDraggedOver(false);
+    setDropIndex(null);
     setIsDropping(true);
 
     try {
       // Get task data from drag event
       const taskData = JSON.parse(e.dataTransfer.getData('application/json'));
-      const { taskId, currentStatus } = taskData;
+      const { taskId, currentStatus, blocked } = taskData;
+
+      // The cards that end up directly above and below the dropped one
+      const above = index !== null ? tasks.slice(0, index).filter(task => task.id !== taskId).pop() : null;
+      const below = index !== null ? tasks.slice(index).find(task => task.id !== taskId) : null;
+      const currentIndex = tasks.findIndex(task => task.id === taskId);
+
+      // Don't move if dropping in same column, unless reordering it onto a new spot
+      if (currentStatus === status && (index === null || index === currentIndex || index === currentIndex + 1)) {
+        return;
+      }
 
-      // Don't move if dropping in same column
-      if (currentStatus === status) {
+      // A blocked task can't be started until its blockers are done
+      if (blocked && columns[0]?.name !== status) {
+        window.alert(`This task is blocked and can't move to ${title} until its blockers are done.`);
         return;
       }
 
-      // Move task to new status
-      const result = await moveTask(taskId, status);
+      // Move task to its new column and position (the top of the column unless ordered manually)
+      const placement = { afterId: above?.id ?? null, beforeId: below?.id ?? null };
+      let result = await moveTask(taskId, status, placement);
+
+      if (result.status === 409 && result.data?.blockers) {
+        window.alert(result.error);
+      } else if (result.status === 409 && result.data?.stale) {
+        window.alert(`${result.error}. The board has been reloaded, please try again.`);
+      } else if (result.status === 409 && window.confirm(`${result.error}. Move it to ${title} anyway?`)) {
+        // Moving a parent to a done column while subtasks are open needs confirmation
+        result = await moveTask(taskId, status, { ...placement, force: true });
+      }
       
       if (!result.success) {
         console.error('Failed to move task:', result.error);
@@ -66,6 +146,25 @@ const TaskColumn = ({
     }
   };
 
+  /**
+   * Get the class of the line showing where a dragged card would land, for the card
+   * it would land in front of (or the last card when dropped at the end)
+   */
+  const getDropLineClass = (task) => {
+    if (dropIndex === null || !draggedOver) {
+      return null;
+    }
+
+    const index = tasks.indexOf(task);
+    if (index === dropIndex) {
+      return index === 0 ? 'drop-line drop-line-first' : 'drop-line';
+    }
+    if (dropIndex === tasks.length && index === tasks.length - 1) {
+      return 'drop-line drop-line-last';
+    }
+    return null;
+  };
+
   /**
    * Get column class names
    */
@@ -93,12 +192,12 @@ const TaskColumn = ({
       {/* Column Header */}
       <div className="column-header">
         <h3 className="column-title">{title}</h3>
-        <span className="task-count">{tasks.length}</span>
+        <span className="task-count">{total}</span>
       </div>
 
       {/* Tasks List */}
       <div className="column-content">
-        {tasks.length === 0 ? (
+        {tasks.length === 0 && !hasMore ? (
           <div className="empty-column">
             <p>No tasks</p>
             {draggedOver && (
@@ -106,16 +205,33 @@ const TaskColumn = ({
             )}
           </div>
         ) : (
-          <div className="tasks-list">
-            {tasks.map(task => (
-              <TaskCard
-                key={task.id}
-                task={task}
-                onClick={() => onTaskClick(task)}
-                onEdit={() => onTaskEdit(task)}
-              />
-            ))}
-          </div>
+          <VirtualList
+            className="tasks-list"
+            items={tasks}
+            getKey={task => task.id}
+            renderItem={task => (
+              <>
+                {getDropLineClass(task) && <div className={getDropLineClass(task)} />}
+                <TaskCard
+                  task={task}
+                  onClick={() => onTaskClick(task)}
+                  onEdit={() => onTaskEdit(task)}
+                />
+              </>
+            )}
+            onEndReached={handleEndReached}
+            footer={(isLoadingMore || loadError) && (
+              <div className="column-footer">
+                {loadError ? (
+                  <button className="btn btn-secondary" onClick={() => setLoadError(null)}>
+                    Retry loading tasks
+                  </button>
+                ) : (
+                  <p>Loading more tasks...</p>
+                )}
+              </div>
+            )}
+          />
         )}
 
         {/* Drop indicator */}
@@ -1,20 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import { useTask } from '../../context/TaskContext';
 import { format } from 'date-fns';
+import LabelChip from './LabelChip';
+import MarkdownEditor from './MarkdownEditor';
+import {
+  WEEKDAY_OPTIONS,
+  EMPTY_RECURRENCE,
+  parseRecurrenceRule,
+  buildRecurrenceRule
+} from '../../services/recurrence';
 import '../../styles/TaskForm.css';
 /**
  * Task Form Component
  * Modal form for creating and editing tasks
  */
 const TaskForm = ({ task, onClose, onSuccess }) => {
-  const { users, createTask, updateTask, loading } = useTask();
+  const { members, labels, createTask, updateTask, loading } = useTask();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     priority: 'Medium',
     assignee_id: '',
-    due_date: ''
+    due_date: '',
+    label_ids: []
   });
+  const [recurrence, setRecurrence] = useState(EMPTY_RECURRENCE);
   const [formErrors, setFormErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -28,8 +38,10 @@ const TaskForm = ({ task, onClose, onSuccess }) => {
         description: task.description || '',
         priority: task.priority || 'Medium',
         assignee_id: task.assignee?.id || '',
-        due_date: task.due_date ? format(new Date(task.due_date), 'yyyy-MM-dd\'T\'HH:mm') : ''
+        due_date: task.due_date ? format(new Date(task.due_date), 'yyyy-MM-dd\'T\'HH:mm') : '',
+        label_ids: (task.labels || []).map(label => label.id)
       });
+      setRecurrence(parseRecurrenceRule(task.recurrence));
     }
   }, [task]);
 
@@ -52,6 +64,43 @@ const TaskForm = ({ task, onClose, onSuccess }) => {
     }
   };
 
+  /**
+   * Toggle a label on or off
+   */
+  const handleLabelToggle = (labelId) => {
+    setFormData(prev => ({
+      ...prev,
+      label_ids: prev.label_ids.includes(labelId)
+        ? prev.label_ids.filter(id => id !== labelId)
+        : [...prev.label_ids, labelId]
+    }));
+  };
+
+  /**
+   * Change part of the recurrence picker
+   */
+  const handleRecurrenceChange = (changes) => {
+    setRecurrence(prev => ({ ...prev, ...changes }));
+
+    if (formErrors.recurrence) {
+      setFormErrors(prev => ({
+        ...prev,
+        recurrence: ''
+      }));
+    }
+  };
+
+  /**
+   * Toggle a weekday of a weekly recurrence
+   */
+  const handleWeekdayToggle = (weekday) => {
+    handleRecurrenceChange({
+      weekdays: recurrence.weekdays.includes(weekday)
+        ? recurrence.weekdays.filter(day => day !== weekday)
+        : [...recurrence.weekdays, weekday]
+    });
+  };
+
   /**
    * Validate form data
    */
@@ -82,6 +131,13 @@ const TaskForm = ({ task, onClose, onSuccess }) => {
       }
     }
 
+    // Recurrence validation: the due date anchors the series
+    if (recurrence.type === 'custom' && !recurrence.custom.trim()) {
+      errors.recurrence = 'Enter a rule such as FREQ=WEEKLY;BYDAY=MO';
+    } else if (recurrence.type !== 'none' && !formData.due_date) {
+      errors.recurrence = 'Recurring tasks need a due date';
+    }
+
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -102,10 +158,13 @@ const TaskForm = ({ task, onClose, onSuccess }) => {
       // Prepare task data
       const taskData = {
         title: formData.title.trim(),
-        description: formData.description.trim() || null,
+        // Markdown is kept as typed: leading indentation can start a code block
+        description: formData.description.trim() ? formData.description : null,
         priority: formData.priority,
         assignee_id: formData.assignee_id ? parseInt(formData.assignee_id) : null,
-        due_date: formData.due_date || null
+        due_date: formData.due_date || null,
+        label_ids: formData.label_ids,
+        recurrence: buildRecurrenceRule(recurrence)
       };
 
       let result;
@@ -173,17 +232,19 @@ const TaskForm = ({ task, onClose, onSuccess }) => {
           {/* Description */}
           <div className="form-group">
             <label htmlFor="description">Description</label>
-            <textarea
-              id="description"
-              name="description"
-              value={formData.description}
-              onChange={handleChange}
-              className={formErrors.description ? 'error' : ''}
-              placeholder="Enter task description (optional)"
-              rows={4}
-              disabled={isSubmitting}
-              maxLength={1000}
-            />
+            <MarkdownEditor value={formData.description}>
+              <textarea
+                id="description"
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                className={formErrors.description ? 'error' : ''}
+                placeholder="Enter task description (optional)"
+                rows={4}
+                disabled={isSubmitting}
+                maxLength={1000}
+              />
+            </MarkdownEditor>
             {formErrors.description && (
               <span className="error-message">{formErrors.description}</span>
             )}
@@ -221,7 +282,7 @@ const TaskForm = ({ task, onClose, onSuccess }) => {
                 disabled={isSubmitting}
               >
                 <option value="">Unassigned</option>
-                {users.map(user => (
+                {members.map(user => (
                   <option key={user.id} value={user.id}>
                     {user.name} ({user.email})
                   </option>
@@ -247,6 +308,94 @@ const TaskForm = ({ task, onClose, onSuccess }) => {
             )}
           </div>
 
+          {/* Recurrence */}
+          <div className="form-group">
+            <label htmlFor="recurrence">Repeat</label>
+            <select
+              id="recurrence"
+              value={recurrence.type}
+              onChange={(e) => handleRecurrenceChange({ type: e.target.value })}
+              disabled={isSubmitting}
+            >
+              <option value="none">Does not repeat</option>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+              <option value="custom">Custom rule (RRULE)</option>
+            </select>
+
+            {recurrence.type === 'weekly' && (
+              <div className="recurrence-weekdays">
+                {WEEKDAY_OPTIONS.map(day => (
+                  <label key={day.value} className="recurrence-weekday">
+                    <input
+                      type="checkbox"
+                      checked={recurrence.weekdays.includes(day.value)}
+                      onChange={() => handleWeekdayToggle(day.value)}
+                      disabled={isSubmitting}
+                    />
+                    {day.label}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {recurrence.type === 'monthly' && (
+              <select
+                className="recurrence-option"
+                value={recurrence.monthDay}
+                onChange={(e) => handleRecurrenceChange({ monthDay: e.target.value })}
+                disabled={isSubmitting}
+                aria-label="Day of the month"
+              >
+                <option value="">On the due date's day</option>
+                {Array.from({ length: 31 }, (value, index) => (
+                  <option key={index + 1} value={String(index + 1)}>On day {index + 1}</option>
+                ))}
+                <option value="-1">On the last day</option>
+              </select>
+            )}
+
+            {recurrence.type === 'custom' && (
+              <input
+                type="text"
+                className="recurrence-option"
+                value={recurrence.custom}
+                onChange={(e) => handleRecurrenceChange({ custom: e.target.value })}
+                placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20261231"
+                maxLength={255}
+                disabled={isSubmitting}
+                aria-label="Recurrence rule"
+              />
+            )}
+
+            {recurrence.type !== 'none' && (
+              <small className="char-count">
+                The next task is created when this one is done or its due date passes.
+              </small>
+            )}
+            {formErrors.recurrence && (
+              <span className="error-message">{formErrors.recurrence}</span>
+            )}
+          </div>
+
+          {/* Labels */}
+          {labels.length > 0 && (
+            <div className="form-group">
+              <label>Labels</label>
+              <div className="label-picker">
+                {labels.map(label => (
+                  <LabelChip
+                    key={label.id}
+                    label={label}
+                    selected={formData.label_ids.includes(label.id)}
+                    onClick={() => !isSubmitting && handleLabelToggle(label.id)}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Form Actions */}
           <div className="form-actions">
             <button
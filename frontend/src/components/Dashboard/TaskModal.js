@@ -1,26 +1,60 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useTask } from '../../context/TaskContext';
 import { format, isValid } from 'date-fns';
+import ActivityTimeline from './ActivityTimeline';
+import SubtaskList from './SubtaskList';
+import DependencyList from './DependencyList';
+import AttachmentList from './AttachmentList';
+import MentionInput from './MentionInput';
+import CommentThread from './CommentThread';
+import ReactionBar from './ReactionBar';
+import Markdown from './Markdown';
+import MarkdownEditor from './MarkdownEditor';
+import { toggleTaskListItem } from '../../services/markdown';
+import { describeRecurrence } from '../../services/recurrence';
 
 /**
  * Task Modal Component
  * Modal for viewing task details and comments
  */
 const TaskModal = ({ task, onClose, onEdit }) => {
-  const { comments, loadComments, addComment, deleteTask } = useTask();
+  const {
+    comments,
+    commentPages,
+    taskReactions,
+    loadComments,
+    loadMoreComments,
+    addComment,
+    loadTaskReactions,
+    toggleTaskReaction,
+    updateTask,
+    deleteTask,
+    can
+  } = useTask();
   const [newComment, setNewComment] = useState('');
   const [isAddingComment, setIsAddingComment] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [activeTab, setActiveTab] = useState('comments');
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isSavingChecklist, setIsSavingChecklist] = useState(false);
+  // Description as last saved, which the shown task may not have caught up with
+  const descriptionRef = useRef(task.description);
+
+  useEffect(() => {
+    descriptionRef.current = task.description;
+  }, [task.description]);
 
   const taskComments = comments[task.id] || [];
+  const commentPage = commentPages[task.id];
 
-  // Load comments when modal opens
+  // Load comments and reactions when modal opens
   useEffect(() => {
     if (task.id) {
       loadComments(task.id);
+      loadTaskReactions(task.id);
     }
-  }, [task.id, loadComments]);
+  }, [task.id, loadComments, loadTaskReactions]);
 
   /**
    * Handle comment submission
@@ -35,7 +69,7 @@ const TaskModal = ({ task, onClose, onEdit }) => {
     setIsAddingComment(true);
     
     try {
-      const result = await addComment(task.id, newComment.trim());
+      const result = await addComment(task.id, newComment);
       
       if (result.success) {
         setNewComment('');
@@ -47,6 +81,39 @@ const TaskModal = ({ task, onClose, onEdit }) => {
     }
   };
 
+  /**
+   * Check or uncheck a task-list item of the description. Checkboxes are disabled
+   * until the change is saved, so each change builds on the one before.
+   */
+  const handleToggleTaskItem = async (line, checked) => {
+    setIsSavingChecklist(true);
+
+    try {
+      const result = await updateTask(task.id, {
+        description: toggleTaskListItem(descriptionRef.current, line, checked)
+      });
+
+      if (result.success) {
+        descriptionRef.current = result.task.description;
+      }
+    } finally {
+      setIsSavingChecklist(false);
+    }
+  };
+
+  /**
+   * Load the next page of comments
+   */
+  const handleLoadMore = async () => {
+    setIsLoadingMore(true);
+
+    try {
+      await loadMoreComments(task.id);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
   /**
    * Handle task deletion
    */
@@ -138,22 +205,26 @@ const TaskModal = ({ task, onClose, onEdit }) => {
           </div>
           
           <div className="modal-actions">
-            <button
-              className="btn btn-secondary"
-              onClick={onEdit}
-              title="Edit task"
-            >
-              Edit
-            </button>
+            {can('task:update', task) && (
+              <button
+                className="btn btn-secondary"
+                onClick={onEdit}
+                title="Edit task"
+              >
+                Edit
+              </button>
+            )}
             
-            <button
-              className="btn btn-danger"
-              onClick={() => setShowDeleteConfirm(true)}
-              title="Delete task"
-              disabled={isDeleting}
-            >
-              Delete
-            </button>
+            {can('task:delete', task) && (
+              <button
+                className="btn btn-danger"
+                onClick={() => setShowDeleteConfirm(true)}
+                title="Delete task"
+                disabled={isDeleting}
+              >
+                Delete
+              </button>
+            )}
             
             <button
               className="modal-close"
@@ -173,17 +244,32 @@ const TaskModal = ({ task, onClose, onEdit }) => {
               <h3>Description</h3>
               <div className="description-content">
                 {task.description ? (
-                  <p>{task.description}</p>
+                  <Markdown
+                    source={task.description}
+                    onToggleTask={can('task:update', task) && !isSavingChecklist ? handleToggleTaskItem : null}
+                  />
                 ) : (
                   <p className="no-description">No description provided</p>
                 )}
               </div>
+              <ReactionBar
+                reactions={taskReactions[task.id]}
+                onToggle={(emoji, reacted) => toggleTaskReaction(task.id, emoji, reacted)}
+                canReact={can('reaction:create')}
+              />
             </div>
 
             {/* Task Information */}
             <div className="detail-section">
               <h3>Task Information</h3>
               <div className="info-grid">
+                {task.parent_title && (
+                  <div className="info-item">
+                    <label>Subtask of:</label>
+                    <span className="parent-value">{task.parent_title}</span>
+                  </div>
+                )}
+
                 <div className="info-item">
                   <label>Status:</label>
                   <span className="status-value">{task.status}</span>
@@ -208,6 +294,15 @@ const TaskModal = ({ task, onClose, onEdit }) => {
                     {formatDate(task.due_date)}
                   </span>
                 </div>
+
+                {task.recurrence && (
+                  <div className="info-item">
+                    <label>Repeats:</label>
+                    <span className="recurrence-value">
+                      {describeRecurrence(task.recurrence)}
+                    </span>
+                  </div>
+                )}
                 
                 <div className="info-item">
                   <label>Created:</label>
@@ -218,62 +313,123 @@ const TaskModal = ({ task, onClose, onEdit }) => {
               </div>
             </div>
 
-            {/* Comments Section */}
-            <div className="detail-section comments-section">
-              <h3>Comments ({taskComments.length})</h3>
-              
-              {/* Add Comment Form */}
-              <form onSubmit={handleAddComment} className="add-comment-form">
-                <textarea
-                  value={newComment}
-                  onChange={(e) => setNewComment(e.target.value)}
-                  placeholder="Add a comment..."
-                  rows={3}
-                  disabled={isAddingComment}
-                  maxLength={1000}
-                />
-                <div className="comment-form-actions">
-                  <small className="char-count">
-                    {newComment.length}/1000 characters
-                  </small>
-                  <button
-                    type="submit"
-                    className="btn btn-primary"
-                    disabled={isAddingComment || !newComment.trim()}
-                  >
-                    {isAddingComment ? (
-                      <>
-                        <span className="loading-spinner small"></span>
-                        Adding...
-                      </>
-                    ) : (
-                      'Add Comment'
-                    )}
-                  </button>
-                </div>
-              </form>
+            {/* Subtasks */}
+            <div className="detail-section subtasks-section">
+              <h3>
+                Subtasks
+                {task.subtasks?.total > 0 && (
+                  <span className="subtask-progress">
+                    {task.subtasks.done}/{task.subtasks.total} done
+                  </span>
+                )}
+              </h3>
+              <SubtaskList task={task} />
+            </div>
 
-              {/* Comments List */}
-              <div className="comments-list">
-                {taskComments.length === 0 ? (
-                  <p className="no-comments">No comments yet. Be the first to comment!</p>
-                ) : (
-                  taskComments.map(comment => (
-                    <div key={comment.id} className="comment-item">
-                      <div className="comment-header">
-                        <span className="comment-author">{comment.author.name}</span>
-                        <span className="comment-date">
-                          {formatDate(comment.createdAt)}
-                        </span>
-                      </div>
-                      <div className="comment-body">
-                        {comment.body}
-                      </div>
+            {/* Dependencies */}
+            <div className="detail-section dependencies-section">
+              <h3>
+                Dependencies
+                {task.blocked && (
+                  <span className="task-blocked" title="Blocked">🔒 Blocked</span>
+                )}
+              </h3>
+              <DependencyList task={task} />
+            </div>
+
+            {/* Attachments */}
+            <div className="detail-section attachments-section">
+              <h3>Attachments</h3>
+              <AttachmentList task={task} />
+            </div>
+
+            {/* Comments and Activity Tabs */}
+            <div className="detail-tabs" role="tablist">
+              <button
+                role="tab"
+                aria-selected={activeTab === 'comments'}
+                className={`detail-tab ${activeTab === 'comments' ? 'active' : ''}`}
+                onClick={() => setActiveTab('comments')}
+              >
+                Comments ({commentPage ? commentPage.total : taskComments.length})
+              </button>
+              <button
+                role="tab"
+                aria-selected={activeTab === 'activity'}
+                className={`detail-tab ${activeTab === 'activity' ? 'active' : ''}`}
+                onClick={() => setActiveTab('activity')}
+              >
+                Activity
+              </button>
+            </div>
+
+            {/* Activity Section */}
+            {activeTab === 'activity' && (
+              <div className="detail-section activity-section">
+                <ActivityTimeline task={task} />
+              </div>
+            )}
+
+            {/* Comments Section */}
+            {activeTab === 'comments' && (
+              <div className="detail-section comments-section">
+                
+                {/* Add Comment Form */}
+                {can('comment:create') && (
+                  <form onSubmit={handleAddComment} className="add-comment-form">
+                    <MarkdownEditor value={newComment}>
+                      <MentionInput
+                        value={newComment}
+                        onChange={(e) => setNewComment(e.target.value)}
+                        placeholder="Add a comment... Type @ to mention someone"
+                        rows={3}
+                        disabled={isAddingComment}
+                        maxLength={1000}
+                      />
+                    </MarkdownEditor>
+                    <div className="comment-form-actions">
+                      <small className="char-count">
+                        {newComment.length}/1000 characters
+                      </small>
+                      <button
+                        type="submit"
+                        className="btn btn-primary"
+                        disabled={isAddingComment || !newComment.trim()}
+                      >
+                        {isAddingComment ? (
+                          <>
+                            <span className="loading-spinner small"></span>
+                            Adding...
+                          </>
+                        ) : (
+                          'Add Comment'
+                        )}
+                      </button>
                     </div>
-                  ))
+                  </form>
                 )}
+
+                {/* Comments List */}
+                <div className="comments-list">
+                  {taskComments.length === 0 ? (
+                    <p className="no-comments">No comments yet. Be the first to comment!</p>
+                  ) : (
+                    taskComments.map(thread => (
+                      <CommentThread key={thread.id} task={task} thread={thread} />
+                    ))
+                  )}
+                  {commentPage?.nextCursor && (
+                    <button
+                      className="btn btn-secondary load-more-btn"
+                      onClick={handleLoadMore}
+                      disabled={isLoadingMore}
+                    >
+                      {isLoadingMore ? 'Loading...' : 'Show more comments'}
+                    </button>
+                  )}
+                </div>
               </div>
-            </div>
+            )}
           </div>
         </div>
 
@@ -282,7 +438,7 @@ const TaskModal = ({ task, onClose, onEdit }) => {
           <div className="confirmation-overlay">
             <div className="confirmation-dialog">
               <h3>Delete Task</h3>
-              <p>Are you sure you want to delete this task? This action cannot be undone.</p>
+              <p>Move this task and its subtasks to the trash? You can restore it from the trash until it is removed for good.</p>
               <div className="confirmation-actions">
                 <button
                   className="btn btn-secondary"
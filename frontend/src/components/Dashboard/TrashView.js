@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { format, isValid } from 'date-fns';
+import { useTask } from '../../context/TaskContext';
+
+/**
+ * Format a trash date for display
+ */
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return isValid(date) ? format(date, 'MMM dd, yyyy') : '';
+};
+
+/**
+ * Trash View Component
+ * Modal listing the project's deleted tasks, to restore them or delete them for good
+ */
+const TrashView = ({ onClose }) => {
+  const { trash, loadTrash, restoreTask, deleteTaskForever, emptyTrash, can } = useTask();
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadTrash().then(result => {
+      if (!result.success) {
+        setError(result.error);
+      }
+      setIsLoading(false);
+    });
+  }, [loadTrash]);
+
+  /**
+   * Run a trash change while disabling the buttons
+   */
+  const save = async (change) => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const result = await change();
+      if (!result.success) {
+        setError(result.error);
+      }
+      return result;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Permanently delete a task after confirmation
+   */
+  const handleDelete = (task) => {
+    if (window.confirm(`Permanently delete "${task.title}"? This action cannot be undone.`)) {
+      save(() => deleteTaskForever(task.id));
+    }
+  };
+
+  /**
+   * Empty the trash after confirmation
+   */
+  const handleEmpty = () => {
+    if (window.confirm('Permanently delete every task in the trash? This action cannot be undone.')) {
+      save(() => emptyTrash());
+    }
+  };
+
+  /**
+   * Handle modal backdrop click
+   */
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={handleBackdropClick}>
+      <div className="modal-content trash-view">
+        {/* Modal Header */}
+        <div className="modal-header">
+          <h2>Trash</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close modal"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {trash.retentionDays > 0 && (
+            <p className="workflow-hint">
+              Deleted tasks are kept for {trash.retentionDays} days, with their subtasks, comments and attachments.
+            </p>
+          )}
+
+          {isLoading && <p className="workflow-hint">Loading trash...</p>}
+
+          {!isLoading && trash.tasks.length === 0 && (
+            <p className="workflow-hint">The trash is empty.</p>
+          )}
+
+          {/* Trashed Tasks */}
+          <ul className="trash-list">
+            {trash.tasks.map(task => (
+              <li key={task.id} className="trash-item">
+                <div className="trash-item-info">
+                  <span className="trash-item-title">{task.title}</span>
+                  <span className="trash-item-meta">
+                    Deleted {formatDate(task.deletedAt)}
+                    {task.deletedBy && ` by ${task.deletedBy.name}`}
+                    {task.trashedSubtaskCount > 0 && ` · ${task.trashedSubtaskCount} subtask(s)`}
+                    {task.commentCount > 0 && ` · ${task.commentCount} comment(s)`}
+                    {` · removed for good on ${formatDate(task.purgeAt)}`}
+                  </span>
+                  {task.parentTrashed && (
+                    <span className="trash-item-meta">
+                      Subtask of "{task.parent_title}", which is also in the trash
+                    </span>
+                  )}
+                </div>
+                <div className="trash-item-actions">
+                  {can('task:create') && (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => save(() => restoreTask(task.id))}
+                      disabled={isSaving || task.parentTrashed}
+                      title={task.parentTrashed ? 'Restore the parent task first' : 'Restore task'}
+                    >
+                      Restore
+                    </button>
+                  )}
+                  {can('task:delete') && (
+                    <button
+                      className="btn btn-danger"
+                      onClick={() => handleDelete(task)}
+                      disabled={isSaving}
+                    >
+                      Delete forever
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {error && (
+            <p className="view-error">{error}</p>
+          )}
+
+          {can('project:manage') && trash.tasks.length > 0 && (
+            <div className="confirmation-actions">
+              <button
+                className="btn btn-danger"
+                onClick={handleEmpty}
+                disabled={isSaving}
+              >
+                Empty trash
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashView;
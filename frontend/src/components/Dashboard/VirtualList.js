@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+
+/**
+ * Virtual List Component
+ * Scrollable list that only renders the items near the visible area.
+ * Item heights are measured once rendered; unmeasured items use an estimate.
+ * Calls onEndReached when scrolled close to the bottom.
+ */
+const VirtualList = ({
+  items,
+  getKey,
+  renderItem,
+  className = '',
+  estimatedItemHeight = 120,
+  gap = 12,
+  overscan = 400,
+  endThreshold = 200,
+  onEndReached,
+  footer
+}) => {
+  const containerRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [measureCount, setMeasureCount] = useState(0);
+
+  // Track the visible height of the list
+  useEffect(() => {
+    const container = containerRef.current;
+    setViewportHeight(container.clientHeight);
+
+    if (typeof ResizeObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Measure rendered items and re-render when an estimate was wrong
+  useLayoutEffect(() => {
+    let changed = false;
+
+    containerRef.current.querySelectorAll('[data-virtual-key]').forEach(node => {
+      const key = node.dataset.virtualKey;
+      if (heightsRef.current.get(key) !== node.offsetHeight) {
+        heightsRef.current.set(key, node.offsetHeight);
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      setMeasureCount(count => count + 1);
+    }
+  }, [items, scrollTop, viewportHeight, measureCount]);
+
+  /**
+   * Ask for more items once the end of the list is in reach
+   */
+  const checkEndReached = () => {
+    const container = containerRef.current;
+    if (onEndReached && container.scrollHeight - container.scrollTop - container.clientHeight < endThreshold) {
+      onEndReached();
+    }
+  };
+
+  // A short list may not fill the viewport, so check after every change too
+  useEffect(checkEndReached);
+
+  const handleScroll = (e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+    checkEndReached();
+  };
+
+  // Position every item, then keep those within the overscan of the viewport
+  let offset = 0;
+  const positioned = items.map(item => {
+    const key = String(getKey(item));
+    const height = heightsRef.current.get(key) ?? estimatedItemHeight;
+    const position = { item, key, top: offset };
+    offset += height + gap;
+    return { ...position, bottom: offset - gap };
+  });
+  const totalHeight = Math.max(offset - gap, 0);
+
+  const visible = positioned.filter(({ top, bottom }) =>
+    bottom >= scrollTop - overscan && top <= scrollTop + viewportHeight + overscan
+  );
+
+  return (
+    <div ref={containerRef} className={`virtual-list ${className}`} onScroll={handleScroll}>
+      <div className="virtual-list-inner" style={{ height: totalHeight }}>
+        {visible.map(({ item, key, top }) => (
+          <div key={key} data-virtual-key={key} className="virtual-list-item" style={{ top }}>
+            {renderItem(item)}
+          </div>
+        ))}
+      </div>
+      {footer}
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import { useTask } from '../../context/TaskContext';
+
+/**
+ * Workflow Editor Component
+ * Modal for project admins to add, rename, reorder and delete board columns
+ */
+const WorkflowEditor = ({ onClose }) => {
+  const { columns, getTasksByStatus, createColumn, updateColumn, reorderColumns, deleteColumn } = useTask();
+  const [names, setNames] = useState({});
+  const [newColumn, setNewColumn] = useState({ name: '', isDone: false });
+  const [deletingColumn, setDeletingColumn] = useState(null);
+  const [moveTo, setMoveTo] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const tasksByStatus = getTasksByStatus();
+
+  // Keep the editable names in sync with the saved columns
+  useEffect(() => {
+    setNames(columns.reduce((acc, column) => ({ ...acc, [column.id]: column.name }), {}));
+  }, [columns]);
+
+  /**
+   * Run a workflow change while disabling the form
+   */
+  const save = async (change) => {
+    setIsSaving(true);
+    try {
+      return await change();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Save a renamed column when the input loses focus
+   */
+  const handleRename = (column) => {
+    const name = (names[column.id] || '').trim();
+
+    if (!name) {
+      setNames(prev => ({ ...prev, [column.id]: column.name }));
+      return;
+    }
+
+    if (name !== column.name) {
+      save(() => updateColumn(column.id, { name }));
+    }
+  };
+
+  /**
+   * Move a column one step left (-1) or right (+1)
+   */
+  const handleMove = (index, direction) => {
+    const ids = columns.map(column => column.id);
+    const target = index + direction;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    save(() => reorderColumns(ids));
+  };
+
+  /**
+   * Start deleting a column, defaulting the task destination to another column
+   */
+  const handleStartDelete = (column) => {
+    const otherColumn = columns.find(c => c.id !== column.id);
+    setDeletingColumn(column);
+    setMoveTo(otherColumn ? otherColumn.id : '');
+  };
+
+  /**
+   * Confirm column deletion
+   */
+  const handleConfirmDelete = async () => {
+    const result = await save(() => deleteColumn(deletingColumn.id, moveTo));
+    if (result.success) {
+      setDeletingColumn(null);
+    }
+  };
+
+  /**
+   * Handle new column submission
+   */
+  const handleAddColumn = async (e) => {
+    e.preventDefault();
+
+    if (!newColumn.name.trim()) {
+      return;
+    }
+
+    const result = await save(() => createColumn({
+      name: newColumn.name.trim(),
+      is_done: newColumn.isDone
+    }));
+
+    if (result.success) {
+      setNewColumn({ name: '', isDone: false });
+    }
+  };
+
+  /**
+   * Handle modal backdrop click
+   */
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={handleBackdropClick}>
+      <div className="modal-content workflow-editor">
+        {/* Modal Header */}
+        <div className="modal-header">
+          <h2>Board Columns</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close modal"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="workflow-hint">
+            Tasks in columns marked as done are never shown as at risk or overdue.
+          </p>
+
+          {/* Column List */}
+          <ul className="workflow-columns">
+            {columns.map((column, index) => (
+              <li key={column.id} className="workflow-column">
+                <input
+                  type="text"
+                  value={names[column.id] || ''}
+                  onChange={(e) => setNames(prev => ({ ...prev, [column.id]: e.target.value }))}
+                  onBlur={() => handleRename(column)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.target.blur();
+                    }
+                  }}
+                  maxLength={50}
+                  disabled={isSaving}
+                  aria-label="Column name"
+                />
+
+                <label className="workflow-done-toggle">
+                  <input
+                    type="checkbox"
+                    checked={column.isDone}
+                    onChange={(e) => save(() => updateColumn(column.id, { is_done: e.target.checked }))}
+                    disabled={isSaving}
+                  />
+                  Done
+                </label>
+
+                <span className="workflow-task-count" title="Tasks in this column">
+                  {(tasksByStatus[column.name] || []).length}
+                </span>
+
+                <div className="workflow-column-actions">
+                  <button
+                    onClick={() => handleMove(index, -1)}
+                    disabled={isSaving || index === 0}
+                    aria-label="Move column left"
+                    title="Move left"
+                  >
+                    ←
+                  </button>
+                  <button
+                    onClick={() => handleMove(index, 1)}
+                    disabled={isSaving || index === columns.length - 1}
+                    aria-label="Move column right"
+                    title="Move right"
+                  >
+                    →
+                  </button>
+                  <button
+                    className="workflow-delete-btn"
+                    onClick={() => handleStartDelete(column)}
+                    disabled={isSaving || columns.length === 1}
+                    aria-label="Delete column"
+                    title="Delete column"
+                  >
+                    ×
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {/* Add Column Form */}
+          <form onSubmit={handleAddColumn} className="workflow-add-form">
+            <input
+              type="text"
+              value={newColumn.name}
+              onChange={(e) => setNewColumn(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="New column name"
+              maxLength={50}
+              disabled={isSaving}
+            />
+            <label className="workflow-done-toggle">
+              <input
+                type="checkbox"
+                checked={newColumn.isDone}
+                onChange={(e) => setNewColumn(prev => ({ ...prev, isDone: e.target.checked }))}
+                disabled={isSaving}
+              />
+              Done
+            </label>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={isSaving || !newColumn.name.trim()}
+            >
+              Add Column
+            </button>
+          </form>
+        </div>
+
+        {/* Delete Confirmation */}
+        {deletingColumn && (
+          <div className="confirmation-overlay">
+            <div className="confirmation-dialog">
+              <h3>Delete "{deletingColumn.name}"</h3>
+              <p>Tasks in this column will be moved to:</p>
+              <select
+                className="filter-select"
+                value={moveTo}
+                onChange={(e) => setMoveTo(e.target.value)}
+                disabled={isSaving}
+              >
+                {columns
+                  .filter(column => column.id !== deletingColumn.id)
+                  .map(column => (
+                    <option key={column.id} value={column.id}>
+                      {column.name}
+                    </option>
+                  ))
+                }
+              </select>
+              <div className="confirmation-actions">
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setDeletingColumn(null)}
+                  disabled={isSaving}
+                >
+                  Cancel
+                </button>
+                <button
+                  className="btn btn-danger"
+                  onClick={handleConfirmDelete}
+                  disabled={isSaving}
+                >
+                  Delete Column
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowEditor;
@@ -1,12 +1,101 @@
-import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
-import { taskAPI, commentAPI, userAPI } from '../services/api';
+import React, { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
+import { taskAPI, commentAPI, userAPI, projectAPI, workflowAPI, labelAPI, attachmentAPI, viewAPI, trashAPI } from '../services/api';
+import { buildTaskQuery, compareTasks, DEFAULT_TASK_SORT } from '../services/taskQuery';
+import { subscribeToEvents } from '../services/events';
+import { useAuth } from './AuthContext';
 
 /**
  * Task Context
- * Manages tasks, comments, and users state across the application
+ * Manages projects, tasks, comments, and users state across the application
  */
 const TaskContext = createContext();
 
+// Number of tasks loaded per board column at a time
+const BOARD_PAGE_SIZE = 30;
+
+const EMPTY_STATS = { total: 0, mine: 0, highPriority: 0, overdue: 0 };
+
+/**
+ * Read a numeric ID from the page URL, e.g. ?project=3&view=12
+ */
+const getUrlId = (name) => {
+  const id = parseInt(new URLSearchParams(window.location.search).get(name));
+  return id > 0 ? id : null;
+};
+
+/**
+ * Replace a thread or reply in the loaded comments of a task, keeping a thread's
+ * replies unless new ones are given
+ */
+const replaceComment = (comments, taskId, comment) => ({
+  ...comments,
+  [taskId]: (comments[taskId] || []).map(thread => {
+    if (thread.id === comment.id) {
+      return { ...thread, ...comment };
+    }
+    if (thread.id === comment.parentId) {
+      return {
+        ...thread,
+        replies: (thread.replies || []).map(reply => reply.id === comment.id ? { ...reply, ...comment } : reply)
+      };
+    }
+    return thread;
+  })
+});
+
+/**
+ * Add a new thread or reply to the loaded comments of a task, unless it is there already
+ */
+const insertComment = (comments, taskId, comment) => {
+  const threads = comments[taskId] || [];
+
+  if (!comment.parentId) {
+    return threads.some(thread => thread.id === comment.id)
+      ? comments
+      : { ...comments, [taskId]: [...threads, { ...comment, replies: [] }] };
+  }
+
+  return {
+    ...comments,
+    [taskId]: threads.map(thread => thread.id === comment.parentId && !(thread.replies || []).some(reply => reply.id === comment.id)
+      ? { ...thread, replyCount: thread.replyCount + 1, replies: [...(thread.replies || []), comment] }
+      : thread)
+  };
+};
+
+/**
+ * Take a thread or reply out of the loaded comments of a task
+ */
+const removeComment = (comments, taskId, comment) => {
+  const threads = comments[taskId] || [];
+
+  if (!comment.parentId) {
+    return { ...comments, [taskId]: threads.filter(thread => thread.id !== comment.id) };
+  }
+
+  return {
+    ...comments,
+    [taskId]: threads.map(thread => thread.id === comment.parentId && (thread.replies || []).some(reply => reply.id === comment.id)
+      ? {
+        ...thread,
+        replyCount: thread.replyCount - 1,
+        replies: thread.replies.filter(reply => reply.id !== comment.id)
+      }
+      : thread)
+  };
+};
+
+/**
+ * Change the number of threads of a task after one was added or removed
+ */
+const countThreads = (commentPages, taskId, change) => ({
+  ...commentPages,
+  [taskId]: {
+    total: Math.max((commentPages[taskId]?.total || 0) + change, 0),
+    nextCursor: commentPages[taskId]?.nextCursor || null
+  }
+});
+
 export const useTask = () => {
   const context = useContext(TaskContext);
   if (!context) {
@@ -16,166 +105,977 @@ export const useTask = () => {
 };
 
 export const TaskProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [projects, setProjects] = useState([]);
+  const [currentProjectId, setCurrentProjectId] = useState(() => {
+    const storedId = localStorage.getItem('currentProjectId');
+    return getUrlId('project') || (storedId ? parseInt(storedId) : null);
+  });
+  const [members, setMembers] = useState([]);
+  const [columns, setColumns] = useState([]);
+  const [labels, setLabels] = useState([]);
   const [tasks, setTasks] = useState([]);
+  const [columnPages, setColumnPages] = useState({});
+  const [boardStats, setBoardStats] = useState(EMPTY_STATS);
   const [users, setUsers] = useState([]);
   const [comments, setComments] = useState({});
+  const [commentPages, setCommentPages] = useState({});
+  const [taskReactions, setTaskReactions] = useState({});
+  const [activity, setActivity] = useState({});
+  const [subtasks, setSubtasks] = useState({});
+  const [dependencies, setDependencies] = useState({});
+  const [attachments, setAttachments] = useState({});
   const [filters, setFilters] = useState({
     assignee: '',
-    priority: ''
+    priority: '',
+    labels: [],
+    labelMode: 'any',
+    query: ''
   });
+  const [queryErrors, setQueryErrors] = useState([]);
+  const [sort, setSort] = useState(DEFAULT_TASK_SORT);
+  const [hiddenColumns, setHiddenColumns] = useState([]);
+  const [views, setViews] = useState([]);
+  const [currentViewId, setCurrentViewId] = useState(() => getUrlId('view'));
+  // A view linked from the URL is loaded once its project is selected
+  const [pendingViewId, setPendingViewId] = useState(() => getUrlId('view'));
+  const [trash, setTrash] = useState({ retentionDays: 0, tasks: [] });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   // Load initial data
   useEffect(() => {
-    loadTasks();
+    loadProjects();
     loadUsers();
   }, []);
 
   /**
-   * Load all tasks with current filters
+   * Load projects the user belongs to and make sure one is selected
+   */
+  const loadProjects = useCallback(async () => {
+    try {
+      const response = await projectAPI.getProjects();
+      const loadedProjects = response.data;
+      setProjects(loadedProjects);
+
+      setCurrentProjectId(prev => {
+        if (loadedProjects.some(project => project.id === prev)) {
+          return prev;
+        }
+        return loadedProjects.length > 0 ? loadedProjects[0].id : null;
+      });
+    } catch (error) {
+      console.error('Error loading projects:', error);
+      setError('Failed to load projects');
+    }
+  }, []);
+
+  /**
+   * Query parameters for the current project and filters
+   */
+  const getTaskParams = useCallback(() => {
+    const params = { project: currentProjectId, limit: BOARD_PAGE_SIZE, sort };
+    const query = buildTaskQuery(filters);
+    if (query) params.q = query;
+    return params;
+  }, [filters, sort, currentProjectId]);
+
+  /**
+   * Load the first page of every board column with current filters
+   */
+  const loadTasks = useCallback(async () => {
+    if (!currentProjectId) {
+      setTasks([]);
+      setColumnPages({});
+      setBoardStats(EMPTY_STATS);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await taskAPI.getBoard(getTaskParams());
+      const boardColumns = response.data.columns;
+
+      setTasks(boardColumns.flatMap(column => column.tasks));
+      setColumnPages(boardColumns.reduce((pages, column) => ({
+        ...pages,
+        [column.name]: { total: column.total, nextCursor: column.nextCursor }
+      }), {}));
+      setBoardStats(response.data.stats);
+      setQueryErrors([]);
+    } catch (error) {
+      // Filter query mistakes are shown next to the query, with their positions
+      if (error.response?.status === 400 && error.response.data.errors?.[0]?.column) {
+        setQueryErrors(error.response.data.errors);
+        return;
+      }
+      console.error('Error loading tasks:', error);
+      setError('Failed to load tasks');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentProjectId, getTaskParams]);
+
+  /**
+   * Load the next page of a board column
+   */
+  const loadMoreTasks = useCallback(async (status) => {
+    const cursor = columnPages[status]?.nextCursor;
+    if (!cursor) {
+      return { success: true };
+    }
+
+    try {
+      const response = await taskAPI.getAllTasks({ ...getTaskParams(), status, cursor });
+      const { tasks: page, total, nextCursor } = response.data;
+
+      // Tasks moved into the column since it was loaded may already be on the board
+      setTasks(prev => [...prev, ...page.filter(task => !prev.some(existing => existing.id === task.id))]);
+      setColumnPages(prev => ({
+        ...prev,
+        [status]: { total, nextCursor }
+      }));
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to load tasks';
+      console.error('Error loading tasks:', error);
+      return { success: false, error: errorMessage };
+    }
+  }, [columnPages, getTaskParams]);
+
+  /**
+   * Keep column totals and board statistics in step with a local change,
+   * so they don't need reloading from the server
+   * @param {Object|null} previousTask - Task before the change, null when it was added
+   * @param {Object|null} changedTask - Task after the change, null when it was removed
+   */
+  const adjustBoardCounts = useCallback((previousTask, changedTask) => {
+    const count = (task, sign) => task ? {
+      status: task.status,
+      total: sign,
+      mine: task.assignee?.id === user?.id ? sign : 0,
+      highPriority: task.priority === 'High' ? sign : 0,
+      overdue: task.badge === 'Overdue' ? sign : 0
+    } : null;
+    const changes = [count(previousTask, -1), count(changedTask, 1)].filter(Boolean);
+
+    setColumnPages(prev => changes.reduce((pages, change) => ({
+      ...pages,
+      [change.status]: {
+        nextCursor: null,
+        ...pages[change.status],
+        total: Math.max((pages[change.status]?.total || 0) + change.total, 0)
+      }
+    }), prev));
+    setBoardStats(prev => changes.reduce((stats, change) => ({
+      total: stats.total + change.total,
+      mine: stats.mine + change.mine,
+      highPriority: stats.highPriority + change.highPriority,
+      overdue: stats.overdue + change.overdue
+    }), prev));
+  }, [user]);
+
+  /**
+   * Load members of the current project for assignee dropdowns
+   */
+  const loadMembers = useCallback(async () => {
+    if (!currentProjectId) {
+      setMembers([]);
+      return;
+    }
+
+    try {
+      const response = await projectAPI.getMembers(currentProjectId);
+      setMembers(response.data);
+    } catch (error) {
+      console.error('Error loading project members:', error);
+    }
+  }, [currentProjectId]);
+
+  /**
+   * Load the workflow columns of the current project
+   */
+  const loadColumns = useCallback(async () => {
+    if (!currentProjectId) {
+      setColumns([]);
+      return;
+    }
+
+    try {
+      const response = await workflowAPI.getColumns(currentProjectId);
+      setColumns(response.data);
+    } catch (error) {
+      console.error('Error loading columns:', error);
+    }
+  }, [currentProjectId]);
+
+  /**
+   * Load the labels of the current project
+   */
+  const loadLabels = useCallback(async () => {
+    if (!currentProjectId) {
+      setLabels([]);
+      return;
+    }
+
+    try {
+      const response = await labelAPI.getLabels(currentProjectId);
+      setLabels(response.data);
+    } catch (error) {
+      console.error('Error loading labels:', error);
+    }
+  }, [currentProjectId]);
+
+  /**
+   * Run a label change, then reload labels and tasks (tasks embed their labels)
+   */
+  const changeLabels = useCallback(async (request, fallbackMessage) => {
+    try {
+      setError(null);
+
+      await request();
+      await Promise.all([loadLabels(), loadTasks()]);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || fallbackMessage;
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, [loadLabels, loadTasks]);
+
+  /**
+   * Create a label
+   */
+  const createLabel = useCallback((labelData) => {
+    return changeLabels(
+      () => labelAPI.createLabel(currentProjectId, labelData),
+      'Failed to create label'
+    );
+  }, [changeLabels, currentProjectId]);
+
+  /**
+   * Rename or recolor a label
+   */
+  const updateLabel = useCallback((labelId, labelData) => {
+    return changeLabels(
+      () => labelAPI.updateLabel(currentProjectId, labelId, labelData),
+      'Failed to update label'
+    );
+  }, [changeLabels, currentProjectId]);
+
+  /**
+   * Delete a label, dropping it from the label filter too
+   */
+  const deleteLabel = useCallback((labelId) => {
+    setFilters(prev => ({
+      ...prev,
+      labels: prev.labels.filter(id => id !== labelId)
+    }));
+    return changeLabels(
+      () => labelAPI.deleteLabel(currentProjectId, labelId),
+      'Failed to delete label'
+    );
+  }, [changeLabels, currentProjectId]);
+
+  /**
+   * Run a workflow change, then reload columns and tasks (renames and
+   * deletions move tasks between columns on the server)
+   */
+  const changeWorkflow = useCallback(async (request, fallbackMessage) => {
+    try {
+      setError(null);
+
+      await request();
+      await Promise.all([loadColumns(), loadTasks()]);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || fallbackMessage;
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, [loadColumns, loadTasks]);
+
+  /**
+   * Add a workflow column
+   */
+  const createColumn = useCallback((columnData) => {
+    return changeWorkflow(
+      () => workflowAPI.createColumn(currentProjectId, columnData),
+      'Failed to create column'
+    );
+  }, [changeWorkflow, currentProjectId]);
+
+  /**
+   * Rename a workflow column or change whether it counts as done
+   */
+  const updateColumn = useCallback((columnId, columnData) => {
+    return changeWorkflow(
+      () => workflowAPI.updateColumn(currentProjectId, columnId, columnData),
+      'Failed to update column'
+    );
+  }, [changeWorkflow, currentProjectId]);
+
+  /**
+   * Reorder workflow columns
+   */
+  const reorderColumns = useCallback((columnIds) => {
+    return changeWorkflow(
+      () => workflowAPI.reorderColumns(currentProjectId, columnIds),
+      'Failed to reorder columns'
+    );
+  }, [changeWorkflow, currentProjectId]);
+
+  /**
+   * Delete a workflow column, moving its tasks to another column
+   */
+  const deleteColumn = useCallback((columnId, moveToColumnId) => {
+    return changeWorkflow(
+      () => workflowAPI.deleteColumn(currentProjectId, columnId, moveToColumnId),
+      'Failed to delete column'
+    );
+  }, [changeWorkflow, currentProjectId]);
+
+  /**
+   * Switch the board to another project
+   */
+  const selectProject = useCallback((projectId) => {
+    const id = projectId ? parseInt(projectId) : null;
+    setCurrentProjectId(id);
+    // Labels, columns and views belong to a project, so they don't carry over
+    setFilters(prev => ({ ...prev, labels: [] }));
+    setHiddenColumns([]);
+    setCurrentViewId(null);
+    setPendingViewId(null);
+    setComments({});
+    setCommentPages({});
+    setTaskReactions({});
+    setActivity({});
+    setSubtasks({});
+    setDependencies({});
+    setAttachments({});
+    setTrash({ retentionDays: 0, tasks: [] });
+  }, []);
+
+  /**
+   * Create a new project and switch to it
+   */
+  const createProject = useCallback(async (projectData) => {
+    try {
+      setError(null);
+
+      const response = await projectAPI.createProject(projectData);
+      const newProject = response.data.project;
+
+      setProjects(prev => [...prev, newProject].sort((a, b) => a.name.localeCompare(b.name)));
+      selectProject(newProject.id);
+      return { success: true, project: newProject };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to create project';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, [selectProject]);
+
+  /**
+   * Load all users for assignee dropdown
+   */
+  const loadUsers = useCallback(async () => {
+    try {
+      const response = await userAPI.getAllUsers();
+      setUsers(response.data);
+    } catch (error) {
+      console.error('Error loading users:', error);
+    }
+  }, []);
+
+  /**
+   * Load the first page of comments for a specific task
+   */
+  const loadComments = useCallback(async (taskId) => {
+    try {
+      const response = await commentAPI.getTaskComments(taskId);
+      const { comments: page, total, nextCursor } = response.data;
+      setComments(prev => ({
+        ...prev,
+        [taskId]: page
+      }));
+      setCommentPages(prev => ({
+        ...prev,
+        [taskId]: { total, nextCursor }
+      }));
+    } catch (error) {
+      console.error('Error loading comments:', error);
+    }
+  }, []);
+
+  /**
+   * Load the next page of comments for a specific task
+   */
+  const loadMoreComments = useCallback(async (taskId) => {
+    const cursor = commentPages[taskId]?.nextCursor;
+    if (!cursor) {
+      return;
+    }
+
+    try {
+      const response = await commentAPI.getTaskComments(taskId, { cursor });
+      const { comments: page, total, nextCursor } = response.data;
+      setComments(prev => {
+        // Comments added since the first page may already be in the list
+        const loaded = prev[taskId] || [];
+        const newComments = page.filter(comment => !loaded.some(existing => existing.id === comment.id));
+        return {
+          ...prev,
+          [taskId]: [...loaded, ...newComments].sort((a, b) => a.id - b.id)
+        };
+      });
+      setCommentPages(prev => ({
+        ...prev,
+        [taskId]: { total, nextCursor }
+      }));
+    } catch (error) {
+      console.error('Error loading comments:', error);
+    }
+  }, [commentPages]);
+
+  /**
+   * Reload a thread of a specific task with all its replies
+   */
+  const loadThread = useCallback(async (taskId, commentId) => {
+    try {
+      const response = await commentAPI.getThread(commentId);
+      setComments(prev => replaceComment(prev, taskId, response.data));
+    } catch (error) {
+      console.error('Error loading thread:', error);
+    }
+  }, []);
+
+  /**
+   * Resolve or reopen a thread of a specific task
+   */
+  const resolveThread = useCallback(async (taskId, commentId, resolved) => {
+    try {
+      setError(null);
+
+      const response = await commentAPI.resolveThread(commentId, resolved);
+      setComments(prev => replaceComment(prev, taskId, response.data.comment));
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update thread';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  /**
+   * Load the activity history of a specific task
+   */
+  const loadActivity = useCallback(async (taskId) => {
+    try {
+      const response = await taskAPI.getActivity(taskId);
+      setActivity(prev => ({
+        ...prev,
+        [taskId]: response.data
+      }));
+    } catch (error) {
+      console.error('Error loading activity:', error);
+    }
+  }, []);
+
+  /**
+   * Load the subtasks of a specific task
+   */
+  const loadSubtasks = useCallback(async (taskId) => {
+    try {
+      const response = await taskAPI.getSubtasks(taskId);
+      setSubtasks(prev => ({
+        ...prev,
+        [taskId]: response.data
+      }));
+    } catch (error) {
+      console.error('Error loading subtasks:', error);
+    }
+  }, []);
+
+  /**
+   * Store a changed task on the board and in its parent's subtask list
+   */
+  const storeTask = useCallback((changedTask) => {
+    setTasks(prev => prev.map(task =>
+      task.id === changedTask.id ? changedTask : task
+    ));
+
+    if (changedTask.parent_id) {
+      setSubtasks(prev => prev[changedTask.parent_id] ? {
+        ...prev,
+        [changedTask.parent_id]: prev[changedTask.parent_id].map(subtask =>
+          subtask.id === changedTask.id ? changedTask : subtask
+        )
+      } : prev);
+    }
+  }, []);
+
+  /**
+   * Take deleted tasks off the board and out of their parents' subtask lists,
+   * along with their comments, reactions, activity and attachments
+   */
+  const forgetTasks = useCallback((taskIds) => {
+    const withoutTasks = (loaded) => Object.fromEntries(
+      Object.entries(loaded).filter(([taskId]) => !taskIds.includes(parseInt(taskId)))
+    );
+
+    setTasks(prev => prev.filter(task => !taskIds.includes(task.id)));
+    setSubtasks(prev => Object.fromEntries(
+      Object.entries(withoutTasks(prev)).map(([parentId, list]) => [
+        parentId,
+        list.filter(subtask => !taskIds.includes(subtask.id))
+      ])
+    ));
+    setComments(withoutTasks);
+    setCommentPages(withoutTasks);
+    setTaskReactions(withoutTasks);
+    setActivity(withoutTasks);
+    setAttachments(withoutTasks);
+  }, []);
+
+  /**
+   * Reload a single task, e.g. to refresh a parent's subtask counts
+   */
+  const refreshTask = useCallback(async (taskId) => {
+    try {
+      const response = await taskAPI.getTask(taskId);
+      storeTask(response.data);
+    } catch (error) {
+      console.error('Error refreshing task:', error);
+    }
+  }, [storeTask]);
+
+  /**
+   * Create a new task
+   */
+  const createTask = useCallback(async (taskData) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await taskAPI.createTask({
+        ...taskData,
+        project_id: currentProjectId
+      });
+      const newTask = response.data.task;
+      
+      setTasks(prev => [newTask, ...prev]);
+      adjustBoardCounts(null, newTask);
+      return { success: true, task: newTask };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to create task';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [currentProjectId, adjustBoardCounts]);
+
+  /**
+   * Store a task returned by an update or move and keep the board consistent with it
+   * @param {Object|undefined} previousTask - The task as loaded before the change, if it was
+   * @param {Object} changedTask - The task returned by the server
+   * @param {boolean} statusSent - Whether the change could have moved the task between columns
+   * @param {Object|null} nextInstance - Next instance created for a finished recurring task
+   */
+  const applyTaskChange = useCallback((previousTask, changedTask, statusSent, nextInstance = null) => {
+    storeTask(changedTask);
+    if (changedTask.parent_id) {
+      refreshTask(changedTask.parent_id);
+    }
+
+    if (previousTask) {
+      adjustBoardCounts(previousTask, changedTask);
+    }
+
+    // Finishing or reopening a blocker changes whether the tasks it blocks are blocked.
+    // A task that isn't on the board yet may have moved between columns.
+    // The next instance of a recurring task comes with copies of its subtasks.
+    if (statusSent && (changedTask.blocking_count > 0 || !previousTask || nextInstance?.subtasks.total > 0)) {
+      loadTasks();
+      setDependencies({});
+    } else if (nextInstance) {
+      setTasks(prev => [nextInstance, ...prev]);
+      adjustBoardCounts(null, nextInstance);
+    }
+  }, [storeTask, refreshTask, loadTasks, adjustBoardCounts]);
+
+  /**
+   * Update a task
+   */
+  const updateTask = useCallback(async (taskId, taskData) => {
+    try {
+      setError(null);
+
+      const previousTask = tasks.find(task => task.id === taskId);
+      const response = await taskAPI.updateTask(taskId, taskData);
+      const updatedTask = response.data.task;
+      
+      applyTaskChange(previousTask, updatedTask, !!taskData.status, response.data.nextInstance);
+      return { success: true, task: updatedTask };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update task';
+      const status = error.response?.status;
+
+      // Conflicts (e.g. open subtasks) are left to the caller to resolve
+      if (status !== 409) {
+        setError(errorMessage);
+      }
+      return { success: false, error: errorMessage, status, data: error.response?.data };
+    }
+  }, [tasks, applyTaskChange]);
+
+  /**
+   * Delete a task
+   */
+  const deleteTask = useCallback(async (taskId) => {
+    try {
+      setError(null);
+
+      const response = await taskAPI.deleteTask(taskId);
+      
+      const deletedTask = tasks.find(task => task.id === taskId);
+
+      // Subtasks are deleted along with their parent
+      forgetTasks(response.data.trashedIds);
+      if (deletedTask?.parent_id) {
+        refreshTask(deletedTask.parent_id);
+      }
+
+      // Subtasks further down the board are gone too, so recount from the server
+      if (!deletedTask || deletedTask.subtasks.total > 0) {
+        loadTasks();
+      } else {
+        adjustBoardCounts(deletedTask, null);
+      }
+      
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete task';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, [tasks, forgetTasks, refreshTask, loadTasks, adjustBoardCounts]);
+
+  /**
+   * Move a task within its column or to another one. options.afterId and options.beforeId
+   * are the tasks that end up directly above and below it; with neither it goes to the top.
+   * Pass { force: true } to move a task with open subtasks to a done column.
+   */
+  const moveTask = useCallback(async (taskId, newStatus, options = {}) => {
+    try {
+      setError(null);
+
+      const previousTask = tasks.find(task => task.id === taskId);
+      const response = await taskAPI.moveTask(taskId, { status: newStatus, ...options });
+      const movedTask = response.data.task;
+
+      applyTaskChange(previousTask, movedTask, previousTask?.status !== movedTask.status, response.data.nextInstance);
+      return { success: true, task: movedTask };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to move task';
+      const status = error.response?.status;
+
+      // Someone else reordered the column meanwhile, so show the current order
+      if (error.response?.data?.stale) {
+        loadTasks();
+      }
+
+      // Conflicts (e.g. open subtasks) are left to the caller to resolve
+      if (status !== 409) {
+        setError(errorMessage);
+      }
+      return { success: false, error: errorMessage, status, data: error.response?.data };
+    }
+  }, [tasks, applyTaskChange, loadTasks]);
+
+  /**
+   * Load the tasks blocking a specific task and the tasks it blocks
+   */
+  const loadDependencies = useCallback(async (taskId) => {
+    try {
+      const response = await taskAPI.getDependencies(taskId);
+      setDependencies(prev => ({
+        ...prev,
+        [taskId]: response.data
+      }));
+    } catch (error) {
+      console.error('Error loading dependencies:', error);
+    }
+  }, []);
+
+  /**
+   * Add or remove a blocked-by dependency, then store the task's new blocked
+   * state and both sides of its dependencies
+   */
+  const changeDependency = useCallback(async (taskId, blockedById, request, fallbackMessage) => {
+    try {
+      const response = await request();
+      storeTask(response.data.task);
+      setDependencies(prev => {
+        const newDependencies = { ...prev, [taskId]: response.data.dependencies };
+        // The blocker's list of tasks it blocks is stale now
+        delete newDependencies[blockedById];
+        return newDependencies;
+      });
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || fallbackMessage;
+      return { success: false, error: errorMessage };
+    }
+  }, [storeTask]);
+
+  /**
+   * Mark a task as blocked by another task
+   */
+  const addDependency = useCallback((taskId, blockedById) => {
+    return changeDependency(
+      taskId,
+      blockedById,
+      () => taskAPI.addDependency(taskId, blockedById),
+      'Failed to add dependency'
+    );
+  }, [changeDependency]);
+
+  /**
+   * Remove a blocked-by dependency
+   */
+  const removeDependency = useCallback((taskId, blockedById) => {
+    return changeDependency(
+      taskId,
+      blockedById,
+      () => taskAPI.removeDependency(taskId, blockedById),
+      'Failed to remove dependency'
+    );
+  }, [changeDependency]);
+
+  /**
+   * Load the attachments of a specific task
    */
-  const loadTasks = useCallback(async () => {
+  const loadAttachments = useCallback(async (taskId) => {
     try {
-      setLoading(true);
-      setError(null);
-
-      const params = {};
-      if (filters.assignee) params.assignee = filters.assignee;
-      if (filters.priority) params.priority = filters.priority;
-
-      const response = await taskAPI.getAllTasks(params);
-      setTasks(response.data);
+      const response = await attachmentAPI.getAttachments(taskId);
+      setAttachments(prev => ({
+        ...prev,
+        [taskId]: response.data
+      }));
     } catch (error) {
-      console.error('Error loading tasks:', error);
-      setError('Failed to load tasks');
-    } finally {
-      setLoading(false);
+      console.error('Error loading attachments:', error);
     }
-  }, [filters]);
+  }, []);
 
   /**
-   * Load all users for assignee dropdown
+   * Upload files to a task
+   * @param {Function} onProgress - Called with the upload progress (0-100)
    */
-  const loadUsers = useCallback(async () => {
+  const uploadAttachments = useCallback(async (taskId, files, onProgress) => {
     try {
-      const response = await userAPI.getAllUsers();
-      setUsers(response.data);
+      const response = await attachmentAPI.uploadAttachments(taskId, files, (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded * 100) / event.total));
+        }
+      });
+      const newAttachments = response.data.attachments;
+
+      setAttachments(prev => ({
+        ...prev,
+        [taskId]: [...(prev[taskId] || []), ...newAttachments]
+      }));
+
+      return { success: true, attachments: newAttachments };
     } catch (error) {
-      console.error('Error loading users:', error);
+      const errorMessage = error.response?.data?.message || 'Failed to upload files';
+      return { success: false, error: errorMessage };
     }
   }, []);
 
   /**
-   * Load comments for a specific task
+   * Delete an attachment
    */
-  const loadComments = useCallback(async (taskId) => {
+  const deleteAttachment = useCallback(async (taskId, attachmentId) => {
     try {
-      const response = await commentAPI.getTaskComments(taskId);
-      setComments(prev => ({
+      await attachmentAPI.deleteAttachment(taskId, attachmentId);
+
+      setAttachments(prev => ({
         ...prev,
-        [taskId]: response.data
+        [taskId]: (prev[taskId] || []).filter(attachment => attachment.id !== attachmentId)
       }));
+
+      return { success: true };
     } catch (error) {
-      console.error('Error loading comments:', error);
+      const errorMessage = error.response?.data?.message || 'Failed to delete attachment';
+      return { success: false, error: errorMessage };
     }
   }, []);
 
   /**
-   * Create a new task
+   * Add a subtask to a task
    */
-  const createTask = useCallback(async (taskData) => {
+  const createSubtask = useCallback(async (parentId, taskData) => {
     try {
-      setLoading(true);
       setError(null);
 
-      const response = await taskAPI.createTask(taskData);
+      const response = await taskAPI.createSubtask(parentId, taskData);
       const newTask = response.data.task;
-      
+
       setTasks(prev => [newTask, ...prev]);
+      adjustBoardCounts(null, newTask);
+      setSubtasks(prev => ({
+        ...prev,
+        [parentId]: [...(prev[parentId] || []), newTask]
+      }));
+      refreshTask(parentId);
+
       return { success: true, task: newTask };
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to create task';
+      const errorMessage = error.response?.data?.message || 'Failed to create subtask';
       setError(errorMessage);
       return { success: false, error: errorMessage };
-    } finally {
-      setLoading(false);
     }
-  }, []);
+  }, [refreshTask, adjustBoardCounts]);
 
   /**
-   * Update a task
+   * Complete a subtask by moving it to the first done column, or reopen it
+   * by moving it to the first column that isn't done
    */
-  const updateTask = useCallback(async (taskId, taskData) => {
+  const toggleSubtask = useCallback(async (subtask, done) => {
+    const column = columns.find(c => c.isDone === done);
+    if (!column) {
+      const errorMessage = done
+        ? 'This project has no column marked as done'
+        : 'This project has no open column';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+
+    return updateTask(subtask.id, { status: column.name });
+  }, [columns, updateTask]);
+
+  /**
+   * Add a comment to a task, or a reply to the thread of parentId
+   */
+  const addComment = useCallback(async (taskId, body, parentId = null) => {
     try {
       setError(null);
 
-      const response = await taskAPI.updateTask(taskId, taskData);
-      const updatedTask = response.data.task;
-      
-      setTasks(prev => prev.map(task => 
-        task.id === taskId ? updatedTask : task
-      ));
+      const response = await commentAPI.createComment(taskId, body, parentId);
+      const newComment = response.data.comment;
+
+      setComments(prev => insertComment(prev, taskId, newComment));
+      if (!newComment.parentId) {
+        setCommentPages(prev => countThreads(prev, taskId, 1));
+      }
       
-      return { success: true, task: updatedTask };
+      return { success: true, comment: newComment };
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to update task';
+      const errorMessage = error.response?.data?.message || 'Failed to add comment';
       setError(errorMessage);
       return { success: false, error: errorMessage };
     }
   }, []);
 
   /**
-   * Delete a task
+   * Edit a comment or reply of a task
    */
-  const deleteTask = useCallback(async (taskId) => {
+  const updateComment = useCallback(async (taskId, commentId, body) => {
     try {
       setError(null);
 
-      await taskAPI.deleteTask(taskId);
-      
-      setTasks(prev => prev.filter(task => task.id !== taskId));
-      
-      // Also remove comments for this task
-      setComments(prev => {
-        const newComments = { ...prev };
-        delete newComments[taskId];
-        return newComments;
-      });
-      
+      const response = await commentAPI.updateComment(commentId, body);
+      const updatedComment = response.data.comment;
+      setComments(prev => replaceComment(prev, taskId, updatedComment));
+
+      return { success: true, comment: updatedComment };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update comment';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  /**
+   * Delete a comment of a task; deleting the comment starting a thread deletes its replies too
+   */
+  const deleteComment = useCallback(async (taskId, comment) => {
+    try {
+      setError(null);
+
+      await commentAPI.deleteComment(comment.id);
+
+      setComments(prev => removeComment(prev, taskId, comment));
+      if (!comment.parentId) {
+        setCommentPages(prev => countThreads(prev, taskId, -1));
+      }
+
       return { success: true };
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to delete task';
+      const errorMessage = error.response?.data?.message || 'Failed to delete comment';
       setError(errorMessage);
       return { success: false, error: errorMessage };
     }
   }, []);
 
   /**
-   * Move task to different status column
+   * Load the emoji reactions on a specific task
    */
-  const moveTask = useCallback(async (taskId, newStatus) => {
-    return updateTask(taskId, { status: newStatus });
-  }, [updateTask]);
+  const loadTaskReactions = useCallback(async (taskId) => {
+    try {
+      const response = await taskAPI.getTask(taskId);
+      setTaskReactions(prev => ({ ...prev, [taskId]: response.data.reactions }));
+    } catch (error) {
+      console.error('Error loading reactions:', error);
+    }
+  }, []);
 
   /**
-   * Add a comment to a task
+   * Add or take back the current user's reaction to a task
    */
-  const addComment = useCallback(async (taskId, body) => {
+  const toggleTaskReaction = useCallback(async (taskId, emoji, reacted) => {
     try {
       setError(null);
 
-      const response = await commentAPI.createComment(taskId, body);
-      const newComment = response.data.comment;
-      
-      setComments(prev => ({
-        ...prev,
-        [taskId]: [...(prev[taskId] || []), newComment]
+      const response = reacted
+        ? await taskAPI.removeReaction(taskId, emoji)
+        : await taskAPI.addReaction(taskId, emoji);
+      setTaskReactions(prev => ({ ...prev, [taskId]: response.data.reactions }));
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update reaction';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  /**
+   * Add or take back the current user's reaction to a comment or reply of a task
+   */
+  const toggleCommentReaction = useCallback(async (taskId, comment, emoji, reacted) => {
+    try {
+      setError(null);
+
+      const response = reacted
+        ? await commentAPI.removeReaction(comment.id, emoji)
+        : await commentAPI.addReaction(comment.id, emoji);
+      setComments(prev => replaceComment(prev, taskId, {
+        id: comment.id,
+        parentId: comment.parentId,
+        reactions: response.data.reactions
       }));
-      
-      return { success: true, comment: newComment };
+
+      return { success: true };
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to add comment';
+      const errorMessage = error.response?.data?.message || 'Failed to update reaction';
       setError(errorMessage);
       return { success: false, error: errorMessage };
     }
@@ -197,21 +1097,328 @@ export const TaskProvider = ({ children }) => {
   const clearFilters = useCallback(() => {
     setFilters({
       assignee: '',
-      priority: ''
+      priority: '',
+      labels: [],
+      labelMode: 'any',
+      query: ''
     });
   }, []);
 
   /**
-   * Get tasks grouped by status
+   * Get loaded tasks grouped by status, one entry per workflow column,
+   * in the board's sort order
    */
   const getTasksByStatus = useCallback(() => {
-    return {
-      'Backlog': tasks.filter(task => task.status === 'Backlog'),
-      'In Progress': tasks.filter(task => task.status === 'In Progress'),
-      'Review': tasks.filter(task => task.status === 'Review'),
-      'Done': tasks.filter(task => task.status === 'Done')
-    };
-  }, [tasks]);
+    const comparator = compareTasks(sort);
+
+    return columns.reduce((grouped, column) => ({
+      ...grouped,
+      [column.name]: tasks.filter(task => task.status === column.name).sort(comparator)
+    }), {});
+  }, [tasks, columns, sort]);
+
+  /**
+   * Load the saved views of the current project
+   */
+  const loadViews = useCallback(async () => {
+    if (!currentProjectId) {
+      setViews([]);
+      return;
+    }
+
+    try {
+      const response = await viewAPI.getViews(currentProjectId);
+      setViews(response.data);
+    } catch (error) {
+      console.error('Error loading views:', error);
+    }
+  }, [currentProjectId]);
+
+  /**
+   * Show the board with a saved view's filters, sort order and hidden columns
+   */
+  const applyView = useCallback((view) => {
+    setFilters(view.filters);
+    setSort(view.sort);
+    setHiddenColumns(view.hiddenColumns);
+    setCurrentViewId(view.id);
+  }, []);
+
+  /**
+   * Stop following a saved view; the board keeps its current settings
+   */
+  const clearView = useCallback(() => {
+    setCurrentViewId(null);
+  }, []);
+
+  /**
+   * Save the board's current settings as a new view
+   */
+  const saveView = useCallback(async (name, shared = false) => {
+    try {
+      const response = await viewAPI.createView(currentProjectId, {
+        name,
+        filters,
+        sort,
+        hiddenColumns,
+        shared
+      });
+      const newView = response.data.view;
+
+      setViews(prev => [...prev, newView].sort((a, b) => a.name.localeCompare(b.name)));
+      setCurrentViewId(newView.id);
+      return { success: true, view: newView };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to save view';
+      return { success: false, error: errorMessage };
+    }
+  }, [currentProjectId, filters, sort, hiddenColumns]);
+
+  /**
+   * Change a saved view. Pass { overwrite: true } to store the board's current settings in it.
+   */
+  const updateView = useCallback(async (viewId, { overwrite = false, ...viewData } = {}) => {
+    try {
+      const response = await viewAPI.updateView(currentProjectId, viewId, overwrite
+        ? { ...viewData, filters, sort, hiddenColumns }
+        : viewData
+      );
+      const updatedView = response.data.view;
+
+      setViews(prev => prev
+        .map(view => view.id === viewId ? updatedView : view)
+        .sort((a, b) => a.name.localeCompare(b.name))
+      );
+      return { success: true, view: updatedView };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update view';
+      return { success: false, error: errorMessage };
+    }
+  }, [currentProjectId, filters, sort, hiddenColumns]);
+
+  /**
+   * Delete a saved view
+   */
+  const deleteView = useCallback(async (viewId) => {
+    try {
+      await viewAPI.deleteView(currentProjectId, viewId);
+
+      setViews(prev => prev.filter(view => view.id !== viewId));
+      setCurrentViewId(prev => prev === viewId ? null : prev);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete view';
+      return { success: false, error: errorMessage };
+    }
+  }, [currentProjectId]);
+
+  /**
+   * Show or hide a board column
+   */
+  const toggleColumn = useCallback((columnName) => {
+    setHiddenColumns(prev => prev.includes(columnName)
+      ? prev.filter(name => name !== columnName)
+      : [...prev, columnName]
+    );
+  }, []);
+
+  /**
+   * Load the current project's trash
+   */
+  const loadTrash = useCallback(async () => {
+    if (!currentProjectId) {
+      setTrash({ retentionDays: 0, tasks: [] });
+      return { success: true };
+    }
+
+    try {
+      const response = await trashAPI.getTrash(currentProjectId);
+      setTrash(response.data);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to load trash';
+      return { success: false, error: errorMessage };
+    }
+  }, [currentProjectId]);
+
+  /**
+   * Take a task out of the trash; its subtasks and comments come back with it
+   */
+  const restoreTask = useCallback(async (taskId) => {
+    try {
+      const response = await trashAPI.restoreTask(currentProjectId, taskId);
+      const restoredTask = response.data.task;
+
+      setTrash(prev => ({ ...prev, tasks: prev.tasks.filter(task => task.id !== taskId) }));
+      if (restoredTask.parent_id) {
+        refreshTask(restoredTask.parent_id);
+      }
+      // The task may land anywhere on the board, so reload it
+      loadTasks();
+      return { success: true, task: restoredTask };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to restore task';
+      return { success: false, error: errorMessage };
+    }
+  }, [currentProjectId, refreshTask, loadTasks]);
+
+  /**
+   * Permanently delete a trashed task
+   */
+  const deleteTaskForever = useCallback(async (taskId) => {
+    try {
+      await trashAPI.deleteTask(currentProjectId, taskId);
+
+      setTrash(prev => ({ ...prev, tasks: prev.tasks.filter(task => task.id !== taskId) }));
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete task';
+      return { success: false, error: errorMessage };
+    }
+  }, [currentProjectId]);
+
+  /**
+   * Permanently delete every task in the trash
+   */
+  const emptyTrash = useCallback(async () => {
+    try {
+      await trashAPI.emptyTrash(currentProjectId);
+
+      setTrash(prev => ({ ...prev, tasks: [] }));
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to empty trash';
+      return { success: false, error: errorMessage };
+    }
+  }, [currentProjectId]);
+
+  /**
+   * Bring tasks created or changed by another client onto the board. A filtered board
+   * asks the server which of them match its filters: loaded tasks that no longer match
+   * leave the board, and a task that starts matching reloads it, since where it belongs
+   * among the tasks not loaded yet is unknown. An unfiltered board takes new tasks as
+   * they come; changed tasks that aren't loaded show up with the rest of their column.
+   * @param {Object[]} changedTasks - Tasks as sent with the event
+   * @param {boolean} isNew - Whether the tasks were just created or restored
+   */
+  const applyTaskChanges = useCallback(async (changedTasks, isNew) => {
+    let matchingIds = null;
+    if (buildTaskQuery(filters)) {
+      try {
+        const response = await taskAPI.getAllTasks({
+          ...getTaskParams(),
+          ids: changedTasks.map(task => task.id).join(','),
+          limit: changedTasks.length
+        });
+        matchingIds = response.data.tasks.map(task => task.id);
+      } catch (error) {
+        console.error('Error matching changed tasks to filters:', error);
+        loadTasks();
+        return;
+      }
+    }
+
+    let needsReload = false;
+    changedTasks.forEach(task => {
+      const previousTask = tasks.find(existing => existing.id === task.id);
+      const matches = !matchingIds || matchingIds.includes(task.id);
+
+      storeTask(task);
+      if (previousTask && matches) {
+        adjustBoardCounts(previousTask, task);
+      } else if (previousTask) {
+        setTasks(prev => prev.filter(existing => existing.id !== task.id));
+        adjustBoardCounts(previousTask, null);
+      } else if (matches && matchingIds) {
+        needsReload = true;
+      } else if (matches && isNew) {
+        setTasks(prev => [task, ...prev.filter(existing => existing.id !== task.id)]);
+        adjustBoardCounts(null, task);
+      }
+    });
+
+    if (needsReload) {
+      loadTasks();
+    }
+  }, [filters, tasks, getTaskParams, storeTask, adjustBoardCounts, loadTasks]);
+
+  /**
+   * Apply a change another client made to the current project (see backend/utils/events.js)
+   */
+  const applyEvent = useCallback((type, data) => {
+    if (data.projectId !== currentProjectId) {
+      return;
+    }
+
+    switch (type) {
+      case 'task.created':
+        setSubtasks(prev => data.tasks.reduce((loaded, task) => (
+          loaded[task.parent_id] && !loaded[task.parent_id].some(subtask => subtask.id === task.id)
+            ? { ...loaded, [task.parent_id]: [...loaded[task.parent_id], task] }
+            : loaded
+        ), prev));
+        applyTaskChanges(data.tasks, true);
+        break;
+      case 'task.updated':
+        applyTaskChanges(data.tasks, false);
+        break;
+      case 'task.deleted':
+        tasks
+          .filter(task => data.taskIds.includes(task.id))
+          .forEach(task => adjustBoardCounts(task, null));
+        forgetTasks(data.taskIds);
+        break;
+      case 'task.reactions':
+        setTaskReactions(prev => prev[data.taskId] ? { ...prev, [data.taskId]: data.reactions } : prev);
+        break;
+      case 'comment.created': {
+        const { comment } = data;
+        const threads = comments[comment.taskId];
+        // Comments of tasks that haven't been opened are loaded when they are
+        if (!threads) {
+          break;
+        }
+        if (!comment.parentId && !threads.some(thread => thread.id === comment.id)) {
+          setCommentPages(prev => countThreads(prev, comment.taskId, 1));
+        }
+        setComments(prev => insertComment(prev, comment.taskId, comment));
+        break;
+      }
+      case 'comment.updated':
+        setComments(prev => replaceComment(prev, data.comment.taskId, data.comment));
+        break;
+      case 'comment.deleted': {
+        const comment = { id: data.commentId, parentId: data.parentId };
+        if (!data.parentId && (comments[data.taskId] || []).some(thread => thread.id === data.commentId)) {
+          setCommentPages(prev => countThreads(prev, data.taskId, -1));
+        }
+        setComments(prev => removeComment(prev, data.taskId, comment));
+        break;
+      }
+      case 'comment.reactions':
+        setComments(prev => replaceComment(prev, data.taskId, {
+          id: data.commentId,
+          parentId: data.parentId,
+          reactions: data.reactions
+        }));
+        break;
+      case 'workflow.updated':
+        // Renamed and deleted columns take their tasks with them, so reload both
+        loadColumns();
+        loadTasks();
+        break;
+      default:
+        break;
+    }
+  }, [currentProjectId, tasks, comments, applyTaskChanges, adjustBoardCounts, forgetTasks, loadColumns, loadTasks]);
+
+  /**
+   * Catch up after the event stream was down: reload the board and any loaded comments
+   */
+  const reloadAfterReconnect = useCallback(() => {
+    loadTasks();
+    Object.keys(comments).forEach(taskId => loadComments(parseInt(taskId)));
+  }, [comments, loadTasks, loadComments]);
 
   /**
    * Get task by ID
@@ -227,38 +1434,204 @@ export const TaskProvider = ({ children }) => {
     setError(null);
   }, []);
 
-  // Reload tasks when filters change
+  const currentProject = projects.find(project => project.id === currentProjectId) || null;
+
+  /**
+   * Check whether the current user's role in the current project grants a permission.
+   * Permissions ending in ':own' apply to the user's own comments, and to tasks
+   * assigned to the user or unassigned.
+   */
+  const can = useCallback((permission, resource = null) => {
+    const permissions = currentProject?.permissions || [];
+    if (permissions.includes(permission)) {
+      return true;
+    }
+
+    if (!resource || !permissions.includes(`${permission}:own`)) {
+      return false;
+    }
+
+    if (resource.author) {
+      return resource.author.id === user?.id;
+    }
+    return !resource.assignee || resource.assignee.id === user?.id;
+  }, [currentProject, user]);
+
+  // Reload tasks when filters or the current project change
   useEffect(() => {
     loadTasks();
   }, [loadTasks]);
 
+  // Reload members, columns, labels and views, and remember the selection when the current project changes
+  useEffect(() => {
+    loadMembers();
+    loadColumns();
+    loadLabels();
+    loadViews();
+
+    if (currentProjectId) {
+      localStorage.setItem('currentProjectId', currentProjectId);
+    } else {
+      localStorage.removeItem('currentProjectId');
+    }
+  }, [currentProjectId, loadMembers, loadColumns, loadLabels, loadViews]);
+
+  // Latest handlers for the event stream, which stays open while they change
+  const liveUpdateRef = useRef(null);
+  useEffect(() => {
+    liveUpdateRef.current = { applyEvent, reloadAfterReconnect };
+  }, [applyEvent, reloadAfterReconnect]);
+
+  // Follow changes made by other users while signed in
+  useEffect(() => {
+    if (!user) {
+      return undefined;
+    }
+
+    return subscribeToEvents({
+      onEvent: (type, data) => liveUpdateRef.current.applyEvent(type, data),
+      onOpen: (reopened) => {
+        if (reopened) {
+          liveUpdateRef.current.reloadAfterReconnect();
+        }
+      }
+    });
+  }, [user]);
+
+  // Restore a view linked from the URL
+  useEffect(() => {
+    if (!currentProjectId || !pendingViewId) {
+      return;
+    }
+
+    setPendingViewId(null);
+    viewAPI.getView(currentProjectId, pendingViewId)
+      .then(response => applyView(response.data))
+      .catch(error => {
+        console.error('Error loading view:', error);
+        setCurrentViewId(null);
+        setError('The linked view could not be found');
+      });
+  }, [currentProjectId, pendingViewId, applyView]);
+
+  // Keep the project and view in the URL so the board can be bookmarked or shared
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    ['project', 'view'].forEach(name => params.delete(name));
+    if (currentProjectId) params.set('project', currentProjectId);
+    if (currentViewId) params.set('view', currentViewId);
+
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
+  }, [currentProjectId, currentViewId]);
+
   const value = {
     // State
+    projects,
+    currentProject,
+    members,
+    columns,
+    labels,
     tasks,
+    columnPages,
+    boardStats,
     users,
     comments,
+    commentPages,
+    taskReactions,
+    activity,
+    subtasks,
+    dependencies,
+    attachments,
     filters,
+    queryErrors,
+    sort,
+    hiddenColumns,
+    views,
+    currentViewId,
+    trash,
     loading,
     error,
     
+    // Project operations
+    loadProjects,
+    selectProject,
+    createProject,
+
+    // Workflow operations
+    createColumn,
+    updateColumn,
+    reorderColumns,
+    deleteColumn,
+
+    // Label operations
+    createLabel,
+    updateLabel,
+    deleteLabel,
+
     // Task operations
     loadTasks,
+    loadMoreTasks,
     createTask,
     updateTask,
     deleteTask,
     moveTask,
     getTaskById,
     getTasksByStatus,
+
+    // Subtask operations
+    loadSubtasks,
+    createSubtask,
+    toggleSubtask,
+
+    // Dependency operations
+    loadDependencies,
+    addDependency,
+    removeDependency,
+
+    // Attachment operations
+    loadAttachments,
+    uploadAttachments,
+    deleteAttachment,
     
+    // Activity operations
+    loadActivity,
+
     // Comment operations
     loadComments,
+    loadMoreComments,
+    loadThread,
     addComment,
+    updateComment,
+    deleteComment,
+    resolveThread,
+    toggleCommentReaction,
+
+    // Reaction operations
+    loadTaskReactions,
+    toggleTaskReaction,
     
     // Filter operations
     updateFilters,
     clearFilters,
+    setSort,
+    toggleColumn,
+
+    // Saved view operations
+    applyView,
+    clearView,
+    saveView,
+    updateView,
+    deleteView,
+
+    // Trash operations
+    loadTrash,
+    restoreTask,
+    deleteTaskForever,
+    emptyTrash,
     
     // Utility
+    can,
     clearError
   };
 
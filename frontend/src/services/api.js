@@ -4,7 +4,13 @@ import axios from 'axios';
  * API Configuration
  * Creates axios instance with base configuration
  */
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+/**
+ * Identifies this browser tab to the server, so the changes it makes
+ * aren't sent back to it as live updates
+ */
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -15,7 +21,7 @@ const api = axios.create({
 
 /**
  * Request Interceptor
- * Adds JWT token to all requests
+ * Adds JWT token and client ID to all requests
  */
 api.interceptors.request.use(
   (config) => {
@@ -23,6 +29,7 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    config.headers['X-Client-Id'] = CLIENT_ID;
     return config;
   },
   (error) => {
@@ -82,17 +89,295 @@ export const authAPI = {
   }
 };
 
+/**
+ * Project API endpoints
+ */
+export const projectAPI = {
+  /**
+   * Get projects the current user is a member of
+   */
+  getProjects: () => {
+    return api.get('/projects');
+  },
+
+  /**
+   * Get single project by ID
+   */
+  getProject: (projectId) => {
+    return api.get(`/projects/${projectId}`);
+  },
+
+  /**
+   * Create new project
+   */
+  createProject: (projectData) => {
+    return api.post('/projects', projectData);
+  },
+
+  /**
+   * Update project
+   */
+  updateProject: (projectId, projectData) => {
+    return api.put(`/projects/${projectId}`, projectData);
+  },
+
+  /**
+   * Delete project
+   */
+  deleteProject: (projectId) => {
+    return api.delete(`/projects/${projectId}`);
+  },
+
+  /**
+   * Get project members
+   */
+  getMembers: (projectId) => {
+    return api.get(`/projects/${projectId}/members`);
+  },
+
+  /**
+   * Add a user to a project
+   */
+  addMember: (projectId, userId, role = 'member') => {
+    return api.post(`/projects/${projectId}/members`, { user_id: userId, role });
+  },
+
+  /**
+   * Change a member's role in a project
+   */
+  updateMemberRole: (projectId, userId, role) => {
+    return api.put(`/projects/${projectId}/members/${userId}`, { role });
+  },
+
+  /**
+   * Remove a user from a project
+   */
+  removeMember: (projectId, userId) => {
+    return api.delete(`/projects/${projectId}/members/${userId}`);
+  }
+};
+
+/**
+ * Workflow column API endpoints
+ */
+export const workflowAPI = {
+  /**
+   * Get a project's columns in board order
+   */
+  getColumns: (projectId) => {
+    return api.get(`/projects/${projectId}/columns`);
+  },
+
+  /**
+   * Add a column
+   */
+  createColumn: (projectId, columnData) => {
+    return api.post(`/projects/${projectId}/columns`, columnData);
+  },
+
+  /**
+   * Rename a column or change whether it counts as done
+   */
+  updateColumn: (projectId, columnId, columnData) => {
+    return api.put(`/projects/${projectId}/columns/${columnId}`, columnData);
+  },
+
+  /**
+   * Reorder columns
+   */
+  reorderColumns: (projectId, columnIds) => {
+    return api.put(`/projects/${projectId}/columns/order`, { column_ids: columnIds });
+  },
+
+  /**
+   * Delete a column, moving its tasks to another column
+   */
+  deleteColumn: (projectId, columnId, moveToColumnId) => {
+    return api.delete(`/projects/${projectId}/columns/${columnId}`, {
+      params: moveToColumnId ? { move_to: moveToColumnId } : {}
+    });
+  }
+};
+
+/**
+ * Search API endpoints
+ */
+export const searchAPI = {
+  /**
+   * Full-text search over task titles, descriptions and comments
+   */
+  search: (q, params = {}) => {
+    return api.get('/search', { params: { q, ...params } });
+  }
+};
+
+/**
+ * Attachment API endpoints
+ */
+export const attachmentAPI = {
+  /**
+   * Get a task's attachments
+   */
+  getAttachments: (taskId) => {
+    return api.get(`/tasks/${taskId}/attachments`);
+  },
+
+  /**
+   * Upload files to a task
+   */
+  uploadAttachments: (taskId, files, onUploadProgress) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    return api.post(`/tasks/${taskId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress
+    });
+  },
+
+  /**
+   * Download an attachment as a Blob (downloads need the auth header, so plain links won't do)
+   */
+  downloadAttachment: (taskId, attachmentId, inline = false) => {
+    return api.get(`/tasks/${taskId}/attachments/${attachmentId}/download`, {
+      params: inline ? { inline: true } : {},
+      responseType: 'blob'
+    });
+  },
+
+  /**
+   * Delete an attachment
+   */
+  deleteAttachment: (taskId, attachmentId) => {
+    return api.delete(`/tasks/${taskId}/attachments/${attachmentId}`);
+  }
+};
+
+/**
+ * Label API endpoints
+ */
+export const labelAPI = {
+  /**
+   * Get a project's labels
+   */
+  getLabels: (projectId) => {
+    return api.get(`/projects/${projectId}/labels`);
+  },
+
+  /**
+   * Create a label
+   */
+  createLabel: (projectId, labelData) => {
+    return api.post(`/projects/${projectId}/labels`, labelData);
+  },
+
+  /**
+   * Rename or recolor a label
+   */
+  updateLabel: (projectId, labelId, labelData) => {
+    return api.put(`/projects/${projectId}/labels/${labelId}`, labelData);
+  },
+
+  /**
+   * Delete a label
+   */
+  deleteLabel: (projectId, labelId) => {
+    return api.delete(`/projects/${projectId}/labels/${labelId}`);
+  }
+};
+
+/**
+ * Saved view API endpoints
+ */
+export const viewAPI = {
+  /**
+   * Get the user's views and the views shared with a project
+   */
+  getViews: (projectId) => {
+    return api.get(`/projects/${projectId}/views`);
+  },
+
+  /**
+   * Get a single view
+   */
+  getView: (projectId, viewId) => {
+    return api.get(`/projects/${projectId}/views/${viewId}`);
+  },
+
+  /**
+   * Save a view
+   */
+  createView: (projectId, viewData) => {
+    return api.post(`/projects/${projectId}/views`, viewData);
+  },
+
+  /**
+   * Rename, overwrite or (un)share a view
+   */
+  updateView: (projectId, viewId, viewData) => {
+    return api.put(`/projects/${projectId}/views/${viewId}`, viewData);
+  },
+
+  /**
+   * Delete a view
+   */
+  deleteView: (projectId, viewId) => {
+    return api.delete(`/projects/${projectId}/views/${viewId}`);
+  }
+};
+
+/**
+ * Trash API endpoints
+ */
+export const trashAPI = {
+  /**
+   * Get a project's trashed tasks and how long the trash keeps them
+   */
+  getTrash: (projectId) => {
+    return api.get(`/projects/${projectId}/trash`);
+  },
+
+  /**
+   * Restore a trashed task with its subtasks and comments
+   */
+  restoreTask: (projectId, taskId) => {
+    return api.post(`/projects/${projectId}/trash/${taskId}/restore`);
+  },
+
+  /**
+   * Permanently delete a trashed task
+   */
+  deleteTask: (projectId, taskId) => {
+    return api.delete(`/projects/${projectId}/trash/${taskId}`);
+  },
+
+  /**
+   * Permanently delete every task in the trash
+   */
+  emptyTrash: (projectId) => {
+    return api.delete(`/projects/${projectId}/trash`);
+  }
+};
+
 /**
  * Task API endpoints
  */
 export const taskAPI = {
   /**
-   * Get all tasks with optional filters
+   * Get a page of tasks in a project with optional filters, sort, limit and cursor
    */
   getAllTasks: (params = {}) => {
     return api.get('/tasks', { params });
   },
 
+  /**
+   * Get the first page of every board column with each column's total.
+   * Takes the filters of getAllTasks; limit is the page size per column.
+   */
+  getBoard: (params = {}) => {
+    return api.get('/tasks/board', { params });
+  },
+
   /**
    * Get single task by ID
    */
@@ -100,6 +385,55 @@ export const taskAPI = {
     return api.get(`/tasks/${taskId}`);
   },
 
+  /**
+   * React to a task with an emoji
+   */
+  addReaction: (taskId, emoji) => {
+    return api.post(`/tasks/${taskId}/reactions`, { emoji });
+  },
+
+  /**
+   * Take back a reaction to a task
+   */
+  removeReaction: (taskId, emoji) => {
+    return api.delete(`/tasks/${taskId}/reactions/${encodeURIComponent(emoji)}`);
+  },
+
+  /**
+   * Get a task's activity history
+   */
+  getActivity: (taskId) => {
+    return api.get(`/tasks/${taskId}/activity`);
+  },
+
+  /**
+   * Get a task's subtasks
+   */
+  getSubtasks: (taskId) => {
+    return api.get(`/tasks/${taskId}/subtasks`);
+  },
+
+  /**
+   * Get the tasks blocking a task and the tasks it blocks
+   */
+  getDependencies: (taskId) => {
+    return api.get(`/tasks/${taskId}/dependencies`);
+  },
+
+  /**
+   * Mark a task as blocked by another task
+   */
+  addDependency: (taskId, blockedById) => {
+    return api.post(`/tasks/${taskId}/dependencies`, { blocked_by_id: blockedById });
+  },
+
+  /**
+   * Remove a blocked-by dependency
+   */
+  removeDependency: (taskId, blockedById) => {
+    return api.delete(`/tasks/${taskId}/dependencies/${blockedById}`);
+  },
+
   /**
    * Create new task
    */
@@ -107,6 +441,13 @@ export const taskAPI = {
     return api.post('/tasks', taskData);
   },
 
+  /**
+   * Create a subtask under a task
+   */
+  createSubtask: (taskId, taskData) => {
+    return api.post(`/tasks/${taskId}/subtasks`, taskData);
+  },
+
   /**
    * Update task
    */
@@ -114,6 +455,13 @@ export const taskAPI = {
     return api.put(`/tasks/${taskId}`, taskData);
   },
 
+  /**
+   * Move a task to a position in a column: { status, afterId, beforeId, force }
+   */
+  moveTask: (taskId, moveData) => {
+    return api.post(`/tasks/${taskId}/move`, moveData);
+  },
+
   /**
    * Delete task
    */
@@ -127,17 +475,25 @@ export const taskAPI = {
  */
 export const commentAPI = {
   /**
-   * Get comments for a specific task
+   * Get a page of threads for a specific task, each with its replies
+   * @param {Object} params - Optional sort, limit and cursor
+   */
+  getTaskComments: (taskId, params = {}) => {
+    return api.get(`/comments/task/${taskId}`, { params });
+  },
+
+  /**
+   * Get the thread a comment belongs to, with its replies
    */
-  getTaskComments: (taskId) => {
-    return api.get(`/comments/task/${taskId}`);
+  getThread: (commentId) => {
+    return api.get(`/comments/${commentId}/thread`);
   },
 
   /**
-   * Create new comment
+   * Create new comment, or a reply to the thread of parentId
    */
-  createComment: (taskId, body) => {
-    return api.post('/comments', { taskId, body });
+  createComment: (taskId, body, parentId = null) => {
+    return api.post('/comments', { taskId, body, parentId });
   },
 
   /**
@@ -147,6 +503,34 @@ export const commentAPI = {
     return api.put(`/comments/${commentId}`, { body });
   },
 
+  /**
+   * Get the earlier versions of an edited comment, newest first
+   */
+  getRevisions: (commentId) => {
+    return api.get(`/comments/${commentId}/revisions`);
+  },
+
+  /**
+   * React to a comment with an emoji
+   */
+  addReaction: (commentId, emoji) => {
+    return api.post(`/comments/${commentId}/reactions`, { emoji });
+  },
+
+  /**
+   * Take back a reaction to a comment
+   */
+  removeReaction: (commentId, emoji) => {
+    return api.delete(`/comments/${commentId}/reactions/${encodeURIComponent(emoji)}`);
+  },
+
+  /**
+   * Resolve or reopen a thread
+   */
+  resolveThread: (commentId, resolved) => {
+    return api.put(`/comments/${commentId}/resolve`, { resolved });
+  },
+
   /**
    * Delete comment
    */
@@ -174,10 +558,73 @@ export const userAPI = {
   },
 
   /**
-   * Get current user's tasks
+   * Get a page of the current user's tasks
+   * @param {Object} params - Optional sort, limit and cursor
+   */
+  getMyTasks: (params = {}) => {
+    return api.get('/users/me/tasks', { params });
+  },
+
+  /**
+   * Change a user's global role (admins only)
+   */
+  updateUserRole: (userId, role) => {
+    return api.put(`/users/${userId}/role`, { role });
+  }
+};
+
+/**
+ * Notification API endpoints
+ */
+export const notificationAPI = {
+  /**
+   * Get a page of the user's notifications, newest first
+   * @param {Object} params - Optional unread, limit and cursor
+   */
+  getNotifications: (params = {}) => {
+    return api.get('/notifications', { params });
+  },
+
+  /**
+   * Get the number of unread notifications
+   */
+  getUnreadCount: () => {
+    return api.get('/notifications/unread-count');
+  },
+
+  /**
+   * Mark a notification as read
+   */
+  markRead: (notificationId) => {
+    return api.put(`/notifications/${notificationId}/read`);
+  },
+
+  /**
+   * Mark all notifications as read
+   */
+  markAllRead: () => {
+    return api.put('/notifications/read-all');
+  },
+
+  /**
+   * Get which notifications the user also gets by email
+   */
+  getPreferences: () => {
+    return api.get('/notifications/preferences');
+  },
+
+  /**
+   * Change some notification preferences, e.g. { emailCommented: true }
+   */
+  updatePreferences: (changes) => {
+    return api.put('/notifications/preferences', changes);
+  },
+
+  /**
+   * Get the daily or weekly digest the user would get now, with its rendered email
    */
-  getMyTasks: () => {
-    return api.get('/users/me/tasks');
+  previewDigest: (frequency) => {
+    return api.get('/notifications/digest/preview', { params: { frequency } });
   }
 };
 
@@ -0,0 +1,154 @@
+import { API_BASE_URL, CLIENT_ID } from './api';
+
+/**
+ * Live updates from the server's event stream (see backend/utils/events.js).
+ * The stream is read with fetch rather than EventSource so the JWT goes in the
+ * Authorization header like on every other request. A dropped stream is reopened
+ * after a delay that doubles with each failed attempt.
+ */
+
+// Delay before the first reconnect attempt, and the longest delay between attempts
+const RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// How long the stream may stay silent before it counts as dropped, until the
+// server says how often it sends keep-alives
+const DEFAULT_SILENCE_MS = 60000;
+
+/**
+ * Parse one Server-Sent Events message
+ * @returns {Object|null} { type, data }, or null for messages without data such as keep-alives
+ */
+const parseMessage = (message) => {
+  let type = 'message';
+  const dataLines = [];
+
+  message.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+
+  return dataLines.length > 0 ? { type, data: JSON.parse(dataLines.join('\n')) } : null;
+};
+
+/**
+ * Follow live updates until unsubscribed
+ * @param {Object} handlers
+ * @param {Function} handlers.onEvent - Called with the type and data of each event
+ * @param {Function} handlers.onOpen - Called when the stream opens, with whether it was
+ *   reopened after a drop (events may have been missed meanwhile)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToEvents = ({ onEvent, onOpen }) => {
+  let controller = null;
+  let reconnectTimer = null;
+  let silenceTimer = null;
+  let failedAttempts = 0;
+  let hasOpened = false;
+  let isStopped = false;
+
+  const scheduleReconnect = () => {
+    const delay = Math.min(RECONNECT_DELAY_MS * 2 ** failedAttempts, MAX_RECONNECT_DELAY_MS);
+    failedAttempts++;
+    // Spread out the reconnects of clients that were dropped together
+    reconnectTimer = setTimeout(connect, delay / 2 + Math.random() * delay / 2);
+  };
+
+  const connect = async () => {
+    const token = localStorage.getItem('token');
+    if (isStopped || !token) {
+      return;
+    }
+
+    const streamController = new AbortController();
+    controller = streamController;
+    let silenceMs = DEFAULT_SILENCE_MS;
+
+    // A stream that goes quiet may have been cut off without closing, so start over
+    const watchForSilence = () => {
+      clearTimeout(silenceTimer);
+      silenceTimer = setTimeout(() => streamController.abort(), silenceMs);
+    };
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/events`, {
+        headers: {
+          Accept: 'text/event-stream',
+          Authorization: `Bearer ${token}`,
+          'X-Client-Id': CLIENT_ID
+        },
+        signal: streamController.signal
+      });
+
+      // The token is no longer valid, so retrying won't help until the user signs in again
+      if (response.status === 401 || response.status === 403) {
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Event stream answered with status ${response.status}`);
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      watchForSilence();
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+          break;
+        }
+        watchForSilence();
+
+        buffer += value.replace(/\r\n/g, '\n');
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const message = parseMessage(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (!message) {
+            continue;
+          }
+
+          if (message.type === 'ready') {
+            // Allow for two missed keep-alives
+            silenceMs = message.data.heartbeatSeconds * 2000 + 1000;
+            watchForSilence();
+            failedAttempts = 0;
+            onOpen(hasOpened);
+            hasOpened = true;
+          } else {
+            try {
+              onEvent(message.type, message.data);
+            } catch (error) {
+              console.error('Error applying live update:', error);
+            }
+          }
+        }
+      }
+    } catch (error) {
+      if (isStopped) {
+        return;
+      }
+      console.error('Event stream error:', error);
+    } finally {
+      clearTimeout(silenceTimer);
+    }
+
+    if (!isStopped) {
+      scheduleReconnect();
+    }
+  };
+
+  connect();
+
+  return () => {
+    isStopped = true;
+    clearTimeout(reconnectTimer);
+    clearTimeout(silenceTimer);
+    if (controller) {
+      controller.abort();
+    }
+  };
+};
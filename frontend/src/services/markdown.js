@@ -0,0 +1,571 @@
+/**
+ * Markdown: the GitHub-flavoured subset used in task descriptions and comments.
+ *
+ * Blocks: paragraphs, headings, fenced code blocks, block quotes, horizontal rules,
+ * and bullet and ordered lists, nested by indentation, with task-list items.
+ * Inline: code spans, bold, italics, strikethrough, links, <autolinks> and bare URLs;
+ * images are shown as links. HTML is not interpreted and shows as typed.
+ *
+ * parseMarkdown builds a tree that components/Dashboard/Markdown.js turns into React
+ * elements, so all text is escaped by React; link targets must pass safeUrl.
+ */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const TASK = /^\[([ xX])\](?:[ \t]+(.*))?$/;
+const TASK_LIST_MARKER = /^((?: {0,3}> ?)*[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+)\[[ xX]\]/;
+
+const PUNCTUATION = /[!-/:-@[-`{-~]/;
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+const WHITESPACE = /\s/;
+const SAFE_SCHEMES = ['http', 'https', 'mailto'];
+
+const DELIMITERS = [
+  { marker: '**', type: 'strong' },
+  { marker: '__', type: 'strong' },
+  { marker: '~~', type: 'del' },
+  { marker: '*', type: 'em' },
+  { marker: '_', type: 'em' }
+];
+
+const isBlank = (line) => line.trim() === '';
+
+const indentOf = (line) => line.match(/^ */)[0].length;
+
+/**
+ * Read a list item marker, e.g. '  - [ ] text'
+ * @returns {Object|null} { ordered, start, contentIndent, content }
+ */
+const matchListItem = (line) => {
+  const match = line.match(LIST_ITEM);
+  if (!match) {
+    return null;
+  }
+
+  const [, indent, marker, spaces = '', content = ''] = match;
+  // Content indented by five or more spaces starts one space after the marker
+  const gap = spaces.length === 0 || spaces.length > 4 ? 1 : spaces.length;
+
+  return {
+    ordered: /\d/.test(marker),
+    start: parseInt(marker),
+    contentIndent: indent.length + marker.length + gap,
+    content: spaces.length > 4 ? spaces.slice(1) + content : content
+  };
+};
+
+/**
+ * Check whether a line ends a paragraph by starting another block. Ordered
+ * lists only interrupt a paragraph when they start at 1, as in '1. First'.
+ */
+const startsBlock = (line) => {
+  if (FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line)) {
+    return true;
+  }
+  const item = matchListItem(line);
+  return !!item && !isBlank(item.content) && (!item.ordered || item.start === 1);
+};
+
+/**
+ * Parse a list starting at lines[index]
+ * @returns {Object} { block, next } where next is the index of the first line after the list
+ */
+const parseList = (lines, index, firstLine) => {
+  const first = matchListItem(lines[index]);
+  const list = { type: 'list', ordered: first.ordered, start: first.start, loose: false, items: [] };
+  let i = index;
+
+  while (i < lines.length) {
+    // Blank lines between items keep the list going, but make it loose
+    let next = i;
+    while (next < lines.length && isBlank(lines[next])) {
+      next++;
+    }
+    const item = next < lines.length ? matchListItem(lines[next]) : null;
+    if (!item || item.ordered !== first.ordered) {
+      break;
+    }
+    if (next > i) {
+      list.loose = true;
+    }
+
+    const itemLine = next;
+    const itemLines = [item.content];
+    i = next + 1;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (isBlank(line)) {
+        // The item goes on if the next text is indented into it
+        let end = i;
+        while (end < lines.length && isBlank(lines[end])) {
+          end++;
+        }
+        if (end < lines.length && indentOf(lines[end]) >= item.contentIndent) {
+          itemLines.push(...lines.slice(i, end).map(() => ''));
+          i = end;
+          continue;
+        }
+        break;
+      }
+
+      if (indentOf(line) >= item.contentIndent) {
+        itemLines.push(line.slice(item.contentIndent));
+      } else if (!isBlank(itemLines[itemLines.length - 1]) && !matchListItem(line) && !startsBlock(line)) {
+        // Lazy continuation of the item's paragraph
+        itemLines.push(line.trim());
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    const task = itemLines[0].match(TASK);
+    if (task) {
+      itemLines[0] = task[2] || '';
+    }
+
+    list.items.push({
+      checked: task ? task[1] !== ' ' : null,
+      line: firstLine + itemLine,
+      children: parseBlocks(itemLines, firstLine + itemLine)
+    });
+  }
+
+  return { block: list, next: i };
+};
+
+/**
+ * Parse lines into blocks
+ * @param {string[]} lines - Lines, without line breaks
+ * @param {number} firstLine - Line number of lines[0] in the whole text, for task-list items
+ * @returns {Object[]} Blocks
+ */
+const parseBlocks = (lines, firstLine) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}[ \\t]*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', lang: fence[2], text: code.join('\n') });
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] || '' });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const start = i;
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE)[1]);
+        i++;
+      }
+      blocks.push({ type: 'quote', children: parseBlocks(quoted, firstLine + start) });
+      continue;
+    }
+
+    if (matchListItem(line)) {
+      const { block, next } = parseList(lines, i, firstLine);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+  }
+
+  return blocks;
+};
+
+/**
+ * Parse Markdown into blocks. Blocks with text (paragraph, heading) keep it raw, for
+ * parseInline; list items carry the line number of their marker, for task lists.
+ * @param {string} source - Markdown
+ * @returns {Object[]} Blocks: { type: 'paragraph', text }, { type: 'heading', level, text },
+ *          { type: 'code', lang, text }, { type: 'quote', children }, { type: 'rule' } and
+ *          { type: 'list', ordered, start, loose, items: [{ checked, line, children }] }
+ *          where checked is null for items that aren't tasks
+ */
+export const parseMarkdown = (source) => parseBlocks((source || '').replace(/\t/g, '    ').split(/\r?\n/), 0);
+
+/**
+ * Check whether a marker at text[close] can end emphasis, bold or strikethrough
+ */
+const canClose = (text, marker, close) => {
+  const after = text[close + marker.length];
+  if (WHITESPACE.test(text[close - 1]) || text[close - 1] === '\\') {
+    return false;
+  }
+  // Underscores inside words are not emphasis, as in snake_case_names
+  return !(marker[0] === '_' && after && WORD_CHARACTER.test(after));
+};
+
+/**
+ * Find the positions in a text where a marker can close, in order. A single marker
+ * doesn't close on part of a run, as in *a **b** c*.
+ */
+const findClosers = (text, marker) => {
+  const positions = [];
+
+  for (let close = text.indexOf(marker, 1); close !== -1; close = text.indexOf(marker, close + 1)) {
+    if (marker.length === 1 && (text[close - 1] === marker || text[close + 1] === marker)) {
+      continue;
+    }
+    if (canClose(text, marker, close)) {
+      positions.push(close);
+    }
+  }
+
+  return positions;
+};
+
+/**
+ * Find emphasis, bold or strikethrough starting at text[index]
+ * @param {Object} closers - Closing positions found so far in the text, by marker. Openers
+ *   are matched from left to right, so each list is found once and walked once, rather
+ *   than searched again from every opener that has no closer.
+ * @returns {Object|null} { type, content, end }
+ */
+const matchDelimited = (text, index, closers) => {
+  for (const { marker, type } of DELIMITERS) {
+    const open = index + marker.length;
+    if (!text.startsWith(marker, index) || open >= text.length || WHITESPACE.test(text[open])) {
+      continue;
+    }
+    // Underscores inside words are not emphasis, as in snake_case_names
+    if (marker[0] === '_' && index > 0 && WORD_CHARACTER.test(text[index - 1])) {
+      continue;
+    }
+
+    if (!closers[marker]) {
+      closers[marker] = { positions: findClosers(text, marker), next: 0 };
+    }
+    const found = closers[marker];
+    while (found.next < found.positions.length && found.positions[found.next] <= open) {
+      found.next++;
+    }
+
+    let close = found.next < found.positions.length ? found.positions[found.next] : -1;
+    // The search starts one past the opener, so a run that starts there counts from
+    // its last marker, which can close
+    if (
+      marker.length === 1 && text[open + 1] === marker && text[open + 2] !== marker &&
+      canClose(text, marker, open + 1)
+    ) {
+      close = open + 1;
+    }
+    if (close !== -1) {
+      return { type, content: text.slice(open, close), end: close + marker.length };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find the bracket that closes the one at text[open], skipping escaped characters
+ * @returns {number} Its position, or -1
+ */
+const findClosingBracket = (text, open) => {
+  let depth = 0;
+
+  for (let close = open; close < text.length; close++) {
+    if (text[close] === '\\') {
+      close++;
+    } else if (text[close] === '[') {
+      depth++;
+    } else if (text[close] === ']' && --depth === 0) {
+      return close;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Pair up the square brackets of a text in one pass, skipping escaped characters
+ * @returns {Map<number, number>} Position of each closing bracket, or -1, by the position
+ *          of its opening bracket
+ */
+const matchBrackets = (text) => {
+  const pairs = new Map();
+  const unclosed = [];
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '[') {
+      unclosed.push(i);
+    } else if (text[i] === ']' && unclosed.length > 0) {
+      pairs.set(unclosed.pop(), i);
+    }
+  }
+  unclosed.forEach(open => pairs.set(open, -1));
+
+  return pairs;
+};
+
+/**
+ * Find a link or image, [label](url "title"), starting at text[index]
+ * @param {Map<number, number>} brackets - Bracket pairs of the text, from matchBrackets
+ * @returns {Object|null} { label, href, end }
+ */
+const matchLink = (text, index, brackets) => {
+  const open = text[index] === '!' ? index + 1 : index;
+  // A bracket that the pairing skipped as escaped is looked up on its own
+  const close = brackets.has(open) ? brackets.get(open) : findClosingBracket(text, open);
+
+  if (close === -1 || text[close + 1] !== '(') {
+    return null;
+  }
+
+  const destination = text
+    .slice(close + 2)
+    .match(/^[ \t]*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:[ \t]+(?:"[^"]*"|'[^']*'))?[ \t]*\)/);
+  if (!destination) {
+    return null;
+  }
+
+  const href = destination[1].startsWith('<') ? destination[1].slice(1, -1) : destination[1];
+  return { label: text.slice(open + 1, close), href, end: close + 2 + destination[0].length };
+};
+
+/**
+ * Find a bare URL starting at text[index], e.g. https://example.com/a.
+ * Trailing punctuation and unbalanced closing parentheses are left out.
+ * @returns {string|null}
+ */
+const matchBareUrl = (text, index) => {
+  if (index > 0 && WORD_CHARACTER.test(text[index - 1])) {
+    return null;
+  }
+
+  const match = text.slice(index).match(/^(?:https?:\/\/|www\.)[^\s<]+/i);
+  if (!match) {
+    return null;
+  }
+
+  let url = match[0].replace(/[.,:;!?'"*_~]+$/, '');
+  while (url.endsWith(')') && url.split('(').length < url.split(')').length) {
+    url = url.slice(0, -1).replace(/[.,:;!?'"*_~]+$/, '');
+  }
+  return url;
+};
+
+/**
+ * Parse the inline Markdown of a paragraph or heading
+ * @param {string} text - Raw text
+ * @param {boolean} [inLink] - Whether the text is a link label, where links are not allowed
+ * @returns {Object[]} Nodes: { type: 'text', value }, { type: 'code', value }, { type: 'break' },
+ *          { type: 'strong' | 'em' | 'del', children } and { type: 'link', href, children }
+ */
+export const parseInline = (text, inLink = false) => {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+  const closers = {};
+  let brackets = null;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', value: buffer });
+      buffer = '';
+    }
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && i + 1 < text.length && PUNCTUATION.test(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      flush();
+      nodes.push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      let end = text.indexOf(run, i + run.length);
+      while (end !== -1 && text[end + run.length] === '`') {
+        end = text.indexOf(run, end + run.length + 1);
+      }
+      if (end === -1) {
+        buffer += run;
+        i += run.length;
+        continue;
+      }
+
+      let code = text.slice(i + run.length, end).replace(/\n/g, ' ');
+      if (code.length > 2 && code.startsWith(' ') && code.endsWith(' ')) {
+        code = code.slice(1, -1);
+      }
+      flush();
+      nodes.push({ type: 'code', value: code });
+      i = end + run.length;
+      continue;
+    }
+
+    const delimited = matchDelimited(text, i, closers);
+    if (delimited) {
+      flush();
+      nodes.push({ type: delimited.type, children: parseInline(delimited.content, inLink) });
+      i = delimited.end;
+      continue;
+    }
+
+    if (!inLink && (char === '[' || (char === '!' && text[i + 1] === '['))) {
+      brackets = brackets || matchBrackets(text);
+      const link = matchLink(text, i, brackets);
+      if (link) {
+        flush();
+        nodes.push({ type: 'link', href: link.href, children: parseInline(link.label, true) });
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (!inLink && char === '<') {
+      const autolink = text.slice(i).match(/^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i);
+      if (autolink) {
+        flush();
+        nodes.push({ type: 'link', href: autolink[1], children: [{ type: 'text', value: autolink[1] }] });
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    if (!inLink && (char === 'h' || char === 'H' || char === 'w' || char === 'W')) {
+      const url = matchBareUrl(text, i);
+      if (url) {
+        flush();
+        nodes.push({
+          type: 'link',
+          href: /^www\./i.test(url) ? `http://${url}` : url,
+          children: [{ type: 'text', value: url }]
+        });
+        i += url.length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return nodes;
+};
+
+/**
+ * Check a link target, allowing only web and email links and relative URLs
+ * @param {string} url - Link target as written
+ * @returns {string|null} The target, or null when it must not become a link
+ */
+export const safeUrl = (url) => {
+  // Browsers ignore whitespace and control characters in the scheme, as in 'java\tscript:'
+  // eslint-disable-next-line no-control-regex
+  const scheme = url.replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme && !SAFE_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return null;
+  }
+  return url.trim() || null;
+};
+
+/**
+ * Get the text of inline nodes, without formatting
+ */
+const inlineText = (nodes) => nodes
+  .map(node => {
+    if (node.type === 'break') {
+      return ' ';
+    }
+    return node.children ? inlineText(node.children) : node.value;
+  })
+  .join('');
+
+/**
+ * Get the text of blocks, without formatting
+ */
+const blocksText = (blocks) => blocks
+  .map(block => {
+    switch (block.type) {
+      case 'paragraph':
+      case 'heading':
+        return inlineText(parseInline(block.text));
+      case 'code':
+        return block.text;
+      case 'quote':
+        return blocksText(block.children);
+      case 'list':
+        return block.items.map(item => blocksText(item.children)).join(' ');
+      default:
+        return '';
+    }
+  })
+  .filter(Boolean)
+  .join(' ');
+
+/**
+ * Turn Markdown into plain text on one line, e.g. for previews on cards
+ * @param {string} source - Markdown
+ * @returns {string}
+ */
+export const markdownToText = (source) => blocksText(parseMarkdown(source)).replace(/\s+/g, ' ').trim();
+
+/**
+ * Check or uncheck a task-list item
+ * @param {string} source - Markdown
+ * @param {number} line - Line number of the item, as given by parseMarkdown
+ * @param {boolean} checked - New state
+ * @returns {string} Markdown with the item's [ ] or [x] changed
+ */
+export const toggleTaskListItem = (source, line, checked) => {
+  // Lines are split as in parseMarkdown, keeping each line break as it was
+  const parts = source.split(/(\r?\n)/);
+  const index = line * 2;
+  parts[index] = parts[index].replace(TASK_LIST_MARKER, (match, prefix) => `${prefix}[${checked ? 'x' : ' '}]`);
+  return parts.join('');
+};
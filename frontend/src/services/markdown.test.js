@@ -0,0 +1,219 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import Markdown from '../components/Dashboard/Markdown';
+import { parseMarkdown, parseInline, safeUrl, toggleTaskListItem } from './markdown';
+
+/**
+ * Collect the task-list items of parsed blocks, in document order
+ */
+const taskItems = (blocks) => blocks.flatMap(({ type, children, items }) => {
+  if (type === 'quote') {
+    return taskItems(children);
+  }
+  if (type === 'list') {
+    return items.flatMap(item => {
+      const { checked, children: nested } = item;
+      return [...(checked !== null ? [item] : []), ...taskItems(nested)];
+    });
+  }
+  return [];
+});
+
+/* eslint-disable no-script-url */
+const UNSAFE_URLS = [
+  'javascript:alert(1)',
+  'JaVaScRiPt:alert(1)',
+  'java\tscript:alert(1)',
+  '\u0000javascript:alert(1)',
+  ' javascript:alert(1)',
+  'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+  'vbscript:msgbox(1)'
+];
+/* eslint-enable no-script-url */
+
+describe('safeUrl', () => {
+  test.each(UNSAFE_URLS)('rejects %j', (url) => {
+    expect(safeUrl(url)).toBeNull();
+  });
+
+  test.each([
+    'https://example.com/a?b=c',
+    'http://example.com',
+    'mailto:ann@example.com',
+    '/tasks?project=3',
+    '#notes'
+  ])('allows %j', (url) => {
+    expect(safeUrl(url)).toBe(url);
+  });
+});
+
+describe('links', () => {
+  // Whitespace in a destination already keeps the text from being a link
+  test.each(UNSAFE_URLS.filter(url => !/\s/.test(url)))('parses [label](%j) as a link with an unsafe target', (url) => {
+    const [node] = parseInline(`[label](${url})`);
+
+    expect(node.type).toBe('link');
+    expect(safeUrl(node.href)).toBeNull();
+  });
+
+  test.each(UNSAFE_URLS)('renders no link for [label](%j)', (url) => {
+    render(<Markdown source={`[label](${url})`} />);
+    expect(screen.queryByRole('link')).toBeNull();
+    expect(screen.getByText(/label/)).toBeInTheDocument();
+  });
+
+  test.each(UNSAFE_URLS)('renders no link for the autolink <%j>', (url) => {
+    render(<Markdown source={`<${url}>`} />);
+    expect(screen.queryByRole('link')).toBeNull();
+  });
+
+  test.each(UNSAFE_URLS)('renders no link for the image ![x](%j)', (url) => {
+    render(<Markdown source={`![x](${url})`} />);
+    expect(screen.queryByRole('link')).toBeNull();
+    expect(screen.queryByRole('img')).toBeNull();
+  });
+
+  test('renders safe links so they open apart from the page', () => {
+    render(<Markdown source="[docs](https://example.com) and <https://example.org>" />);
+    const links = screen.getAllByRole('link');
+
+    expect(links.map(link => link.getAttribute('href'))).toEqual(['https://example.com', 'https://example.org']);
+    links.forEach(link => {
+      expect(link).toHaveAttribute('target', '_blank');
+      expect(link).toHaveAttribute('rel', 'noopener noreferrer nofollow');
+    });
+  });
+});
+
+describe('parseInline', () => {
+  test('closes each opener at its first closer', () => {
+    expect(parseInline('*a **b** c*')).toEqual([{
+      type: 'em',
+      children: [
+        { type: 'text', value: 'a ' },
+        { type: 'strong', children: [{ type: 'text', value: 'b' }] },
+        { type: 'text', value: ' c' }
+      ]
+    }]);
+    expect(parseInline('a** b **c**')).toEqual([
+      { type: 'text', value: 'a** b ' },
+      { type: 'strong', children: [{ type: 'text', value: 'c' }] }
+    ]);
+    expect(parseInline('[a [b](u) c')).toEqual([
+      { type: 'text', value: '[a ' },
+      { type: 'link', href: 'u', children: [{ type: 'text', value: 'b' }] },
+      { type: 'text', value: ' c' }
+    ]);
+  });
+
+  test.each(['**a ', '*a ', '_a ', '~~a ', '[a '])('keeps long runs of unmatched %j as text, quickly', (opener) => {
+    const text = opener.repeat(40000 / opener.length);
+    const started = Date.now();
+
+    expect(parseInline(text)).toEqual([{ type: 'text', value: text }]);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('raw HTML', () => {
+  test.each([
+    '<script>alert(1)</script>',
+    '<img src=x onerror="alert(1)">',
+    '**bold <img src=x onerror=alert(1)>**',
+    '[<script>alert(1)</script>](https://example.com)',
+    '> <script>alert(1)</script>',
+    '- <img src=x onerror=alert(1)>'
+  ])('shows %j as text', (source) => {
+    render(<Markdown source={source} />);
+
+    expect(screen.queryByRole('img')).toBeNull();
+    expect(screen.getByText(/<(script|img)/)).toBeInTheDocument();
+  });
+
+  test('keeps HTML in code as text', () => {
+    render(<Markdown source={'`<b>x</b>`\n\n```\n<script>alert(1)</script>\n```'} />);
+
+    expect(screen.getByText('<b>x</b>').tagName).toBe('CODE');
+    expect(screen.getByText('<script>alert(1)</script>').tagName).toBe('CODE');
+  });
+});
+
+describe('toggleTaskListItem', () => {
+  test('checks and unchecks items of a flat list', () => {
+    const source = '- [ ] one\n- [x] two';
+    const [one, two] = taskItems(parseMarkdown(source));
+
+    expect(toggleTaskListItem(source, one.line, true)).toBe('- [x] one\n- [x] two');
+    expect(toggleTaskListItem(source, two.line, false)).toBe('- [ ] one\n- [ ] two');
+  });
+
+  test('maps items of nested lists to their own lines', () => {
+    const source = [
+      'Plan:',
+      '',
+      '1. [ ] design',
+      '   - [ ] sketch',
+      '   - [x] review',
+      '     continued',
+      '2. [ ] build',
+      '   * [ ] api'
+    ].join('\n');
+    const items = taskItems(parseMarkdown(source));
+
+    expect(items.map(item => item.line)).toEqual([2, 3, 4, 6, 7]);
+    expect(items.map(item => item.checked)).toEqual([false, false, true, false, false]);
+
+    const lines = source.split('\n');
+    items.forEach(item => {
+      const toggled = toggleTaskListItem(source, item.line, !item.checked).split('\n');
+      expect(toggled[item.line]).toBe(lines[item.line].replace(/\[[ x]\]/, item.checked ? '[ ]' : '[x]'));
+      expect(toggled.filter((line, index) => index !== item.line))
+        .toEqual(lines.filter((line, index) => index !== item.line));
+    });
+  });
+
+  test('maps items inside block quotes, including nested quotes', () => {
+    const source = [
+      '> Checklist',
+      '> - [ ] first',
+      '>   - [x] inner',
+      '>',
+      '> > - [ ] deep',
+      '',
+      '- [ ] outside'
+    ].join('\n');
+    const items = taskItems(parseMarkdown(source));
+
+    expect(items.map(item => item.line)).toEqual([1, 2, 4, 6]);
+
+    expect(toggleTaskListItem(source, items[0].line, true).split('\n')[1]).toBe('> - [x] first');
+    expect(toggleTaskListItem(source, items[1].line, false).split('\n')[2]).toBe('>   - [ ] inner');
+    expect(toggleTaskListItem(source, items[2].line, true).split('\n')[4]).toBe('> > - [x] deep');
+    expect(toggleTaskListItem(source, items[3].line, true).split('\n')[6]).toBe('- [x] outside');
+  });
+
+  test('keeps the line breaks of the source as they were', () => {
+    const source = '- [ ] one\r\n- [ ] two\n\r\n> - [x] three\r\n';
+    const items = taskItems(parseMarkdown(source));
+
+    expect(items.map(item => item.line)).toEqual([0, 1, 3]);
+    expect(toggleTaskListItem(source, items[1].line, true)).toBe('- [ ] one\r\n- [x] two\n\r\n> - [x] three\r\n');
+    expect(toggleTaskListItem(source, items[2].line, false)).toBe('- [ ] one\r\n- [ ] two\n\r\n> - [ ] three\r\n');
+  });
+
+  test('leaves a [ ] in the item text alone', () => {
+    const source = '- [ ] keep [ ] this';
+
+    expect(toggleTaskListItem(source, 0, true)).toBe('- [x] keep [ ] this');
+  });
+
+  test('renders checkboxes that report their item line', () => {
+    const source = '> - [ ] quoted\n\n- [x] listed';
+    const onToggleTask = jest.fn();
+    render(<Markdown source={source} onToggleTask={onToggleTask} />);
+    const checkboxes = screen.getAllByRole('checkbox');
+
+    fireEvent.click(checkboxes[0]);
+    fireEvent.click(checkboxes[1]);
+    expect(onToggleTask.mock.calls).toEqual([[0, true], [2, false]]);
+  });
+});
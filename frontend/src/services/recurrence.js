@@ -0,0 +1,115 @@
+/**
+ * Recurrence rules of recurring tasks: the RRULE subset accepted by the server
+ * (see backend/utils/recurrence.js) and the presets of the task form's picker
+ */
+
+export const WEEKDAY_OPTIONS = [
+  { value: 'MO', label: 'Mon' },
+  { value: 'TU', label: 'Tue' },
+  { value: 'WE', label: 'Wed' },
+  { value: 'TH', label: 'Thu' },
+  { value: 'FR', label: 'Fri' },
+  { value: 'SA', label: 'Sat' },
+  { value: 'SU', label: 'Sun' }
+];
+
+export const EMPTY_RECURRENCE = { type: 'none', weekdays: [], monthDay: '', custom: '' };
+
+/**
+ * Split a rule into its parts, e.g. { FREQ: 'WEEKLY', BYDAY: 'MO,TH' }
+ */
+const parseParts = (rule) => rule
+  .replace(/^RRULE:/i, '')
+  .split(';')
+  .filter(Boolean)
+  .reduce((parts, part) => {
+    const [key, value = ''] = part.split('=');
+    return { ...parts, [key.toUpperCase()]: value.toUpperCase() };
+  }, {});
+
+/**
+ * Turn a stored rule into the picker's state, using a preset when the rule matches one
+ * @param {string|null} rule - Recurrence rule
+ * @returns {Object} { type, weekdays, monthDay, custom }
+ */
+export const parseRecurrenceRule = (rule) => {
+  if (!rule) {
+    return EMPTY_RECURRENCE;
+  }
+
+  const parts = parseParts(rule);
+  const keys = Object.keys(parts).sort().join(',');
+
+  if (keys === 'FREQ' && parts.FREQ === 'DAILY') {
+    return { ...EMPTY_RECURRENCE, type: 'daily' };
+  }
+  if (parts.FREQ === 'WEEKLY' && (keys === 'FREQ' || keys === 'BYDAY,FREQ')) {
+    return { ...EMPTY_RECURRENCE, type: 'weekly', weekdays: parts.BYDAY ? parts.BYDAY.split(',') : [] };
+  }
+  if (parts.FREQ === 'MONTHLY' && (keys === 'FREQ' || (keys === 'BYMONTHDAY,FREQ' && !parts.BYMONTHDAY.includes(',')))) {
+    return { ...EMPTY_RECURRENCE, type: 'monthly', monthDay: parts.BYMONTHDAY || '' };
+  }
+  return { ...EMPTY_RECURRENCE, type: 'custom', custom: rule };
+};
+
+/**
+ * Turn the picker's state into a rule
+ * @returns {string|null} Rule, or null for no recurrence
+ */
+export const buildRecurrenceRule = ({ type, weekdays, monthDay, custom }) => {
+  switch (type) {
+    case 'daily':
+      return 'FREQ=DAILY';
+    case 'weekly':
+      return weekdays.length > 0
+        ? `FREQ=WEEKLY;BYDAY=${WEEKDAY_OPTIONS.filter(day => weekdays.includes(day.value)).map(day => day.value).join(',')}`
+        : 'FREQ=WEEKLY';
+    case 'monthly':
+      return monthDay ? `FREQ=MONTHLY;BYMONTHDAY=${monthDay}` : 'FREQ=MONTHLY';
+    case 'custom':
+      return custom.trim() || null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Describe a rule in words, e.g. 'Every 2 weeks on Mon, Thu'
+ * @param {string} rule - Recurrence rule
+ * @returns {string}
+ */
+export const describeRecurrence = (rule) => {
+  const parts = parseParts(rule);
+  const interval = parseInt(parts.INTERVAL) || 1;
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+  const unit = units[parts.FREQ];
+
+  if (!unit) {
+    return rule;
+  }
+
+  let text = interval > 1
+    ? `Every ${interval} ${unit}s`
+    : { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly' }[parts.FREQ];
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(value => WEEKDAY_OPTIONS.find(day => day.value === value)?.label || value);
+    text += ` on ${days.join(', ')}`;
+  }
+
+  if (parts.BYMONTHDAY) {
+    const days = parts.BYMONTHDAY.split(',').map(day => {
+      const number = parseInt(day);
+      if (number === -1) return 'the last day';
+      return number < 0 ? `${-number} days before the end` : `day ${number}`;
+    });
+    text += ` on ${days.join(', ')}`;
+  }
+
+  const until = parts.UNTIL?.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (until) {
+    text += ` until ${until[1]}-${until[2]}-${until[3]}`;
+  }
+
+  return text;
+};
@@ -0,0 +1,101 @@
+/**
+ * Build task filter queries for GET /api/tasks?q=
+ * (see backend/utils/taskQuery.js for the language)
+ */
+
+/**
+ * Quote a value when it contains spaces or characters with a meaning in queries
+ */
+export const quoteQueryValue = (value) => {
+  const text = String(value);
+  return /[\s,"!:<>=]/.test(text) ? `"${text.replace(/"/g, '')}"` : text;
+};
+
+/**
+ * Turn the filter chips into query terms, followed by the typed query text
+ * @param {Object} filters - { assignee, priority, labels, labelMode, query }
+ * @returns {string} Query for the q parameter, empty when nothing is filtered
+ */
+export const buildTaskQuery = (filters) => {
+  const terms = [];
+
+  if (filters.assignee) {
+    terms.push(`assignee:${quoteQueryValue(filters.assignee)}`);
+  }
+
+  if (filters.priority) {
+    terms.push(`priority:${filters.priority}`);
+  }
+
+  // One term per label requires all of them; one list matches any
+  if (filters.labels.length > 0) {
+    if (filters.labelMode === 'all') {
+      filters.labels.forEach(labelId => terms.push(`label:${labelId}`));
+    } else {
+      terms.push(`label:${filters.labels.join(',')}`);
+    }
+  }
+
+  if (filters.query.trim()) {
+    terms.push(filters.query.trim());
+  }
+
+  return terms.join(' ');
+};
+
+/**
+ * Board sort orders, as accepted by the sort parameter
+ */
+export const TASK_SORT_OPTIONS = [
+  { value: 'rank', label: 'Manual order' },
+  { value: '-created_at', label: 'Newest first' },
+  { value: 'created_at', label: 'Oldest first' },
+  { value: '-updated_at', label: 'Recently updated' },
+  { value: 'due_date', label: 'Due date' },
+  { value: '-priority', label: 'Priority' },
+  { value: 'title', label: 'Title' }
+];
+
+export const DEFAULT_TASK_SORT = 'rank';
+
+const PRIORITY_ORDER = { Low: 1, Medium: 2, High: 3 };
+
+/**
+ * Sort keys of a task, matching the server's order for each sort
+ */
+const SORT_KEYS = {
+  // Ranks compare byte by byte on the server, like JavaScript string comparison
+  rank: task => [task.board_rank],
+  created_at: task => [new Date(task.created_at).getTime()],
+  updated_at: task => [new Date(task.updated_at).getTime()],
+  due_date: task => [task.due_date ? 0 : 1, task.due_date ? new Date(task.due_date).getTime() : 0],
+  priority: task => [PRIORITY_ORDER[task.priority] || 0],
+  title: task => [task.title.toLowerCase()]
+};
+
+/**
+ * Get a comparator that orders loaded tasks like the server does for a sort,
+ * so tasks added or moved locally land where a reload would put them
+ * @param {string} sort - Sort such as 'due_date' or '-created_at'
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+export const compareTasks = (sort) => {
+  const descending = sort.startsWith('-');
+  const name = descending ? sort.substring(1) : sort;
+  const getKeys = SORT_KEYS[name] || SORT_KEYS.created_at;
+  const direction = descending ? -1 : 1;
+
+  return (a, b) => {
+    const keysA = getKeys(a);
+    const keysB = getKeys(b);
+
+    for (let index = 0; index < keysA.length; index++) {
+      if (keysA[index] !== keysB[index]) {
+        // Tasks without a due date stay last in both directions
+        const keyDirection = name === 'due_date' && index === 0 ? 1 : direction;
+        return keysA[index] < keysB[index] ? -keyDirection : keyDirection;
+      }
+    }
+    return (a.id - b.id) * direction;
+  };
+};